@@ -9,6 +9,9 @@
  *   curl http://localhost:3000/health
  *   curl -X POST http://localhost:3000/mcp -H "Content-Type: application/json" \
  *     -d '{"method": "initialize", "params": {}, "id": 1}'
+ *
+ * Server settings come from solagent-forge.config.json and SOLAGENT_* env vars
+ * (see mcp-server/config.js); PORT selects the listening port.
  */
 
 import http from 'http';
@@ -114,14 +117,16 @@ const httpServer = http.createServer(async (req, res) => {
             res.writeHead(400);
             res.end(JSON.stringify({
               success: false,
-              error: response.error.message
+              error: response.error.message,
+              details: response.error.data
             }, null, 2));
             return;
           }
 
           const contentText = response?.result?.content?.[0]?.text;
           const parsed = contentText ? JSON.parse(contentText) : response;
-          res.writeHead(200);
+          // Tool-level failures (isError) are distinguished from protocol errors (400)
+          res.writeHead(response?.result?.isError ? 422 : 200);
           res.end(JSON.stringify(parsed, null, 2));
         } catch (error) {
           res.writeHead(400);
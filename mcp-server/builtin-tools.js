@@ -0,0 +1,921 @@
+/**
+ * Built-in Tool Definitions
+ * Registered on every server's tool registry by createServer
+ *
+ * Tool Set (23 tools):
+ * - Live Solana RPC (14): fund_wallet, get_balance, get_account_info, get_multiple_accounts,
+ *   get_program_accounts, get_token_accounts, get_mint_info, get_program_info, get_transaction,
+ *   get_signatures_for_address, simulate_transaction, verify_onchain_discriminators,
+ *   compare_discriminators, verify_program_binary
+ * - Deterministic Crypto (3): compute_discriminator, derive_pda, anchor_encode_instruction
+ * - Scaffolding (3): anchor_scaffold, anchor_add_instruction, anchor_add_account
+ * - Deployment via Anchor/Solana CLI (3): anchor_deploy, get_deployment_status, fund_keypair
+ */
+
+import { scaffoldProgram } from './tools/scaffold.js';
+import { addInstruction, addAccount } from './tools/anchor-add.js';
+import { fundWallet } from './tools/fund-wallet.js';
+import { getBalance } from './tools/get-balance.js';
+import { getAccountInfo } from './tools/get-account-info.js';
+import { getMultipleAccounts } from './tools/get-multiple-accounts.js';
+import { getProgramAccounts } from './tools/get-program-accounts.js';
+import { getTokenAccounts } from './tools/get-token-accounts.js';
+import { getMintInfo } from './tools/get-mint-info.js';
+import { getProgramInfo } from './tools/get-program-info.js';
+import { parseTransaction } from './tools/parse-transaction.js';
+import { getSignaturesForAddress } from './tools/get-signatures-for-address.js';
+import { simulateTransaction } from './tools/simulate-transaction.js';
+import { computeDiscriminator } from './tools/compute-discriminator.js';
+import { derivePda } from './tools/derive-pda.js';
+import { encodeInstruction } from './tools/encode-instruction.js';
+import { deployDevnet, getDeploymentStatus, fundKeypair } from './tools/deploy.js';
+import { verifyOnchainDiscriminators } from './tools/verify-onchain-discriminators.js';
+import { compareDiscriminators } from './tools/compare-discriminators.js';
+import { verifyProgramBinary } from './tools/verify-program-binary.js';
+
+// Cluster names accepted by RPC tools (aliases resolved by lib/connection.js;
+// "local-sim" is the in-memory ledger from lib/local-sim.js). createServer adds
+// custom clusters from the config's rpc map to schemas using this list
+export const RPC_CLUSTERS = ['devnet', 'testnet', 'mainnet-beta', 'mainnet', 'localnet', 'localhost', 'local-sim'];
+
+// Code generation specs shared by anchor_scaffold and the anchor_add_* tools
+// (rendered by lib/anchor-codegen.js)
+const IDL_TYPE = { description: 'IDL type (e.g., "u64", "pubkey", "string", { "vec": "u8" })' };
+
+const ARG_SPEC = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: IDL_TYPE
+  },
+  required: ['name', 'type']
+};
+
+const FIELD_SPEC = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: IDL_TYPE,
+    maxLen: { type: 'integer', description: 'Maximum length for strings and vectors' }
+  },
+  required: ['name', 'type']
+};
+
+const INSTRUCTION_ACCOUNT_SPEC = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    signer: { type: 'boolean', description: 'Signer<\'info>' },
+    mut: { type: 'boolean' },
+    account: { type: 'string', description: '#[account] type for Account<\'info, T>' },
+    program: { type: 'string', description: 'Program type for Program<\'info, T> (e.g., "System", "Token")' },
+    init: { type: 'boolean', description: 'Create the account (system_program is added automatically)' },
+    payer: { type: 'string', description: 'Payer for init (default: first mutable signer)' },
+    space: { description: 'Space expression or bytes for init (default: 8 + T::INIT_SPACE)' },
+    seeds: {
+      type: 'array',
+      description: 'PDA seeds: strings are constants, or { kind: "account" | "arg" | "const", path | value }'
+    },
+    hasOne: {
+      description: 'has_one constraints: account names, or { account, error } to fail with a custom error'
+    },
+    close: { type: 'string', description: 'Close the account, sending its lamports to this account' },
+    realloc: {
+      description: 'Resize the account: true (to 8 + T::INIT_SPACE) or { space, payer, zero }'
+    }
+  },
+  required: ['name']
+};
+
+const PROGRAM_SPEC = {
+  type: 'object',
+  properties: {
+    instructions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          args: { type: 'array', items: ARG_SPEC },
+          accounts: { type: 'array', items: INSTRUCTION_ACCOUNT_SPEC }
+        },
+        required: ['name']
+      }
+    },
+    accounts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          fields: { type: 'array', items: FIELD_SPEC }
+        },
+        required: ['name', 'fields']
+      },
+      description: '#[account] state structs (space derived with InitSpace)'
+    },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          msg: { type: 'string' }
+        },
+        required: ['name']
+      },
+      description: 'Custom errors of the #[error_code] enum (codes from 6000)'
+    }
+  },
+  required: ['instructions'],
+  description: 'Program spec generating lib.rs, tests and an app/ client stub, instead of features'
+};
+
+export const BUILTIN_TOOLS = [
+  {
+    name: 'anchor_scaffold',
+    description: 'Generate Anchor program boilerplate with best practices: a Cargo workspace with one or more programs, optionally calling each other through CPI. Programs come from feature templates or from a spec of instructions, accounts, constraints and errors',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        programName: {
+          type: 'string',
+          description: 'Name of the program (e.g., "token-vault"), or of the workspace when programs is given'
+        },
+        features: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Features to include: ["pda", "cpi", "token"]'
+        },
+        spec: PROGRAM_SPEC,
+        programs: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Program name' },
+              features: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Features for this program (default: top-level features)'
+              },
+              spec: PROGRAM_SPEC,
+              dependsOn: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Workspace programs this program calls through CPI (crate dependency with the "cpi" feature)'
+              }
+            },
+            required: ['name'],
+            additionalProperties: false
+          },
+          description: 'Programs of a multi-program workspace (default: one program named programName)'
+        },
+        outputDir: {
+          type: 'string',
+          description: 'Directory to create the project in (default: configured scaffoldRoot, else the working directory)'
+        }
+      },
+      required: ['programName']
+    },
+    handler: scaffoldProgram
+  },
+  {
+    name: 'anchor_add_instruction',
+    description: 'Add an instruction to an existing Anchor program: inserts the handler into the #[program] module, appends its #[derive(Accounts)] struct and adds a test case, leaving other code untouched',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Anchor project directory (contains programs/ and tests/)'
+        },
+        programName: {
+          type: 'string',
+          description: 'Program to edit (required when the workspace has several)'
+        },
+        name: {
+          type: 'string',
+          description: 'Instruction name (e.g., "deposit" or "openVault")'
+        },
+        args: {
+          type: 'array',
+          items: ARG_SPEC,
+          description: 'Instruction arguments'
+        },
+        accounts: {
+          type: 'array',
+          items: INSTRUCTION_ACCOUNT_SPEC,
+          description: 'Accounts of the #[derive(Accounts)] struct (account types must exist in lib.rs); others are UncheckedAccount'
+        }
+      },
+      required: ['projectPath', 'name']
+    },
+    handler: addInstruction
+  },
+  {
+    name: 'anchor_add_account',
+    description: 'Add an #[account] state struct (with InitSpace) to an existing Anchor program and report its space',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectPath: {
+          type: 'string',
+          description: 'Anchor project directory (contains programs/)'
+        },
+        programName: {
+          type: 'string',
+          description: 'Program to edit (required when the workspace has several)'
+        },
+        name: {
+          type: 'string',
+          description: 'Account type name (e.g., "Vault")'
+        },
+        fields: {
+          type: 'array',
+          items: FIELD_SPEC,
+          description: 'Struct fields'
+        }
+      },
+      required: ['projectPath', 'name', 'fields']
+    },
+    handler: addAccount
+  },
+  {
+    name: 'solana_fund_wallet',
+    description: 'Airdrop SOL to a wallet on devnet or testnet (or the local-sim ledger)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        publicKey: {
+          type: 'string',
+          description: 'Public key to receive SOL (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: ['devnet', 'testnet', 'local-sim'],
+          description: 'Solana cluster (default: devnet)'
+        },
+        amount: {
+          type: 'number',
+          description: 'Amount of SOL to airdrop (default: 2, max: 5)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['publicKey']
+    },
+    handler: fundWallet
+  },
+  {
+    name: 'solana_get_balance',
+    description: 'Get SOL balance for a public key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        publicKey: {
+          type: 'string',
+          description: 'Public key to check (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['publicKey']
+    },
+    handler: getBalance
+  },
+  {
+    name: 'solana_get_account_info',
+    description: 'Fetch account information from Solana blockchain, optionally decoded with an Anchor IDL',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        publicKey: {
+          type: 'string',
+          description: 'Account public key (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        },
+        encoding: {
+          type: 'string',
+          enum: ['base64', 'base58', 'jsonParsed'],
+          description: 'Data encoding (default: base64)'
+        },
+        idl: {
+          type: ['object', 'string'],
+          description: 'Anchor IDL to decode account data: IDL JSON object/string, IDL file path, or "chain" to fetch the owner program\'s on-chain IDL'
+        }
+      },
+      required: ['publicKey']
+    },
+    handler: getAccountInfo
+  },
+  {
+    name: 'solana_get_multiple_accounts',
+    description: 'Fetch many accounts in batched getMultipleAccounts calls (100 keys per request), optionally decoded with an Anchor IDL, with a summary of missing accounts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        publicKeys: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          maxItems: 1000,
+          description: 'Account public keys (base58), up to 1000'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        },
+        encoding: {
+          type: 'string',
+          enum: ['base64', 'base58', 'jsonParsed'],
+          description: 'Data encoding (default: base64)'
+        },
+        idl: {
+          type: ['object', 'string'],
+          description: 'Anchor IDL to decode account data: IDL JSON object/string, IDL file path, or "chain" to fetch each owner program\'s on-chain IDL'
+        }
+      },
+      required: ['publicKeys']
+    },
+    handler: getMultipleAccounts
+  },
+  {
+    name: 'solana_get_program_accounts',
+    description: 'List accounts owned by a program (getProgramAccounts) with dataSize, memcmp and Anchor account-type filters, dataSlice, pagination and optional IDL decoding',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        programId: {
+          type: 'string',
+          description: 'Owner program ID (base58 public key)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        },
+        dataSize: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Only accounts with exactly this many data bytes'
+        },
+        memcmp: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              offset: { type: 'integer', minimum: 0 },
+              bytes: { type: 'string' },
+              encoding: { type: 'string', enum: ['base58', 'base64'] }
+            },
+            required: ['bytes'],
+            additionalProperties: false
+          },
+          description: 'Only accounts whose data at offset equals bytes (base58 by default)'
+        },
+        accountType: {
+          type: 'string',
+          description: 'Only Anchor accounts of this type, e.g. "Vault" (filters on its 8-byte discriminator)'
+        },
+        dataSlice: {
+          type: 'object',
+          properties: {
+            offset: { type: 'integer', minimum: 0 },
+            length: { type: 'integer', minimum: 0 }
+          },
+          required: ['offset', 'length'],
+          additionalProperties: false,
+          description: 'Return only this byte range of each account\'s data (sliced data is not IDL-decoded)'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 1000,
+          description: 'Accounts per page (default: 100)'
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Accounts to skip; pages are ordered by public key (default: 0)'
+        },
+        idl: {
+          type: ['object', 'string'],
+          description: 'Anchor IDL to decode account data (and resolve accountType): IDL JSON object/string, IDL file path, or "chain" to fetch the program\'s on-chain IDL'
+        }
+      },
+      required: ['programId']
+    },
+    handler: getProgramAccounts
+  },
+  {
+    name: 'solana_get_token_accounts',
+    description: 'List a wallet\'s SPL Token and Token-2022 accounts with mint, decimals, UI amount, delegate, frozen state and Token-2022 extensions (transfer fee, interest-bearing, metadata pointer, ...)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        owner: {
+          type: 'string',
+          description: 'Wallet public key (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        },
+        mint: {
+          type: 'string',
+          description: 'Only token accounts for this mint (optional)'
+        },
+        includeEmpty: {
+          type: 'boolean',
+          description: 'Include zero-balance accounts (default: true)'
+        }
+      },
+      required: ['owner']
+    },
+    handler: getTokenAccounts
+  },
+  {
+    name: 'solana_get_mint_info',
+    description: 'Fetch an SPL Token or Token-2022 mint: supply, decimals, mint/freeze authorities and Token-2022 extensions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        mint: {
+          type: 'string',
+          description: 'Mint address (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['mint']
+    },
+    handler: getMintInfo
+  },
+  {
+    name: 'solana_get_program_info',
+    description: 'Check if a program is deployed on Solana (pure RPC, no CLI); for BPF programs reports the loader (v1, v2, upgradeable, v4), upgrade authority, last deployed slot, ELF size and SHA-256 of the deployed bytecode',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        programId: {
+          type: 'string',
+          description: 'Program ID (base58 public key)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['programId']
+    },
+    handler: getProgramInfo
+  },
+  {
+    name: 'solana_get_transaction',
+    description: 'Fetch and parse a Solana transaction: instruction/CPI call tree with per-invocation compute units, SOL and SPL token balance changes, logs, and Anchor instructions and events decoded with an IDL',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        signature: {
+          type: 'string',
+          description: 'Transaction signature (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        },
+        idl: {
+          type: ['object', 'string'],
+          description: 'Anchor IDL (object, JSON string or file path), or "chain" to fetch the on-chain IDL of each invoked program (optional)'
+        },
+        programId: {
+          type: 'string',
+          description: 'Program the IDL belongs to (default: address declared in the IDL)'
+        },
+        fullLogs: {
+          type: 'boolean',
+          description: 'Return all log messages instead of the first 20, plus logs per invocation (default: false)'
+        }
+      },
+      required: ['signature']
+    },
+    handler: parseTransaction
+  },
+  {
+    name: 'solana_get_signatures_for_address',
+    description: 'List transaction signatures for a wallet or program, newest first, with before/until/limit paging; optionally parse each transaction into an activity timeline (instructions, events, SOL and token changes)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: {
+          type: 'string',
+          description: 'Wallet, token account or program address (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        },
+        before: {
+          type: 'string',
+          description: 'Start after this signature; pass nextBefore from the previous page'
+        },
+        until: {
+          type: 'string',
+          description: 'Stop before reaching this signature'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 1000,
+          description: 'Maximum signatures to return (default: 20)'
+        },
+        parseTransactions: {
+          type: 'boolean',
+          description: 'Fetch and summarize each transaction into a timeline; one extra RPC call per signature (default: false)'
+        },
+        idl: {
+          type: ['object', 'string'],
+          description: 'Anchor IDL used to name instructions and events in the timeline (object, JSON string, file path, or "chain")'
+        },
+        programId: {
+          type: 'string',
+          description: 'Program the IDL belongs to (default: address declared in the IDL)'
+        }
+      },
+      required: ['address']
+    },
+    handler: getSignaturesForAddress
+  },
+  {
+    name: 'solana_simulate_transaction',
+    description: 'Preview a transaction without signing or sending it: builds a v0 transaction from instructions (raw data or Anchor IDL-encoded args) and returns simulation logs, compute units, return data and account post-states',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        instructions: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              programId: { type: 'string', description: 'Program to invoke (base58)' },
+              accounts: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    pubkey: { type: 'string' },
+                    isSigner: { type: 'boolean' },
+                    isWritable: { type: 'boolean' }
+                  },
+                  required: ['pubkey'],
+                  additionalProperties: false
+                },
+                description: 'Account metas in instruction order'
+              },
+              data: { type: 'string', description: 'Instruction data (default encoding: base64)' },
+              encoding: { type: 'string', enum: ['base64', 'hex', 'base58'] },
+              instruction: { type: 'string', description: 'IDL instruction to encode instead of data' },
+              args: { type: 'object', description: 'IDL instruction args by name (u64 and wider as strings)' },
+              idl: { type: ['object', 'string'], description: 'IDL for this instruction (default: top-level idl)' }
+            },
+            required: ['programId'],
+            additionalProperties: false
+          },
+          description: 'Instructions to execute, in order'
+        },
+        feePayer: {
+          type: 'string',
+          description: 'Fee payer public key (base58); signatures are not verified'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        },
+        idl: {
+          type: ['object', 'string'],
+          description: 'Anchor IDL for IDL-encoded instructions (object, JSON string, file path, or "chain"); also decodes post-states of the IDL program\'s accounts ("chain": of the instruction programs)'
+        },
+        accounts: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Accounts to return post-states for (default: all writable accounts)'
+        }
+      },
+      required: ['instructions', 'feePayer']
+    },
+    handler: simulateTransaction
+  },
+  {
+    name: 'solana_compute_discriminator',
+    description: 'Compute Anchor instruction discriminator using SHA-256',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        instructionName: {
+          type: 'string',
+          description: 'Instruction name (e.g., "initialize", "transfer")'
+        },
+        namespace: {
+          type: 'string',
+          description: 'Namespace (default: "global")'
+        }
+      },
+      required: ['instructionName']
+    },
+    handler: computeDiscriminator
+  },
+  {
+    name: 'solana_derive_pda',
+    description: 'Derive a Program Derived Address (PDA) from seeds and program ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        programId: {
+          type: 'string',
+          description: 'Program ID (base58 public key)'
+        },
+        seeds: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Array of seed strings (will be UTF-8 encoded)'
+        },
+        seedBytes: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'integer', minimum: 0, maximum: 255 }
+          },
+          description: 'Array of raw byte arrays (for non-UTF8 seeds)'
+        }
+      },
+      required: ['programId']
+    },
+    handler: derivePda
+  },
+  {
+    name: 'anchor_encode_instruction',
+    description: 'Encode an Anchor instruction from its IDL: Borsh-encoded instruction data plus ordered account metas, with PDAs derived from the IDL seeds; the result\'s instruction can be passed to solana_simulate_transaction',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        idl: {
+          type: ['object', 'string'],
+          description: 'Anchor IDL (object, JSON string, file path, or "chain")'
+        },
+        instruction: {
+          type: 'string',
+          description: 'Instruction name (snake_case or camelCase)'
+        },
+        args: {
+          type: 'object',
+          description: 'Instruction args by name (u64 and wider as strings, pubkeys as base58)'
+        },
+        accounts: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Account addresses by IDL account name; fixed addresses and PDAs are resolved when omitted'
+        },
+        programId: {
+          type: 'string',
+          description: 'Program ID (default: the IDL address)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Cluster for "chain" IDLs and seeds read from account data (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['idl', 'instruction']
+    },
+    handler: encodeInstruction
+  },
+  {
+    name: 'solana_verify_onchain_discriminators',
+    description: 'Fetch and decode the on-chain Anchor IDL of a deployed program: returns a summary as idl and the full IDL as idlDocument',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        programId: {
+          type: 'string',
+          description: 'Program ID (base58 public key)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['programId']
+    },
+    handler: verifyOnchainDiscriminators
+  },
+  {
+    name: 'solana_compare_discriminators',
+    description: 'Compare instruction/account discriminators of a local Anchor IDL with the deployed program IDL',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        idlPath: {
+          type: 'string',
+          description: 'Path to target/idl/<name>.json or an Anchor project directory'
+        },
+        programName: {
+          type: 'string',
+          description: 'Program to compare when the project contains several IDLs (optional)'
+        },
+        programId: {
+          type: 'string',
+          description: 'Program ID (default: address declared in the local IDL)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['idlPath']
+    },
+    handler: compareDiscriminators
+  },
+  {
+    name: 'solana_verify_program_binary',
+    description: 'Verify that a deployed program matches a local build: compares SHA-256 of the on-chain bytecode (ProgramData for upgradeable programs) with target/deploy/<name>.so (both hashed up to the ELF size, like solana_get_program_info), and reports the first differing offset',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        binaryPath: {
+          type: 'string',
+          description: 'Path to target/deploy/<name>.so or an Anchor project directory'
+        },
+        programName: {
+          type: 'string',
+          description: 'Program to verify when the project contains several binaries (optional)'
+        },
+        programId: {
+          type: 'string',
+          description: 'Program ID (default: public key of target/deploy/<name>-keypair.json)'
+        },
+        cluster: {
+          type: 'string',
+          enum: RPC_CLUSTERS,
+          description: 'Solana cluster (default: devnet)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL (optional)'
+        }
+      },
+      required: ['binaryPath']
+    },
+    handler: verifyProgramBinary
+  },
+  {
+    name: 'anchor_deploy',
+    description: 'Build and deploy an Anchor project using the anchor and solana CLIs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        programPath: {
+          type: 'string',
+          description: 'Path to the Anchor project containing Anchor.toml (default: ".")'
+        },
+        cluster: {
+          type: 'string',
+          enum: ['devnet', 'testnet', 'mainnet-beta'],
+          description: 'Solana cluster (default: devnet)'
+        },
+        keypair: {
+          type: 'string',
+          description: 'Wallet keypair file name passed as --provider.wallet (optional)'
+        },
+        skipBuild: {
+          type: 'boolean',
+          description: 'Skip "anchor build" and deploy existing artifacts (default: false)'
+        }
+      }
+    },
+    handler: deployDevnet
+  },
+  {
+    name: 'solana_get_deployment_status',
+    description: 'Show program deployment status using "solana program show"',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        programId: {
+          type: 'string',
+          description: 'Program ID (base58 public key)'
+        },
+        cluster: {
+          type: 'string',
+          enum: ['devnet', 'testnet', 'mainnet-beta'],
+          description: 'Solana cluster (default: devnet)'
+        }
+      },
+      required: ['programId']
+    },
+    handler: getDeploymentStatus
+  },
+  {
+    name: 'solana_fund_keypair',
+    description: 'Airdrop SOL to a keypair via RPC faucet, falling back to "solana airdrop"',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        publicKey: {
+          type: 'string',
+          description: 'Public key to receive SOL (base58)'
+        },
+        cluster: {
+          type: 'string',
+          enum: ['devnet', 'testnet', 'mainnet-beta'],
+          description: 'Solana cluster (default: devnet)'
+        },
+        amount: {
+          type: 'integer',
+          description: 'Whole SOL to airdrop (default: 2)'
+        },
+        rpcUrl: {
+          type: 'string',
+          description: 'Custom RPC URL for the faucet request (optional)'
+        }
+      },
+      required: ['publicKey']
+    },
+    handler: fundKeypair
+  }
+];
@@ -0,0 +1,79 @@
+/**
+ * Command-Line Flags
+ * Maps index.js flags to createServer options; configuration flags override
+ * solagent-forge.config.json and SOLAGENT_* env vars
+ */
+
+/**
+ * Parse plugin and configuration flags into createServer options
+ * @param {string[]} argv - Arguments after the script path
+ * @returns {Object} { plugins, pluginDir, configPath, config }
+ */
+export function parseCliArgs(argv) {
+  const options = { plugins: [], pluginDir: null, configPath: null, config: {} };
+  const { config } = options;
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (value === undefined) {
+      continue;
+    }
+    
+    switch (arg) {
+      case '--plugin':
+        options.plugins.push(value);
+        break;
+      case '--plugin-dir':
+        options.pluginDir = value;
+        break;
+      case '--config':
+        options.configPath = value;
+        break;
+      case '--cluster':
+        config.cluster = value;
+        break;
+      case '--commitment':
+        config.commitment = value;
+        break;
+      case '--rpc': {
+        const separator = value.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`--rpc expects <cluster>=<url[,url]>, got ${value}`);
+        }
+        config.rpc = { ...config.rpc, [value.slice(0, separator)]: list(value.slice(separator + 1)) };
+        break;
+      }
+      case '--tools':
+        config.tools = { ...config.tools, enabled: list(value) };
+        break;
+      case '--disable-tools':
+        config.tools = { ...config.tools, disabled: list(value) };
+        break;
+      case '--scaffold-root':
+        config.scaffoldRoot = value;
+        break;
+      case '--rps':
+        config.rateLimit = { ...config.rateLimit, requestsPerSecond: Number(value) };
+        break;
+      case '--max-retries':
+        config.rateLimit = { ...config.rateLimit, maxRetries: Number(value) };
+        break;
+      case '--record':
+        config.cassette = { mode: 'record', path: value };
+        break;
+      case '--replay':
+        config.cassette = { mode: 'replay', path: value };
+        break;
+      case '--local-sim-fixture':
+        config.localSim = { fixtures: [...(config.localSim?.fixtures || []), value] };
+        break;
+      default:
+        continue;
+    }
+    i++;
+  }
+  
+  return options;
+}
@@ -0,0 +1,278 @@
+/**
+ * Server Configuration
+ * Loaded once per server by createServer from, in increasing precedence:
+ * - built-in defaults
+ * - solagent-forge.config.json (in the working directory, or --config / SOLAGENT_CONFIG)
+ * - SOLAGENT_* environment variables
+ * - CLI flags to index.js (passed to createServer as options.config)
+ *
+ * Example solagent-forge.config.json:
+ * {
+ *   "cluster": "localnet",
+ *   "rpc": { "mainnet-beta": ["https://my-rpc.example.com", "https://api.mainnet-beta.solana.com"] },
+ *   "commitment": "finalized",
+ *   "tools": { "disabled": ["anchor_deploy"] },
+ *   "scaffoldRoot": "./programs",
+ *   "rateLimit": { "requestsPerSecond": 10, "maxRetries": 5 },
+ *   "localSim": { "fixtures": ["./fixtures/ledger.json"] },
+ *   "cassette": { "mode": "replay", "path": "./cassettes/demo.json" }
+ * }
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { validateSchema } from './schema.js';
+import { resolveCluster, DEFAULT_ENDPOINTS } from './lib/connection.js';
+import { CASSETTE_MODES } from './lib/cassette.js';
+
+export const CONFIG_FILE = 'solagent-forge.config.json';
+
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    cluster: { type: 'string' },
+    rpc: {
+      type: 'object',
+      additionalProperties: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+        ]
+      }
+    },
+    commitment: { type: 'string', enum: COMMITMENTS },
+    tools: {
+      type: 'object',
+      properties: {
+        enabled: { type: ['array', 'null'], items: { type: 'string' } },
+        disabled: { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    },
+    scaffoldRoot: { type: ['string', 'null'] },
+    rateLimit: {
+      type: 'object',
+      properties: {
+        requestsPerSecond: { type: ['number', 'null'], exclusiveMinimum: 0 },
+        maxRetries: { type: 'integer', minimum: 0 },
+        baseDelayMs: { type: 'integer', minimum: 0 },
+        maxDelayMs: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    localSim: {
+      type: 'object',
+      properties: {
+        fixtures: { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    },
+    cassette: {
+      anyOf: [
+        { type: 'null' },
+        {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', enum: CASSETTE_MODES },
+            path: { type: 'string', minLength: 1 }
+          },
+          required: ['mode', 'path'],
+          additionalProperties: false
+        }
+      ]
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Default configuration
+ * @returns {Object}
+ */
+export function defaultConfig() {
+  return {
+    cluster: 'devnet',
+    rpc: {},
+    commitment: 'confirmed',
+    tools: { enabled: null, disabled: [] },
+    scaffoldRoot: null,
+    rateLimit: {
+      requestsPerSecond: null,
+      maxRetries: 3,
+      baseDelayMs: 250,
+      maxDelayMs: 5000
+    },
+    localSim: { fixtures: [] },
+    cassette: null
+  };
+}
+
+/**
+ * Load the server configuration
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Config file (default: SOLAGENT_CONFIG, then ./solagent-forge.config.json if present)
+ * @param {Object} [options.overrides] - Highest-precedence settings (CLI flags)
+ * @param {string} [options.cwd] - Directory to look for the config file in
+ * @param {Object} [options.env] - Environment variables
+ * @returns {Promise<Object>} Validated configuration
+ */
+export async function loadConfig(options = {}) {
+  const { overrides = {}, cwd = process.cwd(), env = process.env } = options;
+  const configPath = options.configPath || env.SOLAGENT_CONFIG || null;
+
+  const fromFile = await readConfigFile(configPath ? path.resolve(cwd, configPath) : path.join(cwd, CONFIG_FILE), {
+    required: Boolean(configPath)
+  });
+
+  const fileClusters = fromFile.rpc && typeof fromFile.rpc === 'object' ? Object.keys(fromFile.rpc) : [];
+  const config = mergeConfig(
+    mergeConfig(mergeConfig(defaultConfig(), fromFile), configFromEnv(env, fileClusters)),
+    overrides
+  );
+
+  const errors = validateSchema(CONFIG_SCHEMA, config, 'config');
+  // Clusters named in the rpc map count as known clusters
+  const customClusters = config.rpc && typeof config.rpc === 'object' ? Object.keys(config.rpc) : [];
+  if (!resolveCluster(config.cluster) && !customClusters.includes(config.cluster)) {
+    errors.push({ path: 'config.cluster', message: `unknown cluster ${config.cluster}` });
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+  }
+
+  if (config.scaffoldRoot) {
+    config.scaffoldRoot = path.resolve(cwd, config.scaffoldRoot);
+  }
+  config.localSim.fixtures = config.localSim.fixtures.map(file => path.resolve(cwd, file));
+  if (config.cassette) {
+    config.cassette = { ...config.cassette, path: path.resolve(cwd, config.cassette.path) };
+  }
+  return config;
+}
+
+/**
+ * Whether a tool is exposed under the configuration's enabled/disabled lists
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+export function isToolEnabled(config, name) {
+  const { enabled, disabled } = config.tools;
+  return (!enabled || enabled.includes(name)) && !disabled.includes(name);
+}
+
+/**
+ * Read a JSON config file; relative paths in it resolve against the file's directory
+ */
+async function readConfigFile(file, { required }) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (!required && e.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read config file ${file}: ${e.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in config file ${file}: ${e.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  const dir = path.dirname(file);
+  if (typeof config.scaffoldRoot === 'string') {
+    config.scaffoldRoot = path.resolve(dir, config.scaffoldRoot);
+  }
+  if (typeof config.cassette?.path === 'string') {
+    config.cassette = { ...config.cassette, path: path.resolve(dir, config.cassette.path) };
+  }
+  if (Array.isArray(config.localSim?.fixtures)) {
+    config.localSim = {
+      ...config.localSim,
+      fixtures: config.localSim.fixtures.map(fixture => typeof fixture === 'string' ? path.resolve(dir, fixture) : fixture)
+    };
+  }
+  return config;
+}
+
+/**
+ * SOLAGENT_* variables; SOLAGENT_RPC_<CLUSTER> names a cluster in upper case with
+ * "-" as "_" (SOLAGENT_RPC_MAINNET_BETA), matched against the known clusters
+ * @param {Object} env - Environment variables
+ * @param {string[]} [clusters] - Custom cluster names from the config file
+ */
+function configFromEnv(env, clusters = []) {
+  const config = {};
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  const envName = cluster => cluster.toUpperCase().replace(/-/g, '_');
+  const known = [...Object.keys(DEFAULT_ENDPOINTS), ...clusters];
+
+  for (const [key, value] of Object.entries(env)) {
+    if (!key.startsWith('SOLAGENT_RPC_') || !value) {
+      continue;
+    }
+    const suffix = key.slice('SOLAGENT_RPC_'.length);
+    const cluster = known.find(name => envName(name) === suffix) || suffix.toLowerCase().replace(/_/g, '-');
+    config.rpc = { ...config.rpc, [cluster]: list(value) };
+  }
+
+  if (env.SOLAGENT_CLUSTER) {
+    config.cluster = env.SOLAGENT_CLUSTER;
+  }
+  if (env.SOLAGENT_COMMITMENT) {
+    config.commitment = env.SOLAGENT_COMMITMENT;
+  }
+  if (env.SOLAGENT_ENABLED_TOOLS) {
+    config.tools = { ...config.tools, enabled: list(env.SOLAGENT_ENABLED_TOOLS) };
+  }
+  if (env.SOLAGENT_DISABLED_TOOLS) {
+    config.tools = { ...config.tools, disabled: list(env.SOLAGENT_DISABLED_TOOLS) };
+  }
+  if (env.SOLAGENT_SCAFFOLD_ROOT) {
+    config.scaffoldRoot = env.SOLAGENT_SCAFFOLD_ROOT;
+  }
+  if (env.SOLAGENT_RPS) {
+    config.rateLimit = { ...config.rateLimit, requestsPerSecond: Number(env.SOLAGENT_RPS) };
+  }
+  if (env.SOLAGENT_MAX_RETRIES) {
+    config.rateLimit = { ...config.rateLimit, maxRetries: Number(env.SOLAGENT_MAX_RETRIES) };
+  }
+  if (env.SOLAGENT_RECORD) {
+    config.cassette = { mode: 'record', path: env.SOLAGENT_RECORD };
+  }
+  if (env.SOLAGENT_REPLAY) {
+    config.cassette = { mode: 'replay', path: env.SOLAGENT_REPLAY };
+  }
+  if (env.SOLAGENT_LOCAL_SIM_FIXTURES) {
+    config.localSim = { fixtures: list(env.SOLAGENT_LOCAL_SIM_FIXTURES) };
+  }
+  return config;
+}
+
+/**
+ * Merge one level deep: nested objects (rpc, tools, rateLimit) merge key by key
+ */
+function mergeConfig(base, override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return base;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) {
+      continue;
+    }
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    const baseIsObject = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+    merged[key] = isObject && baseIsObject ? { ...base[key], ...value } : value;
+  }
+  return merged;
+}
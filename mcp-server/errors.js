@@ -0,0 +1,28 @@
+/**
+ * JSON-RPC Errors
+ * Errors thrown while handling a message that map to a specific JSON-RPC error code
+ *
+ * Protocol failures (bad JSON, unknown method, invalid params) become JSON-RPC
+ * errors. Failures inside a tool handler are not protocol errors: they are
+ * returned as MCP tool results with isError: true.
+ */
+
+export const PARSE_ERROR = -32700;
+export const INVALID_REQUEST = -32600;
+export const METHOD_NOT_FOUND = -32601;
+export const INVALID_PARAMS = -32602;
+export const INTERNAL_ERROR = -32603;
+
+export class JsonRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Short error description
+   * @param {*} [data] - Structured error details
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
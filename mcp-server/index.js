@@ -3,23 +3,58 @@
 /**
  * SolAgent Forge MCP Server
  * 
- * Provides 8 agent-accessible tools for Solana development:
+ * Provides 23 agent-accessible tools for Solana development:
  * - anchor_scaffold: Generate Anchor program structure
+ * - anchor_add_instruction: Add an instruction to an existing program
+ * - anchor_add_account: Add an account struct to an existing program
  * - solana_fund_wallet: Airdrop SOL on devnet
  * - solana_get_balance: Query SOL balance
  * - solana_get_account_info: Fetch account data
+ * - solana_get_multiple_accounts: Fetch many accounts in batches
+ * - solana_get_program_accounts: List and filter accounts owned by a program
+ * - solana_get_token_accounts: List a wallet's SPL Token / Token-2022 accounts
+ * - solana_get_mint_info: Inspect a token mint
  * - solana_get_program_info: Check program deployment status
  * - solana_get_transaction: Parse transaction details
+ * - solana_get_signatures_for_address: Transaction history and activity timeline
+ * - solana_simulate_transaction: Build and simulate a transaction
  * - solana_compute_discriminator: Compute Anchor discriminators
  * - solana_derive_pda: Derive program-derived addresses
+ * - anchor_encode_instruction: Encode Anchor instruction data and account metas
+ * - solana_verify_onchain_discriminators: Decode on-chain Anchor IDL
+ * - solana_compare_discriminators: Check local IDL against the deployed IDL
+ * - solana_verify_program_binary: Check deployed bytecode against a local .so
+ * - anchor_deploy: Build and deploy via the Anchor CLI
+ * - solana_get_deployment_status: Inspect a deployment via the Solana CLI
+ * - solana_fund_keypair: Airdrop SOL with Solana CLI fallback
+ *
+ * In-house tools can be added as plugins:
+ *   solagent-forge --plugin ./my-tools.js --plugin @acme/solana-tools --plugin-dir ./plugins
+ *
+ * Configuration (see config.js) comes from solagent-forge.config.json, SOLAGENT_* env vars
+ * and these flags, which take precedence:
+ *   --config <file>            Config file
+ *   --cluster <name>           Default cluster for tool calls
+ *   --rpc <cluster>=<url,...>  RPC endpoints for a cluster (repeatable)
+ *   --commitment <level>       processed | confirmed | finalized
+ *   --tools <a,b>              Only expose these tools
+ *   --disable-tools <a,b>      Hide these tools
+ *   --scaffold-root <dir>      Default output directory for anchor_scaffold
+ *   --rps <n>                  Max RPC requests per second per endpoint list
+ *   --max-retries <n>          Retries for 429/5xx RPC responses
+ *   --local-sim-fixture <file> Seed the cluster "local-sim" ledger (repeatable)
+ *   --record <file>            Record RPC traffic to a cassette
+ *   --replay <file>            Serve RPC responses from a recorded cassette
  */
 
 import { createServer } from './server.js';
+import { parseCliArgs } from './cli.js';
+import { PARSE_ERROR } from './errors.js';
 
 const PORT = process.env.PORT || 3000;
 
 async function main() {
-  const server = await createServer();
+  const server = await createServer(parseCliArgs(process.argv.slice(2)));
   
   // MCP protocol uses stdio for communication with agents
   if (process.stdin.isTTY) {
@@ -39,20 +74,26 @@ async function main() {
     
     for (const line of lines) {
       if (line.trim()) {
+        let message;
         try {
-          const message = JSON.parse(line);
-          const response = await server.handleMessage(message);
-          console.log(JSON.stringify(response));
+          message = JSON.parse(line);
         } catch (error) {
-          console.error(JSON.stringify({
+          console.log(JSON.stringify({
             jsonrpc: '2.0',
             error: {
-              code: -32700,
+              code: PARSE_ERROR,
               message: 'Parse error',
               data: error.message
             },
             id: null
           }));
+          continue;
+        }
+        
+        const response = await server.handleMessage(message);
+        // Notifications produce no response
+        if (response) {
+          console.log(JSON.stringify(response));
         }
       }
     }
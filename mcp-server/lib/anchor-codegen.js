@@ -0,0 +1,826 @@
+/**
+ * Anchor Code Generation
+ * Renders Anchor instruction handlers, #[derive(Accounts)] structs,
+ * #[account] state structs and TypeScript test cases from JSON specs
+ *
+ * Instruction spec:
+ *   { name, args: [{ name, type }], accounts: [{ name, signer, mut, account, program,
+ *     init, payer, space, seeds, hasOne, close, realloc }] }
+ * Account (state) spec:
+ *   { name, fields: [{ name, type, maxLen }] }
+ * Program spec (anchor_scaffold):
+ *   { instructions: [...], accounts: [...], errors: [{ name, msg }] }
+ * Types use IDL notation ("u64", "pubkey", "string", { vec: "u8" }, { option: "pubkey" },
+ * { array: ["u8", 32] }); instruction args added to an existing program may also use
+ * { defined: "Name" } for a type in its lib.rs. Seeds are byte-string constants
+ * ("vault" or { kind: "const", value }), { kind: "account", path } or { kind: "arg", path }.
+ * hasOne lists account names ("authority" or { account, error }), close names the
+ * account receiving the lamports and realloc is true or { space, payer, zero }.
+ */
+
+const INT_TYPES = ['u8', 'i8', 'u16', 'i16', 'u32', 'i32', 'u64', 'i64', 'u128', 'i128'];
+const INT_SIZES = { u8: 1, i8: 1, u16: 2, i16: 2, u32: 4, i32: 4, u64: 8, i64: 8, u128: 16, i128: 16 };
+
+// Programs available without extra crates
+const PRELUDE_PROGRAMS = ['System'];
+
+const IDENTIFIER = /^[a-z][a-z0-9_]*$/;
+const TYPE_NAME = /^[A-Z][A-Za-z0-9]*$/;
+
+export const ACCOUNT_DISCRIMINATOR_SIZE = 8;
+
+// #[error_code] enum generated for program specs; Anchor numbers its variants from 6000
+export const ERROR_ENUM = 'ErrorCode';
+export const ERROR_CODE_OFFSET = 6000;
+
+/**
+ * snake_case form of an instruction/field name (accepts camelCase)
+ */
+export function toSnakeIdentifier(name) {
+  return String(name).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+}
+
+/**
+ * PascalCase form of a snake_case name
+ */
+export function toPascalIdentifier(name) {
+  return toSnakeIdentifier(name)
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+/**
+ * camelCase form of a snake_case name (as used by the Anchor TS client)
+ */
+export function toCamelIdentifier(name) {
+  const pascal = toPascalIdentifier(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Rust type for an IDL type
+ */
+export function rustType(type) {
+  if (typeof type === 'string') {
+    if (INT_TYPES.includes(type) || ['bool', 'f32', 'f64'].includes(type)) {
+      return type;
+    }
+    switch (type) {
+      case 'string':
+        return 'String';
+      case 'pubkey':
+      case 'publicKey':
+        return 'Pubkey';
+      case 'bytes':
+        return 'Vec<u8>';
+      default:
+        if (TYPE_NAME.test(type)) {
+          return type;
+        }
+        throw new Error(`Unsupported type: ${type}`);
+    }
+  }
+  if (type && typeof type === 'object') {
+    if (type.vec !== undefined) {
+      return `Vec<${rustType(type.vec)}>`;
+    }
+    if (type.option !== undefined) {
+      return `Option<${rustType(type.option)}>`;
+    }
+    if (type.array !== undefined) {
+      return `[${rustType(type.array[0])}; ${type.array[1]}]`;
+    }
+    if (type.defined !== undefined) {
+      return typeof type.defined === 'string' ? type.defined : type.defined.name;
+    }
+  }
+  throw new Error(`Unsupported type: ${JSON.stringify(type)}`);
+}
+
+/**
+ * Serialized size of a value of an IDL type, as computed by #[derive(InitSpace)]
+ * @param {string|Object} type - IDL type
+ * @param {number|number[]} [maxLen] - #[max_len] for strings and vectors (outermost first)
+ * @param {Object} [types] - Space of defined types by name
+ * @returns {number} Size in bytes
+ */
+export function typeSpace(type, maxLen, types = {}) {
+  const [length, ...innerLengths] = Array.isArray(maxLen) ? maxLen : [maxLen];
+  const inner = innerLengths.length > 0 ? innerLengths : undefined;
+
+  if (typeof type === 'string') {
+    if (type in INT_SIZES) {
+      return INT_SIZES[type];
+    }
+    switch (type) {
+      case 'bool':
+        return 1;
+      case 'f32':
+        return 4;
+      case 'f64':
+        return 8;
+      case 'pubkey':
+      case 'publicKey':
+        return 32;
+      case 'string':
+      case 'bytes':
+        return 4 + requireMaxLen(length, type);
+      default:
+        if (type in types) {
+          return types[type];
+        }
+        throw new Error(`Cannot compute the space of ${type}`);
+    }
+  }
+  if (type.vec !== undefined) {
+    return 4 + requireMaxLen(length, rustType(type)) * typeSpace(type.vec, inner, types);
+  }
+  if (type.option !== undefined) {
+    return 1 + typeSpace(type.option, maxLen, types);
+  }
+  if (type.array !== undefined) {
+    return type.array[1] * typeSpace(type.array[0], maxLen, types);
+  }
+  if (type.defined !== undefined) {
+    return typeSpace(rustType(type), maxLen, types);
+  }
+  throw new Error(`Cannot compute the space of ${JSON.stringify(type)}`);
+}
+
+function requireMaxLen(maxLen, typeName) {
+  if (!Number.isInteger(maxLen) || maxLen < 0) {
+    throw new Error(`${typeName} fields need maxLen`);
+  }
+  return maxLen;
+}
+
+/**
+ * Account data size including the 8-byte discriminator
+ * @param {Object} account - Account (state) spec
+ * @param {Object} [types] - Space of defined types by name
+ */
+export function accountSpace(account, types = {}) {
+  return (account.fields || []).reduce(
+    (total, field) => total + typeSpace(field.type, field.maxLen, types),
+    ACCOUNT_DISCRIMINATOR_SIZE
+  );
+}
+
+/**
+ * Check an instruction spec and fill in defaults (snake_case names, payer,
+ * the system program for `init`)
+ * @returns {Object} Normalized spec
+ */
+export function normalizeInstruction(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('instruction spec must be an object');
+  }
+  const name = toSnakeIdentifier(spec.name || '');
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid instruction name: ${JSON.stringify(spec.name)}`);
+  }
+
+  const args = (spec.args || []).map(arg => {
+    const argName = toSnakeIdentifier(arg.name || '');
+    if (!IDENTIFIER.test(argName)) {
+      throw new Error(`Instruction ${name}: invalid arg name ${JSON.stringify(arg.name)}`);
+    }
+    rustType(arg.type);
+    return { ...arg, name: argName };
+  });
+
+  const accounts = (spec.accounts || []).map(account => {
+    const accountName = toSnakeIdentifier(account.name || '');
+    if (!IDENTIFIER.test(accountName)) {
+      throw new Error(`Instruction ${name}: invalid account name ${JSON.stringify(account.name)}`);
+    }
+    return { ...account, name: accountName };
+  });
+
+  const names = new Set();
+  for (const account of accounts) {
+    if (names.has(account.name)) {
+      throw new Error(`Instruction ${name}: duplicate account ${account.name}`);
+    }
+    names.add(account.name);
+  }
+
+  const payer = accounts.find(account => account.signer && account.mut && !account.init);
+  for (const account of accounts) {
+    if (account.init) {
+      if (!account.account) {
+        throw new Error(`Instruction ${name}: init account ${account.name} needs an account type`);
+      }
+      account.payer = account.payer ? toSnakeIdentifier(account.payer) : payer?.name;
+      if (!account.payer || !names.has(account.payer)) {
+        throw new Error(`Instruction ${name}: init account ${account.name} needs a payer (a mut signer account)`);
+      }
+    }
+
+    if (account.hasOne !== undefined) {
+      account.hasOne = (Array.isArray(account.hasOne) ? account.hasOne : [account.hasOne]).map(relation => {
+        const target = toSnakeIdentifier(typeof relation === 'string' ? relation : relation?.account || '');
+        if (!names.has(target)) {
+          throw new Error(`Instruction ${name}: has_one of ${account.name} references unknown account ${target || JSON.stringify(relation)}`);
+        }
+        return { account: target, error: typeof relation === 'string' ? null : relation.error || null };
+      });
+    }
+
+    if (account.close !== undefined) {
+      account.close = toSnakeIdentifier(account.close);
+      if (!names.has(account.close) || account.close === account.name) {
+        throw new Error(`Instruction ${name}: close of ${account.name} needs another account to receive the lamports`);
+      }
+    }
+
+    if (account.realloc) {
+      const realloc = account.realloc === true ? {} : account.realloc;
+      const reallocPayer = realloc.payer ? toSnakeIdentifier(realloc.payer) : payer?.name;
+      if (!reallocPayer || !names.has(reallocPayer)) {
+        throw new Error(`Instruction ${name}: realloc of ${account.name} needs a payer (a mut signer account)`);
+      }
+      account.realloc = { space: realloc.space, payer: reallocPayer, zero: Boolean(realloc.zero) };
+    }
+
+    if ((account.hasOne || account.close || account.realloc) && !account.account) {
+      throw new Error(`Instruction ${name}: constraints of ${account.name} need an account type`);
+    }
+    if (account.init && (account.close || account.realloc)) {
+      throw new Error(`Instruction ${name}: init account ${account.name} cannot also be closed or reallocated`);
+    }
+  }
+
+  if (accounts.some(account => account.init || account.realloc) && !accounts.some(account => account.program === 'System')) {
+    accounts.push({ name: 'system_program', program: 'System' });
+  }
+
+  for (const account of accounts) {
+    for (const seed of account.seeds || []) {
+      const { kind, path } = normalizeSeed(seed);
+      if (kind === 'account' && !names.has(toSnakeIdentifier(path))) {
+        throw new Error(`Instruction ${name}: seed of ${account.name} references unknown account ${path}`);
+      }
+      if (kind === 'arg' && !args.some(arg => arg.name === toSnakeIdentifier(path))) {
+        throw new Error(`Instruction ${name}: seed of ${account.name} references unknown arg ${path}`);
+      }
+    }
+  }
+
+  return { ...spec, name, args, accounts };
+}
+
+function normalizeSeed(seed) {
+  if (typeof seed === 'string') {
+    return { kind: 'const', value: seed };
+  }
+  if (!seed || !['const', 'account', 'arg'].includes(seed.kind)) {
+    throw new Error(`Invalid seed: ${JSON.stringify(seed)}`);
+  }
+  return seed;
+}
+
+/**
+ * Rust expression for a seed
+ */
+function seedExpression(seed, args) {
+  const { kind, value, path } = normalizeSeed(seed);
+  if (kind === 'const') {
+    return `b"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  }
+  const name = toSnakeIdentifier(path);
+  if (kind === 'account') {
+    return `${name}.key().as_ref()`;
+  }
+  const { type } = args.find(arg => arg.name === name);
+  if (type === 'pubkey' || type === 'publicKey') {
+    return `${name}.as_ref()`;
+  }
+  if (type === 'string') {
+    return `${name}.as_bytes()`;
+  }
+  if (type in INT_SIZES) {
+    return `${name}.to_le_bytes().as_ref()`;
+  }
+  return `${name}.as_ref()`;
+}
+
+/**
+ * Rust type of an instruction account
+ */
+function accountType(account) {
+  // A keypair account being initialized is typed by its state and signs via .signers([...])
+  if (account.account) {
+    return `Account<'info, ${account.account}>`;
+  }
+  if (account.signer) {
+    return "Signer<'info>";
+  }
+  if (account.program) {
+    return `Program<'info, ${account.program}>`;
+  }
+  return "UncheckedAccount<'info>";
+}
+
+/**
+ * Constraints inside #[account(...)] for an instruction account
+ */
+function accountConstraints(account, args) {
+  const constraints = [];
+  const initSpace = `8 + ${account.account}::INIT_SPACE`;
+  if (account.init) {
+    constraints.push('init', `payer = ${account.payer}`, `space = ${account.space ?? initSpace}`);
+  } else if (account.mut || account.close || account.realloc) {
+    constraints.push('mut');
+  }
+  if (account.signer && account.account && !account.init) {
+    constraints.push('signer');
+  }
+  if (account.seeds) {
+    constraints.push(`seeds = [${account.seeds.map(seed => seedExpression(seed, args)).join(', ')}]`, 'bump');
+  }
+  for (const relation of account.hasOne || []) {
+    constraints.push(`has_one = ${relation.account}${relation.error ? ` @ ${ERROR_ENUM}::${relation.error}` : ''}`);
+  }
+  if (account.realloc) {
+    constraints.push(
+      `realloc = ${account.realloc.space ?? initSpace}`,
+      `realloc::payer = ${account.realloc.payer}`,
+      `realloc::zero = ${account.realloc.zero}`
+    );
+  }
+  if (account.close) {
+    constraints.push(`close = ${account.close}`);
+  }
+  return constraints;
+}
+
+/**
+ * Instruction handler, indented for the #[program] module
+ * @param {Object} spec - Normalized instruction spec
+ * @param {Object} [states] - Account (state) specs by name; fields of init accounts
+ *   named after an arg, an account or `bump` are then assigned
+ */
+export function renderInstructionHandler(spec, states = {}) {
+  const params = [`ctx: Context<${toPascalIdentifier(spec.name)}>`]
+    .concat(spec.args.map(arg => `${arg.name}: ${rustType(arg.type)}`))
+    .join(', ');
+
+  const body = [];
+  for (const account of spec.accounts.filter(a => a.init && states[a.account])) {
+    for (const field of states[account.account].fields) {
+      const target = `ctx.accounts.${account.name}.${field.name}`;
+      if (spec.args.some(arg => arg.name === field.name)) {
+        body.push(`${target} = ${field.name};`);
+      } else if (field.name === 'bump' && field.type === 'u8' && account.seeds) {
+        body.push(`${target} = ctx.bumps.${account.name};`);
+      } else if (rustType(field.type) === 'Pubkey' && spec.accounts.some(a => a.name === field.name)) {
+        body.push(`${target} = ctx.accounts.${field.name}.key();`);
+      }
+    }
+  }
+  if (body.length === 0) {
+    body.push(`// TODO: implement ${spec.name}`);
+  }
+
+  return `    pub fn ${spec.name}(${params}) -> Result<()> {
+${body.map(line => `        ${line}`).join('\n')}
+        Ok(())
+    }
+`;
+}
+
+/**
+ * #[derive(Accounts)] struct of an instruction
+ */
+export function renderAccountsStruct(spec) {
+  const structName = toPascalIdentifier(spec.name);
+  if (spec.accounts.length === 0) {
+    return `#[derive(Accounts)]
+pub struct ${structName} {}
+`;
+  }
+
+  // Seeds can only read args declared (in order) by #[instruction(...)]
+  const seedArgs = spec.accounts
+    .flatMap(account => (account.seeds || []).map(normalizeSeed))
+    .filter(seed => seed.kind === 'arg')
+    .map(seed => spec.args.findIndex(arg => arg.name === toSnakeIdentifier(seed.path)));
+  const instructionAttribute = seedArgs.length > 0
+    ? `#[instruction(${spec.args.slice(0, Math.max(...seedArgs) + 1).map(arg => `${arg.name}: ${rustType(arg.type)}`).join(', ')})]\n`
+    : '';
+
+  const fields = spec.accounts.map(account => {
+    const lines = [];
+    if (!account.signer && !account.account && !account.program) {
+      lines.push(`    /// CHECK: ${account.docs || 'Not read or written by this program'}`);
+    }
+    const constraints = accountConstraints(account, spec.args);
+    if (constraints.length > 2 || account.init || account.seeds) {
+      lines.push(`    #[account(\n${constraints.map(c => `        ${c}`).join(',\n')}\n    )]`);
+    } else if (constraints.length > 0) {
+      lines.push(`    #[account(${constraints.join(', ')})]`);
+    }
+    lines.push(`    pub ${account.name}: ${accountType(account)},`);
+    return lines.join('\n');
+  });
+
+  return `#[derive(Accounts)]
+${instructionAttribute}pub struct ${structName}<'info> {
+${fields.join('\n')}
+}
+`;
+}
+
+/**
+ * Check an account (state) spec and normalize field names
+ */
+export function normalizeAccount(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('account spec must be an object');
+  }
+  const name = toPascalIdentifier(spec.name || '');
+  if (!TYPE_NAME.test(name)) {
+    throw new Error(`Invalid account name: ${JSON.stringify(spec.name)}`);
+  }
+  const fields = (spec.fields || []).map(field => {
+    const fieldName = toSnakeIdentifier(field.name || '');
+    if (!IDENTIFIER.test(fieldName)) {
+      throw new Error(`Account ${name}: invalid field name ${JSON.stringify(field.name)}`);
+    }
+    rustType(field.type);
+    return { ...field, name: fieldName };
+  });
+  return { ...spec, name, fields };
+}
+
+/**
+ * #[account] state struct, deriving InitSpace (strings and vectors need maxLen)
+ */
+export function renderAccountStruct(spec) {
+  const fields = spec.fields.map(field => {
+    const lines = [];
+    if (needsMaxLen(field.type)) {
+      const lengths = Array.isArray(field.maxLen) ? field.maxLen : [field.maxLen];
+      if (lengths.some(length => !Number.isInteger(length))) {
+        throw new Error(`Account ${spec.name}: field ${field.name} needs maxLen`);
+      }
+      lines.push(`    #[max_len(${lengths.join(', ')})]`);
+    }
+    lines.push(`    pub ${field.name}: ${rustType(field.type)},`);
+    return lines.join('\n');
+  });
+
+  return `#[account]
+#[derive(InitSpace)]
+pub struct ${spec.name} {
+${fields.join('\n')}
+}
+`;
+}
+
+function needsMaxLen(type) {
+  if (type === 'string' || type === 'bytes') {
+    return true;
+  }
+  if (type && typeof type === 'object') {
+    if (type.vec !== undefined) {
+      return true;
+    }
+    if (type.option !== undefined) {
+      return needsMaxLen(type.option);
+    }
+    if (type.array !== undefined) {
+      return needsMaxLen(type.array[0]);
+    }
+  }
+  return false;
+}
+
+/**
+ * TypeScript placeholder value for an instruction arg
+ */
+function argPlaceholder(type) {
+  if (['u64', 'i64', 'u128', 'i128'].includes(type)) {
+    return 'new anchor.BN(0)';
+  }
+  if (type in INT_SIZES || type === 'f32' || type === 'f64') {
+    return '0';
+  }
+  switch (type) {
+    case 'bool':
+      return 'false';
+    case 'string':
+      return '""';
+    case 'pubkey':
+    case 'publicKey':
+      return 'provider.wallet.publicKey';
+    case 'bytes':
+      return 'Buffer.alloc(0)';
+  }
+  if (type?.vec !== undefined) {
+    return '[]';
+  }
+  if (type?.option !== undefined) {
+    return 'null';
+  }
+  if (type?.array !== undefined) {
+    return `new Array(${type.array[1]}).fill(${argPlaceholder(type.array[0])})`;
+  }
+  return '{} as any';
+}
+
+/**
+ * Mocha test case for an instruction, indented for the describe block.
+ * The first signer is the provider wallet; other signers and non-PDA init
+ * accounts get fresh keypairs. PDAs and programs are resolved by the client.
+ */
+export function renderTestCase(spec) {
+  const keypairs = [];
+  const accounts = [];
+  let walletUsed = false;
+
+  for (const account of spec.accounts) {
+    const camel = toCamelIdentifier(account.name);
+    if (account.program || account.seeds) {
+      continue;
+    }
+    if (account.signer && !account.init && !walletUsed) {
+      walletUsed = true;
+      accounts.push(`        ${camel}: provider.wallet.publicKey,`);
+    } else if (account.signer || account.init) {
+      keypairs.push(camel);
+      accounts.push(`        ${camel}: ${camel}.publicKey,`);
+    } else {
+      accounts.push(`        ${camel}: anchor.web3.PublicKey.default, // TODO: set ${account.name}`);
+    }
+  }
+
+  const lines = [`  it("${spec.name}", async () => {`];
+  for (const keypair of keypairs) {
+    lines.push(`    const ${keypair} = anchor.web3.Keypair.generate();`);
+  }
+  lines.push('    const tx = await program.methods');
+  lines.push(`      .${toCamelIdentifier(spec.name)}(${spec.args.map(arg => argPlaceholder(arg.type)).join(', ')})`);
+  if (accounts.length > 0) {
+    lines.push('      .accounts({', ...accounts, '      })');
+  }
+  if (keypairs.length > 0) {
+    lines.push(`      .signers([${keypairs.join(', ')}])`);
+  }
+  lines.push('      .rpc();');
+  lines.push('    console.log("Transaction signature:", tx);');
+  lines.push('  });');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Whether a program name needs an import beyond the Anchor prelude
+ */
+export function isPreludeProgram(program) {
+  return PRELUDE_PROGRAMS.includes(program);
+}
+
+/**
+ * Check a whole program spec: account (state) types, custom errors and
+ * instructions, including references between them
+ * @returns {Object} { instructions, accounts, errors, states } with the space of each account
+ */
+export function normalizeProgramSpec(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('spec must be an object');
+  }
+
+  const states = {};
+  const accounts = (spec.accounts || []).map(account => {
+    const state = normalizeAccount(account);
+    if (states[state.name]) {
+      throw new Error(`Duplicate account ${state.name}`);
+    }
+    state.space = ACCOUNT_DISCRIMINATOR_SIZE;
+    for (const field of state.fields) {
+      try {
+        rejectDefinedType(field.type);
+        state.space += typeSpace(field.type, field.maxLen);
+      } catch (e) {
+        throw new Error(`Account ${state.name}: field ${field.name}: ${e.message}`);
+      }
+    }
+    states[state.name] = state;
+    return state;
+  });
+
+  const errors = (spec.errors || []).map((error, index) => {
+    const name = toPascalIdentifier(error?.name || '');
+    if (!TYPE_NAME.test(name)) {
+      throw new Error(`Invalid error name: ${JSON.stringify(error?.name)}`);
+    }
+    return { name, msg: error.msg || null, code: ERROR_CODE_OFFSET + index };
+  });
+  const errorNames = new Set();
+  for (const error of errors) {
+    if (errorNames.has(error.name)) {
+      throw new Error(`Duplicate error ${error.name}`);
+    }
+    errorNames.add(error.name);
+  }
+
+  if (!Array.isArray(spec.instructions) || spec.instructions.length === 0) {
+    throw new Error('spec.instructions must be a non-empty array');
+  }
+  const instructions = spec.instructions.map(normalizeInstruction);
+  const structNames = new Set(Object.keys(states));
+  for (const instruction of instructions) {
+    const structName = toPascalIdentifier(instruction.name);
+    if (structNames.has(structName)) {
+      throw new Error(`Instruction ${instruction.name}: type ${structName} is defined twice`);
+    }
+    structNames.add(structName);
+
+    for (const arg of instruction.args) {
+      try {
+        rejectDefinedType(arg.type);
+      } catch (e) {
+        throw new Error(`Instruction ${instruction.name}: arg ${arg.name}: ${e.message}`);
+      }
+    }
+    for (const account of instruction.accounts) {
+      if (account.account && !states[account.account]) {
+        throw new Error(`Instruction ${instruction.name}: account type ${account.account} is not in spec.accounts`);
+      }
+      for (const relation of account.hasOne || []) {
+        const field = states[account.account].fields.find(f => f.name === relation.account);
+        if (!field || rustType(field.type) !== 'Pubkey') {
+          throw new Error(`Instruction ${instruction.name}: has_one = ${relation.account} needs a pubkey field ${relation.account} on ${account.account}`);
+        }
+        if (relation.error && !errorNames.has(relation.error)) {
+          throw new Error(`Instruction ${instruction.name}: error ${relation.error} is not in spec.errors`);
+        }
+      }
+    }
+  }
+
+  return { instructions, accounts, errors, states };
+}
+
+/**
+ * A spec generates every type of its program, and has no way to declare
+ * structs or enums besides its accounts
+ */
+function rejectDefinedType(type) {
+  if (type && typeof type === 'object') {
+    if (type.defined !== undefined) {
+      throw new Error(`defined type ${rustType(type)} is not supported in a spec; use built-in types`);
+    }
+    rejectDefinedType(type.vec ?? type.option ?? type.array?.[0]);
+  } else if (typeof type === 'string' && TYPE_NAME.test(type)) {
+    throw new Error(`defined type ${type} is not supported in a spec; use built-in types`);
+  }
+}
+
+/**
+ * #[error_code] enum of custom program errors
+ */
+export function renderErrorEnum(errors) {
+  const variants = errors.map(error => {
+    const lines = [];
+    if (error.msg) {
+      lines.push(`    #[msg("${String(error.msg).replace(/["\\]/g, '\\$&')}")]`);
+    }
+    lines.push(`    ${error.name},`);
+    return lines.join('\n');
+  });
+
+  return `#[error_code]
+pub enum ${ERROR_ENUM} {
+${variants.join('\n')}
+}
+`;
+}
+
+/**
+ * TypeScript type of an IDL type in the Anchor client
+ */
+function tsType(type) {
+  if (['u64', 'i64', 'u128', 'i128'].includes(type)) {
+    return 'anchor.BN';
+  }
+  if (type in INT_SIZES || type === 'f32' || type === 'f64') {
+    return 'number';
+  }
+  switch (type) {
+    case 'bool':
+      return 'boolean';
+    case 'string':
+      return 'string';
+    case 'pubkey':
+    case 'publicKey':
+      return 'anchor.web3.PublicKey';
+    case 'bytes':
+      return 'Buffer';
+  }
+  if (type?.vec !== undefined) {
+    return `${tsType(type.vec)}[]`;
+  }
+  if (type?.option !== undefined) {
+    return `${tsType(type.option)} | null`;
+  }
+  if (type?.array !== undefined) {
+    return `${tsType(type.array[0])}[]`;
+  }
+  return 'any';
+}
+
+/**
+ * TypeScript seed buffer and parameter for a PDA seed
+ */
+function clientSeed(seed, args) {
+  const { kind, value, path } = normalizeSeed(seed);
+  if (kind === 'const') {
+    return { expression: `Buffer.from(${JSON.stringify(String(value))})` };
+  }
+  const name = toCamelIdentifier(path);
+  if (kind === 'account') {
+    return { expression: `${name}.toBuffer()`, param: `${name}: anchor.web3.PublicKey` };
+  }
+  const { type } = args.find(arg => arg.name === toSnakeIdentifier(path));
+  const param = `${name}: ${tsType(type)}`;
+  if (type === 'pubkey' || type === 'publicKey') {
+    return { expression: `${name}.toBuffer()`, param };
+  }
+  if (type === 'u8' || type === 'i8') {
+    return { expression: `Buffer.from([${name}])`, param };
+  }
+  if (type in INT_SIZES) {
+    const bn = tsType(type) === 'anchor.BN' ? name : `new anchor.BN(${name})`;
+    return { expression: `${bn}.toArrayLike(Buffer, "le", ${INT_SIZES[type]})`, param };
+  }
+  return { expression: `Buffer.from(${name})`, param };
+}
+
+/**
+ * Client stub for a program spec (app/<program>.ts): PDA helpers, one
+ * method builder per instruction and a fetch helper per account type
+ * @param {string} programName - snake_case program name
+ * @param {Object} spec - Normalized program spec
+ */
+export function renderClient(programName, spec) {
+  const idlType = toPascalIdentifier(programName);
+  const sections = [];
+
+  const finders = new Map();
+  for (const instruction of spec.instructions) {
+    for (const account of instruction.accounts.filter(a => a.seeds)) {
+      const seeds = account.seeds.map(seed => clientSeed(seed, instruction.args));
+      const params = ['programId: anchor.web3.PublicKey', ...new Set(seeds.filter(s => s.param).map(s => s.param))];
+      const code = `(${params.join(', ')}): [anchor.web3.PublicKey, number] {
+  return anchor.web3.PublicKey.findProgramAddressSync(
+    [${seeds.map(s => s.expression).join(', ')}],
+    programId
+  );
+}`;
+      let name = `find${toPascalIdentifier(account.name)}Address`;
+      if (finders.has(name) && finders.get(name) !== code) {
+        name = `find${toPascalIdentifier(instruction.name)}${toPascalIdentifier(account.name)}Address`;
+      }
+      if (!finders.has(name)) {
+        finders.set(name, code);
+        sections.push(`export function ${name}${code}`);
+      }
+    }
+  }
+
+  for (const instruction of spec.instructions) {
+    const method = toCamelIdentifier(instruction.name);
+    const params = [`program: Program<${idlType}>`];
+    if (instruction.args.length > 0) {
+      params.push(`args: { ${instruction.args.map(arg => `${toCamelIdentifier(arg.name)}: ${tsType(arg.type)}`).join('; ')} }`);
+    }
+    // PDAs and programs are resolved by the Anchor client
+    const accounts = instruction.accounts.filter(account => !account.program && !account.seeds);
+    if (accounts.length > 0) {
+      params.push(`accounts: { ${accounts.map(account => `${toCamelIdentifier(account.name)}: anchor.web3.PublicKey`).join('; ')} }`);
+    }
+    const call = `program.methods.${method}(${instruction.args.map(arg => `args.${toCamelIdentifier(arg.name)}`).join(', ')})`;
+    sections.push(`export function ${method}(${params.join(', ')}) {
+  return ${call}${accounts.length > 0 ? '.accountsPartial(accounts)' : ''};
+}`);
+  }
+
+  for (const account of spec.accounts) {
+    sections.push(`export async function fetch${account.name}(program: Program<${idlType}>, address: anchor.web3.PublicKey) {
+  return program.account.${toCamelIdentifier(account.name)}.fetch(address);
+}`);
+  }
+
+  return `import * as anchor from "@coral-xyz/anchor";
+import { Program } from "@coral-xyz/anchor";
+import { ${idlType} } from "../target/types/${programName}";
+
+// Instruction builders return the method builder: call .rpc(), .instruction()
+// or .transaction() on it, adding .signers([...]) for extra signers
+
+${sections.join('\n\n')}
+`;
+}
@@ -0,0 +1,60 @@
+/**
+ * Base58 (Bitcoin alphabet) Encoding
+ * Used for instruction data and memcmp filter bytes, which are not 32-byte keys
+ */
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const INDEX = Object.fromEntries([...ALPHABET].map((char, i) => [char, BigInt(i)]));
+
+/**
+ * Decode a base58 string
+ * @param {string} text - Base58 string
+ * @returns {Buffer} Decoded bytes
+ */
+export function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    if (!(char in INDEX)) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+    value = value * 58n + INDEX[char];
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value & 0xffn));
+    value >>= 8n;
+  }
+
+  // Each leading '1' encodes a leading zero byte
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') {
+    zeros++;
+  }
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes]);
+}
+
+/**
+ * Encode bytes as base58
+ * @param {Buffer|Uint8Array} data - Bytes to encode
+ * @returns {string} Base58 string
+ */
+export function encodeBase58(data) {
+  const bytes = Buffer.from(data);
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+
+  let text = '';
+  while (value > 0n) {
+    text = ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) {
+    zeros++;
+  }
+  return '1'.repeat(zeros) + text;
+}
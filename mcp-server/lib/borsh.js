@@ -0,0 +1,479 @@
+/**
+ * Borsh Encoding and Decoding for Anchor IDL Types
+ * Decodes account, instruction and event data described by an Anchor IDL,
+ * and encodes instruction arguments
+ *
+ * Handles both IDL generations:
+ * - legacy (< 0.30): "publicKey", { defined: "Name" }
+ * - 0.30+: "pubkey", { defined: { name: "Name" } }
+ *
+ * 64-bit and wider integers are returned as decimal strings so they survive
+ * JSON serialization; public keys are returned as base58 strings. The encoder
+ * accepts the same shapes (and numbers or bigints for integers).
+ */
+
+import { PublicKey } from '@solana/web3.js';
+
+const INT_SIZES = {
+  u8: 1, i8: 1, u16: 2, i16: 2, u32: 4, i32: 4,
+  u64: 8, i64: 8, u128: 16, i128: 16, u256: 32, i256: 32
+};
+
+/**
+ * Sequential reader over a Borsh-encoded buffer
+ */
+export class BorshReader {
+  constructor(data, offset = 0) {
+    this.buffer = Buffer.from(data);
+    this.offset = offset;
+  }
+
+  ensure(size) {
+    if (this.offset + size > this.buffer.length) {
+      throw new Error(`Unexpected end of data at offset ${this.offset} (need ${size} bytes)`);
+    }
+  }
+
+  readBytes(size) {
+    this.ensure(size);
+    const bytes = this.buffer.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return bytes;
+  }
+
+  readU8() {
+    this.ensure(1);
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  readU32() {
+    this.ensure(4);
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readInt(type) {
+    const size = INT_SIZES[type];
+    const signed = type.startsWith('i');
+    this.ensure(size);
+
+    if (size <= 4) {
+      const value = signed
+        ? this.buffer.readIntLE(this.offset, size)
+        : this.buffer.readUIntLE(this.offset, size);
+      this.offset += size;
+      return value;
+    }
+
+    let value = 0n;
+    for (let i = size - 1; i >= 0; i--) {
+      value = (value << 8n) | BigInt(this.buffer[this.offset + i]);
+    }
+    if (signed && (value >> BigInt(size * 8 - 1)) === 1n) {
+      value -= 1n << BigInt(size * 8);
+    }
+    this.offset += size;
+    return value.toString();
+  }
+
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+}
+
+/**
+ * Decode a value of an IDL type
+ * @param {Object} idl - Anchor IDL (its `types` resolve defined types)
+ * @param {string|Object} type - IDL type descriptor
+ * @param {BorshReader} reader - Reader positioned at the value
+ * @returns {*} Decoded JSON-friendly value
+ */
+export function decodeType(idl, type, reader) {
+  if (typeof type === 'string') {
+    if (type in INT_SIZES) {
+      return reader.readInt(type);
+    }
+    switch (type) {
+      case 'bool':
+        return reader.readU8() !== 0;
+      case 'f32':
+        return reader.readBytes(4).readFloatLE(0);
+      case 'f64':
+        return reader.readBytes(8).readDoubleLE(0);
+      case 'string':
+        return reader.readBytes(reader.readU32()).toString('utf8');
+      case 'bytes':
+        return reader.readBytes(reader.readU32()).toString('base64');
+      case 'pubkey':
+      case 'publicKey':
+        return new PublicKey(reader.readBytes(32)).toBase58();
+      default:
+        throw new Error(`Unsupported IDL type: ${type}`);
+    }
+  }
+
+  if (type.vec !== undefined) {
+    const length = reader.readU32();
+    const items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(decodeType(idl, type.vec, reader));
+    }
+    return items;
+  }
+
+  if (type.option !== undefined) {
+    return reader.readU8() === 0 ? null : decodeType(idl, type.option, reader);
+  }
+
+  if (type.coption !== undefined) {
+    // COption uses a 4-byte tag and always reserves space for the value
+    const present = reader.readU32() !== 0;
+    const value = decodeType(idl, type.coption, reader);
+    return present ? value : null;
+  }
+
+  if (type.array !== undefined) {
+    const [itemType, length] = type.array;
+    if (typeof length !== 'number') {
+      throw new Error('Generic array lengths are not supported');
+    }
+    const items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(decodeType(idl, itemType, reader));
+    }
+    return items;
+  }
+
+  if (type.defined !== undefined) {
+    return decodeTypeDef(idl, findTypeDef(idl, definedName(type.defined)), reader);
+  }
+
+  throw new Error(`Unsupported IDL type: ${JSON.stringify(type)}`);
+}
+
+/**
+ * Decode a struct/enum/alias type definition ({ name, type: { kind, ... } })
+ */
+export function decodeTypeDef(idl, typeDef, reader) {
+  const { type } = typeDef;
+
+  switch (type.kind) {
+    case 'struct':
+      return decodeFields(idl, type.fields || [], reader);
+    case 'enum': {
+      const index = reader.readU8();
+      const variant = type.variants[index];
+      if (!variant) {
+        throw new Error(`Invalid variant index ${index} for enum ${typeDef.name}`);
+      }
+      return { [variant.name]: variant.fields ? decodeFields(idl, variant.fields, reader) : {} };
+    }
+    case 'type':
+      return decodeType(idl, type.alias, reader);
+    default:
+      throw new Error(`Unsupported type kind: ${type.kind}`);
+  }
+}
+
+/**
+ * Decode named fields into an object, or tuple fields into an array
+ */
+export function decodeFields(idl, fields, reader) {
+  const named = fields.length > 0 && typeof fields[0] === 'object' && 'name' in fields[0];
+
+  if (!named) {
+    return fields.map(fieldType => decodeType(idl, fieldType, reader));
+  }
+
+  const result = {};
+  for (const field of fields) {
+    result[field.name] = decodeType(idl, field.type, reader);
+  }
+  return result;
+}
+
+/**
+ * Sequential writer producing a Borsh-encoded buffer
+ */
+export class BorshWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  writeBytes(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+  }
+
+  writeU8(value) {
+    this.writeBytes([value]);
+  }
+
+  writeU32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    this.writeBytes(buffer);
+  }
+
+  writeInt(type, value) {
+    const size = INT_SIZES[type];
+    const signed = type.startsWith('i');
+    const bits = BigInt(size * 8);
+
+    // BigInt() would read "", " " and booleans as 0 or 1
+    const numeric = typeof value === 'number' || typeof value === 'bigint' ||
+      (typeof value === 'string' && value.trim() !== '');
+    let big = null;
+    if (numeric) {
+      try {
+        big = BigInt(value);
+      } catch (e) {
+        // Not an integer; reported below
+      }
+    }
+    if (big === null) {
+      throw new Error(`Invalid ${type} value: ${JSON.stringify(value)}`);
+    }
+    const min = signed ? -(1n << (bits - 1n)) : 0n;
+    const max = signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+    if (big < min || big > max) {
+      throw new Error(`Value ${value} is out of range for ${type}`);
+    }
+
+    // Two's complement, little-endian
+    let unsigned = big < 0n ? big + (1n << bits) : big;
+    const buffer = Buffer.alloc(size);
+    for (let i = 0; i < size; i++) {
+      buffer[i] = Number(unsigned & 0xffn);
+      unsigned >>= 8n;
+    }
+    this.writeBytes(buffer);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Encode a value of an IDL type
+ * @param {Object} idl - Anchor IDL (its `types` resolve defined types)
+ * @param {string|Object} type - IDL type descriptor
+ * @param {*} value - Value in the shape decodeType returns
+ * @param {BorshWriter} writer - Writer to append to
+ */
+export function encodeType(idl, type, value, writer) {
+  if (typeof type === 'string') {
+    if (type in INT_SIZES) {
+      writer.writeInt(type, value);
+      return;
+    }
+    switch (type) {
+      case 'bool':
+        if (typeof value !== 'boolean') {
+          throw new Error(`Expected a boolean, got ${JSON.stringify(value)}`);
+        }
+        writer.writeU8(value ? 1 : 0);
+        return;
+      case 'f32': {
+        if (Number.isNaN(Number(value))) {
+          throw new Error(`Invalid f32 value: ${JSON.stringify(value)}`);
+        }
+        const buffer = Buffer.alloc(4);
+        buffer.writeFloatLE(Number(value));
+        writer.writeBytes(buffer);
+        return;
+      }
+      case 'f64': {
+        if (Number.isNaN(Number(value))) {
+          throw new Error(`Invalid f64 value: ${JSON.stringify(value)}`);
+        }
+        const buffer = Buffer.alloc(8);
+        buffer.writeDoubleLE(Number(value));
+        writer.writeBytes(buffer);
+        return;
+      }
+      case 'string': {
+        if (typeof value !== 'string') {
+          throw new Error(`Expected a string, got ${JSON.stringify(value)}`);
+        }
+        const bytes = Buffer.from(value, 'utf8');
+        writer.writeU32(bytes.length);
+        writer.writeBytes(bytes);
+        return;
+      }
+      case 'bytes': {
+        // Base64 string (as decoded) or byte array
+        const bytes = typeof value === 'string' ? Buffer.from(value, 'base64') : Buffer.from(value);
+        writer.writeU32(bytes.length);
+        writer.writeBytes(bytes);
+        return;
+      }
+      case 'pubkey':
+      case 'publicKey':
+        writer.writeBytes(new PublicKey(value).toBuffer());
+        return;
+      default:
+        throw new Error(`Unsupported IDL type: ${type}`);
+    }
+  }
+
+  if (type.vec !== undefined) {
+    if (!Array.isArray(value)) {
+      throw new Error(`Expected an array, got ${JSON.stringify(value)}`);
+    }
+    writer.writeU32(value.length);
+    value.forEach(item => encodeType(idl, type.vec, item, writer));
+    return;
+  }
+
+  if (type.option !== undefined) {
+    if (value === null || value === undefined) {
+      writer.writeU8(0);
+      return;
+    }
+    writer.writeU8(1);
+    encodeType(idl, type.option, value, writer);
+    return;
+  }
+
+  if (type.coption !== undefined) {
+    const present = value !== null && value !== undefined;
+    writer.writeU32(present ? 1 : 0);
+    if (present) {
+      encodeType(idl, type.coption, value, writer);
+    } else {
+      // COption::None still reserves space for the value
+      const placeholder = new BorshWriter();
+      encodeType(idl, type.coption, zeroValue(type.coption), placeholder);
+      writer.writeBytes(Buffer.alloc(placeholder.toBuffer().length));
+    }
+    return;
+  }
+
+  if (type.array !== undefined) {
+    const [itemType, length] = type.array;
+    if (typeof length !== 'number') {
+      throw new Error('Generic array lengths are not supported');
+    }
+    if (!Array.isArray(value) || value.length !== length) {
+      throw new Error(`Expected an array of ${length} items, got ${JSON.stringify(value)}`);
+    }
+    value.forEach(item => encodeType(idl, itemType, item, writer));
+    return;
+  }
+
+  if (type.defined !== undefined) {
+    encodeTypeDef(idl, findTypeDef(idl, definedName(type.defined)), value, writer);
+    return;
+  }
+
+  throw new Error(`Unsupported IDL type: ${JSON.stringify(type)}`);
+}
+
+/**
+ * Encode a struct/enum/alias type definition
+ * Enum values are a variant name ("Active") or { Variant: fields }
+ */
+export function encodeTypeDef(idl, typeDef, value, writer) {
+  const { type } = typeDef;
+
+  switch (type.kind) {
+    case 'struct':
+      encodeFields(idl, type.fields || [], value, writer);
+      return;
+    case 'enum': {
+      const [name, fields] = typeof value === 'string'
+        ? [value, undefined]
+        : Object.entries(value || {})[0] || [];
+      const index = type.variants.findIndex(variant => variant.name === name);
+      if (index === -1) {
+        throw new Error(`Unknown variant ${JSON.stringify(name)} for enum ${typeDef.name}`);
+      }
+      writer.writeU8(index);
+      const variant = type.variants[index];
+      if (variant.fields) {
+        encodeFields(idl, variant.fields, fields, writer);
+      }
+      return;
+    }
+    case 'type':
+      encodeType(idl, type.alias, value, writer);
+      return;
+    default:
+      throw new Error(`Unsupported type kind: ${type.kind}`);
+  }
+}
+
+/**
+ * Encode named fields from an object, or tuple fields from an array
+ * Named fields may be given in snake_case or camelCase.
+ */
+export function encodeFields(idl, fields, value, writer) {
+  if (fields.length === 0) {
+    return;
+  }
+  const named = fields.length > 0 && typeof fields[0] === 'object' && 'name' in fields[0];
+
+  if (!named) {
+    if (!Array.isArray(value) || value.length !== fields.length) {
+      throw new Error(`Expected a tuple of ${fields.length} values, got ${JSON.stringify(value)}`);
+    }
+    fields.forEach((fieldType, i) => encodeType(idl, fieldType, value[i], writer));
+    return;
+  }
+
+  if (!value || typeof value !== 'object') {
+    throw new Error(`Expected an object with fields ${fields.map(f => f.name).join(', ')}`);
+  }
+  for (const field of fields) {
+    const fieldValue = fieldLookup(value, field.name);
+    try {
+      encodeType(idl, field.type, fieldValue, writer);
+    } catch (err) {
+      const optional = field.type.option !== undefined || field.type.coption !== undefined;
+      throw new Error(fieldValue === undefined && !optional
+        ? `Missing field ${field.name}`
+        : `Field ${field.name}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Find a type definition by name in the IDL types (or legacy inline accounts)
+ */
+export function findTypeDef(idl, name) {
+  const typeDef = (idl.types || []).find(t => t.name === name)
+    || (idl.accounts || []).find(a => a.name === name && a.type);
+
+  if (!typeDef) {
+    throw new Error(`Type ${name} is not defined in the IDL`);
+  }
+  return typeDef;
+}
+
+function definedName(defined) {
+  return typeof defined === 'string' ? defined : defined.name;
+}
+
+function fieldLookup(value, name) {
+  if (name in value) {
+    return value[name];
+  }
+  const camel = name.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+  if (camel in value) {
+    return value[camel];
+  }
+  const snake = name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  return value[snake];
+}
+
+function zeroValue(type) {
+  if (typeof type === 'string') {
+    if (type === 'pubkey' || type === 'publicKey') {
+      return PublicKey.default.toBase58();
+    }
+    return type === 'bool' ? false : 0;
+  }
+  throw new Error(`Unsupported COption type: ${JSON.stringify(type)}`);
+}
@@ -0,0 +1,159 @@
+/**
+ * RPC Cassettes
+ * Record JSON-RPC request/response pairs to a file and replay them later, so
+ * RPC tools can be tested and demoed deterministically without a live cluster
+ *
+ * Cassette file:
+ * {
+ *   "version": 1,
+ *   "interactions": [
+ *     { "request": { "method": "getBalance", "params": [...] }, "response": { "result": {...} } }
+ *   ]
+ * }
+ *
+ * Requests match on method and params (not endpoint). Identical requests are
+ * replayed in recorded order; the last recording is reused once they run out.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+const CASSETTE_VERSION = 1;
+
+// JSON-RPC error code for requests missing from a replayed cassette
+const NOT_RECORDED = -32099;
+
+export class Cassette {
+  /**
+   * @param {string} file - Cassette path
+   * @param {string} mode - "record" (starts empty, overwriting the file) or "replay" (loads the file)
+   */
+  constructor(file, mode) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Cassette mode must be one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+    this.file = path.resolve(file);
+    this.mode = mode;
+    this.interactions = mode === 'replay' ? readInteractions(this.file) : [];
+    this.played = new Map();
+  }
+
+  /**
+   * Append an interaction and write the cassette
+   */
+  record(request, response) {
+    this.interactions.push({
+      request: { method: request.method, params: request.params ?? [] },
+      response: 'error' in response ? { error: response.error } : { result: response.result }
+    });
+    mkdirSync(path.dirname(this.file), { recursive: true });
+    writeFileSync(this.file, JSON.stringify({ version: CASSETTE_VERSION, interactions: this.interactions }, null, 2) + '\n');
+  }
+
+  /**
+   * Recorded response for a request
+   * @returns {Object|null} { result } or { error }
+   */
+  replay(request) {
+    const key = requestKey(request);
+    const matches = this.interactions.filter(interaction => requestKey(interaction.request) === key);
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const count = this.played.get(key) || 0;
+    this.played.set(key, count + 1);
+    return matches[Math.min(count, matches.length - 1)].response;
+  }
+}
+
+/**
+ * Wrap a Connection fetch with a cassette
+ * Record mode forwards to `inner` and captures each response; replay mode never calls it.
+ * @param {Cassette} cassette
+ * @param {Function} inner - fetch used for recording
+ * @returns {Function}
+ */
+export function createCassetteFetch(cassette, inner) {
+  return async (url, init) => {
+    const payload = JSON.parse(init.body);
+    const requests = Array.isArray(payload) ? payload : [payload];
+
+    if (cassette.mode === 'replay') {
+      const responses = requests.map(request => {
+        const recorded = cassette.replay(request);
+        return recorded
+          ? { jsonrpc: '2.0', id: request.id, ...recorded }
+          : {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+              code: NOT_RECORDED,
+              message: `No recorded response for ${request.method} ${JSON.stringify(request.params ?? [])} in ${cassette.file}`
+            }
+          };
+      });
+      return jsonResponse(Array.isArray(payload) ? responses : responses[0]);
+    }
+
+    const response = await inner(url, init);
+    const text = await response.text();
+
+    if (response.ok) {
+      let body = null;
+      try {
+        body = JSON.parse(text);
+      } catch (e) {
+        // Not JSON-RPC; pass through unrecorded
+      }
+      const bodies = Array.isArray(body) ? body : body ? [body] : [];
+      for (const request of requests) {
+        const match = bodies.find(entry => entry.id === request.id);
+        if (match) {
+          cassette.record(request, match);
+        }
+      }
+    }
+
+    return new Response(text, { status: response.status, headers: response.headers });
+  };
+}
+
+function readInteractions(file) {
+  let cassette;
+  try {
+    cassette = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to load cassette ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(cassette.interactions)) {
+    throw new Error(`Cassette ${file} has no interactions array`);
+  }
+  return cassette.interactions;
+}
+
+function requestKey({ method, params = [] }) {
+  return `${method} ${stableStringify(params)}`;
+}
+
+/**
+ * JSON with sorted object keys, so equal params match regardless of key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,261 @@
+/**
+ * Cluster Connections
+ * Resolves cluster names to RPC endpoints and hands out pooled Connections
+ * that retry transient failures and fail over across endpoints
+ *
+ * Endpoints per cluster come from createConnectionContext({ endpoints }), i.e. the
+ * `rpc` map of the server config (file, SOLAGENT_RPC_<CLUSTER> env vars and --rpc
+ * flags, merged by config.js), falling back to the public RPC defaults below.
+ * Each server owns its context; the module-level functions use a default context
+ * that configureConnections() sets up.
+ *
+ * Cluster "local-sim" is served in-process by the ledger in local-sim.js.
+ * With a cassette configured, every connection records to or replays from it
+ * (see cassette.js).
+ */
+
+import { Connection } from '@solana/web3.js';
+import {
+  LOCAL_SIM_CLUSTER,
+  LOCAL_SIM_ENDPOINT,
+  createLocalSimFetch
+} from './local-sim.js';
+import { Cassette, createCassetteFetch } from './cassette.js';
+
+export const DEFAULT_ENDPOINTS = {
+  'mainnet-beta': ['https://api.mainnet-beta.solana.com'],
+  'devnet': ['https://api.devnet.solana.com'],
+  'testnet': ['https://api.testnet.solana.com'],
+  'localnet': ['http://127.0.0.1:8899']
+};
+
+const CLUSTER_ALIASES = {
+  'mainnet': 'mainnet-beta',
+  'localhost': 'localnet'
+};
+
+const DEFAULT_RETRY = {
+  requestsPerSecond: null,
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 5000
+};
+
+/**
+ * Create a set of connection settings with its own connection pool
+ * @param {Object} [options]
+ * @param {Object} [options.endpoints] - Map of cluster -> URL or list of URLs
+ * @param {Object} [options.retry] - { requestsPerSecond, maxRetries, baseDelayMs, maxDelayMs }
+ * @param {string} [options.commitment='confirmed'] - Default commitment level
+ * @param {Object} [options.cassette] - { mode: "record" | "replay", path } to record or replay RPC traffic
+ * @returns {Object} Context with resolveCluster, getClusterEndpoints and getConnection
+ */
+export function createConnectionContext({ endpoints = {}, retry = {}, commitment = 'confirmed', cassette = null } = {}) {
+  const normalized = {};
+  for (const [cluster, urls] of Object.entries(endpoints)) {
+    normalized[CLUSTER_ALIASES[cluster] || cluster] = Array.isArray(urls) ? urls : splitEndpoints(urls);
+  }
+  const settings = {
+    endpoints: normalized,
+    retry: { ...DEFAULT_RETRY, ...retry },
+    commitment,
+    cassette: cassette?.mode ? new Cassette(cassette.path, cassette.mode) : null
+  };
+  const pool = new Map();
+
+  const resolve = (cluster = 'devnet') => {
+    const name = CLUSTER_ALIASES[cluster] || cluster;
+    const known = name === LOCAL_SIM_CLUSTER || name in DEFAULT_ENDPOINTS || name in settings.endpoints;
+    return known ? name : null;
+  };
+
+  const clusterEndpoints = (cluster = 'devnet') => {
+    const name = resolve(cluster);
+    if (!name) {
+      throw new Error(`Unknown cluster: ${cluster}`);
+    }
+    if (name === LOCAL_SIM_CLUSTER) {
+      return [LOCAL_SIM_ENDPOINT];
+    }
+    return settings.endpoints[name] || DEFAULT_ENDPOINTS[name];
+  };
+
+  const connect = ({ cluster = 'devnet', rpcUrl = null, commitment = settings.commitment } = {}) => {
+    const endpoints = rpcUrl
+      ? (Array.isArray(rpcUrl) ? rpcUrl : splitEndpoints(rpcUrl))
+      : clusterEndpoints(cluster);
+
+    const key = `${commitment}|${endpoints.join(',')}`;
+    if (!pool.has(key)) {
+      const simulated = endpoints[0] === LOCAL_SIM_ENDPOINT;
+      const transport = simulated ? createLocalSimFetch() : createFailoverFetch(endpoints, settings.retry);
+      pool.set(key, new Connection(endpoints[0], {
+        commitment,
+        fetch: settings.cassette ? createCassetteFetch(settings.cassette, transport) : transport,
+        // Rate limits are retried (and failed over) by the fetch below
+        disableRetryOnRateLimit: true
+      }));
+    }
+    return pool.get(key);
+  };
+
+  return {
+    resolveCluster: resolve,
+    getClusterEndpoints: clusterEndpoints,
+    getConnection: connect
+  };
+}
+
+let defaultContext = createConnectionContext();
+
+/**
+ * Normalize a cluster name ("mainnet" -> "mainnet-beta", "localhost" -> "localnet")
+ * @param {string} [cluster='devnet'] - Cluster name or alias
+ * @param {Object} [context] - Connection context (default: the module-wide one)
+ * @returns {string|null} Canonical cluster name, or null when unknown
+ */
+export function resolveCluster(cluster = 'devnet', context = defaultContext) {
+  return context.resolveCluster(cluster);
+}
+
+/**
+ * RPC endpoints for a cluster, in failover order
+ * @param {string} [cluster='devnet'] - Cluster name or alias
+ * @param {Object} [context] - Connection context (default: the module-wide one)
+ * @returns {string[]} Endpoint URLs
+ */
+export function getClusterEndpoints(cluster = 'devnet', context = defaultContext) {
+  return context.getClusterEndpoints(cluster);
+}
+
+/**
+ * Get a pooled Connection for a cluster or explicit RPC URL
+ * @param {Object} [options]
+ * @param {string} [options.cluster='devnet'] - Cluster name or alias
+ * @param {string|string[]} [options.rpcUrl] - Endpoint(s) to use instead of the cluster's
+ * @param {string} [options.commitment] - Commitment level (default: configured, else "confirmed")
+ * @param {Object} [context] - Connection context (default: the module-wide one)
+ * @returns {Connection}
+ */
+export function getConnection(options = {}, context = defaultContext) {
+  return context.getConnection(options);
+}
+
+/**
+ * Wait until a transaction reaches a commitment level by polling its status over HTTP
+ * (unlike Connection.confirmTransaction, no websocket subscription is needed)
+ * @param {Connection} connection
+ * @param {string} signature - Transaction signature
+ * @param {Object} [options]
+ * @param {string} [options.commitment='confirmed'] - "processed", "confirmed" or "finalized"
+ * @param {number} [options.timeoutMs=60000] - Give up after this long
+ * @param {number} [options.intervalMs=500] - Delay between status checks
+ * @returns {Promise<Object>} Signature status
+ */
+export async function confirmSignature(connection, signature, options = {}) {
+  const { commitment = 'confirmed', timeoutMs = 60000, intervalMs = 500 } = options;
+  const levels = ['processed', 'confirmed', 'finalized'];
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const { value: [status] } = await connection.getSignatureStatuses([signature]);
+    if (status?.err) {
+      throw new Error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+    }
+    if (status && levels.indexOf(status.confirmationStatus) >= levels.indexOf(commitment)) {
+      return status;
+    }
+    if (Date.now() + intervalMs > deadline) {
+      throw new Error(`Transaction ${signature} was not ${commitment} within ${timeoutMs}ms`);
+    }
+    await sleep(intervalMs);
+  }
+}
+
+/**
+ * Reconfigure the module-wide context used when no context is passed; clears its pooled connections
+ * @param {Object} [options] - See createConnectionContext
+ */
+export function configureConnections(options = {}) {
+  defaultContext = createConnectionContext(options);
+}
+
+/**
+ * Restore default endpoints and retry policy, without a cassette
+ */
+export function resetConnections() {
+  configureConnections();
+}
+
+/**
+ * fetch() for Connection that retries 429/5xx responses and network errors
+ * with exponential backoff, moving to the next endpoint on each retry.
+ * The endpoint that last answered is tried first on the next request.
+ * With requestsPerSecond set, requests (including retries) are spaced evenly.
+ */
+export function createFailoverFetch(endpoints, retry = DEFAULT_RETRY) {
+  const { requestsPerSecond, maxRetries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...retry };
+  const interval = requestsPerSecond ? 1000 / requestsPerSecond : 0;
+  let current = 0;
+  let nextSlot = 0;
+
+  const throttle = async () => {
+    if (!interval) {
+      return;
+    }
+    const now = Date.now();
+    const wait = Math.max(nextSlot - now, 0);
+    nextSlot = Math.max(nextSlot, now) + interval;
+    await sleep(wait);
+  };
+
+  return async (_url, init) => {
+    let lastError = null;
+    let lastResponse = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const index = (current + attempt) % endpoints.length;
+
+      if (attempt > 0) {
+        const backoff = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+        await sleep(Math.min(Math.max(backoff, retryAfterMs(lastResponse)), maxDelayMs));
+      }
+      await throttle();
+
+      try {
+        const response = await fetch(endpoints[index], init);
+        if (!isTransient(response.status)) {
+          current = index;
+          return response;
+        }
+        lastResponse = response;
+        lastError = null;
+      } catch (err) {
+        lastResponse = null;
+        lastError = err;
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    return lastResponse;
+  };
+}
+
+function isTransient(status) {
+  return status === 429 || status >= 500;
+}
+
+function retryAfterMs(response) {
+  const seconds = Number(response?.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+function splitEndpoints(value) {
+  return value.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
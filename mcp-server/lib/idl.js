@@ -0,0 +1,248 @@
+/**
+ * Anchor IDL Helpers
+ * Loads IDLs (inline, from disk or from chain) and matches data to IDL
+ * definitions by their 8-byte discriminators
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { computeDiscriminator } from '../tools/compute-discriminator.js';
+import { fetchOnchainIdl } from '../tools/verify-onchain-discriminators.js';
+import { BorshReader, BorshWriter, decodeFields, decodeTypeDef, encodeFields, findTypeDef } from './borsh.js';
+
+// Value of the `idl` tool argument that requests the IDL published on-chain
+export const IDL_FROM_CHAIN = 'chain';
+
+const DISCRIMINATOR_SIZE = 8;
+
+/**
+ * Resolve an `idl` tool argument to an IDL object
+ * @param {Object|string} source - IDL object, JSON string, file path, or "chain"
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - Connection used for "chain"
+ * @param {PublicKey} [options.programId] - Program whose IDL to fetch for "chain"
+ * @returns {Promise<Object>} Parsed IDL
+ */
+export async function loadIdl(source, options = {}) {
+  if (source && typeof source === 'object') {
+    return source;
+  }
+
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('idl must be an IDL object, JSON string, file path, or "chain"');
+  }
+
+  if (source === IDL_FROM_CHAIN) {
+    const { connection, programId } = options;
+    if (!connection || !programId) {
+      throw new Error('Fetching the IDL from chain requires a program ID');
+    }
+    const { idl } = await fetchOnchainIdl(connection, programId);
+    if (!idl) {
+      throw new Error(`No on-chain IDL found for program ${programId.toBase58()}`);
+    }
+    return idl;
+  }
+
+  const text = source.trim().startsWith('{')
+    ? source
+    : await fs.readFile(path.resolve(source), 'utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid IDL JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Discriminator of an IDL instruction, account or event
+ * Uses the discriminator declared in 0.30+ IDLs, otherwise derives it from the name
+ * @param {Object} item - IDL instruction/account/event entry
+ * @param {string} namespace - "global", "account" or "event"
+ * @returns {Promise<Buffer>} 8-byte discriminator
+ */
+export async function getDiscriminator(item, namespace) {
+  if (Array.isArray(item.discriminator)) {
+    return Buffer.from(item.discriminator);
+  }
+
+  const name = namespace === 'global' ? toSnakeCase(item.name) : item.name;
+  const { discriminator } = await computeDiscriminator({ instructionName: name, namespace });
+  return Buffer.from(discriminator.bytes);
+}
+
+/**
+ * Identify an account's type by discriminator and decode its fields
+ * @param {Object} idl - Anchor IDL
+ * @param {Buffer|Uint8Array} data - Raw account data
+ * @returns {Promise<Object>} { accountType, discriminator, data }
+ */
+export async function decodeAccountData(idl, data) {
+  const buffer = Buffer.from(data);
+  const match = await matchDiscriminator(idl.accounts || [], 'account', buffer);
+
+  if (!match) {
+    throw new Error(
+      `Account discriminator ${buffer.subarray(0, DISCRIMINATOR_SIZE).toString('hex')} does not match any IDL account`
+    );
+  }
+
+  const reader = new BorshReader(buffer, match.discriminator.length);
+  return {
+    accountType: match.item.name,
+    discriminator: match.discriminator.toString('hex'),
+    data: decodeTypeDef(idl, findTypeDef(idl, match.item.name), reader)
+  };
+}
+
+/**
+ * Identify an instruction by discriminator and decode its args and accounts
+ * @param {Object} idl - Anchor IDL
+ * @param {Buffer|Uint8Array} data - Raw instruction data
+ * @param {string[]} [accountKeys] - Instruction account addresses, in order
+ * @returns {Promise<Object>} { name, discriminator, accounts, args }
+ */
+export async function decodeInstructionData(idl, data, accountKeys = []) {
+  const buffer = Buffer.from(data);
+  const match = await matchDiscriminator(idl.instructions || [], 'global', buffer);
+
+  if (!match) {
+    throw new Error(
+      `Instruction discriminator ${buffer.subarray(0, DISCRIMINATOR_SIZE).toString('hex')} does not match any IDL instruction`
+    );
+  }
+
+  const instruction = match.item;
+  const reader = new BorshReader(buffer, match.discriminator.length);
+  const args = decodeFields(idl, instruction.args || [], reader);
+  const metas = flattenAccounts(instruction.accounts || []);
+
+  return {
+    name: instruction.name,
+    discriminator: match.discriminator.toString('hex'),
+    accounts: accountKeys.map((pubkey, i) => {
+      const meta = metas[i];
+      // Accounts beyond the IDL list are remaining_accounts
+      return meta
+        ? { name: meta.name, pubkey, writable: meta.writable, signer: meta.signer }
+        : { name: null, pubkey, remaining: true };
+    }),
+    args
+  };
+}
+
+/**
+ * Encode instruction data: discriminator followed by Borsh-encoded args
+ * @param {Object} idl - Anchor IDL
+ * @param {string} name - Instruction name (snake_case or camelCase)
+ * @param {Object} [args] - Argument values by name, in the shapes decodeInstructionData returns
+ * @returns {Promise<Object>} { instruction, discriminator, data }
+ */
+export async function encodeInstructionData(idl, name, args = {}) {
+  const instruction = findInstruction(idl, name);
+  const discriminator = await getDiscriminator(instruction, 'global');
+
+  const writer = new BorshWriter();
+  writer.writeBytes(discriminator);
+  try {
+    encodeFields(idl, instruction.args || [], args, writer);
+  } catch (err) {
+    throw new Error(`Invalid args for instruction ${instruction.name}: ${err.message}`);
+  }
+
+  return {
+    instruction,
+    discriminator: discriminator.toString('hex'),
+    data: writer.toBuffer()
+  };
+}
+
+/**
+ * Find an IDL instruction by name, ignoring snake_case/camelCase differences
+ */
+export function findInstruction(idl, name) {
+  const instruction = (idl.instructions || []).find(ix => toSnakeCase(ix.name) === toSnakeCase(name));
+  if (!instruction) {
+    const known = (idl.instructions || []).map(ix => ix.name).join(', ');
+    throw new Error(`Instruction ${name} not found in IDL (available: ${known || 'none'})`);
+  }
+  return instruction;
+}
+
+/**
+ * Decode an Anchor event from a "Program data:" log payload
+ * @param {Object} idl - Anchor IDL
+ * @param {string} base64 - Base64 payload
+ * @returns {Promise<Object|null>} { name, data }, or null when no IDL event matches
+ */
+export async function decodeEventData(idl, base64) {
+  const buffer = Buffer.from(base64, 'base64');
+  const match = await matchDiscriminator(idl.events || [], 'event', buffer);
+
+  if (!match) {
+    return null;
+  }
+
+  const event = match.item;
+  // Legacy IDLs inline event fields; 0.30+ IDLs define them in `types`
+  const typeDef = event.fields
+    ? { name: event.name, type: { kind: 'struct', fields: event.fields } }
+    : findTypeDef(idl, event.name);
+  const reader = new BorshReader(buffer, match.discriminator.length);
+
+  return {
+    name: event.name,
+    data: decodeTypeDef(idl, typeDef, reader)
+  };
+}
+
+/**
+ * Find the IDL entry whose discriminator prefixes the data
+ * @returns {Promise<Object|null>} { item, discriminator }
+ */
+export async function matchDiscriminator(items, namespace, data) {
+  for (const item of items) {
+    const discriminator = await getDiscriminator(item, namespace);
+    if (data.length >= discriminator.length && discriminator.equals(data.subarray(0, discriminator.length))) {
+      return { item, discriminator };
+    }
+  }
+  return null;
+}
+
+/**
+ * Flatten nested account groups of an IDL instruction into an ordered list
+ * (accepts legacy isMut/isSigner and 0.30+ writable/signer flags)
+ */
+export function flattenAccounts(accounts, prefix = '') {
+  const flat = [];
+  for (const account of accounts) {
+    const name = prefix ? `${prefix}.${account.name}` : account.name;
+    if (Array.isArray(account.accounts)) {
+      flat.push(...flattenAccounts(account.accounts, name));
+    } else {
+      flat.push({
+        ...account,
+        name,
+        writable: Boolean(account.writable ?? account.isMut),
+        signer: Boolean(account.signer ?? account.isSigner)
+      });
+    }
+  }
+  return flat;
+}
+
+/**
+ * Program ID an IDL belongs to (0.30+ `address`, legacy `metadata.address`)
+ */
+export function getIdlProgramId(idl) {
+  return idl.address || idl.metadata?.address || null;
+}
+
+/**
+ * Convert legacy camelCase instruction names to the snake_case used in preimages
+ */
+export function toSnakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
@@ -0,0 +1,394 @@
+/**
+ * Local Ledger Simulator
+ * In-memory account and transaction store answering Solana JSON-RPC requests,
+ * used for cluster "local-sim" so RPC tools run offline and deterministically
+ *
+ * Fixture files seed the ledger:
+ * {
+ *   "accounts": [
+ *     { "pubkey": "...", "lamports": 1000000, "owner": "...", "data": "<base64>", "executable": false }
+ *   ],
+ *   "transactions": [ <getTransaction result in jsonParsed encoding> ]
+ * }
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { encodeBase58, decodeBase58 } from './base58.js';
+import { TOKEN_PROGRAMS, isTokenAccountData } from './spl-token.js';
+
+export const LOCAL_SIM_CLUSTER = 'local-sim';
+
+// Never contacted: requests are answered by the ledger through a custom fetch
+export const LOCAL_SIM_ENDPOINT = 'http://local-sim.invalid';
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const FAUCET = 'Faucet1111111111111111111111111111111111111';
+const BLOCKHASH = 'EETubP5AKHgjPAhzPAFcb8BAY1hMH639CWCFTqi3hq1k';
+const SIGNATURE_FEE = 5000;
+const BLOCK_TIME = 1700000000;
+
+/**
+ * JSON-RPC error raised by the simulator
+ */
+export class LocalSimRpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LocalSimRpcError';
+    this.code = code;
+  }
+}
+
+/**
+ * In-memory ledger
+ */
+export class LocalLedger {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Remove all accounts and transactions
+   */
+  reset() {
+    this.accounts = new Map();
+    this.transactions = new Map();
+    this.slot = 1;
+    this.airdrops = 0;
+  }
+
+  /**
+   * Create or replace an account
+   * @param {string} pubkey - Account address (base58)
+   * @param {Object} account
+   * @param {number} [account.lamports=0]
+   * @param {string} [account.owner] - Owner program (default: System Program)
+   * @param {Buffer|string|Array} [account.data] - Buffer, base64 string, byte array, or [data, "base64"]
+   * @param {boolean} [account.executable=false]
+   */
+  setAccount(pubkey, account = {}) {
+    this.accounts.set(pubkey, {
+      lamports: account.lamports ?? 0,
+      owner: account.owner || SYSTEM_PROGRAM,
+      data: toBuffer(account.data),
+      executable: Boolean(account.executable),
+      rentEpoch: account.rentEpoch ?? 0
+    });
+  }
+
+  getAccount(pubkey) {
+    return this.accounts.get(pubkey) || null;
+  }
+
+  /**
+   * Store a transaction in getTransaction (jsonParsed) shape, keyed by its first signature
+   */
+  addTransaction(transaction) {
+    const signature = transaction?.transaction?.signatures?.[0];
+    if (!signature) {
+      throw new Error('Fixture transaction must include transaction.signatures[0]');
+    }
+    this.transactions.set(signature, transaction);
+    this.slot = Math.max(this.slot, transaction.slot ?? 0);
+  }
+
+  /**
+   * Seed accounts and transactions from a fixture object
+   * @param {Object} fixture - { accounts: [...], transactions: [...] }
+   */
+  load(fixture) {
+    for (const account of fixture.accounts || []) {
+      if (!account.pubkey) {
+        throw new Error('Fixture account must include pubkey');
+      }
+      this.setAccount(account.pubkey, account);
+    }
+    for (const transaction of fixture.transactions || []) {
+      this.addTransaction(transaction);
+    }
+  }
+
+  /**
+   * Credit lamports and record a faucet transfer, like requestAirdrop
+   * @returns {string} Transaction signature
+   */
+  airdrop(pubkey, lamports) {
+    const signature = encodeBase58(Buffer.concat([
+      sha256(`airdrop:${this.airdrops}:${pubkey}:${lamports}`),
+      sha256(`airdrop:${this.airdrops}`)
+    ]));
+    this.airdrops++;
+    this.slot++;
+
+    const account = this.getAccount(pubkey);
+    const pre = account ? account.lamports : 0;
+    if (account) {
+      account.lamports += lamports;
+    } else {
+      this.setAccount(pubkey, { lamports });
+    }
+
+    this.addTransaction({
+      slot: this.slot,
+      blockTime: BLOCK_TIME + this.slot,
+      version: 'legacy',
+      transaction: {
+        signatures: [signature],
+        message: {
+          accountKeys: [
+            { pubkey: FAUCET, signer: true, writable: true, source: 'transaction' },
+            { pubkey, signer: false, writable: true, source: 'transaction' },
+            { pubkey: SYSTEM_PROGRAM, signer: false, writable: false, source: 'transaction' }
+          ],
+          recentBlockhash: BLOCKHASH,
+          instructions: [{
+            program: 'system',
+            programId: SYSTEM_PROGRAM,
+            parsed: { type: 'transfer', info: { source: FAUCET, destination: pubkey, lamports } },
+            stackHeight: null
+          }]
+        }
+      },
+      meta: {
+        err: null,
+        status: { Ok: null },
+        fee: SIGNATURE_FEE,
+        preBalances: [Number.MAX_SAFE_INTEGER, pre, 1],
+        postBalances: [Number.MAX_SAFE_INTEGER - lamports - SIGNATURE_FEE, pre + lamports, 1],
+        innerInstructions: [],
+        preTokenBalances: [],
+        postTokenBalances: [],
+        logMessages: [
+          `Program ${SYSTEM_PROGRAM} invoke [1]`,
+          `Program ${SYSTEM_PROGRAM} success`
+        ],
+        computeUnitsConsumed: 150
+      }
+    });
+
+    return signature;
+  }
+
+  /**
+   * Answer a JSON-RPC request
+   * @param {string} method - RPC method
+   * @param {Array} [params] - RPC params
+   * @returns {*} RPC result
+   */
+  handle(method, params = []) {
+    const context = { slot: this.slot };
+
+    switch (method) {
+      case 'getBalance': {
+        const account = this.getAccount(params[0]);
+        return { context, value: account ? account.lamports : 0 };
+      }
+      case 'getAccountInfo':
+        return { context, value: this.encodeAccount(params[0]) };
+      case 'getMultipleAccounts':
+        return { context, value: (params[0] || []).map(pubkey => this.encodeAccount(pubkey)) };
+      case 'getProgramAccounts':
+        return this.programAccounts(params[0], params[1]);
+      case 'getTokenAccountsByOwner':
+        return { context, value: this.tokenAccountsByOwner(params[0], params[1]) };
+      case 'requestAirdrop':
+        return this.airdrop(params[0], Number(params[1]));
+      case 'getSignatureStatuses':
+        return {
+          context,
+          value: (params[0] || []).map(signature => {
+            const transaction = this.transactions.get(signature);
+            return transaction ? {
+              slot: transaction.slot,
+              confirmations: null,
+              err: transaction.meta?.err ?? null,
+              status: transaction.meta?.err ? { Err: transaction.meta.err } : { Ok: null },
+              confirmationStatus: 'finalized'
+            } : null;
+          })
+        };
+      case 'getTransaction':
+        return this.transactions.get(params[0]) || null;
+      case 'getSignaturesForAddress':
+        return this.signaturesForAddress(params[0], params[1]);
+      case 'getLatestBlockhash':
+        return { context, value: { blockhash: BLOCKHASH, lastValidBlockHeight: this.slot + 150 } };
+      case 'getSlot':
+      case 'getBlockHeight':
+        return this.slot;
+      case 'getMinimumBalanceForRentExemption':
+        // Rent-exempt minimum: (128 + data size) bytes for two years at 3480 lamports/byte-year
+        return (128 + Number(params[0] || 0)) * 3480 * 2;
+      case 'getHealth':
+        return 'ok';
+      case 'getVersion':
+        return { 'solana-core': 'local-sim', 'feature-set': 0 };
+      default:
+        throw new LocalSimRpcError(-32601, `Method not supported by local-sim: ${method}`);
+    }
+  }
+
+  /**
+   * Accounts owned by a program, with getProgramAccounts dataSize/memcmp filters and dataSlice
+   */
+  programAccounts(programId, { filters = [], dataSlice = null } = {}) {
+    const matches = filter => account => {
+      if (filter.dataSize !== undefined) {
+        return account.data.length === filter.dataSize;
+      }
+      if (filter.memcmp) {
+        const { offset = 0, bytes, encoding = 'base58' } = filter.memcmp;
+        const expected = encoding === 'base64' ? Buffer.from(bytes, 'base64') : decodeBase58(bytes);
+        return account.data.subarray(offset, offset + expected.length).equals(expected);
+      }
+      throw new LocalSimRpcError(-32602, `Unsupported getProgramAccounts filter: ${JSON.stringify(filter)}`);
+    };
+
+    const owned = [...this.accounts.entries()]
+      .filter(([, account]) => account.owner === programId)
+      .filter(([, account]) => filters.every(filter => matches(filter)(account)));
+
+    return owned.map(([pubkey]) => ({ pubkey, account: this.encodeAccount(pubkey, dataSlice) }));
+  }
+
+  /**
+   * SPL Token and Token-2022 accounts of a wallet, filtered by { mint } or { programId }
+   */
+  tokenAccountsByOwner(owner, { mint = null, programId = null } = {}) {
+    return [...this.accounts.entries()]
+      .filter(([, account]) => TOKEN_PROGRAMS[account.owner] && isTokenAccountData(account.data))
+      .filter(([, account]) => encodeBase58(account.data.subarray(32, 64)) === owner)
+      .filter(([, account]) => mint
+        ? encodeBase58(account.data.subarray(0, 32)) === mint
+        : account.owner === programId)
+      .map(([pubkey]) => ({ pubkey, account: this.encodeAccount(pubkey) }));
+  }
+
+  /**
+   * Signatures of transactions referencing an address, newest first, with before/until/limit paging
+   */
+  signaturesForAddress(address, { before = null, until = null, limit = 1000 } = {}) {
+    const involving = [...this.transactions.entries()]
+      .filter(([, transaction]) => transaction.transaction.message.accountKeys
+        .some(key => (typeof key === 'string' ? key : key.pubkey) === address))
+      // Newest first; insertion order breaks ties within a slot
+      .map(([signature, transaction], order) => ({ signature, transaction, order }))
+      .sort((a, b) => (b.transaction.slot ?? 0) - (a.transaction.slot ?? 0) || b.order - a.order);
+
+    let start = 0;
+    if (before) {
+      start = involving.findIndex(entry => entry.signature === before) + 1;
+      if (start === 0) {
+        return [];
+      }
+    }
+    let end = involving.length;
+    if (until) {
+      const index = involving.findIndex(entry => entry.signature === until);
+      end = index === -1 ? end : index;
+    }
+
+    return involving.slice(start, Math.min(end, start + limit)).map(({ signature, transaction }) => ({
+      signature,
+      slot: transaction.slot,
+      err: transaction.meta?.err ?? null,
+      memo: null,
+      blockTime: transaction.blockTime ?? null,
+      confirmationStatus: 'finalized'
+    }));
+  }
+
+  encodeAccount(pubkey, dataSlice = null) {
+    const account = this.getAccount(pubkey);
+    if (!account) {
+      return null;
+    }
+    const data = dataSlice
+      ? account.data.subarray(dataSlice.offset, dataSlice.offset + dataSlice.length)
+      : account.data;
+    return {
+      lamports: account.lamports,
+      owner: account.owner,
+      data: [data.toString('base64'), 'base64'],
+      executable: account.executable,
+      rentEpoch: account.rentEpoch,
+      space: account.data.length
+    };
+  }
+}
+
+const ledger = new LocalLedger();
+
+/**
+ * The process-wide ledger behind cluster "local-sim"
+ * @returns {LocalLedger}
+ */
+export function getLocalLedger() {
+  return ledger;
+}
+
+/**
+ * Seed the local ledger from JSON fixture files
+ * @param {string[]} files - Fixture paths
+ * @param {string} [cwd] - Base directory for relative paths
+ */
+export async function loadLedgerFixtures(files, cwd = process.cwd()) {
+  for (const file of files) {
+    const resolved = path.resolve(cwd, file);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(resolved, 'utf8'));
+    } catch (e) {
+      throw new Error(`Failed to load ledger fixture ${resolved}: ${e.message}`);
+    }
+    ledger.load(fixture);
+  }
+}
+
+/**
+ * fetch() for Connection that answers JSON-RPC requests (single or batch) from a ledger
+ * @param {LocalLedger} target - Ledger to query
+ * @returns {Function}
+ */
+export function createLocalSimFetch(target = ledger) {
+  return async (_url, init) => {
+    const payload = JSON.parse(init.body);
+    const requests = Array.isArray(payload) ? payload : [payload];
+
+    const responses = requests.map(({ id, method, params }) => {
+      try {
+        return { jsonrpc: '2.0', id, result: target.handle(method, params) };
+      } catch (err) {
+        return {
+          jsonrpc: '2.0',
+          id,
+          error: { code: err.code ?? -32603, message: err.message }
+        };
+      }
+    });
+
+    return new Response(JSON.stringify(Array.isArray(payload) ? responses : responses[0]), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+}
+
+function toBuffer(data) {
+  if (!data) {
+    return Buffer.alloc(0);
+  }
+  if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+    return Buffer.from(data);
+  }
+  if (Array.isArray(data)) {
+    // [data, encoding] as returned by the RPC, or raw bytes
+    return typeof data[0] === 'string' ? Buffer.from(data[0], data[1] || 'base64') : Buffer.from(data);
+  }
+  return Buffer.from(data, 'base64');
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
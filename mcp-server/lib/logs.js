@@ -0,0 +1,64 @@
+/**
+ * Program Log Parsing
+ * Rebuilds program invocations from transaction log messages
+ * ("Program <id> invoke [n]" ... "consumed" ... "success"/"failed")
+ */
+
+const INVOKE = /^Program (\w+) invoke \[(\d+)\]$/;
+const CONSUMED = /^Program (\w+) consumed (\d+) of (\d+) compute units$/;
+const SUCCESS = /^Program (\w+) success$/;
+const FAILED = /^Program (\w+) failed: (.*)$/;
+const DATA_PREFIX = 'Program data: ';
+
+/**
+ * Parse log messages into program invocations, in execution order
+ * @param {string[]} logs - Transaction log messages
+ * @returns {Object[]} Invocations as { index, parent, programId, depth, status, error,
+ *   computeUnits, logs, data } where data holds base64 "Program data:" payloads
+ */
+export function parseInvocationLogs(logs = []) {
+  const invocations = [];
+  const stack = [];
+
+  for (const line of logs) {
+    const current = stack[stack.length - 1];
+    let match;
+
+    if ((match = line.match(INVOKE))) {
+      const invocation = {
+        index: invocations.length,
+        parent: current ? current.index : null,
+        programId: match[1],
+        depth: Number(match[2]),
+        status: 'incomplete',
+        error: null,
+        computeUnits: null,
+        logs: [],
+        data: []
+      };
+      invocations.push(invocation);
+      stack.push(invocation);
+    } else if ((match = line.match(CONSUMED))) {
+      if (current && current.programId === match[1]) {
+        current.computeUnits = { consumed: Number(match[2]), limit: Number(match[3]) };
+      }
+    } else if ((match = line.match(SUCCESS))) {
+      if (current && current.programId === match[1]) {
+        current.status = 'success';
+        stack.pop();
+      }
+    } else if ((match = line.match(FAILED))) {
+      if (current && current.programId === match[1]) {
+        current.status = 'failed';
+        current.error = match[2];
+        stack.pop();
+      }
+    } else if (current && line.startsWith(DATA_PREFIX)) {
+      current.data.push(...line.slice(DATA_PREFIX.length).split(' ').filter(Boolean));
+    } else if (current) {
+      current.logs.push(line);
+    }
+  }
+
+  return invocations;
+}
@@ -0,0 +1,198 @@
+/**
+ * Program Loader Introspection
+ * Locates a program's deployed bytecode across the BPF loaders (v1, v2,
+ * upgradeable and v4) and measures/hashes the ELF it contains
+ *
+ * Upgradeable programs keep a 36-byte pointer in the program account; the ELF
+ * lives in the ProgramData account after a 45-byte header. Loader v4 programs
+ * keep a 48-byte header and the ELF in the program account itself, and v1/v2
+ * programs are the bare ELF. Deployed accounts are usually larger than the ELF
+ * (`solana program deploy --max-len`), so the ELF size is read from its header.
+ */
+
+import { createHash } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { BorshReader, decodeFields } from './borsh.js';
+
+export const BPF_LOADER_V1_ID = 'BPFLoader1111111111111111111111111111111111';
+export const BPF_LOADER_V2_ID = 'BPFLoader2111111111111111111111111111111111';
+export const BPF_LOADER_UPGRADEABLE_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+export const LOADER_V4_ID = 'LoaderV411111111111111111111111111111111111';
+
+// Loader ID -> name used in tool results
+export const LOADERS = {
+  [BPF_LOADER_V1_ID]: 'v1',
+  [BPF_LOADER_V2_ID]: 'v2',
+  [BPF_LOADER_UPGRADEABLE_ID]: 'upgradeable',
+  [LOADER_V4_ID]: 'v4'
+};
+
+export const PROGRAM_DATA_HEADER_SIZE = 45;
+export const LOADER_V4_HEADER_SIZE = 48;
+
+// UpgradeableLoaderState variants (bincode u32 tag)
+const UPGRADEABLE_STATES = ['uninitialized', 'buffer', 'program', 'programData'];
+const UPGRADEABLE_FIELDS = {
+  uninitialized: [],
+  buffer: [{ name: 'authority', type: { option: 'pubkey' } }],
+  program: [{ name: 'programDataAddress', type: 'pubkey' }],
+  programData: [
+    { name: 'slot', type: 'u64' },
+    { name: 'upgradeAuthority', type: { option: 'pubkey' } }
+  ]
+};
+
+const LOADER_V4_FIELDS = [
+  { name: 'slot', type: 'u64' },
+  { name: 'authority', type: 'pubkey' },
+  { name: 'status', type: 'u64' }
+];
+const LOADER_V4_STATUSES = ['retracted', 'deployed', 'finalized'];
+
+const ELF_MAGIC = Buffer.from([0x7f, 0x45, 0x4c, 0x46]);
+const ELF_HEADER_SIZE = 64;
+
+/**
+ * Decode the state of an account owned by the upgradeable loader
+ * @param {Buffer|Uint8Array} data - Account data
+ * @returns {Object} { state, ...fields } (state: uninitialized, buffer, program or programData)
+ */
+export function decodeUpgradeableState(data) {
+  const reader = new BorshReader(data);
+  const tag = reader.readU32();
+  const state = UPGRADEABLE_STATES[tag];
+  if (!state) {
+    throw new Error(`Unknown upgradeable loader state ${tag}`);
+  }
+  return { state, ...decodeFields({}, UPGRADEABLE_FIELDS[state], reader) };
+}
+
+/**
+ * Decode the header of a loader v4 program account
+ * @param {Buffer|Uint8Array} data - Account data
+ * @returns {Object} { slot, authority, status }
+ */
+export function decodeLoaderV4State(data) {
+  const { slot, authority, status } = decodeFields({}, LOADER_V4_FIELDS, new BorshReader(data));
+  return { slot, authority, status: LOADER_V4_STATUSES[Number(status)] || `unknown(${status})` };
+}
+
+/**
+ * Size of an ELF64 file from its header: the section header table is last,
+ * so the file ends at e_shoff + e_shnum * e_shentsize
+ * @param {Buffer} bytes - Bytes starting at the ELF header
+ * @returns {number|null} ELF size, or null when the bytes are not a valid ELF64 header
+ */
+export function elfSize(bytes) {
+  if (bytes.length < ELF_HEADER_SIZE || !bytes.subarray(0, 4).equals(ELF_MAGIC)) {
+    return null;
+  }
+  const shoff = bytes.readBigUInt64LE(0x28);
+  const shentsize = bytes.readUInt16LE(0x3a);
+  const shnum = bytes.readUInt16LE(0x3c);
+  const size = Number(shoff) + shnum * shentsize;
+  return size >= ELF_HEADER_SIZE && size <= bytes.length ? size : null;
+}
+
+/**
+ * Measure and hash program bytecode
+ * @param {Buffer} bytes - Bytecode region of the program (or ProgramData) account
+ * @returns {Object} { elfSize, hashedSize, sha256 } (hashes the whole region when
+ *   the ELF header cannot be read)
+ */
+export function hashBytecode(bytes) {
+  const size = elfSize(bytes);
+  const hashed = size === null ? bytes : bytes.subarray(0, size);
+  return {
+    elfSize: size,
+    hashedSize: hashed.length,
+    sha256: createHash('sha256').update(hashed).digest('hex')
+  };
+}
+
+/**
+ * Drop the zero padding after the bytecode (deployed accounts are allocated
+ * larger than the ELF)
+ * @param {Buffer} bytes
+ * @returns {Buffer} View of bytes without trailing zeros
+ */
+export function stripTrailingZeros(bytes) {
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) {
+    end--;
+  }
+  return bytes.subarray(0, end);
+}
+
+/**
+ * Locate a program's loader state and deployed bytecode
+ * @param {Connection} connection - RPC connection
+ * @param {PublicKey} programId - Program account
+ * @param {Object} accountInfo - The program account (from getAccountInfo)
+ * @returns {Promise<Object>} { loader, loaderId, programDataAddress, programDataSize,
+ *   upgradeable, upgradeAuthority, lastDeployedSlot, status, bytecode }; bytecode is
+ *   null when the program's ProgramData account is gone (closed program)
+ */
+export async function fetchProgramBytecode(connection, programId, accountInfo) {
+  const loaderId = accountInfo.owner.toBase58();
+  const loader = LOADERS[loaderId];
+  if (!loader) {
+    throw new Error(`${programId.toBase58()} is owned by ${loaderId}, which is not a BPF loader`);
+  }
+
+  const data = Buffer.from(accountInfo.data);
+  const program = {
+    loader,
+    loaderId,
+    programDataAddress: null,
+    programDataSize: null,
+    upgradeable: false,
+    upgradeAuthority: null,
+    lastDeployedSlot: null,
+    status: null,
+    bytecode: null
+  };
+
+  switch (loader) {
+    case 'v1':
+    case 'v2':
+      program.bytecode = data;
+      return program;
+
+    case 'v4': {
+      const state = decodeLoaderV4State(data);
+      const finalized = state.status === 'finalized';
+      program.status = state.status;
+      program.lastDeployedSlot = Number(state.slot);
+      program.upgradeable = !finalized;
+      // Finalized programs reuse the authority field for the next version
+      program.upgradeAuthority = finalized ? null : state.authority;
+      program.bytecode = data.subarray(LOADER_V4_HEADER_SIZE);
+      return program;
+    }
+
+    default: {
+      const state = decodeUpgradeableState(data);
+      if (state.state !== 'program') {
+        throw new Error(`${programId.toBase58()} is an upgradeable loader ${state.state} account, not a program`);
+      }
+      program.programDataAddress = state.programDataAddress;
+
+      const programData = await connection.getAccountInfo(new PublicKey(state.programDataAddress));
+      if (!programData) {
+        return program;
+      }
+      const header = decodeUpgradeableState(programData.data);
+      if (header.state !== 'programData') {
+        throw new Error(`${state.programDataAddress} is not a ProgramData account`);
+      }
+
+      program.programDataSize = programData.data.length;
+      program.lastDeployedSlot = Number(header.slot);
+      program.upgradeable = header.upgradeAuthority !== null;
+      program.upgradeAuthority = header.upgradeAuthority;
+      program.bytecode = Buffer.from(programData.data).subarray(PROGRAM_DATA_HEADER_SIZE);
+      return program;
+    }
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * SPL Token Account Decoding
+ * Decodes mint and token accounts of the Token (Tokenkeg) and Token-2022
+ * programs, including Token-2022 extensions
+ *
+ * Base layouts are described as IDL fields and decoded with borsh.js.
+ * Token-2022 accounts longer than the base token account (165 bytes) carry an
+ * account type byte at offset 165 followed by type-length-value extensions.
+ */
+
+import { BorshReader, decodeFields } from './borsh.js';
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+// Program ID -> name used in tool results
+export const TOKEN_PROGRAMS = {
+  [TOKEN_PROGRAM_ID]: 'spl-token',
+  [TOKEN_2022_PROGRAM_ID]: 'spl-token-2022'
+};
+
+export const MINT_SIZE = 82;
+export const TOKEN_ACCOUNT_SIZE = 165;
+
+const ACCOUNT_TYPE_MINT = 1;
+const ACCOUNT_TYPE_ACCOUNT = 2;
+
+// All-zero public key, used by Token-2022 for "no authority"
+const NONE = '11111111111111111111111111111111';
+
+const ACCOUNT_STATES = ['uninitialized', 'initialized', 'frozen'];
+
+const MINT_FIELDS = [
+  { name: 'mintAuthority', type: { coption: 'pubkey' } },
+  { name: 'supply', type: 'u64' },
+  { name: 'decimals', type: 'u8' },
+  { name: 'isInitialized', type: 'bool' },
+  { name: 'freezeAuthority', type: { coption: 'pubkey' } }
+];
+
+const TOKEN_ACCOUNT_FIELDS = [
+  { name: 'mint', type: 'pubkey' },
+  { name: 'owner', type: 'pubkey' },
+  { name: 'amount', type: 'u64' },
+  { name: 'delegate', type: { coption: 'pubkey' } },
+  { name: 'state', type: 'u8' },
+  { name: 'isNative', type: { coption: 'u64' } },
+  { name: 'delegatedAmount', type: 'u64' },
+  { name: 'closeAuthority', type: { coption: 'pubkey' } }
+];
+
+// Types referenced by extension layouts
+const EXTENSION_TYPES = {
+  types: [
+    {
+      name: 'TransferFee',
+      type: {
+        kind: 'struct',
+        fields: [
+          { name: 'epoch', type: 'u64' },
+          { name: 'maximumFee', type: 'u64' },
+          { name: 'transferFeeBasisPoints', type: 'u16' }
+        ]
+      }
+    },
+    { name: 'KeyValue', type: { kind: 'struct', fields: ['string', 'string'] } }
+  ]
+};
+
+// Extension type -> [name, fields]; extensions without fields are reported as raw data
+const EXTENSIONS = {
+  1: ['transferFeeConfig', [
+    { name: 'transferFeeConfigAuthority', type: 'pubkey' },
+    { name: 'withdrawWithheldAuthority', type: 'pubkey' },
+    { name: 'withheldAmount', type: 'u64' },
+    { name: 'olderTransferFee', type: { defined: 'TransferFee' } },
+    { name: 'newerTransferFee', type: { defined: 'TransferFee' } }
+  ]],
+  2: ['transferFeeAmount', [{ name: 'withheldAmount', type: 'u64' }]],
+  3: ['mintCloseAuthority', [{ name: 'closeAuthority', type: 'pubkey' }]],
+  4: ['confidentialTransferMint'],
+  5: ['confidentialTransferAccount'],
+  6: ['defaultAccountState', [{ name: 'state', type: 'u8' }]],
+  7: ['immutableOwner', []],
+  8: ['memoTransfer', [{ name: 'requireIncomingTransferMemos', type: 'bool' }]],
+  9: ['nonTransferable', []],
+  10: ['interestBearingConfig', [
+    { name: 'rateAuthority', type: 'pubkey' },
+    { name: 'initializationTimestamp', type: 'i64' },
+    { name: 'preUpdateAverageRate', type: 'i16' },
+    { name: 'lastUpdateTimestamp', type: 'i64' },
+    { name: 'currentRate', type: 'i16' }
+  ]],
+  11: ['cpiGuard', [{ name: 'lockCpi', type: 'bool' }]],
+  12: ['permanentDelegate', [{ name: 'delegate', type: 'pubkey' }]],
+  13: ['nonTransferableAccount', []],
+  14: ['transferHook', [
+    { name: 'authority', type: 'pubkey' },
+    { name: 'programId', type: 'pubkey' }
+  ]],
+  15: ['transferHookAccount', [{ name: 'transferring', type: 'bool' }]],
+  16: ['confidentialTransferFeeConfig'],
+  17: ['confidentialTransferFeeAmount'],
+  18: ['metadataPointer', [
+    { name: 'authority', type: 'pubkey' },
+    { name: 'metadataAddress', type: 'pubkey' }
+  ]],
+  19: ['tokenMetadata', [
+    { name: 'updateAuthority', type: 'pubkey' },
+    { name: 'mint', type: 'pubkey' },
+    { name: 'name', type: 'string' },
+    { name: 'symbol', type: 'string' },
+    { name: 'uri', type: 'string' },
+    { name: 'additionalMetadata', type: { vec: { defined: 'KeyValue' } } }
+  ]],
+  20: ['groupPointer', [
+    { name: 'authority', type: 'pubkey' },
+    { name: 'groupAddress', type: 'pubkey' }
+  ]],
+  21: ['tokenGroup', [
+    { name: 'updateAuthority', type: 'pubkey' },
+    { name: 'mint', type: 'pubkey' },
+    { name: 'size', type: 'u64' },
+    { name: 'maxSize', type: 'u64' }
+  ]],
+  22: ['groupMemberPointer', [
+    { name: 'authority', type: 'pubkey' },
+    { name: 'memberAddress', type: 'pubkey' }
+  ]],
+  23: ['tokenGroupMember', [
+    { name: 'mint', type: 'pubkey' },
+    { name: 'group', type: 'pubkey' },
+    { name: 'memberNumber', type: 'u64' }
+  ]],
+  24: ['confidentialMintBurn'],
+  25: ['scaledUiAmountConfig', [
+    { name: 'authority', type: 'pubkey' },
+    { name: 'multiplier', type: 'f64' },
+    { name: 'newMultiplierEffectiveTimestamp', type: 'i64' },
+    { name: 'newMultiplier', type: 'f64' }
+  ]],
+  26: ['pausableConfig', [
+    { name: 'authority', type: 'pubkey' },
+    { name: 'paused', type: 'bool' }
+  ]],
+  27: ['pausableAccount', []]
+};
+
+/**
+ * Decode a mint account
+ * @param {Buffer|Uint8Array} data - Account data
+ * @returns {Object} { mintAuthority, supply, decimals, isInitialized, freezeAuthority, extensions }
+ */
+export function decodeMint(data) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < MINT_SIZE) {
+    throw new Error(`Mint data is ${buffer.length} bytes, expected at least ${MINT_SIZE}`);
+  }
+
+  return {
+    ...decodeFields(EXTENSION_TYPES, MINT_FIELDS, new BorshReader(buffer)),
+    extensions: decodeExtensions(buffer, ACCOUNT_TYPE_MINT)
+  };
+}
+
+/**
+ * Decode a token account
+ * @param {Buffer|Uint8Array} data - Account data
+ * @returns {Object} { mint, owner, amount, delegate, state, isNative, delegatedAmount, closeAuthority, extensions }
+ */
+export function decodeTokenAccount(data) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < TOKEN_ACCOUNT_SIZE) {
+    throw new Error(`Token account data is ${buffer.length} bytes, expected at least ${TOKEN_ACCOUNT_SIZE}`);
+  }
+
+  const account = decodeFields(EXTENSION_TYPES, TOKEN_ACCOUNT_FIELDS, new BorshReader(buffer));
+  return {
+    ...account,
+    state: ACCOUNT_STATES[account.state] || `unknown(${account.state})`,
+    extensions: decodeExtensions(buffer, ACCOUNT_TYPE_ACCOUNT)
+  };
+}
+
+/**
+ * Whether account data is a token account rather than a mint
+ * (mints are 82 bytes, or extended Token-2022 mints tagged with account type 1)
+ */
+export function isTokenAccountData(data) {
+  return data.length === TOKEN_ACCOUNT_SIZE || (data.length > TOKEN_ACCOUNT_SIZE && data[TOKEN_ACCOUNT_SIZE] === ACCOUNT_TYPE_ACCOUNT);
+}
+
+/**
+ * Format a raw token amount with its mint decimals ("-1.5" for -1500000 at 6 decimals)
+ * @param {bigint|string} amount - Raw amount
+ * @param {number} decimals - Mint decimals
+ * @returns {string}
+ */
+export function formatTokenAmount(amount, decimals) {
+  const value = BigInt(amount);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Decode the Token-2022 extensions following the base layout
+ */
+function decodeExtensions(buffer, accountType) {
+  if (buffer.length <= TOKEN_ACCOUNT_SIZE) {
+    return [];
+  }
+  if (buffer[TOKEN_ACCOUNT_SIZE] !== accountType) {
+    throw new Error(`Unexpected account type ${buffer[TOKEN_ACCOUNT_SIZE]} at offset ${TOKEN_ACCOUNT_SIZE}`);
+  }
+
+  const extensions = [];
+  let offset = TOKEN_ACCOUNT_SIZE + 1;
+
+  while (offset + 4 <= buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const length = buffer.readUInt16LE(offset + 2);
+    offset += 4;
+    // Type 0 marks unused space at the end of the account
+    if (type === 0) {
+      break;
+    }
+
+    const value = buffer.subarray(offset, offset + length);
+    offset += length;
+
+    const [name, fields] = EXTENSIONS[type] || [`unknown(${type})`];
+    if (!fields) {
+      extensions.push({ extension: name, data: value.toString('base64') });
+      continue;
+    }
+
+    try {
+      extensions.push({ extension: name, ...withoutEmptyKeys(decodeFields(EXTENSION_TYPES, fields, new BorshReader(value))) });
+    } catch (err) {
+      extensions.push({ extension: name, data: value.toString('base64'), decodeError: err.message });
+    }
+  }
+
+  return extensions.map(extension => extension.extension === 'defaultAccountState'
+    ? { ...extension, state: ACCOUNT_STATES[extension.state] || `unknown(${extension.state})` }
+    : extension);
+}
+
+/**
+ * Token-2022 stores optional authorities as the all-zero key; report them as null
+ */
+function withoutEmptyKeys(decoded) {
+  return Object.fromEntries(Object.entries(decoded).map(([key, value]) => [key, value === NONE ? null : value]));
+}
@@ -0,0 +1,158 @@
+/**
+ * Tool Registry
+ * Holds the tools exposed over MCP and loads in-house tool plugins
+ *
+ * A tool is { name, description, inputSchema, handler } where handler is an
+ * async function receiving the tools/call arguments and the server context
+ * ({ connections }: pass it to getConnection so calls use the server's RPC settings).
+ *
+ * A plugin is an ES module (file or npm package) that either:
+ * - exports `tools`, or default-exports an array of tool definitions, or
+ * - default-exports (or exports `register`) a function called with the registry
+ */
+
+import { promises as fs } from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Create an empty tool registry
+ * @param {Object} [options]
+ * @param {Function} [options.isEnabled] - (name) => boolean; disabled tools are validated but not registered
+ * @returns {Object} Registry with registerTool, getTool, listTools
+ */
+export function createToolRegistry(options = {}) {
+  const { isEnabled = () => true } = options;
+  const tools = new Map();
+
+  return {
+    /**
+     * Register a tool
+     * @param {Object} tool
+     * @param {string} tool.name - Unique tool name
+     * @param {string} tool.description - Description shown in tools/list
+     * @param {Object} tool.inputSchema - JSON Schema for the tool arguments
+     * @param {Function} tool.handler - Async function called with the arguments and the server context
+     */
+    registerTool(tool) {
+      const { name, description, inputSchema, handler } = tool || {};
+
+      if (!name || typeof name !== 'string') {
+        throw new Error('Tool name is required');
+      }
+      if (typeof handler !== 'function') {
+        throw new Error(`Tool ${name} must provide a handler function`);
+      }
+      if (!inputSchema || typeof inputSchema !== 'object') {
+        throw new Error(`Tool ${name} must provide an inputSchema object`);
+      }
+      if (tools.has(name)) {
+        throw new Error(`Tool already registered: ${name}`);
+      }
+      if (!isEnabled(name)) {
+        return;
+      }
+
+      tools.set(name, {
+        name,
+        description: description || '',
+        inputSchema,
+        handler
+      });
+    },
+
+    getTool(name) {
+      return tools.get(name) || null;
+    },
+
+    /**
+     * Tool definitions as returned by tools/list (without handlers)
+     */
+    listTools() {
+      return [...tools.values()].map(({ name, description, inputSchema }) => ({
+        name,
+        description,
+        inputSchema
+      }));
+    }
+  };
+}
+
+/**
+ * Load plugins into a registry
+ * @param {Object} registry - Registry from createToolRegistry
+ * @param {Object} options
+ * @param {string[]} [options.plugins] - Module paths or npm package names
+ * @param {string} [options.pluginDir] - Directory whose .js/.mjs files are loaded as plugins
+ * @param {string} [options.cwd] - Base directory for relative paths and package resolution
+ * @returns {Promise<string[]>} Names of the tools added by plugins
+ */
+export async function loadPlugins(registry, options = {}) {
+  const { plugins = [], pluginDir = null, cwd = process.cwd() } = options;
+  const specifiers = [...plugins];
+
+  if (pluginDir) {
+    const dir = path.resolve(cwd, pluginDir);
+    const entries = (await fs.readdir(dir)).sort();
+    for (const entry of entries) {
+      if (PLUGIN_EXTENSIONS.includes(path.extname(entry))) {
+        specifiers.push(path.join(dir, entry));
+      }
+    }
+  }
+
+  const before = new Set(registry.listTools().map(tool => tool.name));
+
+  for (const specifier of specifiers) {
+    let mod;
+    try {
+      mod = await import(resolvePluginUrl(specifier, cwd));
+    } catch (e) {
+      throw new Error(`Failed to load plugin ${specifier}: ${e.message}`);
+    }
+    await applyPlugin(registry, mod, specifier);
+  }
+
+  return registry.listTools()
+    .map(tool => tool.name)
+    .filter(name => !before.has(name));
+}
+
+async function applyPlugin(registry, mod, specifier) {
+  const register = typeof mod.register === 'function' ? mod.register
+    : typeof mod.default === 'function' ? mod.default
+    : null;
+  const tools = Array.isArray(mod.tools) ? mod.tools
+    : Array.isArray(mod.default) ? mod.default
+    : null;
+
+  if (register) {
+    await register(registry);
+  } else if (tools) {
+    for (const tool of tools) {
+      registry.registerTool(tool);
+    }
+  } else {
+    throw new Error(`Plugin ${specifier} exports neither tools nor a register function`);
+  }
+}
+
+/**
+ * Resolve a plugin specifier: paths relative to cwd, package names from cwd's node_modules
+ */
+function resolvePluginUrl(specifier, cwd) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return pathToFileURL(path.resolve(cwd, specifier)).href;
+  }
+
+  const require = createRequire(path.join(cwd, 'package.json'));
+  try {
+    return pathToFileURL(require.resolve(specifier)).href;
+  } catch (e) {
+    // ESM-only packages without a require condition: let import() resolve it
+    return specifier;
+  }
+}
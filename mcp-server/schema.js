@@ -0,0 +1,154 @@
+/**
+ * JSON Schema Validation
+ * Validates tool arguments against the inputSchema declared by each tool
+ *
+ * Supports the subset of JSON Schema used by tool schemas: type, enum, const,
+ * properties, required, additionalProperties, items, minItems/maxItems,
+ * minimum/maximum, exclusiveMinimum/exclusiveMaximum, minLength/maxLength,
+ * pattern, anyOf and oneOf. Unknown keywords are ignored.
+ */
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [path='arguments'] - Path of the value, used in violation messages
+ * @returns {Object[]} Violations as { path, message } (empty when valid)
+ */
+export function validateSchema(schema, value, path = 'arguments') {
+  const errors = [];
+  validate(schema, value, path, errors);
+  return errors;
+}
+
+function validate(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${describeType(value)}` });
+      // Further keywords assume the declared type
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push({ path, message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validate(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (propValue === undefined) {
+        continue;
+      }
+      if (properties[key]) {
+        validate(properties[key], propValue, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validate(schema.additionalProperties, propValue, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(option, value, path).length === 0)) {
+    errors.push({ path, message: 'must match at least one allowed schema' });
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(option, value, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path, message: 'must match exactly one allowed schema' });
+    }
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
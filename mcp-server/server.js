@@ -1,219 +1,76 @@
 /**
  * MCP Server Implementation
- * Handles MCP protocol messages and routes to appropriate tools
- * 
- * Tool Set (8 tools):
- * - Live Solana RPC (5): fund_wallet, get_balance, get_account_info, get_program_info, get_transaction
- * - Deterministic Crypto (2): compute_discriminator, derive_pda
- * - Scaffolding (1): anchor_scaffold
+ * Handles MCP protocol messages and routes tool calls through the tool registry
+ * (built-in tools live in builtin-tools.js, in-house tools load as plugins)
  */
 
-import { scaffoldProgram } from './tools/scaffold.js';
-import { fundWallet } from './tools/fund-wallet.js';
-import { getBalance } from './tools/get-balance.js';
-import { getAccountInfo } from './tools/get-account-info.js';
-import { getProgramInfo } from './tools/get-program-info.js';
-import { parseTransaction } from './tools/parse-transaction.js';
-import { computeDiscriminator } from './tools/compute-discriminator.js';
-import { derivePda } from './tools/derive-pda.js';
+import { BUILTIN_TOOLS, RPC_CLUSTERS } from './builtin-tools.js';
+import { createToolRegistry, loadPlugins } from './registry.js';
+import { validateSchema } from './schema.js';
+import { loadConfig, isToolEnabled } from './config.js';
+import { createConnectionContext } from './lib/connection.js';
+import { loadLedgerFixtures } from './lib/local-sim.js';
+import {
+  JsonRpcError,
+  INVALID_REQUEST,
+  METHOD_NOT_FOUND,
+  INVALID_PARAMS,
+  INTERNAL_ERROR
+} from './errors.js';
 
-const TOOLS = [
-  {
-    name: 'anchor_scaffold',
-    description: 'Generate Anchor program boilerplate with best practices',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        programName: {
-          type: 'string',
-          description: 'Name of the program (e.g., "token-vault")'
-        },
-        features: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Features to include: ["pda", "cpi", "token"]'
-        }
-      },
-      required: ['programName']
-    }
-  },
-  {
-    name: 'solana_fund_wallet',
-    description: 'Airdrop SOL to a wallet on devnet or testnet',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        publicKey: {
-          type: 'string',
-          description: 'Public key to receive SOL (base58)'
-        },
-        cluster: {
-          type: 'string',
-          enum: ['devnet', 'testnet'],
-          description: 'Solana cluster (default: devnet)'
-        },
-        amount: {
-          type: 'number',
-          description: 'Amount of SOL to airdrop (default: 2, max: 5)'
-        },
-        rpcUrl: {
-          type: 'string',
-          description: 'Custom RPC URL (optional)'
-        }
-      },
-      required: ['publicKey']
-    }
-  },
-  {
-    name: 'solana_get_balance',
-    description: 'Get SOL balance for a public key',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        publicKey: {
-          type: 'string',
-          description: 'Public key to check (base58)'
-        },
-        cluster: {
-          type: 'string',
-          enum: ['devnet', 'testnet', 'mainnet-beta', 'localhost'],
-          description: 'Solana cluster (default: devnet)'
-        },
-        rpcUrl: {
-          type: 'string',
-          description: 'Custom RPC URL (optional)'
-        }
-      },
-      required: ['publicKey']
-    }
-  },
-  {
-    name: 'solana_get_account_info',
-    description: 'Fetch account information from Solana blockchain',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        publicKey: {
-          type: 'string',
-          description: 'Account public key (base58)'
-        },
-        cluster: {
-          type: 'string',
-          enum: ['devnet', 'testnet', 'mainnet-beta', 'localhost'],
-          description: 'Solana cluster (default: devnet)'
-        },
-        rpcUrl: {
-          type: 'string',
-          description: 'Custom RPC URL (optional)'
-        },
-        encoding: {
-          type: 'string',
-          enum: ['base64', 'base58', 'jsonParsed'],
-          description: 'Data encoding (default: base64)'
-        }
-      },
-      required: ['publicKey']
-    }
-  },
-  {
-    name: 'solana_get_program_info',
-    description: 'Check if a program is deployed on Solana (pure RPC, no CLI)',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        programId: {
-          type: 'string',
-          description: 'Program ID (base58 public key)'
-        },
-        cluster: {
-          type: 'string',
-          enum: ['devnet', 'testnet', 'mainnet-beta', 'localhost'],
-          description: 'Solana cluster (default: devnet)'
-        },
-        rpcUrl: {
-          type: 'string',
-          description: 'Custom RPC URL (optional)'
-        }
-      },
-      required: ['programId']
-    }
-  },
-  {
-    name: 'solana_get_transaction',
-    description: 'Fetch and parse a Solana transaction with logs and instructions',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        signature: {
-          type: 'string',
-          description: 'Transaction signature (base58)'
-        },
-        cluster: {
-          type: 'string',
-          enum: ['devnet', 'testnet', 'mainnet-beta', 'localhost'],
-          description: 'Solana cluster (default: devnet)'
-        },
-        rpcUrl: {
-          type: 'string',
-          description: 'Custom RPC URL (optional)'
-        }
-      },
-      required: ['signature']
-    }
-  },
-  {
-    name: 'solana_compute_discriminator',
-    description: 'Compute Anchor instruction discriminator using SHA-256',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        instructionName: {
-          type: 'string',
-          description: 'Instruction name (e.g., "initialize", "transfer")'
-        },
-        namespace: {
-          type: 'string',
-          description: 'Namespace (default: "global")'
-        }
-      },
-      required: ['instructionName']
-    }
-  },
-  {
-    name: 'solana_derive_pda',
-    description: 'Derive a Program Derived Address (PDA) from seeds and program ID',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        programId: {
-          type: 'string',
-          description: 'Program ID (base58 public key)'
-        },
-        seeds: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Array of seed strings (will be UTF-8 encoded)'
-        },
-        seedBytes: {
-          type: 'array',
-          items: {
-            type: 'array',
-            items: { type: 'number' }
-          },
-          description: 'Array of raw byte arrays (for non-UTF8 seeds)'
-        }
-      },
-      required: ['programId']
-    }
+/**
+ * Create an MCP server
+ * @param {Object} [options]
+ * @param {Object[]} [options.tools] - Extra tool definitions ({ name, description, inputSchema, handler })
+ * @param {string[]} [options.plugins] - Plugin module paths or npm package names
+ * @param {string} [options.pluginDir] - Directory of plugin modules
+ * @param {string} [options.configPath] - Config file (default: ./solagent-forge.config.json if present)
+ * @param {Object} [options.config] - Settings overriding the config file and env (e.g. from CLI flags)
+ * @returns {Promise<Object>} Server with handleMessage, registerTool, listTools, the loaded config
+ *   and its connection context
+ */
+export async function createServer(options = {}) {
+  const { tools = [], plugins = [], pluginDir = null, configPath = null } = options;
+  const config = await loadConfig({ configPath, overrides: options.config });
+
+  // Endpoints, retries and cassette apply to this server's tool calls only
+  const connections = createConnectionContext({
+    endpoints: config.rpc,
+    retry: config.rateLimit,
+    commitment: config.commitment,
+    cassette: config.cassette
+  });
+  await loadLedgerFixtures(config.localSim.fixtures);
+
+  // Filled into tool calls that omit them, for tools whose schema declares the argument
+  const argumentDefaults = {
+    cluster: config.cluster,
+    outputDir: config.scaffoldRoot
+  };
+
+  const registry = createToolRegistry({ isEnabled: name => isToolEnabled(config, name) });
+
+  // Clusters defined only in the rpc map are valid for RPC tools too
+  const customClusters = Object.keys(config.rpc).filter(cluster => !RPC_CLUSTERS.includes(cluster));
+  for (const tool of [...BUILTIN_TOOLS.map(tool => withClusters(tool, customClusters)), ...tools]) {
+    registry.registerTool(tool);
   }
-];
+  await loadPlugins(registry, { plugins, pluginDir });
 
-export async function createServer() {
   return {
+    config,
+    connections,
+    registerTool: registry.registerTool,
+    listTools: registry.listTools,
+
     async handleMessage(message) {
-      const { method, params, id } = message;
+      const { method, params, id = null } = message || {};
       
       try {
+        if (typeof method !== 'string') {
+          throw new JsonRpcError(INVALID_REQUEST, 'Invalid Request: method must be a string');
+        }
+        
         switch (method) {
           case 'initialize':
             return {
@@ -234,56 +91,35 @@ export async function createServer() {
           case 'tools/list':
             return {
               jsonrpc: '2.0',
-              result: { tools: TOOLS },
+              result: { tools: registry.listTools() },
               id
             };
           
           case 'tools/call':
             if (!params || !params.name) {
-              throw new Error('tools/call requires params.name');
+              throw new JsonRpcError(INVALID_PARAMS, 'tools/call requires params.name');
+            }
+            const { name, arguments: rawArgs = {} } = params;
+            const tool = registry.getTool(name);
+            
+            if (!tool) {
+              throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
             }
-            const { name, arguments: args = {} } = params;
-            let result;
             
-            switch (name) {
-              case 'anchor_scaffold':
-                result = await scaffoldProgram(args);
-                break;
-              case 'solana_fund_wallet':
-                result = await fundWallet(args);
-                break;
-              case 'solana_get_balance':
-                result = await getBalance(args);
-                break;
-              case 'solana_get_account_info':
-                result = await getAccountInfo(args);
-                break;
-              case 'solana_get_program_info':
-                result = await getProgramInfo(args);
-                break;
-              case 'solana_get_transaction':
-                result = await parseTransaction(args);
-                break;
-              case 'solana_compute_discriminator':
-                result = await computeDiscriminator(args);
-                break;
-              case 'solana_derive_pda':
-                result = await derivePda(args);
-                break;
-              default:
-                throw new Error(`Unknown tool: ${name}`);
+            const args = applyArgumentDefaults(tool.inputSchema, rawArgs, argumentDefaults);
+            
+            // Enforce the declared inputSchema before the handler runs
+            const violations = validateSchema(tool.inputSchema, args);
+            if (violations.length > 0) {
+              throw new JsonRpcError(INVALID_PARAMS, 'Invalid params', {
+                tool: name,
+                errors: violations
+              });
             }
             
             return {
               jsonrpc: '2.0',
-              result: {
-                content: [
-                  {
-                    type: 'text',
-                    text: JSON.stringify(result, null, 2)
-                  }
-                ]
-              },
+              result: await callTool(tool, args, { connections }),
               id
             };
           
@@ -299,18 +135,95 @@ export async function createServer() {
             return null;
           
           default:
-            throw new Error(`Unknown method: ${method}`);
+            if (method.startsWith('notifications/')) {
+              // Notifications never get a response, even when unsupported
+              return null;
+            }
+            throw new JsonRpcError(METHOD_NOT_FOUND, `Unknown method: ${method}`);
         }
       } catch (error) {
+        const rpcError = error instanceof JsonRpcError
+          ? { code: error.code, message: error.message, data: error.data }
+          : { code: INTERNAL_ERROR, message: error.message };
+        
         return {
           jsonrpc: '2.0',
-          error: {
-            code: -32603,
-            message: error.message
-          },
+          error: rpcError,
           id
         };
       }
     }
   };
 }
+
+/**
+ * Copy of a built-in tool whose cluster enum (RPC_CLUSTERS) also allows custom clusters
+ */
+function withClusters(tool, clusters) {
+  const cluster = tool.inputSchema.properties?.cluster;
+  if (clusters.length === 0 || cluster?.enum !== RPC_CLUSTERS) {
+    return tool;
+  }
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        cluster: { ...cluster, enum: [...RPC_CLUSTERS, ...clusters] }
+      }
+    }
+  };
+}
+
+/**
+ * Fill configured defaults into omitted arguments the tool's schema declares
+ * (skipped when the schema's enum does not allow the configured value)
+ */
+function applyArgumentDefaults(schema, args, defaults) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return args;
+  }
+
+  const properties = schema.properties || {};
+  const filled = { ...args };
+  for (const [key, value] of Object.entries(defaults)) {
+    const property = properties[key];
+    if (value == null || !property || filled[key] !== undefined) {
+      continue;
+    }
+    if (!property.enum || property.enum.includes(value)) {
+      filled[key] = value;
+    }
+  }
+  return filled;
+}
+
+/**
+ * Run a tool handler and wrap its outcome as an MCP tool result
+ * Handler failures (thrown errors or success: false) are reported with
+ * isError: true so clients can tell them apart from protocol errors
+ */
+async function callTool(tool, args, context) {
+  let result;
+  try {
+    result = await tool.handler(args, context);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  
+  const toolResult = {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+  
+  if (result && result.success === false) {
+    toolResult.isError = true;
+  }
+  
+  return toolResult;
+}
@@ -0,0 +1,465 @@
+/**
+ * Add-to-Project Scaffolding Tools
+ * Extend an existing Anchor program in place: anchor_add_instruction inserts a
+ * handler into the #[program] module and appends its #[derive(Accounts)]
+ * struct and a test case; anchor_add_account appends an #[account] struct.
+ * Only insertion points are touched, so user code elsewhere is left as is.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  ERROR_ENUM,
+  accountSpace,
+  isPreludeProgram,
+  normalizeAccount,
+  normalizeInstruction,
+  renderAccountStruct,
+  renderAccountsStruct,
+  renderInstructionHandler,
+  renderTestCase,
+  toPascalIdentifier
+} from '../lib/anchor-codegen.js';
+
+/**
+ * Add an instruction to an existing Anchor program
+ * @param {Object} args
+ * @param {string} args.projectPath - Anchor project directory (contains programs/)
+ * @param {string} [args.programName] - Program to edit when the project has several
+ * @param {string} args.name - Instruction name (snake_case or camelCase)
+ * @param {Object[]} [args.args] - Instruction args: { name, type } with IDL types
+ * @param {Object[]} [args.accounts] - Instruction accounts: { name, signer, mut, account,
+ *   program, init, payer, space, seeds, hasOne, close, realloc }
+ * @returns {Object} Edited files and the generated code
+ */
+export async function addInstruction(args) {
+  const { projectPath, programName = null } = args;
+
+  if (!projectPath) {
+    throw new Error('projectPath is required');
+  }
+
+  let spec;
+  try {
+    spec = normalizeInstruction({ name: args.name, args: args.args, accounts: args.accounts });
+  } catch (e) {
+    return {
+      success: false,
+      error: 'Invalid instruction spec',
+      details: e.message
+    };
+  }
+
+  let program;
+  try {
+    program = await loadProgram(projectPath, programName);
+  } catch (e) {
+    return {
+      success: false,
+      projectPath,
+      error: 'Failed to load program',
+      details: e.message
+    };
+  }
+
+  const structName = toPascalIdentifier(spec.name);
+  const module = findProgramModule(program.source);
+  const problems = [];
+  if (!module) {
+    problems.push(`No #[program] module found in ${program.libPath}`);
+  } else if (new RegExp(`\\bfn\\s+${spec.name}\\s*[<(]`).test(maskRust(program.source).slice(module.open, module.close))) {
+    problems.push(`Instruction ${spec.name} already exists`);
+  }
+  if (definesType(program.source, structName)) {
+    problems.push(`Type ${structName} already exists`);
+  }
+  for (const account of spec.accounts) {
+    if (account.account && !definesType(program.source, account.account)) {
+      problems.push(`Account type ${account.account} is not defined; add it with anchor_add_account`);
+      continue;
+    }
+    if (account.init && account.space === undefined && !derivesInitSpace(program.source, account.account)) {
+      problems.push(`${account.account} does not derive InitSpace; pass space for ${account.name}`);
+    }
+    for (const relation of account.hasOne || []) {
+      if (!/^(\w+::)*Pubkey$/.test(fieldType(program.source, account.account, relation.account) || '')) {
+        problems.push(`has_one = ${relation.account} needs a Pubkey field ${relation.account} on ${account.account}`);
+      }
+      if (relation.error && !definesVariant(program.source, ERROR_ENUM, relation.error)) {
+        problems.push(`Error ${relation.error} is not defined in ${ERROR_ENUM}`);
+      }
+    }
+  }
+  if (problems.length > 0) {
+    return {
+      success: false,
+      programPath: program.dir,
+      error: 'Cannot add instruction',
+      details: problems.join('; ')
+    };
+  }
+
+  const handler = renderInstructionHandler(spec);
+  const accountsStruct = renderAccountsStruct(spec);
+  const source = appendItem(insertIntoModule(program.source, module, handler), accountsStruct);
+  await fs.writeFile(program.libPath, source);
+
+  const files = [path.relative(program.root, program.libPath)];
+  const testCase = renderTestCase(spec);
+  let testPath = null;
+  let testError = null;
+  try {
+    testPath = await addTestCase(program, testCase);
+    files.push(path.relative(program.root, testPath));
+  } catch (e) {
+    // The program edit stands; report why no test was added
+    testError = e.message;
+  }
+
+  const warnings = spec.accounts
+    .filter(account => account.program && !isPreludeProgram(account.program))
+    .filter(account => !new RegExp(`\\b${account.program}\\b`).test(program.source))
+    .map(account => `${account.program} is not in scope in lib.rs; import it (e.g. use anchor_spl::token::${account.program};)`);
+  if (testError) {
+    warnings.push(`No test case added: ${testError}`);
+  }
+
+  return {
+    success: true,
+    projectPath: program.root,
+    programName: program.name,
+    instruction: spec.name,
+    files,
+    added: {
+      handler,
+      accountsStruct,
+      testCase: testPath ? testCase : null
+    },
+    warnings
+  };
+}
+
+/**
+ * Add an #[account] state struct to an existing Anchor program
+ * @param {Object} args
+ * @param {string} args.projectPath - Anchor project directory (contains programs/)
+ * @param {string} [args.programName] - Program to edit when the project has several
+ * @param {string} args.name - Account type name (PascalCase)
+ * @param {Object[]} args.fields - Fields: { name, type, maxLen } (maxLen for strings and vectors)
+ * @returns {Object} Edited file, the generated struct and its space
+ */
+export async function addAccount(args) {
+  const { projectPath, programName = null } = args;
+
+  if (!projectPath) {
+    throw new Error('projectPath is required');
+  }
+
+  let spec;
+  let struct;
+  let space;
+  try {
+    spec = normalizeAccount({ name: args.name, fields: args.fields });
+    struct = renderAccountStruct(spec);
+    space = accountSpace(spec);
+  } catch (e) {
+    return {
+      success: false,
+      error: 'Invalid account spec',
+      details: e.message
+    };
+  }
+
+  let program;
+  try {
+    program = await loadProgram(projectPath, programName);
+  } catch (e) {
+    return {
+      success: false,
+      projectPath,
+      error: 'Failed to load program',
+      details: e.message
+    };
+  }
+
+  if (definesType(program.source, spec.name)) {
+    return {
+      success: false,
+      programPath: program.dir,
+      error: 'Cannot add account',
+      details: `Type ${spec.name} already exists`
+    };
+  }
+
+  await fs.writeFile(program.libPath, appendItem(program.source, struct));
+
+  return {
+    success: true,
+    projectPath: program.root,
+    programName: program.name,
+    account: spec.name,
+    space,
+    files: [path.relative(program.root, program.libPath)],
+    added: { accountStruct: struct }
+  };
+}
+
+/**
+ * Locate programs/<name>/src/lib.rs in an Anchor project
+ */
+async function loadProgram(projectPath, programName) {
+  const root = path.resolve(projectPath);
+  const programsDir = path.join(root, 'programs');
+
+  let entries;
+  try {
+    entries = (await fs.readdir(programsDir, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  } catch (e) {
+    throw new Error(`No programs directory at ${programsDir}`);
+  }
+
+  let name;
+  if (programName) {
+    name = programName.replace(/-/g, '_');
+    if (!entries.includes(name) && entries.includes(programName)) {
+      name = programName;
+    }
+    if (!entries.includes(name)) {
+      throw new Error(`Program ${programName} not found in ${programsDir}`);
+    }
+  } else if (entries.length === 1) {
+    name = entries[0];
+  } else if (entries.length === 0) {
+    throw new Error(`No programs in ${programsDir}`);
+  } else {
+    throw new Error(`Multiple programs in ${programsDir} (${entries.join(', ')}); pass programName`);
+  }
+
+  const dir = path.join(programsDir, name);
+  const libPath = path.join(dir, 'src', 'lib.rs');
+  return { root, name, dir, libPath, source: await fs.readFile(libPath, 'utf8') };
+}
+
+/**
+ * Find the `pub mod name { ... }` following #[program]
+ * @returns {Object|null} { open, close } offsets of its braces
+ */
+function findProgramModule(source) {
+  const code = maskRust(source);
+  const attribute = code.search(/#\[program\]/);
+  if (attribute === -1) {
+    return null;
+  }
+  const mod = /\bmod\s+[A-Za-z_][A-Za-z0-9_]*\s*\{/g;
+  mod.lastIndex = attribute;
+  const match = mod.exec(code);
+  if (!match) {
+    return null;
+  }
+
+  const open = match.index + match[0].length - 1;
+  const close = matchingBrace(code, open);
+  return close === -1 ? null : { open, close };
+}
+
+/**
+ * Offset of the brace closing the one at open in masked code, or -1
+ */
+function matchingBrace(code, open) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === '{') {
+      depth++;
+    } else if (code[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Blank out comments, string and char literals (keeping offsets) so braces
+ * and names inside them are ignored
+ */
+function maskRust(source) {
+  const out = source.split('');
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (out[i] !== '\n') {
+        out[i] = ' ';
+      }
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i, i + 2);
+    if (rest === '//') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (rest === '/*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (source[i] === '"' || (source[i] === 'r' && /^r#*"/.test(source.slice(i, i + 10)) && !/[A-Za-z0-9_]/.test(source[i - 1] || ''))) {
+      const raw = source[i] === 'r';
+      const hashes = raw ? source.slice(i + 1).match(/^#*/)[0] : '';
+      const start = raw ? i + 2 + hashes.length : i + 1;
+      let j = start;
+      while (j < source.length) {
+        if (!raw && source[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (source[j] === '"' && source.slice(j + 1, j + 1 + hashes.length) === hashes) {
+          break;
+        }
+        j++;
+      }
+      blank(start, j);
+      i = j + 1 + hashes.length;
+    } else if (source[i] === '\'') {
+      // Char literal ('a', '\n', '{'); lifetimes ('info) have no closing quote
+      const char = source.slice(i).match(/^'(\\.[^']*|[^\\'])'/);
+      if (char) {
+        blank(i + 1, i + char[0].length - 1);
+        i += char[0].length;
+      } else {
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+  return out.join('');
+}
+
+function definesType(source, name) {
+  return new RegExp(`\\b(struct|enum|type)\\s+${name}\\b`).test(maskRust(source));
+}
+
+/**
+ * Masked body of `struct name { ... }` or `enum name { ... }`, or null
+ */
+function itemBody(source, keyword, name) {
+  const code = maskRust(source);
+  const match = new RegExp(`\\b${keyword}\\s+${name}\\b[^{;]*\\{`).exec(code);
+  if (!match) {
+    return null;
+  }
+  const open = match.index + match[0].length - 1;
+  const close = matchingBrace(code, open);
+  return close === -1 ? null : code.slice(open + 1, close);
+}
+
+function fieldType(source, struct, field) {
+  const body = itemBody(source, 'struct', struct);
+  const match = body && new RegExp(`\\b${field}\\s*:(?!:)\\s*([^,}]+)`).exec(body);
+  return match ? match[1].trim() : null;
+}
+
+function definesVariant(source, enumName, variant) {
+  const body = itemBody(source, 'enum', enumName);
+  return Boolean(body) && new RegExp(`\\b${variant}\\b`).test(body);
+}
+
+function derivesInitSpace(source, name) {
+  const code = maskRust(source);
+  const match = new RegExp(`\\bstruct\\s+${name}\\b`).exec(code);
+  if (!match) {
+    return false;
+  }
+  // Attributes directly above the struct
+  const before = code.slice(0, match.index).split('\n');
+  const attributes = [];
+  for (let i = before.length - 2; i >= 0 && before[i].trim().startsWith('#['); i--) {
+    attributes.push(before[i]);
+  }
+  return attributes.some(line => /InitSpace/.test(line));
+}
+
+/**
+ * Insert a handler before the closing brace of the #[program] module
+ */
+function insertIntoModule(source, module, handler) {
+  const body = source.slice(0, module.close).replace(/\s*$/, '');
+  return `${body}\n\n${handler}${source.slice(module.close)}`;
+}
+
+/**
+ * Append a top-level item at the end of the file
+ */
+function appendItem(source, item) {
+  return `${source.replace(/\s*$/, '')}\n\n${item}`;
+}
+
+/**
+ * Insert a test case before the closing brace of the describe block in
+ * tests/<program>.ts; refuses files with several or nested describe blocks
+ */
+async function addTestCase(program, testCase) {
+  const testPath = path.join(program.root, 'tests', `${program.name}.ts`);
+  const relative = path.relative(program.root, testPath);
+  let source;
+  try {
+    source = await fs.readFile(testPath, 'utf8');
+  } catch (e) {
+    throw new Error(`${relative} not found`);
+  }
+
+  const code = maskTypeScript(source);
+  const describes = [...code.matchAll(/\bdescribe\s*\(/g)];
+  if (describes.length === 0) {
+    throw new Error(`No describe block in ${relative}`);
+  }
+  if (describes.length > 1) {
+    throw new Error(`${relative} has several describe blocks; add the test case by hand`);
+  }
+
+  const open = code.indexOf('{', describes[0].index);
+  const close = open === -1 ? -1 : matchingBrace(code, open);
+  if (close === -1) {
+    throw new Error(`Unbalanced describe block in ${relative}`);
+  }
+
+  const body = source.slice(0, close).replace(/\s*$/, '');
+  await fs.writeFile(testPath, `${body}\n\n${testCase}${source.slice(close)}`);
+  return testPath;
+}
+
+/**
+ * Blank out comments and string literals of TypeScript source (keeping offsets)
+ */
+function maskTypeScript(source) {
+  const out = source.split('');
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i, i + 2);
+    let stop = i + 1;
+    if (rest === '//' || rest === '/*') {
+      const end = source.indexOf(rest === '//' ? '\n' : '*/', i + 2);
+      stop = end === -1 ? source.length : end + (rest === '//' ? 0 : 2);
+    } else if (['"', '\'', '`'].includes(source[i])) {
+      let j = i + 1;
+      while (j < source.length && source[j] !== source[i]) {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      stop = j + 1;
+    } else {
+      i++;
+      continue;
+    }
+    for (let k = i; k < Math.min(stop, source.length); k++) {
+      if (out[k] !== '\n') {
+        out[k] = ' ';
+      }
+    }
+    i = stop;
+  }
+  return out.join('');
+}
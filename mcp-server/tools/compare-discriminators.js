@@ -0,0 +1,233 @@
+/**
+ * Discriminator Drift Check Tool
+ * Compares instruction and account discriminators of a local Anchor IDL
+ * against the IDL published on-chain for the deployed program
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { computeDiscriminator } from './compute-discriminator.js';
+import { fetchOnchainIdl } from './verify-onchain-discriminators.js';
+import { toSnakeCase } from '../lib/idl.js';
+import { getConnection } from '../lib/connection.js';
+
+/**
+ * Compare local IDL discriminators with the deployed program's on-chain IDL
+ * @param {Object} args
+ * @param {string} args.idlPath - Path to target/idl/<name>.json or an Anchor project directory
+ * @param {string} [args.programName] - Program to pick when the project has several IDLs
+ * @param {string} [args.programId] - Program ID (defaults to the address declared in the local IDL)
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Per-instruction and per-account comparison report
+ */
+export async function compareDiscriminators(args, { connections } = {}) {
+  const {
+    idlPath,
+    programName = null,
+    cluster = 'devnet',
+    rpcUrl = null
+  } = args;
+
+  if (!idlPath) {
+    throw new Error('idlPath is required');
+  }
+
+  let local;
+  try {
+    local = await loadLocalIdl(idlPath, programName);
+  } catch (e) {
+    return {
+      success: false,
+      idlPath,
+      error: 'Failed to load local IDL',
+      details: e.message
+    };
+  }
+
+  const programId = args.programId || local.idl.address || local.idl.metadata?.address;
+  if (!programId) {
+    return {
+      success: false,
+      idlPath: local.path,
+      error: 'programId is required',
+      details: 'The local IDL does not declare a program address'
+    };
+  }
+
+  let pubkey;
+  try {
+    pubkey = new PublicKey(programId);
+  } catch (e) {
+    return {
+      success: false,
+      programId,
+      error: 'Invalid Solana public key format',
+      details: e.message
+    };
+  }
+
+  let onchain;
+  try {
+    const connection = getConnection({ cluster, rpcUrl }, connections);
+    onchain = await fetchOnchainIdl(connection, pubkey);
+  } catch (error) {
+    return {
+      success: false,
+      programId: pubkey.toBase58(),
+      cluster,
+      error: error.message,
+      details: 'Failed to fetch or decode the on-chain IDL'
+    };
+  }
+
+  if (!onchain.idl) {
+    return {
+      success: false,
+      programId: pubkey.toBase58(),
+      cluster,
+      idlAddress: onchain.address.toBase58(),
+      error: 'On-chain IDL not found',
+      details: 'Publish it with "anchor idl init" to enable discriminator checks'
+    };
+  }
+
+  const report = await diffIdlDiscriminators(local.idl, onchain.idl);
+
+  return {
+    success: true,
+    programId: pubkey.toBase58(),
+    cluster,
+    localIdlPath: local.path,
+    idlAddress: onchain.address.toBase58(),
+    inSync: report.inSync,
+    summary: report.summary,
+    instructions: report.instructions,
+    accounts: report.accounts
+  };
+}
+
+/**
+ * Diff the instruction and account discriminators of two IDLs
+ * Declared discriminators (Anchor 0.30+ IDLs) take precedence; legacy IDLs
+ * fall back to the name-derived value from computeDiscriminator
+ * @param {Object} localIdl - IDL built locally
+ * @param {Object} onchainIdl - IDL decoded from the program's IDL account
+ * @returns {Promise<Object>} Comparison report
+ */
+export async function diffIdlDiscriminators(localIdl, onchainIdl) {
+  const instructions = await diffSection(
+    localIdl.instructions || [],
+    onchainIdl.instructions || [],
+    'global',
+    toSnakeCase
+  );
+  const accounts = await diffSection(
+    localIdl.accounts || [],
+    onchainIdl.accounts || [],
+    'account',
+    name => name
+  );
+
+  const summary = {
+    instructions: summarize(instructions),
+    accounts: summarize(accounts)
+  };
+
+  return {
+    inSync: [...instructions, ...accounts].every(entry => entry.status === 'match'),
+    summary,
+    instructions,
+    accounts
+  };
+}
+
+async function diffSection(localItems, onchainItems, namespace, normalizeName) {
+  const localByName = new Map(localItems.map(item => [normalizeName(item.name), item]));
+  const onchainByName = new Map(onchainItems.map(item => [normalizeName(item.name), item]));
+  const names = [...new Set([...localByName.keys(), ...onchainByName.keys()])];
+  const entries = [];
+
+  for (const name of names) {
+    const { discriminator } = await computeDiscriminator({ instructionName: name, namespace });
+    const computed = discriminator.hex;
+    const localItem = localByName.get(name);
+    const onchainItem = onchainByName.get(name);
+    const localHex = localItem ? declaredHex(localItem) || computed : null;
+    const onchainHex = onchainItem ? declaredHex(onchainItem) || computed : null;
+
+    let status;
+    if (!onchainItem) {
+      status = 'missing_onchain';
+    } else if (!localItem) {
+      status = 'missing_local';
+    } else {
+      status = localHex === onchainHex ? 'match' : 'mismatch';
+    }
+
+    entries.push({
+      name,
+      status,
+      computed,
+      local: localHex,
+      onchain: onchainHex,
+      localMatchesComputed: localHex === null ? null : localHex === computed
+    });
+  }
+
+  return entries;
+}
+
+function summarize(entries) {
+  const count = status => entries.filter(entry => entry.status === status).length;
+  return {
+    total: entries.length,
+    matched: count('match'),
+    mismatched: count('mismatch'),
+    missingOnchain: count('missing_onchain'),
+    missingLocal: count('missing_local')
+  };
+}
+
+function declaredHex(item) {
+  return Array.isArray(item.discriminator) ? Buffer.from(item.discriminator).toString('hex') : null;
+}
+
+/**
+ * Load an IDL from a JSON file, or from <project>/target/idl when given a directory
+ */
+async function loadLocalIdl(idlPath, programName) {
+  const resolved = path.resolve(idlPath);
+  const stat = await fs.stat(resolved);
+  let file = resolved;
+
+  if (stat.isDirectory()) {
+    const idlDir = path.basename(resolved) === 'idl' ? resolved : path.join(resolved, 'target', 'idl');
+    let entries;
+    try {
+      entries = (await fs.readdir(idlDir)).filter(entry => entry.endsWith('.json'));
+    } catch (e) {
+      throw new Error(`No IDL directory at ${idlDir}. Run "anchor build" first.`);
+    }
+
+    if (programName) {
+      const wanted = `${programName.replace(/-/g, '_')}.json`;
+      if (!entries.includes(wanted)) {
+        throw new Error(`IDL ${wanted} not found in ${idlDir}`);
+      }
+      file = path.join(idlDir, wanted);
+    } else if (entries.length === 1) {
+      file = path.join(idlDir, entries[0]);
+    } else if (entries.length === 0) {
+      throw new Error(`No IDL files in ${idlDir}. Run "anchor build" first.`);
+    } else {
+      throw new Error(`Multiple IDLs in ${idlDir} (${entries.join(', ')}); pass programName`);
+    }
+  }
+
+  const idl = JSON.parse(await fs.readFile(file, 'utf8'));
+  return { path: file, idl };
+}
@@ -0,0 +1,364 @@
+/**
+ * Anchor Instruction Encoder Tool
+ * Encodes an IDL instruction's args to Borsh instruction data and resolves its
+ * ordered account metas, deriving PDAs declared with `seeds` in the IDL
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { BorshWriter, encodeType, findTypeDef } from '../lib/borsh.js';
+import {
+  loadIdl,
+  encodeInstructionData,
+  decodeAccountData,
+  flattenAccounts,
+  getIdlProgramId,
+  toSnakeCase
+} from '../lib/idl.js';
+import { derivePda } from './derive-pda.js';
+
+/**
+ * Encode an Anchor instruction
+ * @param {Object} args
+ * @param {Object|string} args.idl - IDL object, JSON string, file path, or "chain"
+ * @param {string} args.instruction - Instruction name (snake_case or camelCase)
+ * @param {Object} [args.args] - Argument values by name (u64 and wider as strings)
+ * @param {Object} [args.accounts] - Account addresses by IDL account name; fixed
+ *   addresses and PDAs are resolved from the IDL when omitted
+ * @param {string} [args.programId] - Program ID (default: the IDL's address)
+ * @param {string} [args.cluster='devnet'] - Cluster for "chain" IDLs and account-field seeds
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Instruction data, account metas and a ready-to-simulate instruction
+ */
+export async function encodeInstruction(args, { connections } = {}) {
+  const {
+    idl,
+    instruction: name,
+    args: instructionArgs = {},
+    accounts = {},
+    programId,
+    cluster = 'devnet',
+    rpcUrl
+  } = args;
+
+  if (!name) {
+    return {
+      success: false,
+      error: 'instruction is required'
+    };
+  }
+
+  const connection = getConnection({ cluster, rpcUrl }, connections);
+
+  let programKey = null;
+  try {
+    programKey = programId ? new PublicKey(programId) : null;
+  } catch (err) {
+    return {
+      success: false,
+      error: `Invalid program ID: ${err.message}`
+    };
+  }
+
+  let programIdl;
+  try {
+    programIdl = await loadIdl(idl, { connection, programId: programKey });
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to load IDL: ${err.message}`
+    };
+  }
+
+  if (!programKey) {
+    const idlProgramId = getIdlProgramId(programIdl);
+    if (!idlProgramId) {
+      return {
+        success: false,
+        error: 'programId is required when the IDL has no address'
+      };
+    }
+    programKey = new PublicKey(idlProgramId);
+  }
+
+  let encoded;
+  try {
+    encoded = await encodeInstructionData(programIdl, name, instructionArgs);
+  } catch (err) {
+    return {
+      success: false,
+      error: err.message
+    };
+  }
+
+  let metas;
+  try {
+    metas = await resolveAccounts({
+      idl: programIdl,
+      instruction: encoded.instruction,
+      args: instructionArgs,
+      provided: accounts,
+      programId: programKey,
+      connection
+    });
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to resolve accounts for ${encoded.instruction.name}: ${err.message}`
+    };
+  }
+
+  const data = encoded.data.toString('base64');
+
+  return {
+    success: true,
+    name: encoded.instruction.name,
+    programId: programKey.toBase58(),
+    discriminator: encoded.discriminator,
+    data,
+    hex: encoded.data.toString('hex'),
+    dataLength: encoded.data.length,
+    accounts: metas,
+    // Shaped like a solana_simulate_transaction instruction
+    instruction: {
+      programId: programKey.toBase58(),
+      accounts: metas.map(({ pubkey, isSigner, isWritable }) => ({ pubkey, isSigner, isWritable })),
+      data,
+      encoding: 'base64'
+    }
+  };
+}
+
+/**
+ * Resolve the instruction's accounts in IDL order. Accounts may be provided,
+ * fixed by the IDL (`address`), or PDAs whose seeds reference args and other
+ * accounts, so resolution repeats until no more accounts can be resolved.
+ * @returns {Promise<Object[]>} { name, pubkey, isSigner, isWritable, source, seeds?, bump? }
+ */
+async function resolveAccounts({ idl, instruction, args, provided, programId, connection }) {
+  const metas = flattenAccounts(instruction.accounts || []);
+  const resolved = new Map();
+  const context = { idl, instruction, args, programId, connection, metas, resolved, cache: new Map() };
+
+  for (const meta of metas) {
+    const pubkey = lookup(provided, meta.name);
+    if (pubkey !== undefined) {
+      resolved.set(meta.name, { pubkey: parseKey(pubkey, meta.name), source: 'provided' });
+    } else if (meta.address) {
+      resolved.set(meta.name, { pubkey: meta.address, source: 'address' });
+    }
+  }
+
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const meta of metas) {
+      if (resolved.has(meta.name) || !meta.pda) {
+        continue;
+      }
+      const pda = await derive(meta, context);
+      if (pda) {
+        resolved.set(meta.name, { ...pda, source: 'pda' });
+        progress = true;
+      }
+    }
+  }
+
+  const missing = [];
+  for (const meta of metas) {
+    if (!resolved.has(meta.name) && (meta.optional || meta.isOptional)) {
+      // Anchor passes the program ID in place of an omitted optional account
+      resolved.set(meta.name, { pubkey: programId.toBase58(), source: 'optional' });
+    } else if (!resolved.has(meta.name)) {
+      missing.push(meta.name);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`missing accounts ${missing.join(', ')} (pass them in accounts by name)`);
+  }
+
+  return metas.map(meta => {
+    const { pubkey, source, seeds, bump } = resolved.get(meta.name);
+    const account = { name: meta.name, pubkey, isSigner: meta.signer, isWritable: meta.writable, source };
+    return source === 'pda' ? { ...account, seeds, bump } : account;
+  });
+}
+
+/**
+ * Derive a PDA account from its IDL seeds
+ * @returns {Promise<Object|null>} { pubkey, seeds, bump }, or null while a seed
+ *   depends on an account that is not resolved yet
+ */
+async function derive(meta, context) {
+  const seeds = [];
+  for (const seed of meta.pda.seeds || []) {
+    const bytes = await seedBytes(seed, meta, context);
+    if (!bytes) {
+      return null;
+    }
+    seeds.push(bytes);
+  }
+
+  let programKey = context.programId;
+  if (meta.pda.program) {
+    const bytes = await seedBytes(meta.pda.program, meta, context);
+    if (!bytes) {
+      return null;
+    }
+    programKey = new PublicKey(bytes);
+  }
+
+  const result = await derivePda({
+    programId: programKey.toBase58(),
+    seedBytes: seeds.map(bytes => Array.from(bytes))
+  });
+  if (!result.success) {
+    throw new Error(`${meta.name}: ${result.error}`);
+  }
+
+  return {
+    pubkey: result.pda,
+    seeds: seeds.map(bytes => bytes.toString('hex')),
+    bump: result.bump
+  };
+}
+
+/**
+ * Bytes of one IDL seed: `const`, `arg` (instruction argument) or `account`
+ * (another account's address, or a field of its data with `account.field`)
+ * @returns {Promise<Buffer|null>} null when the referenced account is not resolved yet
+ */
+async function seedBytes(seed, meta, context) {
+  switch (seed.kind) {
+    case 'const':
+      if (Array.isArray(seed.value)) {
+        return Buffer.from(seed.value);
+      }
+      if (typeof seed.value === 'string' && (!seed.type || seed.type === 'string')) {
+        return Buffer.from(seed.value, 'utf8');
+      }
+      return encodeSeed(context.idl, seed.type, seed.value);
+    case 'arg': {
+      const [argName, ...fieldPath] = seed.path.split('.');
+      const arg = (context.instruction.args || []).find(a => toSnakeCase(a.name) === toSnakeCase(argName));
+      let value = lookup(context.args, argName);
+      if (!arg || value === undefined) {
+        throw new Error(`${meta.name}: seed arg ${seed.path} is not an instruction arg`);
+      }
+      let type = arg.type;
+      for (const field of fieldPath) {
+        type = fieldType(context.idl, type, field);
+        value = lookup(value, field);
+      }
+      return encodeSeed(context.idl, type, value);
+    }
+    case 'account':
+      return accountSeed(seed, meta, context);
+    default:
+      throw new Error(`${meta.name}: unsupported seed kind ${seed.kind}`);
+  }
+}
+
+async function accountSeed(seed, meta, context) {
+  const parts = seed.path.split('.');
+  const prefix = meta.name.includes('.') ? meta.name.slice(0, meta.name.lastIndexOf('.')) : '';
+
+  // Longest account name the path starts with; the rest is a field of its data
+  for (let i = parts.length; i > 0; i--) {
+    const candidate = parts.slice(0, i).join('.');
+    const target = [prefix && `${prefix}.${candidate}`, candidate]
+      .filter(Boolean)
+      .map(name => context.metas.find(m => toSnakeCase(m.name) === toSnakeCase(name)))
+      .find(Boolean);
+    if (!target) {
+      continue;
+    }
+
+    const account = context.resolved.get(target.name);
+    if (!account) {
+      return null;
+    }
+    const fieldPath = parts.slice(i);
+    if (fieldPath.length === 0) {
+      return new PublicKey(account.pubkey).toBuffer();
+    }
+    return accountFieldSeed(account.pubkey, fieldPath, meta, context);
+  }
+
+  throw new Error(`${meta.name}: seed account ${seed.path} is not an instruction account`);
+}
+
+async function accountFieldSeed(address, fieldPath, meta, context) {
+  if (!context.cache.has(address)) {
+    const info = await context.connection.getAccountInfo(new PublicKey(address));
+    if (!info) {
+      throw new Error(`${meta.name}: account ${address} does not exist (its data seeds the PDA)`);
+    }
+    context.cache.set(address, await decodeAccountData(context.idl, info.data));
+  }
+
+  const decoded = context.cache.get(address);
+  let type = { defined: { name: decoded.accountType } };
+  let value = decoded.data;
+  for (const field of fieldPath) {
+    type = fieldType(context.idl, type, field);
+    value = lookup(value, field);
+  }
+  return encodeSeed(context.idl, type, value);
+}
+
+/**
+ * Seed bytes of a value: strings and byte vectors are used raw (no length
+ * prefix, as `.as_ref()` in Rust), everything else is Borsh-encoded
+ */
+function encodeSeed(idl, type, value) {
+  if (type === 'string') {
+    return Buffer.from(String(value), 'utf8');
+  }
+  if (type === 'bytes' || (type?.vec !== undefined && type.vec === 'u8')) {
+    return typeof value === 'string' ? Buffer.from(value, 'base64') : Buffer.from(value);
+  }
+  const writer = new BorshWriter();
+  encodeType(idl, type, value, writer);
+  return writer.toBuffer();
+}
+
+/**
+ * Type of a named field of a defined struct type
+ */
+function fieldType(idl, type, field) {
+  if (type?.defined === undefined) {
+    throw new Error(`Cannot read field ${field} of a non-struct seed value`);
+  }
+  const name = typeof type.defined === 'string' ? type.defined : type.defined.name;
+  const fields = findTypeDef(idl, name).type.fields || [];
+  const match = fields.find(f => toSnakeCase(f.name) === toSnakeCase(field));
+  if (!match) {
+    throw new Error(`Type ${name} has no field ${field}`);
+  }
+  return match.type;
+}
+
+/**
+ * Look up a property by name, ignoring snake_case/camelCase differences
+ */
+function lookup(object, name) {
+  if (!object || typeof object !== 'object') {
+    return undefined;
+  }
+  if (name in object) {
+    return object[name];
+  }
+  const key = Object.keys(object).find(k => toSnakeCase(k) === toSnakeCase(name));
+  return key === undefined ? undefined : object[key];
+}
+
+function parseKey(address, name) {
+  try {
+    return new PublicKey(address).toBase58();
+  } catch (err) {
+    throw new Error(`Invalid address for ${name}: ${err.message}`);
+  }
+}
@@ -1,19 +1,22 @@
 /**
- * Fund Wallet Tool - Airdrop SOL to a wallet on devnet/testnet
+ * Fund Wallet Tool - Airdrop SOL to a wallet on devnet/testnet (or the local-sim ledger)
  */
 
-import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { getConnection, resolveCluster, confirmSignature } from '../lib/connection.js';
 
 /**
- * Airdrop SOL to a public key (devnet/testnet only)
+ * Airdrop SOL to a public key (devnet/testnet/local-sim only)
  * @param {Object} args - Arguments
  * @param {string} args.publicKey - Public key to receive SOL
- * @param {string} [args.cluster='devnet'] - Solana cluster (devnet or testnet)
+ * @param {string} [args.cluster='devnet'] - Solana cluster (devnet, testnet or local-sim)
  * @param {number} [args.amount=2] - Amount of SOL to airdrop
  * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
  * @returns {Object} Airdrop result
  */
-export async function fundWallet(args) {
+export async function fundWallet(args, { connections } = {}) {
   const {
     publicKey,
     cluster = 'devnet',
@@ -25,11 +28,11 @@ export async function fundWallet(args) {
     throw new Error('publicKey is required');
   }
 
-  // Validate cluster (airdrop only works on devnet/testnet)
-  if (!['devnet', 'testnet'].includes(cluster)) {
+  // Validate cluster (airdrop only works on devnet/testnet and the local simulator)
+  if (!['devnet', 'testnet', 'local-sim'].includes(resolveCluster(cluster, connections))) {
     return {
       success: false,
-      error: 'Airdrop only available on devnet and testnet',
+      error: 'Airdrop only available on devnet and testnet (or local-sim)',
       publicKey,
       cluster
     };
@@ -58,11 +61,8 @@ export async function fundWallet(args) {
     };
   }
 
-  // Determine RPC URL
-  const rpc = rpcUrl || getRpcForCluster(cluster);
-
   try {
-    const connection = new Connection(rpc, 'confirmed');
+    const connection = getConnection({ cluster, rpcUrl }, connections);
 
     // Request airdrop
     const signature = await connection.requestAirdrop(
@@ -71,7 +71,7 @@ export async function fundWallet(args) {
     );
 
     // Wait for confirmation
-    await connection.confirmTransaction(signature, 'confirmed');
+    await confirmSignature(connection, signature, { commitment: 'confirmed' });
 
     // Get updated balance
     const balance = await connection.getBalance(pubkey);
@@ -96,15 +96,3 @@ export async function fundWallet(args) {
     };
   }
 }
-
-/**
- * Get default RPC URL for cluster
- */
-function getRpcForCluster(cluster) {
-  const rpcEndpoints = {
-    'devnet': 'https://api.devnet.solana.com',
-    'testnet': 'https://api.testnet.solana.com'
-  };
-  
-  return rpcEndpoints[cluster] || rpcEndpoints.devnet;
-}
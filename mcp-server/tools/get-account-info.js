@@ -3,7 +3,9 @@
  * Fetches account data from Solana blockchain
  */
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { loadIdl, decodeAccountData } from '../lib/idl.js';
 
 /**
  * Get account information from Solana
@@ -12,10 +14,14 @@ import { Connection, PublicKey } from '@solana/web3.js';
  * @param {string} [args.cluster='devnet'] - Solana cluster
  * @param {string} [args.rpcUrl] - Custom RPC URL
  * @param {string} [args.encoding='base64'] - Data encoding (base64, base58, jsonParsed)
- * @returns {Object} Account information
+ * @param {Object|string} [args.idl] - Anchor IDL to decode the data with: IDL object,
+ *   JSON string, file path, or "chain" to fetch the owner program's on-chain IDL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Account information, with `decoded` or, if decoding fails, `decodeError`
  */
-export async function getAccountInfo(args) {
-  const { publicKey, cluster = 'devnet', rpcUrl, encoding = 'base64' } = args;
+export async function getAccountInfo(args, { connections } = {}) {
+  const { publicKey, cluster = 'devnet', rpcUrl, encoding = 'base64', idl = null } = args;
 
   // Validate public key
   let pubkey;
@@ -28,9 +34,7 @@ export async function getAccountInfo(args) {
     };
   }
 
-  // Get RPC endpoint
-  const endpoint = rpcUrl || getClusterUrl(cluster);
-  const connection = new Connection(endpoint, 'confirmed');
+  const connection = getConnection({ cluster, rpcUrl }, connections);
 
   try {
     const accountInfo = await connection.getAccountInfo(pubkey, {
@@ -47,20 +51,24 @@ export async function getAccountInfo(args) {
       };
     }
 
-    return {
+    const result = {
       success: true,
       exists: true,
       publicKey,
       cluster,
-      accountInfo: {
-        lamports: accountInfo.lamports,
-        owner: accountInfo.owner.toBase58(),
-        executable: accountInfo.executable,
-        rentEpoch: accountInfo.rentEpoch,
-        dataLength: accountInfo.data.length,
-        data: encoding === 'base64' ? accountInfo.data.toString('base64') : accountInfo.data
-      }
+      accountInfo: formatAccountInfo(accountInfo, encoding)
     };
+
+    if (idl) {
+      try {
+        const programIdl = await loadIdl(idl, { connection, programId: accountInfo.owner });
+        result.decoded = await decodeAccountData(programIdl, accountInfo.data);
+      } catch (err) {
+        result.decodeError = err.message;
+      }
+    }
+
+    return result;
   } catch (err) {
     return {
       success: false,
@@ -70,14 +78,18 @@ export async function getAccountInfo(args) {
 }
 
 /**
- * Get cluster RPC URL
+ * Account fields returned by the account tools
+ * @param {AccountInfo<Buffer>} accountInfo - Account from the RPC
+ * @param {string} [encoding='base64'] - Requested data encoding
+ * @returns {Object} { lamports, owner, executable, rentEpoch, dataLength, data }
  */
-function getClusterUrl(cluster) {
-  const urls = {
-    'devnet': 'https://api.devnet.solana.com',
-    'testnet': 'https://api.testnet.solana.com',
-    'mainnet-beta': 'https://api.mainnet-beta.solana.com',
-    'localhost': 'http://127.0.0.1:8899'
+export function formatAccountInfo(accountInfo, encoding = 'base64') {
+  return {
+    lamports: accountInfo.lamports,
+    owner: accountInfo.owner.toBase58(),
+    executable: accountInfo.executable,
+    rentEpoch: accountInfo.rentEpoch,
+    dataLength: accountInfo.data.length,
+    data: encoding === 'base64' ? accountInfo.data.toString('base64') : accountInfo.data
   };
-  return urls[cluster] || urls.devnet;
 }
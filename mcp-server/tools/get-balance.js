@@ -3,7 +3,8 @@
  * Fetches SOL balance for a public key
  */
 
-import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
 
 /**
  * Get SOL balance for a public key
@@ -11,9 +12,11 @@ import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
  * @param {string} args.publicKey - Public key (base58)
  * @param {string} [args.cluster='devnet'] - Solana cluster
  * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
  * @returns {Object} Balance information
  */
-export async function getBalance(args) {
+export async function getBalance(args, { connections } = {}) {
   const { publicKey, cluster = 'devnet', rpcUrl } = args;
 
   // Validate public key
@@ -27,9 +30,7 @@ export async function getBalance(args) {
     };
   }
 
-  // Get RPC endpoint
-  const endpoint = rpcUrl || getClusterUrl(cluster);
-  const connection = new Connection(endpoint, 'confirmed');
+  const connection = getConnection({ cluster, rpcUrl }, connections);
 
   try {
     const lamports = await connection.getBalance(pubkey);
@@ -52,16 +53,3 @@ export async function getBalance(args) {
     };
   }
 }
-
-/**
- * Get cluster RPC URL
- */
-function getClusterUrl(cluster) {
-  const urls = {
-    'devnet': 'https://api.devnet.solana.com',
-    'testnet': 'https://api.testnet.solana.com',
-    'mainnet-beta': 'https://api.mainnet-beta.solana.com',
-    'localhost': 'http://127.0.0.1:8899'
-  };
-  return urls[cluster] || urls.devnet;
-}
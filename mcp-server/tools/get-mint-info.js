@@ -0,0 +1,79 @@
+/**
+ * Get Mint Info Tool
+ * Fetches an SPL Token or Token-2022 mint: supply, decimals, authorities and extensions
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { TOKEN_PROGRAMS, decodeMint, formatTokenAmount } from '../lib/spl-token.js';
+
+/**
+ * Get mint information
+ * @param {Object} args
+ * @param {string} args.mint - Mint address (base58)
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Mint supply, decimals, authorities and Token-2022 extensions
+ */
+export async function getMintInfo(args, { connections } = {}) {
+  const { mint, cluster = 'devnet', rpcUrl } = args;
+
+  let mintPubkey;
+  try {
+    mintPubkey = new PublicKey(mint);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Invalid mint address: ${err.message}`
+    };
+  }
+
+  const connection = getConnection({ cluster, rpcUrl }, connections);
+
+  try {
+    const accountInfo = await connection.getAccountInfo(mintPubkey);
+
+    if (!accountInfo) {
+      return {
+        success: true,
+        exists: false,
+        mint,
+        cluster,
+        message: 'Mint account does not exist'
+      };
+    }
+
+    const programId = accountInfo.owner.toBase58();
+    if (!TOKEN_PROGRAMS[programId]) {
+      return {
+        success: false,
+        error: `Account ${mint} is not an SPL token mint (owner: ${programId})`
+      };
+    }
+
+    const decoded = decodeMint(accountInfo.data);
+
+    return {
+      success: true,
+      exists: true,
+      mint,
+      cluster,
+      program: TOKEN_PROGRAMS[programId],
+      programId,
+      supply: decoded.supply,
+      uiSupply: formatTokenAmount(decoded.supply, decoded.decimals),
+      decimals: decoded.decimals,
+      isInitialized: decoded.isInitialized,
+      mintAuthority: decoded.mintAuthority,
+      freezeAuthority: decoded.freezeAuthority,
+      extensions: decoded.extensions
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to fetch mint info: ${err.message}`
+    };
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Get Multiple Accounts Tool
+ * Fetches many accounts with getMultipleAccounts, chunked to the RPC limit
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { loadIdl, decodeAccountData, IDL_FROM_CHAIN } from '../lib/idl.js';
+import { formatAccountInfo } from './get-account-info.js';
+
+// Maximum keys per getMultipleAccounts request
+export const MULTIPLE_ACCOUNTS_CHUNK_SIZE = 100;
+
+/**
+ * Get information for many accounts
+ * @param {Object} args
+ * @param {string[]} args.publicKeys - Account public keys (base58)
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {string} [args.encoding='base64'] - Data encoding (base64, base58, jsonParsed)
+ * @param {Object|string} [args.idl] - Anchor IDL to decode the data with: IDL object,
+ *   JSON string, file path, or "chain" to fetch each owner program's on-chain IDL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Per-account results in request order, plus a summary
+ */
+export async function getMultipleAccounts(args, { connections } = {}) {
+  const { publicKeys, cluster = 'devnet', rpcUrl, encoding = 'base64', idl = null } = args;
+
+  if (!Array.isArray(publicKeys) || publicKeys.length === 0) {
+    return {
+      success: false,
+      error: 'publicKeys must be a non-empty array'
+    };
+  }
+
+  // Validate all keys before making any request
+  const pubkeys = [];
+  const invalid = [];
+  for (const publicKey of publicKeys) {
+    try {
+      pubkeys.push(new PublicKey(publicKey));
+    } catch (err) {
+      invalid.push(publicKey);
+    }
+  }
+  if (invalid.length > 0) {
+    return {
+      success: false,
+      error: `Invalid public key(s): ${invalid.join(', ')}`
+    };
+  }
+
+  const connection = getConnection({ cluster, rpcUrl }, connections);
+
+  try {
+    const accountInfos = [];
+    for (let i = 0; i < pubkeys.length; i += MULTIPLE_ACCOUNTS_CHUNK_SIZE) {
+      const chunk = pubkeys.slice(i, i + MULTIPLE_ACCOUNTS_CHUNK_SIZE);
+      accountInfos.push(...await connection.getMultipleAccountsInfo(chunk));
+    }
+
+    const idls = new Map();
+    const programIdl = owner => {
+      // One IDL for all accounts, unless fetched from chain per owner program
+      const key = idl === IDL_FROM_CHAIN ? owner.toBase58() : '';
+      if (!idls.has(key)) {
+        idls.set(key, loadIdl(idl, { connection, programId: owner }));
+      }
+      return idls.get(key);
+    };
+
+    const accounts = [];
+    for (const [i, accountInfo] of accountInfos.entries()) {
+      const publicKey = publicKeys[i];
+      if (!accountInfo) {
+        accounts.push({ publicKey, exists: false });
+        continue;
+      }
+
+      const account = {
+        publicKey,
+        exists: true,
+        accountInfo: formatAccountInfo(accountInfo, encoding)
+      };
+
+      if (idl) {
+        try {
+          account.decoded = await decodeAccountData(await programIdl(accountInfo.owner), accountInfo.data);
+        } catch (err) {
+          account.decodeError = err.message;
+        }
+      }
+
+      accounts.push(account);
+    }
+
+    const missing = accounts.filter(account => !account.exists).map(account => account.publicKey);
+
+    return {
+      success: true,
+      cluster,
+      accounts,
+      summary: {
+        requested: publicKeys.length,
+        found: publicKeys.length - missing.length,
+        missing: missing.length,
+        missingAccounts: missing
+      }
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to fetch accounts: ${err.message}`
+    };
+  }
+}
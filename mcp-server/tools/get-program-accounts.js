@@ -0,0 +1,139 @@
+/**
+ * Get Program Accounts Tool
+ * Lists accounts owned by a program with getProgramAccounts, filtered by
+ * size, memcmp or Anchor account type, and pages through the results
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { loadIdl, decodeAccountData, getDiscriminator } from '../lib/idl.js';
+import { encodeBase58 } from '../lib/base58.js';
+import { formatAccountInfo } from './get-account-info.js';
+
+export const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * List accounts owned by a program
+ * @param {Object} args
+ * @param {string} args.programId - Owner program ID (base58)
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {number} [args.dataSize] - Only accounts with exactly this many data bytes
+ * @param {Object[]} [args.memcmp] - Byte filters: { offset, bytes, encoding: "base58" | "base64" }
+ * @param {string} [args.accountType] - Only Anchor accounts of this type (matches its discriminator)
+ * @param {Object} [args.dataSlice] - Return only { offset, length } bytes of each account's data
+ * @param {number} [args.limit=100] - Accounts per page
+ * @param {number} [args.offset=0] - Accounts to skip (pages are ordered by public key)
+ * @param {Object|string} [args.idl] - Anchor IDL to decode the data with: IDL object,
+ *   JSON string, file path, or "chain" to fetch the program's on-chain IDL. Sliced data
+ *   (dataSlice) is not decoded; the IDL then only resolves accountType.
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} One page of accounts plus pagination info
+ */
+export async function getProgramAccounts(args, { connections } = {}) {
+  const {
+    programId,
+    cluster = 'devnet',
+    rpcUrl,
+    dataSize,
+    memcmp = [],
+    accountType = null,
+    dataSlice = null,
+    limit = DEFAULT_PAGE_SIZE,
+    offset = 0,
+    idl = null
+  } = args;
+
+  let programPubkey;
+  try {
+    programPubkey = new PublicKey(programId);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Invalid program ID: ${err.message}`
+    };
+  }
+
+  const connection = getConnection({ cluster, rpcUrl }, connections);
+
+  try {
+    // Loaded up front: the IDL may declare the account type's discriminator
+    let programIdl = null;
+    let idlError;
+    if (idl) {
+      try {
+        programIdl = await loadIdl(idl, { connection, programId: programPubkey });
+      } catch (err) {
+        idlError = err.message;
+      }
+    }
+
+    const filters = [];
+    if (dataSize !== undefined) {
+      filters.push({ dataSize });
+    }
+    for (const filter of memcmp) {
+      filters.push({
+        memcmp: {
+          offset: filter.offset ?? 0,
+          bytes: filter.bytes,
+          ...(filter.encoding ? { encoding: filter.encoding } : {})
+        }
+      });
+    }
+    if (accountType) {
+      const item = programIdl?.accounts?.find(account => account.name === accountType) || { name: accountType };
+      const discriminator = await getDiscriminator(item, 'account');
+      filters.push({ memcmp: { offset: 0, bytes: encodeBase58(discriminator) } });
+    }
+
+    const accounts = await connection.getProgramAccounts(programPubkey, {
+      filters,
+      ...(dataSlice ? { dataSlice } : {})
+    });
+
+    // getProgramAccounts has no server-side paging; sort so pages are stable
+    const sorted = accounts
+      .map(({ pubkey, account }) => ({ publicKey: pubkey.toBase58(), account }))
+      .sort((a, b) => (a.publicKey < b.publicKey ? -1 : a.publicKey > b.publicKey ? 1 : 0));
+    const page = sorted.slice(offset, offset + limit);
+
+    const results = [];
+    for (const { publicKey, account } of page) {
+      const entry = { publicKey, accountInfo: formatAccountInfo(account) };
+      // A slice lacks the discriminator or the tail of the account
+      if (programIdl && !dataSlice) {
+        try {
+          entry.decoded = await decodeAccountData(programIdl, account.data);
+        } catch (err) {
+          entry.decodeError = err.message;
+        }
+      }
+      results.push(entry);
+    }
+
+    const nextOffset = offset + page.length;
+
+    return {
+      success: true,
+      programId,
+      cluster,
+      filters,
+      accounts: results,
+      idlError,
+      pagination: {
+        total: sorted.length,
+        offset,
+        limit,
+        returned: results.length,
+        nextOffset: nextOffset < sorted.length ? nextOffset : null
+      }
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to fetch program accounts: ${err.message}`
+    };
+  }
+}
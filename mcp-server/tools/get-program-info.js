@@ -1,9 +1,12 @@
 /**
  * Get Program Info via Pure RPC
- * Checks if a program is deployed on Solana using only RPC calls (no CLI)
+ * Checks if a program is deployed on Solana using only RPC calls (no CLI),
+ * following upgradeable programs to their ProgramData account
  */
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { LOADERS, fetchProgramBytecode, hashBytecode } from '../lib/program-loader.js';
 
 /**
  * Get program deployment information
@@ -11,9 +14,12 @@ import { Connection, PublicKey } from '@solana/web3.js';
  * @param {string} args.programId - Program ID (base58 public key)
  * @param {string} [args.cluster='devnet'] - Solana cluster
  * @param {string} [args.rpcUrl] - Custom RPC URL
- * @returns {Object} Program deployment status
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Program deployment status, with loader (v1, v2, upgradeable, v4),
+ *   upgrade authority, last deployed slot, ELF size and bytecode SHA-256 for BPF programs
  */
-export async function getProgramInfo(args) {
+export async function getProgramInfo(args, { connections } = {}) {
   const {
     programId,
     cluster = 'devnet',
@@ -37,11 +43,8 @@ export async function getProgramInfo(args) {
     };
   }
 
-  // Determine RPC URL
-  const rpc = rpcUrl || getRpcForCluster(cluster);
-
   try {
-    const connection = new Connection(rpc, 'confirmed');
+    const connection = getConnection({ cluster, rpcUrl }, connections);
 
     // Fetch program account info
     const accountInfo = await connection.getAccountInfo(pubkey);
@@ -68,8 +71,7 @@ export async function getProgramInfo(args) {
       };
     }
 
-    // Program is deployed
-    return {
+    const deployment = {
       success: true,
       programId: pubkey.toBase58(),
       cluster,
@@ -80,6 +82,39 @@ export async function getProgramInfo(args) {
       dataSize: accountInfo.data.length,
       rentEpoch: accountInfo.rentEpoch
     };
+
+    // Native and other non-BPF programs have no bytecode to inspect
+    if (!LOADERS[deployment.owner]) {
+      return { ...deployment, loader: null };
+    }
+
+    let loaded;
+    try {
+      loaded = await fetchProgramBytecode(connection, pubkey, accountInfo);
+    } catch (err) {
+      // Deployment status stands even if the loader state cannot be read
+      return { ...deployment, loader: LOADERS[deployment.owner], loaderError: err.message };
+    }
+    const { bytecode, ...program } = loaded;
+
+    if (!bytecode) {
+      return {
+        success: true,
+        programId: pubkey.toBase58(),
+        cluster,
+        deployed: false,
+        ...program,
+        error: `ProgramData account ${program.programDataAddress} not found`,
+        details: 'The program has been closed'
+      };
+    }
+
+    // dataSize is the program account; elfSize/sha256 describe the deployed ELF
+    return {
+      ...deployment,
+      ...program,
+      ...hashBytecode(bytecode)
+    };
   } catch (error) {
     return {
       success: false,
@@ -90,17 +125,3 @@ export async function getProgramInfo(args) {
     };
   }
 }
-
-/**
- * Get default RPC URL for cluster
- */
-function getRpcForCluster(cluster) {
-  const rpcEndpoints = {
-    'mainnet-beta': 'https://api.mainnet-beta.solana.com',
-    'devnet': 'https://api.devnet.solana.com',
-    'testnet': 'https://api.testnet.solana.com',
-    'localhost': 'http://localhost:8899'
-  };
-  
-  return rpcEndpoints[cluster] || rpcEndpoints.devnet;
-}
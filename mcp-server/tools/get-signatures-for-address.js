@@ -0,0 +1,125 @@
+/**
+ * Get Signatures For Address Tool
+ * Lists an address's transaction history, optionally summarized into an
+ * activity timeline by parsing each transaction
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { parseTransaction } from './parse-transaction.js';
+
+export const DEFAULT_SIGNATURE_LIMIT = 20;
+
+/**
+ * Get transaction signatures for an address, newest first
+ * @param {Object} args
+ * @param {string} args.address - Wallet, token account or program address (base58)
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {string} [args.before] - Start after this signature (paging backwards in time)
+ * @param {string} [args.until] - Stop before reaching this signature
+ * @param {number} [args.limit=20] - Maximum signatures to return (RPC limit: 1000)
+ * @param {boolean} [args.parseTransactions=false] - Fetch each transaction and add a timeline summary
+ * @param {Object|string} [args.idl] - Anchor IDL passed to parseTransaction to name instructions and events
+ * @param {string} [args.programId] - Program the IDL belongs to (default: address declared in the IDL)
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Signatures (or timeline) plus the cursor for the next page
+ */
+export async function getSignaturesForAddress(args, { connections } = {}) {
+  const {
+    address,
+    cluster = 'devnet',
+    rpcUrl,
+    before,
+    until,
+    limit = DEFAULT_SIGNATURE_LIMIT,
+    parseTransactions = false,
+    idl = null,
+    programId = null
+  } = args;
+
+  let pubkey;
+  try {
+    pubkey = new PublicKey(address);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Invalid address: ${err.message}`
+    };
+  }
+
+  const connection = getConnection({ cluster, rpcUrl }, connections);
+
+  try {
+    const signatures = await connection.getSignaturesForAddress(pubkey, { before, until, limit });
+
+    const entries = signatures.map(info => ({
+      signature: info.signature,
+      slot: info.slot,
+      blockTime: info.blockTime ?? null,
+      time: info.blockTime ? new Date(info.blockTime * 1000).toISOString() : null,
+      status: info.err ? 'failed' : 'success',
+      error: info.err ?? null,
+      memo: info.memo ?? null,
+      confirmationStatus: info.confirmationStatus ?? null
+    }));
+
+    const result = {
+      success: true,
+      address,
+      cluster,
+      count: entries.length,
+      // A full page may have older signatures behind it
+      nextBefore: entries.length === limit ? entries[entries.length - 1].signature : null
+    };
+
+    if (!parseTransactions) {
+      result.signatures = entries;
+      return result;
+    }
+
+    result.timeline = [];
+    for (const entry of entries) {
+      const parsed = await parseTransaction({ signature: entry.signature, cluster, rpcUrl, idl, programId }, { connections });
+      result.timeline.push({ ...entry, ...summarizeTransaction(parsed, address) });
+    }
+    return result;
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to fetch signatures: ${err.message}`
+    };
+  }
+}
+
+/**
+ * Compact view of a parseTransaction result from the perspective of one address
+ */
+function summarizeTransaction(parsed, address) {
+  if (!parsed.success) {
+    return { summaryError: parsed.error };
+  }
+  if (!parsed.exists) {
+    return { summaryError: parsed.message };
+  }
+
+  const { transaction } = parsed;
+  const solChange = transaction.balanceChanges?.find(change => change.account === address);
+
+  return {
+    fee: transaction.fee,
+    computeUnitsConsumed: transaction.computeUnitsConsumed,
+    signers: transaction.accounts.filter(account => account.signer).map(account => account.pubkey),
+    instructions: transaction.instructions.map(ix => ({
+      programId: ix.programId,
+      program: ix.program || null,
+      name: ix.type === 'parsed' ? ix.parsed?.type || null : ix.decoded?.name || null
+    })),
+    events: transaction.events.filter(event => event.name).map(event => event.name),
+    solChange: solChange ? solChange.change : 0,
+    tokenChanges: transaction.tokenBalanceChanges
+      .filter(change => change.account === address || change.owner === address)
+      .map(({ account, mint, change, uiChange }) => ({ account, mint, change, uiChange }))
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Get Token Accounts Tool
+ * Lists a wallet's SPL Token and Token-2022 accounts with balances and extensions
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAMS,
+  decodeMint,
+  decodeTokenAccount,
+  formatTokenAmount
+} from '../lib/spl-token.js';
+import { MULTIPLE_ACCOUNTS_CHUNK_SIZE } from './get-multiple-accounts.js';
+
+/**
+ * List token accounts owned by a wallet
+ * @param {Object} args
+ * @param {string} args.owner - Wallet public key (base58)
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {string} [args.mint] - Only accounts for this mint
+ * @param {boolean} [args.includeEmpty=true] - Include accounts with a zero balance
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Token accounts with mint decimals, UI amounts and extensions
+ */
+export async function getTokenAccounts(args, { connections } = {}) {
+  const { owner, cluster = 'devnet', rpcUrl, mint = null, includeEmpty = true } = args;
+
+  let ownerPubkey;
+  let mintPubkey = null;
+  try {
+    ownerPubkey = new PublicKey(owner);
+    mintPubkey = mint ? new PublicKey(mint) : null;
+  } catch (err) {
+    return {
+      success: false,
+      error: `Invalid public key: ${err.message}`
+    };
+  }
+
+  const connection = getConnection({ cluster, rpcUrl }, connections);
+
+  try {
+    // A mint filter covers whichever program owns the mint
+    const filters = mintPubkey
+      ? [{ mint: mintPubkey }]
+      : [{ programId: new PublicKey(TOKEN_PROGRAM_ID) }, { programId: new PublicKey(TOKEN_2022_PROGRAM_ID) }];
+
+    const found = [];
+    for (const filter of filters) {
+      const { value } = await connection.getTokenAccountsByOwner(ownerPubkey, filter);
+      found.push(...value);
+    }
+
+    const accounts = [];
+    for (const { pubkey, account } of found) {
+      const programId = account.owner.toBase58();
+      try {
+        accounts.push({
+          address: pubkey.toBase58(),
+          program: TOKEN_PROGRAMS[programId] || null,
+          programId,
+          ...decodeTokenAccount(account.data)
+        });
+      } catch (err) {
+        accounts.push({ address: pubkey.toBase58(), programId, decodeError: err.message });
+      }
+    }
+
+    const mints = await fetchMints(connection, [...new Set(accounts.filter(a => a.mint).map(a => a.mint))]);
+
+    const results = accounts
+      .filter(account => includeEmpty || account.decodeError || account.amount !== '0')
+      .map(account => {
+        if (account.decodeError) {
+          return account;
+        }
+        const mintInfo = mints.get(account.mint);
+        const decimals = mintInfo?.decimals ?? null;
+        return {
+          address: account.address,
+          program: account.program,
+          programId: account.programId,
+          mint: account.mint,
+          owner: account.owner,
+          amount: account.amount,
+          decimals,
+          uiAmount: decimals === null ? null : formatTokenAmount(account.amount, decimals),
+          delegate: account.delegate,
+          delegatedAmount: account.delegatedAmount,
+          state: account.state,
+          isFrozen: account.state === 'frozen',
+          isNative: account.isNative !== null,
+          closeAuthority: account.closeAuthority,
+          extensions: account.extensions,
+          mintExtensions: mintInfo?.extensions || [],
+          ...(mintInfo?.error ? { mintError: mintInfo.error } : {})
+        };
+      });
+
+    return {
+      success: true,
+      owner,
+      cluster,
+      count: results.length,
+      accounts: results
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to fetch token accounts: ${err.message}`
+    };
+  }
+}
+
+/**
+ * Decode mints in getMultipleAccounts batches
+ * @returns {Promise<Map>} mint -> decoded mint, or { error }
+ */
+async function fetchMints(connection, addresses) {
+  const mints = new Map();
+
+  for (let i = 0; i < addresses.length; i += MULTIPLE_ACCOUNTS_CHUNK_SIZE) {
+    const chunk = addresses.slice(i, i + MULTIPLE_ACCOUNTS_CHUNK_SIZE);
+    const infos = await connection.getMultipleAccountsInfo(chunk.map(address => new PublicKey(address)));
+
+    for (const [j, info] of infos.entries()) {
+      if (!info) {
+        mints.set(chunk[j], { error: 'Mint account not found' });
+        continue;
+      }
+      try {
+        mints.set(chunk[j], decodeMint(info.data));
+      } catch (err) {
+        mints.set(chunk[j], { error: err.message });
+      }
+    }
+  }
+
+  return mints;
+}
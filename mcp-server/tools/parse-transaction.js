@@ -3,7 +3,18 @@
  * Fetches and parses a Solana transaction
  */
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { decodeBase58 } from '../lib/base58.js';
+import {
+  loadIdl,
+  decodeInstructionData,
+  decodeEventData,
+  getIdlProgramId,
+  IDL_FROM_CHAIN
+} from '../lib/idl.js';
+import { parseInvocationLogs } from '../lib/logs.js';
+import { formatTokenAmount } from '../lib/spl-token.js';
 
 /**
  * Parse a Solana transaction
@@ -11,10 +22,23 @@ import { Connection, PublicKey } from '@solana/web3.js';
  * @param {string} args.signature - Transaction signature (base58)
  * @param {string} [args.cluster='devnet'] - Solana cluster
  * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object|string} [args.idl] - Anchor IDL to decode instructions and events with:
+ *   IDL object, JSON string or file path, or "chain" to fetch each invoked program's IDL
+ * @param {string} [args.programId] - Program the IDL belongs to (default: address declared in the IDL)
+ * @param {boolean} [args.fullLogs=false] - Return every log line (default: first 20) and per-invocation logs
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
  * @returns {Object} Parsed transaction data
  */
-export async function parseTransaction(args) {
-  const { signature, cluster = 'devnet', rpcUrl } = args;
+export async function parseTransaction(args, { connections } = {}) {
+  const {
+    signature,
+    cluster = 'devnet',
+    rpcUrl,
+    idl = null,
+    programId = null,
+    fullLogs = false
+  } = args;
 
   if (!signature || typeof signature !== 'string') {
     return {
@@ -23,9 +47,7 @@ export async function parseTransaction(args) {
     };
   }
 
-  // Get RPC endpoint
-  const endpoint = rpcUrl || getClusterUrl(cluster);
-  const connection = new Connection(endpoint, 'confirmed');
+  const connection = getConnection({ cluster, rpcUrl }, connections);
 
   try {
     const tx = await connection.getParsedTransaction(signature, {
@@ -45,6 +67,26 @@ export async function parseTransaction(args) {
     // Parse transaction data
     const meta = tx.meta;
     const message = tx.transaction.message;
+    const accountKeys = message.accountKeys.map(key =>
+      typeof key === 'string' ? key : key.pubkey.toBase58()
+    );
+    const invocations = parseInvocationLogs(meta?.logMessages || []);
+
+    const idls = new ProgramIdls(connection, idl);
+    if (idl && idl !== IDL_FROM_CHAIN) {
+      await idls.addExplicit(programId);
+    }
+
+    const innerByIndex = new Map(
+      (meta?.innerInstructions || []).map(inner => [inner.index, inner.instructions])
+    );
+    const instructions = [];
+    for (const [index, ix] of message.instructions.entries()) {
+      instructions.push(await buildCallTree(ix, innerByIndex.get(index) || [], idls));
+    }
+    attachInvocations(instructions, invocations, fullLogs);
+
+    const events = await decodeEvents(invocations, idls);
 
     return {
       success: true,
@@ -58,40 +100,29 @@ export async function parseTransaction(args) {
         status: meta?.err ? 'failed' : 'success',
         error: meta?.err || null,
         computeUnitsConsumed: meta?.computeUnitsConsumed,
-        logMessages: meta?.logMessages?.slice(0, 20) || [],
-        accounts: message.accountKeys.map(key => ({
-          pubkey: typeof key === 'string' ? key : key.pubkey.toBase58(),
+        logMessages: fullLogs ? meta?.logMessages || [] : meta?.logMessages?.slice(0, 20) || [],
+        logMessagesTruncated: !fullLogs && (meta?.logMessages?.length || 0) > 20,
+        accounts: message.accountKeys.map((key, idx) => ({
+          pubkey: accountKeys[idx],
           signer: typeof key === 'string' ? false : key.signer,
           writable: typeof key === 'string' ? false : key.writable
         })),
-        instructions: message.instructions.map((ix, idx) => {
-          if ('parsed' in ix) {
-            return {
-              type: 'parsed',
-              program: ix.program,
-              programId: ix.programId?.toBase58() || 'unknown',
-              parsed: ix.parsed
-            };
-          }
-          return {
-            type: 'raw',
-            programIdIndex: ix.programIdIndex,
-            accounts: ix.accounts,
-            data: ix.data
-          };
-        }),
+        instructions,
+        events,
+        idlErrors: idls.errors(),
         recentBlockhash: message.recentBlockhash,
         preBalances: meta?.preBalances,
         postBalances: meta?.postBalances,
         balanceChanges: meta?.preBalances?.map((pre, idx) => {
           const post = meta.postBalances[idx];
           return {
-            account: message.accountKeys[idx]?.pubkey?.toBase58() || 'unknown',
+            account: accountKeys[idx] || 'unknown',
             change: post - pre,
             pre,
             post
           };
-        })
+        }),
+        tokenBalanceChanges: getTokenBalanceChanges(meta, accountKeys)
       }
     };
   } catch (err) {
@@ -103,14 +134,235 @@ export async function parseTransaction(args) {
 }
 
 /**
- * Get cluster RPC URL
+ * IDLs by program ID for decoding
+ * Holds the explicitly supplied IDL, or fetches on-chain IDLs lazily in "chain" mode.
+ * An explicit IDL that fails to load is reported on the instructions it would decode.
  */
-function getClusterUrl(cluster) {
-  const urls = {
-    'devnet': 'https://api.devnet.solana.com',
-    'testnet': 'https://api.testnet.solana.com',
-    'mainnet-beta': 'https://api.mainnet-beta.solana.com',
-    'localhost': 'http://127.0.0.1:8899'
+class ProgramIdls {
+  constructor(connection, source) {
+    this.connection = connection;
+    this.source = source;
+    this.byProgram = new Map();
+    this.failures = {};
+    this.explicitFailure = null;
+  }
+
+  async addExplicit(programId) {
+    let idl;
+    try {
+      idl = await loadIdl(this.source);
+    } catch (err) {
+      this.failExplicit(programId, `Failed to load IDL: ${err.message}`);
+      return;
+    }
+    const owner = programId || getIdlProgramId(idl);
+    if (!owner) {
+      this.failExplicit(null, 'programId is required when the IDL does not declare its address');
+      return;
+    }
+    this.byProgram.set(owner, idl);
+  }
+
+  // Without a program ID, every undecoded instruction may be the IDL's
+  failExplicit(programId, message) {
+    this.explicitFailure = { programId, message };
+    if (programId) {
+      this.failures[programId] = message;
+    }
+  }
+
+  /**
+   * Why instructions of a program could not be decoded with the explicit IDL
+   */
+  failure(programId) {
+    const failure = this.explicitFailure;
+    return failure && (failure.programId === null || failure.programId === programId) ? failure.message : null;
+  }
+
+  async get(programId) {
+    if (this.byProgram.has(programId)) {
+      return this.byProgram.get(programId);
+    }
+    if (this.source !== IDL_FROM_CHAIN) {
+      return null;
+    }
+
+    let idl = null;
+    try {
+      idl = await loadIdl(IDL_FROM_CHAIN, {
+        connection: this.connection,
+        programId: new PublicKey(programId)
+      });
+    } catch (err) {
+      this.failures[programId] = err.message;
+    }
+    this.byProgram.set(programId, idl);
+    return idl;
+  }
+
+  errors() {
+    return Object.keys(this.failures).length > 0 ? this.failures : undefined;
+  }
+}
+
+/**
+ * Describe a top-level or inner instruction, decoding raw data when an IDL is known
+ */
+async function describeInstruction(ix, idls) {
+  const programId = ix.programId?.toBase58() || 'unknown';
+
+  if ('parsed' in ix) {
+    return {
+      type: 'parsed',
+      program: ix.program,
+      programId,
+      parsed: ix.parsed
+    };
+  }
+
+  const accounts = (ix.accounts || []).map(key => key.toBase58());
+  const described = {
+    type: 'raw',
+    programId,
+    accounts,
+    data: ix.data
   };
-  return urls[cluster] || urls.devnet;
+
+  const idl = await idls.get(programId);
+  if (idl) {
+    try {
+      described.decoded = await decodeInstructionData(idl, decodeBase58(ix.data), accounts);
+    } catch (err) {
+      described.decodeError = err.message;
+    }
+  } else if (idls.failure(programId)) {
+    described.decodeError = idls.failure(programId);
+  }
+
+  return described;
+}
+
+/**
+ * Build the call tree of a top-level instruction from its inner instructions
+ * Inner instructions are listed in execution order with their stack height
+ * (1 = top level), so each one is a child of the closest preceding shallower node
+ */
+async function buildCallTree(ix, innerInstructions, idls) {
+  const root = { ...(await describeInstruction(ix, idls)), depth: 1, innerInstructions: [] };
+  const stack = [root];
+
+  for (const inner of innerInstructions) {
+    // stackHeight is missing on transactions processed before it was recorded; treat those as direct CPIs
+    const depth = inner.stackHeight || 2;
+    while (stack.length >= depth) {
+      stack.pop();
+    }
+    const node = { ...(await describeInstruction(inner, idls)), depth, innerInstructions: [] };
+    stack[stack.length - 1].innerInstructions.push(node);
+    stack.push(node);
+  }
+
+  return root;
+}
+
+/**
+ * Attach status and compute units from the invocation logs to call tree nodes
+ * Log invocations appear in the same order as a pre-order walk of the tree; nodes
+ * without a matching "invoke" line (e.g. truncated logs) get null values.
+ * Consumed units of a node include those of the CPIs it made.
+ */
+function attachInvocations(tree, invocations, fullLogs) {
+  let next = 0;
+
+  const visit = (node) => {
+    const invocation = invocations[next];
+    if (invocation && invocation.programId === node.programId && invocation.depth === node.depth) {
+      next++;
+      node.status = invocation.status;
+      node.computeUnits = invocation.computeUnits;
+      if (invocation.error) {
+        node.error = invocation.error;
+      }
+      if (fullLogs) {
+        node.logs = invocation.logs;
+      }
+    } else {
+      node.status = null;
+      node.computeUnits = null;
+    }
+    node.innerInstructions.forEach(visit);
+  };
+
+  tree.forEach(visit);
+}
+
+/**
+ * Decode Anchor events from "Program data:" logs of programs with a known IDL
+ */
+async function decodeEvents(invocations, idls) {
+  const events = [];
+
+  for (const invocation of invocations) {
+    if (invocation.data.length === 0) {
+      continue;
+    }
+    const idl = await idls.get(invocation.programId);
+    if (!idl) {
+      continue;
+    }
+    for (const payload of invocation.data) {
+      try {
+        const event = await decodeEventData(idl, payload);
+        if (event) {
+          events.push({ programId: invocation.programId, ...event });
+        }
+      } catch (err) {
+        events.push({ programId: invocation.programId, data: payload, decodeError: err.message });
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Diff SPL token balances (Token and Token-2022) per token account and mint
+ * Accounts opened or closed by the transaction only appear on one side and
+ * count as a zero balance on the other.
+ */
+function getTokenBalanceChanges(meta, accountKeys) {
+  const balances = new Map();
+  const entryFor = (balance) => {
+    const key = `${balance.accountIndex}:${balance.mint}`;
+    if (!balances.has(key)) {
+      balances.set(key, {
+        account: accountKeys[balance.accountIndex] || 'unknown',
+        mint: balance.mint,
+        owner: balance.owner || null,
+        programId: balance.programId || null,
+        decimals: balance.uiTokenAmount.decimals,
+        pre: '0',
+        post: '0'
+      });
+    }
+    return balances.get(key);
+  };
+
+  for (const balance of meta?.preTokenBalances || []) {
+    entryFor(balance).pre = balance.uiTokenAmount.amount;
+  }
+  for (const balance of meta?.postTokenBalances || []) {
+    const entry = entryFor(balance);
+    entry.post = balance.uiTokenAmount.amount;
+    entry.owner = balance.owner || entry.owner;
+  }
+
+  return [...balances.values()].map(entry => {
+    const change = BigInt(entry.post) - BigInt(entry.pre);
+    return {
+      ...entry,
+      change: change.toString(),
+      uiChange: formatTokenAmount(change, entry.decimals)
+    };
+  });
 }
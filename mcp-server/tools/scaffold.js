@@ -1,14 +1,27 @@
 /**
  * Program Scaffolding Tool
- * Generates Anchor program structure with best practices
+ * Generates Anchor program structure with best practices: a Cargo workspace
+ * with one or more programs, optionally calling each other through CPI.
+ * Programs come from feature templates or from a declarative spec
+ * (see lib/anchor-codegen.js) that also yields tests and a client stub.
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import {
+  normalizeProgramSpec,
+  renderAccountStruct,
+  renderAccountsStruct,
+  renderClient,
+  renderErrorEnum,
+  renderInstructionHandler,
+  renderTestCase
+} from '../lib/anchor-codegen.js';
 
 const BASE_PROGRAM_TEMPLATE = `use anchor_lang::prelude::*;{{IMPORTS}}
 
-declare_id!("Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS");
+declare_id!("{{PROGRAM_ID}}");
 
 #[program]
 pub mod {{PROGRAM_NAME}} {
@@ -106,6 +119,24 @@ pub struct InitializeToken<'info> {
 }
 `;
 
+// CPI into another workspace program (crate dependency with the "cpi" feature)
+const PROGRAM_CPI_INSTRUCTION = `
+    pub fn call_{{DEPENDENCY}}(ctx: Context<Call{{DEPENDENCY_PASCAL}}>) -> Result<()> {
+        let cpi_ctx = CpiContext::new(
+            ctx.accounts.{{DEPENDENCY}}_program.to_account_info(),
+            {{DEPENDENCY}}::cpi::accounts::Initialize {},
+        );
+        {{DEPENDENCY}}::cpi::initialize(cpi_ctx)
+    }
+`;
+
+const PROGRAM_CPI_ACCOUNTS = `
+#[derive(Accounts)]
+pub struct Call{{DEPENDENCY_PASCAL}}<'info> {
+    pub {{DEPENDENCY}}_program: Program<'info, {{DEPENDENCY_PASCAL}}>,
+}
+`;
+
 const TEST_TEMPLATE = `import * as anchor from "@coral-xyz/anchor";
 import { Program } from "@coral-xyz/anchor";
 import { {{PROGRAM_NAME_CAMEL}} } from "../target/types/{{PROGRAM_NAME}}";
@@ -115,12 +146,21 @@ describe("{{PROGRAM_NAME}}", () => {
   anchor.setProvider(provider);
 
   const program = anchor.workspace.{{PROGRAM_NAME_CAMEL}} as Program<{{PROGRAM_NAME_CAMEL}}>;
+{{TESTS}}});
+`;
 
+const INITIALIZE_TEST = `
   it("Initializes successfully", async () => {
     const tx = await program.methods.initialize().rpc();
     console.log("Transaction signature:", tx);
   });
-});
+`;
+
+const CPI_TEST_TEMPLATE = `
+  it("Calls {{DEPENDENCY}} through CPI", async () => {
+    const tx = await program.methods.call{{DEPENDENCY_PASCAL}}().rpc();
+    console.log("Transaction signature:", tx);
+  });
 `;
 
 const CARGO_TOML_BASE = `[package]
@@ -132,111 +172,139 @@ edition = "2021"
 crate-type = ["cdylib", "lib"]
 name = "{{PROGRAM_NAME_SNAKE}}"
 
+[features]
+default = []
+cpi = ["no-entrypoint"]
+no-entrypoint = []
+no-idl = []
+no-log-ix-name = []
+idl-build = [{{IDL_BUILD}}]
+
 [dependencies]
 anchor-lang = "0.30.1"`;
 
 const CARGO_TOML_TOKEN = `
 anchor-spl = "0.30.1"`;
 
+const CARGO_TOML_DEPENDENCY = `
+{{DEPENDENCY}} = { path = "../{{DEPENDENCY}}", features = ["cpi"] }`;
+
 const CARGO_TOML_END = `
 
 [dev-dependencies]
 `;
 
+const WORKSPACE_CARGO_TOML = `[workspace]
+members = [
+    "programs/*"
+]
+resolver = "2"
+
+[profile.release]
+overflow-checks = true
+lto = "fat"
+codegen-units = 1
+
+[profile.release.build-override]
+opt-level = 3
+incremental = false
+codegen-units = 1
+`;
+
+// Program types from anchor-spl usable in spec instructions
+const SPL_PROGRAMS = {
+  Token: 'anchor_spl::token::Token',
+  Token2022: 'anchor_spl::token_2022::Token2022',
+  AssociatedToken: 'anchor_spl::associated_token::AssociatedToken'
+};
+
+const FEATURE_DESCRIPTIONS = {
+  pda: 'PDA: Use seeds and bump constraints for derived accounts',
+  cpi: 'CPI: Cross-program invocation with System Program transfers',
+  token: 'Token: SPL token mint initialization (requires anchor-spl dependency)'
+};
+
+/**
+ * Scaffold an Anchor workspace
+ * @param {Object} args
+ * @param {string} args.programName - Project name; also the program name unless `programs` is given
+ * @param {string[]} [args.features] - Features for every program: "pda", "cpi", "token"
+ * @param {Object} [args.spec] - Program spec instead of features: { instructions, accounts, errors }
+ * @param {Object[]} [args.programs] - Programs of a multi-program workspace:
+ *   { name, features, spec, dependsOn } where dependsOn lists workspace programs this one calls through CPI
+ * @param {string} [args.outputDir] - Directory to create the project in (default: working directory)
+ * @returns {Object} Project path, generated files and program IDs; fails if the project
+ *   directory already exists and is not empty
+ */
 export async function scaffoldProgram(args) {
-  const { programName, features = [] } = args;
+  const { programName, features = [], spec = null, programs = null, outputDir = null } = args;
   
   if (!programName) {
     throw new Error('programName is required');
   }
-  
-  // Sanitize program name - reject paths, invalid characters
-  if (programName.includes('/') || programName.includes('\\')) {
-    throw new Error('programName cannot contain path separators');
+  validateName(programName, 'programName');
+  if (spec && programs) {
+    throw new Error('spec describes a single program; pass it per program in programs');
   }
-  if (!/^[a-zA-Z0-9_-]+$/.test(programName)) {
-    throw new Error('programName can only contain letters, numbers, underscores, and hyphens');
+
+  const workspace = resolvePrograms(programs || [{ name: programName, spec }], features);
+  const projectRoot = path.join(path.resolve(outputDir || process.cwd()), programName);
+
+  // Never overwrite an existing project: its program keypairs fix the deployed
+  // program IDs and lib.rs may hold user code
+  const existing = await fs.readdir(projectRoot).catch(() => []);
+  if (existing.length > 0) {
+    return {
+      success: false,
+      projectPath: projectRoot,
+      error: 'Project directory already exists',
+      details: `${projectRoot} is not empty; choose another programName or outputDir, or extend the project with anchor_add_instruction and anchor_add_account`
+    };
   }
   
-  // Sanitize program name
-  const snakeName = programName.toLowerCase().replace(/-/g, '_');
-  const camelName = snakeName
-    .split('_')
-    .map((word, i) => i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
-    .join('');
-  const pascalName = camelName.charAt(0).toUpperCase() + camelName.slice(1);
-  
-  const projectRoot = path.join(process.cwd(), programName);
-  
   // Create directory structure
   const dirs = [
     projectRoot,
-    path.join(projectRoot, 'programs', snakeName, 'src'),
+    ...workspace.map(program => path.join(projectRoot, 'programs', program.snakeName, 'src')),
     path.join(projectRoot, 'tests'),
-    path.join(projectRoot, 'app')
+    path.join(projectRoot, 'app'),
+    path.join(projectRoot, 'target', 'deploy')
   ];
   
   for (const dir of dirs) {
     await fs.mkdir(dir, { recursive: true });
   }
   
-  // Generate files
-  let featureInstructions = '';
-  let featureAccounts = '';
-  let imports = '';
-  
-  // Build feature-specific code if requested
-  if (features.includes('pda')) {
-    featureInstructions += '\n' + PDA_FEATURE_INSTRUCTION;
-    featureAccounts += '\n' + PDA_FEATURE_ACCOUNTS;
-  }
-  if (features.includes('cpi')) {
-    featureInstructions += '\n' + CPI_FEATURE_INSTRUCTION;
-    featureAccounts += '\n' + CPI_FEATURE_ACCOUNTS;
-  }
-  if (features.includes('token')) {
-    featureInstructions += '\n' + TOKEN_FEATURE_INSTRUCTION;
-    featureAccounts += '\n' + TOKEN_FEATURE_ACCOUNTS;
-    imports += '\nuse anchor_spl::token::{Mint, Token};';
+  const files = [];
+  const writeFile = async (relativePath, content) => {
+    await fs.writeFile(path.join(projectRoot, relativePath), content);
+    files.push(relativePath);
+  };
+
+  for (const program of workspace) {
+    const { snakeName } = program;
+    await writeFile(`programs/${snakeName}/src/lib.rs`, renderProgram(program));
+    await writeFile(`programs/${snakeName}/Cargo.toml`, renderCargoToml(program));
+    await writeFile(`tests/${snakeName}.ts`, renderTest(program));
+    if (program.spec) {
+      await writeFile(`app/${snakeName}.ts`, renderClient(snakeName, program.spec));
+    }
   }
-  
-  let programCode = BASE_PROGRAM_TEMPLATE
-    .replace(/{{PROGRAM_NAME}}/g, snakeName)
-    .replace(/{{PROGRAM_NAME_CAMEL}}/g, camelName)
-    .replace(/{{IMPORTS}}/g, imports)
-    .replace(/{{FEATURES}}/g, featureInstructions)
-    .replace(/{{FEATURE_ACCOUNTS}}/g, featureAccounts);
-  
-  const testCode = TEST_TEMPLATE
-    .replace(/{{PROGRAM_NAME}}/g, snakeName)
-    .replace(/{{PROGRAM_NAME_CAMEL}}/g, pascalName);
-  
-  let cargoToml = CARGO_TOML_BASE
-    .replace(/{{PROGRAM_NAME}}/g, snakeName)
-    .replace(/{{PROGRAM_NAME_SNAKE}}/g, snakeName);
-  
-  if (features.includes('token')) {
-    cargoToml += CARGO_TOML_TOKEN;
+
+  // Program keypairs: `anchor deploy` deploys each program to the ID declared in its lib.rs
+  for (const program of workspace) {
+    await writeFile(
+      `target/deploy/${program.snakeName}-keypair.json`,
+      JSON.stringify(Array.from(program.keypair.secretKey))
+    );
   }
-  
-  cargoToml += CARGO_TOML_END;
-  
-  await fs.writeFile(
-    path.join(projectRoot, 'programs', snakeName, 'src', 'lib.rs'),
-    programCode
-  );
-  
-  await fs.writeFile(
-    path.join(projectRoot, 'tests', `${snakeName}.ts`),
-    testCode
-  );
-  
-  await fs.writeFile(
-    path.join(projectRoot, 'programs', snakeName, 'Cargo.toml'),
-    cargoToml
-  );
+
+  await writeFile('Cargo.toml', WORKSPACE_CARGO_TOML);
   
   // Create Anchor.toml
+  const programEntries = workspace
+    .map(program => `${program.snakeName} = "${program.keypair.publicKey.toBase58()}"`)
+    .join('\n');
   const anchorToml = `[toolchain]
 
 [features]
@@ -244,7 +312,7 @@ resolution = true
 skip-lint = false
 
 [programs.devnet]
-${snakeName} = "Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS"
+${programEntries}
 
 [registry]
 url = "https://api.apr.dev"
@@ -257,10 +325,7 @@ wallet = "~/.config/solana/id.json"
 test = "yarn run ts-mocha -p ./tsconfig.json -t 1000000 tests/**/*.ts"
 `;
   
-  await fs.writeFile(
-    path.join(projectRoot, 'Anchor.toml'),
-    anchorToml
-  );
+  await writeFile('Anchor.toml', anchorToml);
   
   // Create package.json for tests
   const packageJson = {
@@ -275,10 +340,7 @@ test = "yarn run ts-mocha -p ./tsconfig.json -t 1000000 tests/**/*.ts"
     }
   };
   
-  await fs.writeFile(
-    path.join(projectRoot, 'package.json'),
-    JSON.stringify(packageJson, null, 2)
-  );
+  await writeFile('package.json', JSON.stringify(packageJson, null, 2));
 
   // Create tsconfig.json for TypeScript compilation
   const tsconfig = {
@@ -302,40 +364,280 @@ test = "yarn run ts-mocha -p ./tsconfig.json -t 1000000 tests/**/*.ts"
     exclude: ['node_modules', 'target']
   };
 
-  await fs.writeFile(
-    path.join(projectRoot, 'tsconfig.json'),
-    JSON.stringify(tsconfig, null, 2)
-  );
+  await writeFile('tsconfig.json', JSON.stringify(tsconfig, null, 2));
   
-  const featureDescriptions = {
-    pda: 'PDA: Use seeds and bump constraints for derived accounts',
-    cpi: 'CPI: Cross-program invocation with System Program transfers',
-    token: 'Token: SPL token mint initialization (requires anchor-spl dependency)'
-  };
-  
-  const featuresApplied = features.length > 0 
-    ? `\nFeatures applied: ${features.join(', ')}\n${features.map(f => `  - ${featureDescriptions[f] || f}`).join('\n')}`
-    : '';
+  const summaries = workspace
+    .filter(program => program.spec || program.features.length > 0 || program.dependsOn.length > 0)
+    .map(program => {
+      const lines = program.features.map(f => `  - ${FEATURE_DESCRIPTIONS[f] || f}`);
+      if (program.spec) {
+        const { instructions, accounts, errors } = program.spec;
+        lines.push(`  - Instructions: ${instructions.map(instruction => instruction.name).join(', ')}`);
+        if (accounts.length > 0) {
+          lines.push(`  - Accounts: ${accounts.map(account => `${account.name} (${account.space} bytes)`).join(', ')}`);
+        }
+        if (errors.length > 0) {
+          lines.push(`  - Errors: ${errors.map(error => `${error.name} (${error.code})`).join(', ')}`);
+        }
+        lines.push(`  - Client stub: app/${program.snakeName}.ts`);
+      }
+      for (const dependency of program.dependsOn.filter(d => !program.cpiCalls.includes(d))) {
+        lines.push(`  - ${dependency} has a spec: call its instructions through ${dependency}::cpi`);
+      }
+      for (const dependency of program.dependsOn) {
+        lines.push(`  - CPI into ${dependency} (${dependency} crate with the "cpi" feature)`);
+      }
+      const applied = [...program.features, ...(program.spec ? ['spec'] : []), ...program.dependsOn.map(d => `cpi:${d}`)].join(', ');
+      return workspace.length > 1
+        ? `\n${program.snakeName}: ${applied}\n${lines.join('\n')}`
+        : `\nFeatures applied: ${applied}\n${lines.join('\n')}`;
+    });
   
   return {
     success: true,
     projectPath: projectRoot,
-    programName: snakeName,
-    files: [
-      `programs/${snakeName}/src/lib.rs`,
-      `programs/${snakeName}/Cargo.toml`,
-      `tests/${snakeName}.ts`,
-      'Anchor.toml',
-      'package.json',
-      'tsconfig.json'
-    ],
+    programName: workspace.length > 1 ? toSnakeName(programName) : workspace[0].snakeName,
+    programs: workspace.map(program => ({
+      name: program.snakeName,
+      programId: program.keypair.publicKey.toBase58(),
+      path: `programs/${program.snakeName}`,
+      features: program.features,
+      dependsOn: program.dependsOn,
+      ...(program.spec && {
+        instructions: program.spec.instructions.map(instruction => instruction.name),
+        accounts: program.spec.accounts.map(account => ({ name: account.name, space: account.space })),
+        errors: program.spec.errors.map(({ name, code, msg }) => ({ name, code, msg }))
+      })
+    })),
+    files,
     nextSteps: [
       `cd ${programName}`,
       'npm install',
       'anchor build',
       'anchor test'
     ],
-    featureSummary: featuresApplied,
+    featureSummary: summaries.join('\n'),
     note: 'All feature instructions are injected into the program module. Generated code is ready to compile.'
   };
 }
+
+function validateName(name, label) {
+  // Sanitize program name - reject paths, invalid characters
+  if (typeof name !== 'string' || name === '') {
+    throw new Error(`${label} is required`);
+  }
+  if (name.includes('/') || name.includes('\\')) {
+    throw new Error(`${label} cannot contain path separators`);
+  }
+  if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+    throw new Error(`${label} can only contain letters, numbers, underscores, and hyphens`);
+  }
+}
+
+function toSnakeName(name) {
+  return name.toLowerCase().replace(/-/g, '_');
+}
+
+function toPascalName(snakeName) {
+  return snakeName
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+/**
+ * Validate workspace programs and their CPI dependencies
+ */
+function resolvePrograms(programs, defaultFeatures) {
+  if (!Array.isArray(programs) || programs.length === 0) {
+    throw new Error('programs must be a non-empty array');
+  }
+
+  const bySnakeName = new Map();
+  for (const program of programs) {
+    validateName(program?.name, 'Program name');
+    const snakeName = toSnakeName(program.name);
+    if (bySnakeName.has(snakeName)) {
+      throw new Error(`Duplicate program name: ${snakeName}`);
+    }
+    const features = program.features || defaultFeatures;
+    let spec = null;
+    if (program.spec) {
+      if (features.length > 0) {
+        throw new Error(`Program ${snakeName}: pass either features or spec, not both`);
+      }
+      try {
+        spec = normalizeProgramSpec(program.spec);
+      } catch (e) {
+        throw new Error(`Program ${snakeName}: invalid spec: ${e.message}`);
+      }
+    }
+    bySnakeName.set(snakeName, {
+      snakeName,
+      pascalName: toPascalName(snakeName),
+      features,
+      spec,
+      dependsOn: (program.dependsOn || []).map(toSnakeName),
+      keypair: Keypair.generate()
+    });
+  }
+
+  for (const program of bySnakeName.values()) {
+    for (const dependency of program.dependsOn) {
+      if (!bySnakeName.has(dependency)) {
+        throw new Error(`Program ${program.snakeName} depends on unknown program ${dependency}`);
+      }
+      if (dependency === program.snakeName) {
+        throw new Error(`Program ${program.snakeName} cannot depend on itself`);
+      }
+    }
+  }
+
+  // Cargo rejects cyclic crate dependencies
+  const visited = new Set();
+  const visit = (program, chain) => {
+    if (chain.includes(program.snakeName)) {
+      throw new Error(`Cyclic program dependencies: ${[...chain, program.snakeName].join(' -> ')}`);
+    }
+    if (visited.has(program.snakeName)) {
+      return;
+    }
+    for (const dependency of program.dependsOn) {
+      visit(bySnakeName.get(dependency), [...chain, program.snakeName]);
+    }
+    visited.add(program.snakeName);
+  };
+  for (const program of bySnakeName.values()) {
+    visit(program, []);
+  }
+
+  // A call_<dependency> instruction is generated for dependencies with the
+  // template `initialize`; spec programs define their own instructions
+  for (const program of bySnakeName.values()) {
+    program.cpiCalls = program.dependsOn.filter(dependency => !bySnakeName.get(dependency).spec);
+    program.usesSpl = program.features.includes('token') || Boolean(program.spec?.instructions
+      .some(instruction => instruction.accounts.some(account => SPL_PROGRAMS[account.program])));
+  }
+
+  return [...bySnakeName.values()];
+}
+
+function fillDependency(template, dependency) {
+  return template
+    .replace(/{{DEPENDENCY}}/g, dependency)
+    .replace(/{{DEPENDENCY_PASCAL}}/g, toPascalName(dependency));
+}
+
+function renderProgram(program) {
+  if (program.spec) {
+    return renderSpecProgram(program);
+  }
+
+  const { snakeName, features, cpiCalls } = program;
+  let featureInstructions = '';
+  let featureAccounts = '';
+  let imports = '';
+  
+  // Build feature-specific code if requested
+  if (features.includes('pda')) {
+    featureInstructions += '\n' + PDA_FEATURE_INSTRUCTION;
+    featureAccounts += '\n' + PDA_FEATURE_ACCOUNTS;
+  }
+  if (features.includes('cpi')) {
+    featureInstructions += '\n' + CPI_FEATURE_INSTRUCTION;
+    featureAccounts += '\n' + CPI_FEATURE_ACCOUNTS;
+  }
+  if (features.includes('token')) {
+    featureInstructions += '\n' + TOKEN_FEATURE_INSTRUCTION;
+    featureAccounts += '\n' + TOKEN_FEATURE_ACCOUNTS;
+    imports += '\nuse anchor_spl::token::{Mint, Token};';
+  }
+  for (const dependency of cpiCalls) {
+    featureInstructions += '\n' + fillDependency(PROGRAM_CPI_INSTRUCTION, dependency);
+    featureAccounts += '\n' + fillDependency(PROGRAM_CPI_ACCOUNTS, dependency);
+    imports += `\nuse ${dependency}::program::${toPascalName(dependency)};`;
+  }
+  
+  return BASE_PROGRAM_TEMPLATE
+    .replace(/{{PROGRAM_NAME}}/g, snakeName)
+    .replace(/{{PROGRAM_ID}}/g, program.keypair.publicKey.toBase58())
+    .replace(/{{IMPORTS}}/g, imports)
+    .replace(/{{FEATURES}}/g, featureInstructions)
+    .replace(/{{FEATURE_ACCOUNTS}}/g, featureAccounts);
+}
+
+/**
+ * lib.rs of a spec program: handlers, #[derive(Accounts)] structs, #[account]
+ * structs and the #[error_code] enum
+ */
+function renderSpecProgram(program) {
+  const { snakeName, spec, cpiCalls } = program;
+  const handlers = spec.instructions.map(instruction => renderInstructionHandler(instruction, spec.states));
+  const items = [
+    ...spec.instructions.map(renderAccountsStruct),
+    ...spec.accounts.map(renderAccountStruct)
+  ];
+  if (spec.errors.length > 0) {
+    items.push(renderErrorEnum(spec.errors));
+  }
+
+  const imports = [];
+  for (const dependency of cpiCalls) {
+    handlers.push(fillDependency(PROGRAM_CPI_INSTRUCTION, dependency).slice(1));
+    items.push(fillDependency(PROGRAM_CPI_ACCOUNTS, dependency).slice(1));
+    imports.push(`use ${dependency}::program::${toPascalName(dependency)};`);
+  }
+  const splPrograms = new Set(spec.instructions
+    .flatMap(instruction => instruction.accounts.map(account => SPL_PROGRAMS[account.program]))
+    .filter(Boolean));
+  imports.push(...[...splPrograms].map(type => `use ${type};`));
+
+  return `use anchor_lang::prelude::*;${imports.map(line => `\n${line}`).join('')}
+
+declare_id!("${program.keypair.publicKey.toBase58()}");
+
+#[program]
+pub mod ${snakeName} {
+    use super::*;
+
+${handlers.join('\n')}}
+
+${items.join('\n')}`;
+}
+
+function renderTest(program) {
+  const tests = program.spec
+    ? program.spec.instructions.map(instruction => '\n' + renderTestCase(instruction)).join('')
+    : INITIALIZE_TEST;
+  const cpiTests = program.cpiCalls
+    .map(dependency => fillDependency(CPI_TEST_TEMPLATE, dependency))
+    .join('');
+
+  return TEST_TEMPLATE
+    .replace(/{{PROGRAM_NAME}}/g, program.snakeName)
+    .replace(/{{PROGRAM_NAME_CAMEL}}/g, program.pascalName)
+    .replace(/{{TESTS}}/g, tests + cpiTests);
+}
+
+function renderCargoToml(program) {
+  const { snakeName, usesSpl, dependsOn } = program;
+  const idlBuild = ['"anchor-lang/idl-build"'];
+  if (usesSpl) {
+    idlBuild.push('"anchor-spl/idl-build"');
+  }
+  idlBuild.push(...dependsOn.map(dependency => `"${dependency}/idl-build"`));
+
+  let cargoToml = CARGO_TOML_BASE
+    .replace(/{{PROGRAM_NAME}}/g, snakeName)
+    .replace(/{{PROGRAM_NAME_SNAKE}}/g, snakeName)
+    .replace(/{{IDL_BUILD}}/g, idlBuild.join(', '));
+  
+  if (usesSpl) {
+    cargoToml += CARGO_TOML_TOKEN;
+  }
+  for (const dependency of dependsOn) {
+    cargoToml += CARGO_TOML_DEPENDENCY.replace(/{{DEPENDENCY}}/g, dependency);
+  }
+  
+  return cargoToml + CARGO_TOML_END;
+}
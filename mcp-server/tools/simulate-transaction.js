@@ -0,0 +1,261 @@
+/**
+ * Simulate Transaction Tool
+ * Builds a v0 transaction from instruction descriptions and simulates it,
+ * previewing logs, compute units, return data and account post-states
+ * without signing or sending anything
+ */
+
+import {
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction
+} from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { decodeBase58 } from '../lib/base58.js';
+import { IDL_FROM_CHAIN, loadIdl, encodeInstructionData, decodeAccountData, getIdlProgramId } from '../lib/idl.js';
+import { parseInvocationLogs } from '../lib/logs.js';
+
+// Any well-formed blockhash works: the RPC replaces it (replaceRecentBlockhash)
+const PLACEHOLDER_BLOCKHASH = PublicKey.default.toBase58();
+
+const DATA_ENCODINGS = ['base64', 'hex', 'base58'];
+
+/**
+ * Simulate a transaction
+ * @param {Object} args
+ * @param {Object[]} args.instructions - Instructions, in order:
+ *   { programId, accounts: [{ pubkey, isSigner, isWritable }], data, encoding }, or with
+ *   { instruction, args, idl } instead of data to Borsh-encode Anchor instruction args
+ * @param {string} args.feePayer - Fee payer public key (base58); need not sign
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object|string} [args.idl] - Default IDL for IDL-encoded instructions; also decodes
+ *   post-states of accounts owned by the IDL's program ("chain": by the instruction programs)
+ * @param {string[]} [args.accounts] - Accounts to return post-states for (default: writable accounts)
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Simulation result
+ */
+export async function simulateTransaction(args, { connections } = {}) {
+  const { instructions, feePayer, cluster = 'devnet', rpcUrl, idl = null, accounts = null } = args;
+
+  if (!Array.isArray(instructions) || instructions.length === 0) {
+    return {
+      success: false,
+      error: 'instructions must be a non-empty array'
+    };
+  }
+
+  let payer;
+  try {
+    payer = new PublicKey(feePayer);
+  } catch (err) {
+    return {
+      success: false,
+      error: `Invalid fee payer: ${err.message}`
+    };
+  }
+
+  const connection = getConnection({ cluster, rpcUrl }, connections);
+
+  let built;
+  let transaction;
+  let addresses;
+  try {
+    built = [];
+    for (const [index, spec] of instructions.entries()) {
+      try {
+        built.push(await buildInstruction(spec, { connection, defaultIdl: idl }));
+      } catch (err) {
+        throw new Error(`Instruction ${index}: ${err.message}`);
+      }
+    }
+
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: PLACEHOLDER_BLOCKHASH,
+      instructions: built.map(({ instruction }) => instruction)
+    }).compileToV0Message();
+    transaction = new VersionedTransaction(message);
+
+    addresses = accounts
+      ? accounts.map(address => new PublicKey(address).toBase58())
+      : message.staticAccountKeys
+        .filter((_, i) => message.isAccountWritable(i))
+        .map(key => key.toBase58());
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to build transaction: ${err.message}`
+    };
+  }
+
+  try {
+    const { context, value } = await connection.simulateTransaction(transaction, {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      accounts: { encoding: 'base64', addresses }
+    });
+
+    const { idls, warnings } = await loadPostStateIdls(idl, built, connection);
+
+    const postStates = [];
+    for (const [i, account] of (value.accounts || []).entries()) {
+      postStates.push(await describeAccount(addresses[i], account, idls));
+    }
+
+    return {
+      success: true,
+      cluster,
+      slot: context.slot,
+      status: value.err ? 'failed' : 'success',
+      error: value.err || null,
+      unitsConsumed: value.unitsConsumed ?? null,
+      transactionSize: transaction.serialize().length,
+      instructions: built.map(({ summary }) => summary),
+      logs: value.logs || [],
+      invocations: parseInvocationLogs(value.logs || []).map(invocation => ({
+        programId: invocation.programId,
+        depth: invocation.depth,
+        status: invocation.status,
+        computeUnits: invocation.computeUnits,
+        error: invocation.error
+      })),
+      returnData: value.returnData ? {
+        programId: value.returnData.programId,
+        data: value.returnData.data[0],
+        hex: Buffer.from(value.returnData.data[0], 'base64').toString('hex')
+      } : null,
+      accounts: postStates,
+      warnings
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to simulate transaction: ${err.message}`
+    };
+  }
+}
+
+/**
+ * Build a TransactionInstruction from a tool instruction description
+ * @returns {Promise<Object>} { instruction, summary, idl } (idl: the default IDL, when
+ *   the instruction was encoded with it)
+ */
+async function buildInstruction(spec, { connection, defaultIdl }) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('must be an object');
+  }
+
+  const programId = new PublicKey(spec.programId);
+  const keys = (spec.accounts || []).map(meta => ({
+    pubkey: new PublicKey(meta.pubkey),
+    isSigner: Boolean(meta.isSigner),
+    isWritable: Boolean(meta.isWritable)
+  }));
+
+  let data;
+  let defaultProgramIdl = null;
+  const summary = { programId: programId.toBase58(), accounts: keys.length };
+
+  if (spec.instruction) {
+    const source = spec.idl || defaultIdl;
+    if (!source) {
+      throw new Error(`an idl is required to encode instruction ${spec.instruction}`);
+    }
+    const programIdl = await loadIdl(source, { connection, programId });
+    const encoded = await encodeInstructionData(programIdl, spec.instruction, spec.args || {});
+    data = encoded.data;
+    summary.name = encoded.instruction.name;
+    if (!spec.idl) {
+      defaultProgramIdl = programIdl;
+    }
+  } else {
+    data = decodeData(spec.data || '', spec.encoding || 'base64');
+  }
+
+  summary.data = data.toString('base64');
+  return { instruction: new TransactionInstruction({ programId, keys, data }), summary, idl: defaultProgramIdl };
+}
+
+/**
+ * IDLs that decode post-states, keyed by program ID. Reuses the default IDL
+ * when an instruction was encoded with it; "chain" is fetched per instruction
+ * program. Load failures become warnings instead of failing the simulation.
+ * @returns {Promise<Object>} { idls: Map<string, Object>, warnings: string[] }
+ */
+async function loadPostStateIdls(source, built, connection) {
+  const idls = new Map();
+  const warnings = [];
+  if (!source) {
+    return { idls, warnings };
+  }
+
+  const programIds = source === IDL_FROM_CHAIN
+    ? [...new Set(built.map(({ summary }) => summary.programId))]
+    : [null];
+  for (const programId of programIds) {
+    let programIdl = built.find(entry => entry.idl && (programId === null || entry.summary.programId === programId))?.idl;
+    try {
+      programIdl ??= await loadIdl(source, { connection, programId: programId && new PublicKey(programId) });
+    } catch (err) {
+      warnings.push(`Post-states not decoded: ${err.message}`);
+      continue;
+    }
+    const idlProgramId = getIdlProgramId(programIdl) || programId;
+    if (idlProgramId) {
+      idls.set(idlProgramId, programIdl);
+    }
+  }
+
+  return { idls, warnings };
+}
+
+function decodeData(text, encoding) {
+  switch (encoding) {
+    case 'base64':
+      return Buffer.from(text, 'base64');
+    case 'hex': {
+      const hex = text.replace(/^0x/, '');
+      if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+        throw new Error('data is not valid hex');
+      }
+      return Buffer.from(hex, 'hex');
+    }
+    case 'base58':
+      return decodeBase58(text);
+    default:
+      throw new Error(`encoding must be one of: ${DATA_ENCODINGS.join(', ')}`);
+  }
+}
+
+/**
+ * Post-simulation state of an account, decoded when owned by the IDL's program
+ */
+async function describeAccount(address, account, idls) {
+  if (!account) {
+    return { address, exists: false };
+  }
+
+  const data = Buffer.from(account.data[0], 'base64');
+  const described = {
+    address,
+    exists: true,
+    lamports: account.lamports,
+    owner: account.owner,
+    executable: account.executable,
+    dataLength: data.length,
+    data: account.data[0]
+  };
+
+  if (idls.has(account.owner)) {
+    try {
+      described.decoded = await decodeAccountData(idls.get(account.owner), data);
+    } catch (err) {
+      described.decodeError = err.message;
+    }
+  }
+
+  return described;
+}
@@ -3,13 +3,24 @@
  * Fetches program IDL from Solana, verifies instruction discriminators against on-chain reality
  */
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
+import zlib from 'zlib';
+import { getConnection } from '../lib/connection.js';
+
+// Anchor IDL account layout: discriminator (8) | authority (32) | data_len (4, LE) | zlib(JSON)
+const IDL_DISCRIMINATOR_SIZE = 8;
+const IDL_AUTHORITY_OFFSET = IDL_DISCRIMINATOR_SIZE;
+const IDL_DATA_LEN_OFFSET = IDL_AUTHORITY_OFFSET + 32;
+const IDL_DATA_OFFSET = IDL_DATA_LEN_OFFSET + 4;
+const IDL_SEED = 'anchor:idl';
+// Discriminator of Anchor's IdlAccount: sha256("internal:IdlAccount")[..8]
+const IDL_ACCOUNT_DISCRIMINATOR = Buffer.from([24, 70, 98, 191, 58, 144, 123, 158]);
 
 /**
  * Parse Anchor program data from on-chain account
  * Decodes IDL if available
  */
-export async function verifyOnchainDiscriminators(args) {
+export async function verifyOnchainDiscriminators(args, { connections } = {}) {
   const {
     programId,
     cluster = 'devnet',
@@ -33,11 +44,8 @@ export async function verifyOnchainDiscriminators(args) {
     };
   }
 
-  // Determine RPC URL
-  const rpc = rpcUrl || getRpcForCluster(cluster);
-
   try {
-    const connection = new Connection(rpc, 'confirmed');
+    const connection = getConnection({ cluster, rpcUrl }, connections);
 
     // Verify program exists and is executable
     const programAccount = await connection.getAccountInfo(pubkey);
@@ -64,31 +72,24 @@ export async function verifyOnchainDiscriminators(args) {
 
     // Try to fetch IDL from IDL account (if using Anchor)
     let idl = null;
-    let idlFound = false;
+    let idlAddress = null;
+    let idlAuthority = null;
+    let idlError = null;
 
     try {
-      const idlAddress = getIdlAddress(pubkey);
-      
-      if (idlAddress) {
-        const idlAccount = await connection.getAccountInfo(idlAddress);
-        
-        if (idlAccount && idlAccount.data.length > 0) {
-          try {
-            // IDL is stored as msgpack in the data field
-            // Skip the first 8 bytes (discriminator) and decode the rest
-            idl = decodeAnchorIdl(idlAccount.data);
-            idlFound = true;
-          } catch (e) {
-            // IDL parsing failed, continue with analysis
-            console.log('Could not decode IDL:', e.message);
-          }
-        }
+      const onchain = await fetchOnchainIdl(connection, pubkey);
+      idlAddress = onchain.address.toBase58();
+      if (onchain.idl) {
+        idl = onchain.idl;
+        idlAuthority = onchain.authority;
       }
     } catch (e) {
-      // IDL lookup failed, continue with program verification only
-      console.log('IDL lookup failed:', e.message);
+      // IDL lookup or decoding failed, continue with program verification only
+      idlError = e.message;
     }
 
+    const idlFound = idl !== null;
+
     return {
       success: true,
       programId: pubkey.toBase58(),
@@ -100,16 +101,14 @@ export async function verifyOnchainDiscriminators(args) {
         rentEpoch: programAccount.rentEpoch
       },
       idlFound,
-      idl: idl ? {
-        version: idl.version || 'unknown',
-        name: idl.name || 'unknown',
-        instructions: (idl.instructions || []).length,
-        accounts: (idl.accounts || []).length,
-        events: (idl.events || []).length
-      } : null,
+      idlAddress,
+      idlAuthority,
+      idl: idl ? summarizeIdl(idl) : null,
+      idlDocument: idl,
       verification: {
         executable: true,
         idlAvailable: idlFound,
+        idlError,
         message: idlFound 
           ? 'Program IDL found on-chain. You can now verify instruction discriminators.'
           : 'Program executable but IDL not found. IDL may not be deployed with this program.'
@@ -127,68 +126,88 @@ export async function verifyOnchainDiscriminators(args) {
 }
 
 /**
- * Derive Anchor IDL account address (PDA)
- * Anchor stores IDL at: seeds = [b"anchor:idl", program_id]
- * with the program itself as the owner
+ * Fetch and decode the Anchor IDL account of a program
+ * @param {Connection} connection - RPC connection
+ * @param {PublicKey} programId - Program ID
+ * @returns {Promise<Object>} IDL account address, authority and decoded IDL (null if no IDL account)
  */
-function getIdlAddress(programId) {
-  try {
-    // IDL account is a PDA owned by the program itself
-    // seeds = [b"anchor:idl", program_id_bytes]
-    const [idlAddress] = PublicKey.findProgramAddressSync(
-      [Buffer.from('anchor:idl'), programId.toBytes()],
-      programId
-    );
-    return idlAddress;
-  } catch (e) {
-    // If derivation fails, return null to indicate IDL lookup should be skipped
-    return null;
+export async function fetchOnchainIdl(connection, programId) {
+  const address = await getIdlAddress(programId);
+  const account = await connection.getAccountInfo(address);
+
+  if (!account || account.data.length === 0) {
+    return { address, authority: null, idl: null };
   }
+
+  const { authority, idl } = decodeAnchorIdl(account.data);
+  return { address, authority, idl };
+}
+
+/**
+ * Derive Anchor IDL account address
+ * Anchor stores the IDL in an account created with seed "anchor:idl"
+ * from the program's base PDA (seeds = []), owned by the program
+ * @param {PublicKey} programId - Program ID
+ * @returns {Promise<PublicKey>} IDL account address
+ */
+export async function getIdlAddress(programId) {
+  const [base] = PublicKey.findProgramAddressSync([], programId);
+  return PublicKey.createWithSeed(base, IDL_SEED, programId);
 }
 
 /**
  * Decode Anchor IDL from on-chain data
- * IDL is stored as msgpack (binary format)
- * 
- * **STUB IMPLEMENTATION:**
- * This is a placeholder that returns empty data. A real implementation would:
- * 1. npm install msgpack (or @msgpack/msgpack)
- * 2. Use msgpack.decode() on the binary data after skipping the 8-byte discriminator
- * 3. Return the parsed IDL object with instructions, accounts, events arrays
- * 
- * For most use cases, you can fetch IDL from Anchor's IDL registry instead:
- * https://github.com/coral-xyz/anchor/blob/master/client/js/src/idl.ts
+ * The account holds the 8-byte IdlAccount discriminator, the 32-byte authority,
+ * a u32 length prefix and the zlib-compressed IDL JSON
+ * @param {Buffer|Uint8Array} data - Raw IDL account data
+ * @returns {Object} IDL authority and parsed IDL (instructions, accounts, events, types)
  */
-function decodeAnchorIdl(data) {
+export function decodeAnchorIdl(data) {
+  const buffer = Buffer.from(data);
+
+  if (buffer.length < IDL_DATA_OFFSET) {
+    throw new Error(`Failed to decode IDL: account data too short (${buffer.length} bytes)`);
+  }
+
+  const discriminator = buffer.subarray(0, IDL_DISCRIMINATOR_SIZE);
+  if (!discriminator.equals(IDL_ACCOUNT_DISCRIMINATOR)) {
+    throw new Error(`Failed to decode IDL: not an Anchor IDL account (discriminator ${discriminator.toString('hex')})`);
+  }
+
+  const authority = new PublicKey(buffer.subarray(IDL_AUTHORITY_OFFSET, IDL_DATA_LEN_OFFSET)).toBase58();
+  const dataLen = buffer.readUInt32LE(IDL_DATA_LEN_OFFSET);
+
+  if (IDL_DATA_OFFSET + dataLen > buffer.length) {
+    throw new Error(`Failed to decode IDL: declared length ${dataLen} exceeds account data`);
+  }
+
+  let idl;
   try {
-    // Skip the 8-byte discriminator at the start
-    // const idlData = data.slice(8);
-    // Real implementation: const idl = msgpack.decode(idlData);
-    
-    // Stub: return empty structure to indicate IDL format is available but decoding not implemented
-    return {
-      version: '0.1.0',
-      name: 'unknown',
-      instructions: [],
-      accounts: [],
-      events: [],
-      _note: 'This is a stub. To decode real IDL, implement msgpack.decode()'
-    };
+    const json = zlib.inflateSync(buffer.subarray(IDL_DATA_OFFSET, IDL_DATA_OFFSET + dataLen));
+    idl = JSON.parse(json.toString('utf8'));
   } catch (e) {
     throw new Error(`Failed to decode IDL: ${e.message}`);
   }
+
+  return {
+    discriminator: discriminator.toString('hex'),
+    authority,
+    idl
+  };
 }
 
 /**
- * Get default RPC URL for cluster
+ * Summarize an IDL (supports both legacy and Anchor 0.30+ layouts)
  */
-function getRpcForCluster(cluster) {
-  const rpcEndpoints = {
-    'mainnet-beta': 'https://api.mainnet-beta.solana.com',
-    'devnet': 'https://api.devnet.solana.com',
-    'testnet': 'https://api.testnet.solana.com',
-    'localnet': 'http://localhost:8899'
+function summarizeIdl(idl) {
+  return {
+    version: idl.metadata?.version || idl.version || 'unknown',
+    name: idl.metadata?.name || idl.name || 'unknown',
+    spec: idl.metadata?.spec || null,
+    instructions: (idl.instructions || []).length,
+    accounts: (idl.accounts || []).length,
+    events: (idl.events || []).length,
+    types: (idl.types || []).length,
+    errors: (idl.errors || []).length
   };
-  
-  return rpcEndpoints[cluster] || rpcEndpoints.devnet;
 }
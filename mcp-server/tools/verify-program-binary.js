@@ -0,0 +1,217 @@
+/**
+ * Program Binary Verification Tool
+ * Checks that a deployed program's bytecode matches a local build artifact
+ * (target/deploy/<name>.so) by hashing both up to their ELF size, like
+ * solana_get_program_info and `sha256sum target/deploy/<name>.so`
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { getConnection } from '../lib/connection.js';
+import { LOADERS, elfSize, fetchProgramBytecode, hashBytecode, stripTrailingZeros } from '../lib/program-loader.js';
+
+/**
+ * Compare a deployed program with a local .so
+ * @param {Object} args
+ * @param {string} args.binaryPath - Path to target/deploy/<name>.so or an Anchor project directory
+ * @param {string} [args.programName] - Program to pick when the project has several binaries
+ * @param {string} [args.programId] - Program ID (default: the public key of the
+ *   <name>-keypair.json next to the binary)
+ * @param {string} [args.cluster='devnet'] - Solana cluster
+ * @param {string} [args.rpcUrl] - Custom RPC URL
+ * @param {Object} [context] - Server context
+ * @param {Object} [context.connections] - Connection context (default: the module-wide one)
+ * @returns {Object} Match result with both hashes and the first differing offset
+ */
+export async function verifyProgramBinary(args, { connections } = {}) {
+  const {
+    binaryPath,
+    programName = null,
+    cluster = 'devnet',
+    rpcUrl = null
+  } = args;
+
+  if (!binaryPath) {
+    throw new Error('binaryPath is required');
+  }
+
+  let local;
+  try {
+    local = await loadLocalBinary(binaryPath, programName);
+  } catch (e) {
+    return {
+      success: false,
+      binaryPath,
+      error: 'Failed to load local program binary',
+      details: e.message
+    };
+  }
+
+  const programId = args.programId || local.keypairAddress;
+  if (!programId) {
+    return {
+      success: false,
+      binaryPath: local.path,
+      error: 'programId is required',
+      details: `No program keypair found next to the binary (${keypairPath(local.path)})`
+    };
+  }
+
+  let pubkey;
+  try {
+    pubkey = new PublicKey(programId);
+  } catch (e) {
+    return {
+      success: false,
+      programId,
+      error: 'Invalid Solana public key format',
+      details: e.message
+    };
+  }
+
+  let program;
+  try {
+    const connection = getConnection({ cluster, rpcUrl }, connections);
+    const accountInfo = await connection.getAccountInfo(pubkey);
+
+    if (!accountInfo || !accountInfo.executable) {
+      return {
+        success: false,
+        programId: pubkey.toBase58(),
+        cluster,
+        error: accountInfo ? 'Account exists but is not executable' : 'Program account not found on-chain'
+      };
+    }
+    if (!LOADERS[accountInfo.owner.toBase58()]) {
+      return {
+        success: false,
+        programId: pubkey.toBase58(),
+        cluster,
+        error: `Program is owned by ${accountInfo.owner.toBase58()}, not a BPF loader`
+      };
+    }
+
+    program = await fetchProgramBytecode(connection, pubkey, accountInfo);
+  } catch (error) {
+    return {
+      success: false,
+      programId: pubkey.toBase58(),
+      cluster,
+      error: error.message,
+      details: 'Failed to connect to RPC or fetch program data'
+    };
+  }
+
+  if (!program.bytecode) {
+    return {
+      success: false,
+      programId: pubkey.toBase58(),
+      cluster,
+      error: `ProgramData account ${program.programDataAddress} not found`,
+      details: 'The program has been closed'
+    };
+  }
+
+  const onchainBytes = bytecodeRegion(program.bytecode);
+  const localBytes = bytecodeRegion(local.bytes);
+  const onchainHash = hashBytecode(onchainBytes).sha256;
+  const localHash = hashBytecode(localBytes).sha256;
+  const match = onchainHash === localHash;
+
+  return {
+    success: true,
+    programId: pubkey.toBase58(),
+    cluster,
+    binaryPath: local.path,
+    match,
+    onchain: {
+      loader: program.loader,
+      programDataAddress: program.programDataAddress,
+      upgradeAuthority: program.upgradeAuthority,
+      lastDeployedSlot: program.lastDeployedSlot,
+      size: onchainBytes.length,
+      sha256: onchainHash
+    },
+    local: {
+      size: localBytes.length,
+      sha256: localHash
+    },
+    firstDifferenceOffset: match ? null : firstDifference(onchainBytes, localBytes),
+    message: match
+      ? 'Deployed bytecode matches the local binary'
+      : 'Deployed bytecode differs from the local binary'
+  };
+}
+
+async function loadLocalBinary(binaryPath, programName) {
+  const resolved = path.resolve(binaryPath);
+  const stat = await fs.stat(resolved);
+  let file = resolved;
+
+  if (stat.isDirectory()) {
+    const deployDir = path.basename(resolved) === 'deploy' ? resolved : path.join(resolved, 'target', 'deploy');
+    let entries;
+    try {
+      entries = (await fs.readdir(deployDir)).filter(entry => entry.endsWith('.so'));
+    } catch (e) {
+      throw new Error(`No deploy directory at ${deployDir}. Run "anchor build" first.`);
+    }
+
+    if (programName) {
+      const wanted = `${programName.replace(/-/g, '_')}.so`;
+      if (!entries.includes(wanted)) {
+        throw new Error(`Binary ${wanted} not found in ${deployDir}`);
+      }
+      file = path.join(deployDir, wanted);
+    } else if (entries.length === 1) {
+      file = path.join(deployDir, entries[0]);
+    } else if (entries.length === 0) {
+      throw new Error(`No program binaries in ${deployDir}. Run "anchor build" first.`);
+    } else {
+      throw new Error(`Multiple binaries in ${deployDir} (${entries.join(', ')}); pass programName`);
+    }
+  }
+
+  return {
+    path: file,
+    bytes: await fs.readFile(file),
+    keypairAddress: await readKeypairAddress(keypairPath(file))
+  };
+}
+
+function keypairPath(binaryFile) {
+  return binaryFile.replace(/\.so$/, '-keypair.json');
+}
+
+async function readKeypairAddress(file) {
+  try {
+    const secretKey = Uint8Array.from(JSON.parse(await fs.readFile(file, 'utf8')));
+    return Keypair.fromSecretKey(secretKey).publicKey.toBase58();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The ELF image at the start of bytes; data that is not a valid ELF falls
+ * back to dropping the zero padding
+ */
+function bytecodeRegion(bytes) {
+  const size = elfSize(bytes);
+  return size === null ? stripTrailingZeros(bytes) : bytes.subarray(0, size);
+}
+
+/**
+ * Offset of the first differing byte; when one side is a prefix of the
+ * other, the length of the shorter one
+ */
+function firstDifference(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return i;
+    }
+  }
+  return length;
+}
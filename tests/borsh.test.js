@@ -0,0 +1,188 @@
+/**
+ * Tests for Borsh encoding/decoding of Anchor IDL types and account discrimination
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { BorshReader, BorshWriter, decodeType, encodeType, encodeTypeDef, findTypeDef } from '../mcp-server/lib/borsh.js';
+import { decodeAccountData, encodeInstructionData, loadIdl } from '../mcp-server/lib/idl.js';
+import { encodeVault, DECODED_VAULT } from './fixtures/vault-account.js';
+import { encodeDeposit } from './fixtures/vault-transaction.js';
+
+const IDL_PATH = new URL('./fixtures/vault-idl.json', import.meta.url).pathname;
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+
+// Same layout in the legacy (< 0.30) IDL format
+const LEGACY_IDL = {
+  version: '0.1.0',
+  name: 'vault',
+  instructions: [],
+  accounts: [
+    {
+      name: 'Vault',
+      type: {
+        kind: 'struct',
+        fields: VAULT_IDL.types[0].type.fields.map(field => ({
+          name: field.name,
+          type: JSON.parse(JSON.stringify(field.type)
+            .replace(/"pubkey"/g, '"publicKey"')
+            .replace(/\{"name":"(\w+)"\}/g, '"$1"'))
+        }))
+      }
+    }
+  ],
+  types: VAULT_IDL.types.slice(1, 3)
+};
+
+test('decodeType', async (t) => {
+  await t.test('decodes integers of every width', () => {
+    const data = Buffer.alloc(1 + 2 + 4 + 8 + 16);
+    data.writeInt8(-1, 0);
+    data.writeUInt16LE(65535, 1);
+    data.writeInt32LE(-2147483648, 3);
+    data.writeBigInt64LE(-9223372036854775808n, 7);
+    data.fill(0xff, 15, 31);
+    const reader = new BorshReader(data);
+
+    assert.strictEqual(decodeType({}, 'i8', reader), -1);
+    assert.strictEqual(decodeType({}, 'u16', reader), 65535);
+    assert.strictEqual(decodeType({}, 'i32', reader), -2147483648);
+    assert.strictEqual(decodeType({}, 'i64', reader), '-9223372036854775808');
+    assert.strictEqual(decodeType({}, 'u128', reader), (2n ** 128n - 1n).toString());
+    assert.strictEqual(reader.remaining(), 0);
+  });
+
+  await t.test('decodes floats, bytes and coption', () => {
+    const data = Buffer.alloc(8 + 4 + 3 + 4 + 8);
+    data.writeDoubleLE(1.5, 0);
+    data.writeUInt32LE(3, 8);
+    data.set([1, 2, 3], 12);
+    data.writeUInt32LE(0, 15); // COption::None still reserves the u64
+    const reader = new BorshReader(data);
+
+    assert.strictEqual(decodeType({}, 'f64', reader), 1.5);
+    assert.strictEqual(decodeType({}, 'bytes', reader), Buffer.from([1, 2, 3]).toString('base64'));
+    assert.strictEqual(decodeType({}, { coption: 'u64' }, reader), null);
+    assert.strictEqual(reader.remaining(), 0);
+  });
+
+  await t.test('rejects truncated data and unknown types', () => {
+    assert.throws(() => decodeType({}, 'u64', new BorshReader(Buffer.alloc(4))), /Unexpected end of data/);
+    assert.throws(() => decodeType({}, 'u7', new BorshReader(Buffer.alloc(4))), /Unsupported IDL type/);
+    assert.throws(
+      () => decodeType({ types: [] }, { defined: { name: 'Missing' } }, new BorshReader(Buffer.alloc(4))),
+      /not defined in the IDL/
+    );
+  });
+
+  await t.test('decodes tuple enum variants', () => {
+    const reader = new BorshReader(Buffer.from([2, 7, 1, 1]));
+    assert.deepStrictEqual(
+      decodeType(VAULT_IDL, { defined: { name: 'VaultState' } }, reader),
+      { Limited: [7, 257] }
+    );
+  });
+});
+
+test('encodeType', async (t) => {
+  const encode = (type, value, idl = VAULT_IDL) => {
+    const writer = new BorshWriter();
+    encodeType(idl, type, value, writer);
+    return writer.toBuffer();
+  };
+
+  await t.test('round-trips decoded accounts', () => {
+    const writer = new BorshWriter();
+    encodeTypeDef(VAULT_IDL, findTypeDef(VAULT_IDL, 'Vault'), DECODED_VAULT, writer);
+    assert.deepStrictEqual(writer.toBuffer(), encodeVault().subarray(8));
+  });
+
+  await t.test('encodes integers from numbers, strings and bigints', () => {
+    assert.deepStrictEqual(encode('i8', -1), Buffer.from([0xff]));
+    assert.deepStrictEqual(encode('u64', '258'), Buffer.from([2, 1, 0, 0, 0, 0, 0, 0]));
+    assert.deepStrictEqual(encode('i128', -2n), Buffer.alloc(16, 0xff).fill(0xfe, 0, 1));
+    assert.throws(() => encode('u8', 256), /out of range for u8/);
+    assert.throws(() => encode('u64', 'lots'), /Invalid u64 value/);
+  });
+
+  await t.test('rejects blank strings and non-numeric integer values', () => {
+    assert.throws(() => encode('u64', ''), /Invalid u64 value/);
+    assert.throws(() => encode('u64', ' '), /Invalid u64 value/);
+    assert.throws(() => encode('u8', true), /Invalid u8 value/);
+    assert.throws(() => encode('i32', null), /Invalid i32 value/);
+    assert.throws(() => encode('u16', [1]), /Invalid u16 value/);
+    assert.throws(() => encode('u8', 1.5), /Invalid u8 value/);
+  });
+
+  await t.test('encodes floats and rejects NaN', () => {
+    assert.deepStrictEqual(encode('f32', 1.5), Buffer.from([0, 0, 0xc0, 0x3f]));
+    assert.deepStrictEqual(encode('f64', '-2'), Buffer.from([0, 0, 0, 0, 0, 0, 0, 0xc0]));
+    assert.throws(() => encode('f32', 'abc'), /Invalid f32 value/);
+    assert.throws(() => encode('f64', undefined), /Invalid f64 value/);
+  });
+
+  await t.test('encodes enum variants by name', () => {
+    const state = { defined: { name: 'VaultState' } };
+    assert.deepStrictEqual(encode(state, 'Active'), Buffer.from([0]));
+    assert.deepStrictEqual(encode(state, { Limited: [7, 257] }), Buffer.from([2, 7, 1, 1]));
+    assert.throws(() => encode(state, 'Closed'), /Unknown variant "Closed"/);
+  });
+
+  await t.test('accepts camelCase field names and reports missing fields', () => {
+    const config = { defined: { name: 'Config' } };
+    assert.deepStrictEqual(
+      encode(config, { feeBps: 1, limits: [2, 3] }),
+      Buffer.from([1, 0, 2, 0, 0, 0, 3, 0, 0, 0])
+    );
+    assert.throws(() => encode(config, { limits: [2, 3] }), /Missing field fee_bps/);
+  });
+
+  await t.test('encodes instruction data with its discriminator', async () => {
+    const { data, discriminator } = await encodeInstructionData(VAULT_IDL, 'deposit', { amount: 1000, memo: 'hi' });
+    assert.strictEqual(discriminator, 'f223c68952e1f2b6');
+    assert.deepStrictEqual(data, encodeDeposit(1000n, 'hi'));
+
+    await assert.rejects(encodeInstructionData(VAULT_IDL, 'withdraw'), /Instruction withdraw not found/);
+    await assert.rejects(encodeInstructionData(VAULT_IDL, 'deposit', {}), /Invalid args for instruction deposit: Missing field amount/);
+  });
+});
+
+test('decodeAccountData', async (t) => {
+  await t.test('identifies and decodes an account with an Anchor 0.30 IDL', async () => {
+    const decoded = await decodeAccountData(VAULT_IDL, encodeVault());
+
+    assert.strictEqual(decoded.accountType, 'Vault');
+    assert.strictEqual(decoded.discriminator, 'd308e82b02987577');
+    assert.deepStrictEqual(decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('decodes with a legacy IDL (name-derived discriminator)', async () => {
+    const decoded = await decodeAccountData(LEGACY_IDL, encodeVault());
+
+    assert.strictEqual(decoded.accountType, 'Vault');
+    assert.deepStrictEqual(decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('rejects unknown discriminators', async () => {
+    const data = encodeVault();
+    data[0] ^= 0xff;
+    await assert.rejects(decodeAccountData(VAULT_IDL, data), /does not match any IDL account/);
+  });
+});
+
+test('loadIdl', async (t) => {
+  await t.test('accepts objects, JSON strings and file paths', async () => {
+    assert.strictEqual(await loadIdl(VAULT_IDL), VAULT_IDL);
+    assert.deepStrictEqual(await loadIdl(JSON.stringify(VAULT_IDL)), VAULT_IDL);
+    assert.deepStrictEqual(await loadIdl(IDL_PATH), VAULT_IDL);
+  });
+
+  await t.test('rejects chain lookups without a program', async () => {
+    await assert.rejects(loadIdl('chain'), /requires a program ID/);
+  });
+
+  await t.test('rejects invalid JSON', async () => {
+    await assert.rejects(loadIdl('{not json'), /Invalid IDL JSON/);
+  });
+});
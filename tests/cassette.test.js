@@ -0,0 +1,170 @@
+/**
+ * Tests for RPC cassettes (mcp-server/lib/cassette.js)
+ * tests/cassettes/devnet-tools.json was recorded from the local-sim ledger seeded
+ * with tests/fixtures/local-ledger.json (plus the System Program account, for
+ * get-program-info.test.js); replaying it needs no network access
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Cassette, createCassetteFetch } from '../mcp-server/lib/cassette.js';
+import { createConnectionContext } from '../mcp-server/lib/connection.js';
+import { createServer } from '../mcp-server/server.js';
+import { getBalance } from '../mcp-server/tools/get-balance.js';
+import { getAccountInfo } from '../mcp-server/tools/get-account-info.js';
+import { getProgramInfo } from '../mcp-server/tools/get-program-info.js';
+import { parseTransaction } from '../mcp-server/tools/parse-transaction.js';
+import { fundWallet } from '../mcp-server/tools/fund-wallet.js';
+import { startMockRpc } from './helpers/mock-rpc.js';
+import { AUTHORITY, DECODED_VAULT } from './fixtures/vault-account.js';
+import { PROGRAM_ID, VAULT, SIGNATURE } from './fixtures/vault-transaction.js';
+
+const CASSETTE = fileURLToPath(new URL('./cassettes/devnet-tools.json', import.meta.url));
+const IDL_PATH = fileURLToPath(new URL('./fixtures/vault-idl.json', import.meta.url));
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+const EMPTY = 'GsbwXfJraMomNxBcjYLcG3mxkBUiyWXAB32fGbSMQRdW';
+
+function rpcInit(body) {
+  return { method: 'POST', body: JSON.stringify(body) };
+}
+
+test('Cassette', async (t) => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'solagent-cassette-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  await t.test('records responses and replays them without the server', async () => {
+    const file = path.join(dir, 'recorded.json');
+    let slot = 0;
+    const rpc = await startMockRpc({ getSlot: () => ++slot });
+
+    try {
+      const fetch = createCassetteFetch(new Cassette(file, 'record'), globalThis.fetch);
+      await fetch(rpc.url, rpcInit({ jsonrpc: '2.0', id: 1, method: 'getSlot', params: [] }));
+      await fetch(rpc.url, rpcInit({ jsonrpc: '2.0', id: 2, method: 'getSlot', params: [] }));
+    } finally {
+      await rpc.close();
+    }
+
+    const replay = createCassetteFetch(new Cassette(file, 'replay'), () => {
+      throw new Error('replay must not reach the network');
+    });
+    const slots = [];
+    for (let id = 1; id <= 3; id++) {
+      const response = await replay(rpc.url, rpcInit({ jsonrpc: '2.0', id, method: 'getSlot', params: [] }));
+      const body = await response.json();
+      assert.strictEqual(body.id, id);
+      slots.push(body.result);
+    }
+    // Recorded order, then the last recording repeats
+    assert.deepStrictEqual(slots, [1, 2, 2]);
+  });
+
+  await t.test('matches params regardless of key order and answers batches', async () => {
+    const file = path.join(dir, 'batch.json');
+    const rpc = await startMockRpc({ getBalance: ([address]) => ({ context: { slot: 1 }, value: address.length }) });
+
+    try {
+      const fetch = createCassetteFetch(new Cassette(file, 'record'), globalThis.fetch);
+      await fetch(rpc.url, rpcInit([
+        { jsonrpc: '2.0', id: 1, method: 'getBalance', params: ['abc', { commitment: 'confirmed', minContextSlot: 1 }] },
+        { jsonrpc: '2.0', id: 2, method: 'getBalance', params: ['abcd'] }
+      ]));
+    } finally {
+      await rpc.close();
+    }
+
+    const replay = createCassetteFetch(new Cassette(file, 'replay'));
+    const response = await replay(rpc.url, rpcInit([
+      { jsonrpc: '2.0', id: 7, method: 'getBalance', params: ['abcd'] },
+      { jsonrpc: '2.0', id: 8, method: 'getBalance', params: ['abc', { minContextSlot: 1, commitment: 'confirmed' }] }
+    ]));
+    const bodies = await response.json();
+    assert.deepStrictEqual(bodies.map(body => [body.id, body.result.value]), [[7, 4], [8, 3]]);
+  });
+
+  await t.test('answers unrecorded requests with a JSON-RPC error', async () => {
+    const replay = createCassetteFetch(new Cassette(CASSETTE, 'replay'));
+    const response = await replay('http://unused', rpcInit({ jsonrpc: '2.0', id: 1, method: 'getSlot', params: [] }));
+    const body = await response.json();
+
+    assert.strictEqual(body.error.code, -32099);
+    assert.ok(body.error.message.includes('No recorded response for getSlot'));
+  });
+
+  await t.test('rejects unknown modes and unreadable files', () => {
+    assert.throws(() => new Cassette(CASSETTE, 'rewind'), /mode must be one of/);
+    assert.throws(() => new Cassette(path.join(dir, 'missing.json'), 'replay'), /Failed to load cassette/);
+  });
+});
+
+test('RPC tools replay tests/cassettes/devnet-tools.json', async (t) => {
+  let context;
+  t.beforeEach(() => {
+    context = { connections: createConnectionContext({ cassette: { mode: 'replay', path: CASSETTE } }) };
+  });
+
+  await t.test('getBalance', async () => {
+    const result = await getBalance({ publicKey: AUTHORITY.toBase58(), cluster: 'devnet' }, context);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.balance.sol, 5);
+  });
+
+  await t.test('getAccountInfo', async () => {
+    const result = await getAccountInfo({ publicKey: VAULT, cluster: 'devnet', idl: VAULT_IDL }, context);
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('getProgramInfo', async () => {
+    const result = await getProgramInfo({ programId: PROGRAM_ID, cluster: 'devnet' }, context);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.deployed, true);
+  });
+
+  await t.test('parseTransaction', async () => {
+    const result = await parseTransaction({ signature: SIGNATURE, cluster: 'devnet', idl: VAULT_IDL }, context);
+    assert.strictEqual(result.exists, true);
+    assert.strictEqual(result.transaction.instructions[0].decoded.name, 'deposit');
+  });
+
+  await t.test('fundWallet', async () => {
+    const result = await fundWallet({ publicKey: EMPTY, cluster: 'devnet', amount: 1 }, context);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.balanceAfter, 1);
+  });
+
+  await t.test('reports requests missing from the cassette', async () => {
+    // Requests match regardless of endpoint, so any cluster replays the recording
+    const result = await getBalance({ publicKey: EMPTY, cluster: 'testnet' }, context);
+    assert.strictEqual(result.balance.sol, 1);
+
+    const missing = await getBalance({ publicKey: PROGRAM_ID, cluster: 'devnet' }, context);
+    assert.strictEqual(missing.success, false);
+    assert.ok(missing.error.includes('No recorded response'));
+  });
+});
+
+test('createServer replays a configured cassette', async () => {
+  const server = await createServer({ config: { cassette: { mode: 'replay', path: CASSETTE } } });
+  const response = await server.handleMessage({
+    jsonrpc: '2.0',
+    method: 'tools/call',
+    params: { name: 'solana_get_balance', arguments: { publicKey: VAULT } },
+    id: 1
+  });
+  const result = JSON.parse(response.result.content[0].text);
+  assert.strictEqual(result.success, false);
+  assert.ok(result.error.includes('No recorded response for getBalance'));
+
+  const recorded = await server.handleMessage({
+    jsonrpc: '2.0',
+    method: 'tools/call',
+    params: { name: 'solana_get_balance', arguments: { publicKey: AUTHORITY.toBase58() } },
+    id: 2
+  });
+  assert.strictEqual(JSON.parse(recorded.result.content[0].text).balance.sol, 5);
+});
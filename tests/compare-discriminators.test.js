@@ -0,0 +1,160 @@
+/**
+ * Tests for solana_compare_discriminators tool
+ * The on-chain IDL is served by a local JSON-RPC stub (tests/helpers/mock-rpc.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import {
+  compareDiscriminators,
+  diffIdlDiscriminators
+} from '../mcp-server/tools/compare-discriminators.js';
+import { getIdlAddress } from '../mcp-server/tools/verify-onchain-discriminators.js';
+import { startMockRpc, accountResult } from './helpers/mock-rpc.js';
+import { encodeIdlAccount } from './fixtures/idl-account.js';
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+
+// sha256("global:initialize")[..8], sha256("global:increment")[..8], sha256("account:Counter")[..8]
+const INITIALIZE = [175, 175, 109, 31, 13, 152, 155, 237];
+const INCREMENT = [11, 18, 104, 9, 104, 174, 59, 33];
+const COUNTER = [255, 176, 4, 245, 188, 253, 124, 25];
+
+const LOCAL_IDL = {
+  address: PROGRAM_ID,
+  metadata: { name: 'counter', version: '0.1.0', spec: '0.1.0' },
+  instructions: [
+    { name: 'initialize', discriminator: INITIALIZE, accounts: [], args: [] },
+    { name: 'increment', discriminator: INCREMENT, accounts: [], args: [] },
+    { name: 'reset', discriminator: [1, 2, 3, 4, 5, 6, 7, 8], accounts: [], args: [] }
+  ],
+  accounts: [{ name: 'Counter', discriminator: COUNTER }]
+};
+
+// Legacy (pre-0.30) IDL: camelCase names, no declared discriminators
+const LEGACY_ONCHAIN_IDL = {
+  version: '0.1.0',
+  name: 'counter',
+  instructions: [
+    { name: 'initialize', accounts: [], args: [] },
+    { name: 'increment', accounts: [], args: [] },
+    { name: 'closeCounter', accounts: [], args: [] }
+  ],
+  accounts: [{ name: 'Counter', type: { kind: 'struct', fields: [] } }]
+};
+
+test('diffIdlDiscriminators', async (t) => {
+  await t.test('reports matches, drift and missing entries', async () => {
+    const report = await diffIdlDiscriminators(LOCAL_IDL, LEGACY_ONCHAIN_IDL);
+    const byName = Object.fromEntries(report.instructions.map(entry => [entry.name, entry]));
+
+    assert.strictEqual(report.inSync, false);
+    assert.strictEqual(byName.initialize.status, 'match');
+    assert.strictEqual(byName.initialize.onchain, Buffer.from(INITIALIZE).toString('hex'));
+    assert.strictEqual(byName.increment.status, 'match');
+    assert.strictEqual(byName.reset.status, 'missing_onchain');
+    assert.strictEqual(byName.reset.localMatchesComputed, false);
+    assert.strictEqual(byName.close_counter.status, 'missing_local');
+    assert.strictEqual(report.accounts[0].status, 'match');
+    assert.deepStrictEqual(report.summary.instructions, {
+      total: 4,
+      matched: 2,
+      mismatched: 0,
+      missingOnchain: 1,
+      missingLocal: 1
+    });
+  });
+
+  await t.test('flags declared discriminator mismatches', async () => {
+    const onchain = {
+      ...LOCAL_IDL,
+      instructions: [{ name: 'initialize', discriminator: [0, 0, 0, 0, 0, 0, 0, 1] }],
+      accounts: LOCAL_IDL.accounts
+    };
+    const local = { ...LOCAL_IDL, instructions: [LOCAL_IDL.instructions[0]] };
+    const report = await diffIdlDiscriminators(local, onchain);
+
+    assert.strictEqual(report.instructions[0].status, 'mismatch');
+    assert.strictEqual(report.instructions[0].local, report.instructions[0].computed);
+    assert.strictEqual(report.summary.instructions.mismatched, 1);
+    assert.strictEqual(report.inSync, false);
+  });
+
+  await t.test('identical IDLs are in sync', async () => {
+    const report = await diffIdlDiscriminators(LOCAL_IDL, LOCAL_IDL);
+    assert.strictEqual(report.inSync, true);
+  });
+});
+
+test('compareDiscriminators', async (t) => {
+  let tmpDir;
+  let rpcServer;
+  let rpcUrl;
+  let onchainIdl = LEGACY_ONCHAIN_IDL;
+
+  t.before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-compare-'));
+    await fs.mkdir(path.join(tmpDir, 'target', 'idl'), { recursive: true });
+    await fs.writeFile(path.join(tmpDir, 'target', 'idl', 'counter.json'), JSON.stringify(LOCAL_IDL));
+
+    const idlAddress = (await getIdlAddress(new PublicKey(PROGRAM_ID))).toBase58();
+    rpcServer = await startMockRpc({
+      getAccountInfo: ([address]) => accountResult(address === idlAddress && onchainIdl ? {
+        data: encodeIdlAccount(onchainIdl),
+        owner: PROGRAM_ID
+      } : null)
+    });
+    rpcUrl = rpcServer.url;
+  });
+
+  t.after(async () => {
+    await rpcServer.close();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('requires idlPath', async () => {
+    await assert.rejects(compareDiscriminators({}), /idlPath is required/);
+  });
+
+  await t.test('reports missing target/idl directory', async () => {
+    const result = await compareDiscriminators({ idlPath: os.tmpdir(), programId: PROGRAM_ID, rpcUrl });
+    assert.strictEqual(result.success, false);
+    assert.match(result.details, /anchor build/);
+  });
+
+  await t.test('compares a project directory against the on-chain IDL', async () => {
+    onchainIdl = LEGACY_ONCHAIN_IDL;
+    const result = await compareDiscriminators({ idlPath: tmpDir, rpcUrl });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.programId, PROGRAM_ID);
+    assert.strictEqual(result.localIdlPath, path.join(tmpDir, 'target', 'idl', 'counter.json'));
+    assert.strictEqual(result.inSync, false);
+    assert.strictEqual(result.summary.instructions.matched, 2);
+    assert.strictEqual(result.summary.accounts.matched, 1);
+  });
+
+  await t.test('accepts an IDL file path', async () => {
+    onchainIdl = LOCAL_IDL;
+    const result = await compareDiscriminators({
+      idlPath: path.join(tmpDir, 'target', 'idl', 'counter.json'),
+      programName: 'counter',
+      rpcUrl
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.inSync, true);
+  });
+
+  await t.test('reports missing on-chain IDL', async () => {
+    onchainIdl = null;
+    const result = await compareDiscriminators({ idlPath: tmpDir, rpcUrl });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /On-chain IDL not found/);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Tests for server configuration (mcp-server/config.js, mcp-server/cli.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { loadConfig, defaultConfig, isToolEnabled, CONFIG_FILE } from '../mcp-server/config.js';
+import { parseCliArgs } from '../mcp-server/cli.js';
+import { createServer } from '../mcp-server/server.js';
+import { getConnection } from '../mcp-server/lib/connection.js';
+import { startMockRpc } from './helpers/mock-rpc.js';
+
+test('loadConfig', async (t) => {
+  let tmpDir;
+
+  t.before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-config-'));
+  });
+
+  t.after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('returns defaults without a config file', async () => {
+    const config = await loadConfig({ cwd: tmpDir, env: {} });
+    assert.deepStrictEqual(config, defaultConfig());
+  });
+
+  await t.test('reads solagent-forge.config.json from the working directory', async () => {
+    await fs.writeFile(path.join(tmpDir, CONFIG_FILE), JSON.stringify({
+      cluster: 'localnet',
+      commitment: 'finalized',
+      rpc: { devnet: ['https://a.example', 'https://b.example'] },
+      scaffoldRoot: 'programs',
+      rateLimit: { maxRetries: 5 }
+    }));
+
+    try {
+      const config = await loadConfig({ cwd: tmpDir, env: {} });
+      assert.strictEqual(config.cluster, 'localnet');
+      assert.strictEqual(config.commitment, 'finalized');
+      assert.deepStrictEqual(config.rpc.devnet, ['https://a.example', 'https://b.example']);
+      assert.strictEqual(config.scaffoldRoot, path.join(tmpDir, 'programs'));
+      // Nested settings merge with the defaults
+      assert.strictEqual(config.rateLimit.maxRetries, 5);
+      assert.strictEqual(config.rateLimit.baseDelayMs, 250);
+    } finally {
+      await fs.rm(path.join(tmpDir, CONFIG_FILE));
+    }
+  });
+
+  await t.test('env vars override the file and overrides win over env', async () => {
+    const configPath = path.join(tmpDir, 'custom.json');
+    await fs.writeFile(configPath, JSON.stringify({ cluster: 'testnet', tools: { disabled: ['anchor_deploy'] } }));
+
+    const env = {
+      SOLAGENT_CONFIG: configPath,
+      SOLAGENT_CLUSTER: 'mainnet',
+      SOLAGENT_ENABLED_TOOLS: 'solana_get_balance, anchor_deploy',
+      SOLAGENT_RPS: '4'
+    };
+    const fromEnv = await loadConfig({ cwd: tmpDir, env });
+    assert.strictEqual(fromEnv.cluster, 'mainnet');
+    assert.deepStrictEqual(fromEnv.tools, {
+      enabled: ['solana_get_balance', 'anchor_deploy'],
+      disabled: ['anchor_deploy']
+    });
+    assert.strictEqual(fromEnv.rateLimit.requestsPerSecond, 4);
+
+    const overridden = await loadConfig({ cwd: tmpDir, env, overrides: { cluster: 'devnet' } });
+    assert.strictEqual(overridden.cluster, 'devnet');
+  });
+
+  await t.test('merges SOLAGENT_RPC_* env vars between the file and --rpc flags', async () => {
+    const configPath = path.join(tmpDir, 'rpc.json');
+    await fs.writeFile(configPath, JSON.stringify({
+      rpc: { devnet: 'https://file-devnet.example', 'my-net': 'https://file-mynet.example', testnet: 'https://file-testnet.example' }
+    }));
+    const env = {
+      SOLAGENT_CONFIG: configPath,
+      SOLAGENT_RPC_DEVNET: 'https://env-1.example, https://env-2.example',
+      SOLAGENT_RPC_MAINNET_BETA: 'https://env-mainnet.example',
+      SOLAGENT_RPC_MY_NET: 'https://env-mynet.example'
+    };
+
+    const config = await loadConfig({ cwd: tmpDir, env, overrides: { rpc: { devnet: ['https://flag.example'] } } });
+    assert.deepStrictEqual(config.rpc, {
+      devnet: ['https://flag.example'],
+      'mainnet-beta': ['https://env-mainnet.example'],
+      'my-net': ['https://env-mynet.example'],
+      testnet: 'https://file-testnet.example'
+    });
+  });
+
+  await t.test('rejects invalid settings', async () => {
+    await assert.rejects(
+      loadConfig({ cwd: tmpDir, env: {}, overrides: { cluster: 'moonnet', commitment: 'max', colour: 'red' } }),
+      (error) => {
+        assert.match(error.message, /^Invalid configuration:/);
+        assert.match(error.message, /config\.commitment must be one of/);
+        assert.match(error.message, /config\.colour is not an allowed property/);
+        assert.match(error.message, /config\.cluster unknown cluster moonnet/);
+        return true;
+      }
+    );
+  });
+
+  await t.test('reads cassettes from env and resolves their paths', async () => {
+    const config = await loadConfig({ cwd: tmpDir, env: { SOLAGENT_REPLAY: 'cassettes/devnet.json' } });
+    assert.deepStrictEqual(config.cassette, { mode: 'replay', path: path.join(tmpDir, 'cassettes/devnet.json') });
+
+    await assert.rejects(
+      loadConfig({ cwd: tmpDir, env: {}, overrides: { cassette: { mode: 'rewind', path: 'a.json' } } }),
+      /config\.cassette/
+    );
+  });
+
+  await t.test('accepts clusters defined in the rpc map', async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      env: {},
+      overrides: { cluster: 'staging', rpc: { staging: 'https://staging.example' } }
+    });
+    assert.strictEqual(config.cluster, 'staging');
+  });
+
+  await t.test('reports a missing explicit config file', async () => {
+    await assert.rejects(
+      loadConfig({ cwd: tmpDir, env: {}, configPath: 'missing.json' }),
+      /Failed to read config file/
+    );
+  });
+
+  await t.test('reports malformed config files', async () => {
+    const configPath = path.join(tmpDir, 'broken.json');
+    await fs.writeFile(configPath, '{ cluster: ');
+    await assert.rejects(loadConfig({ cwd: tmpDir, env: {}, configPath }), /Invalid JSON in config file/);
+  });
+});
+
+test('isToolEnabled', () => {
+  const config = defaultConfig();
+  assert.strictEqual(isToolEnabled(config, 'anchor_deploy'), true);
+
+  config.tools = { enabled: ['solana_get_balance', 'anchor_deploy'], disabled: ['anchor_deploy'] };
+  assert.strictEqual(isToolEnabled(config, 'solana_get_balance'), true);
+  assert.strictEqual(isToolEnabled(config, 'anchor_deploy'), false);
+  assert.strictEqual(isToolEnabled(config, 'solana_derive_pda'), false);
+});
+
+test('parseCliArgs', async (t) => {
+  await t.test('maps flags to createServer options', () => {
+    const options = parseCliArgs([
+      '--config', 'forge.json',
+      '--cluster', 'localnet',
+      '--rpc', 'devnet=https://a.example,https://b.example',
+      '--rpc', 'mainnet-beta=https://c.example',
+      '--commitment', 'finalized',
+      '--tools', 'solana_get_balance,solana_derive_pda',
+      '--disable-tools', 'solana_derive_pda',
+      '--scaffold-root', './programs',
+      '--rps', '5',
+      '--max-retries', '1',
+      '--replay', 'devnet.json',
+      '--plugin', './tools.js'
+    ]);
+
+    assert.strictEqual(options.configPath, 'forge.json');
+    assert.deepStrictEqual(options.plugins, ['./tools.js']);
+    assert.deepStrictEqual(options.config, {
+      cluster: 'localnet',
+      rpc: {
+        devnet: ['https://a.example', 'https://b.example'],
+        'mainnet-beta': ['https://c.example']
+      },
+      commitment: 'finalized',
+      tools: { enabled: ['solana_get_balance', 'solana_derive_pda'], disabled: ['solana_derive_pda'] },
+      scaffoldRoot: './programs',
+      rateLimit: { requestsPerSecond: 5, maxRetries: 1 },
+      cassette: { mode: 'replay', path: 'devnet.json' }
+    });
+  });
+
+  await t.test('rejects malformed --rpc values', () => {
+    assert.throws(() => parseCliArgs(['--rpc', 'https://a.example']), /--rpc expects/);
+  });
+});
+
+test('createServer applies the configuration', async (t) => {
+  const echo = {
+    name: 'test_echo',
+    description: 'Echo arguments',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cluster: { type: 'string', enum: ['devnet', 'localnet'] },
+        outputDir: { type: 'string' }
+      }
+    },
+    handler: async (args) => ({ success: true, args })
+  };
+
+  const call = async (server, args) => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'test_echo', arguments: args },
+      id: 1
+    });
+    return JSON.parse(response.result.content[0].text).args;
+  };
+
+  await t.test('fills configured defaults into omitted arguments', async () => {
+    const server = await createServer({
+      tools: [echo],
+      config: { cluster: 'localnet', scaffoldRoot: os.tmpdir() }
+    });
+
+    assert.deepStrictEqual(await call(server, {}), { cluster: 'localnet', outputDir: os.tmpdir() });
+    assert.deepStrictEqual(await call(server, { cluster: 'devnet' }), { cluster: 'devnet', outputDir: os.tmpdir() });
+  });
+
+  await t.test('skips defaults outside the tool enum', async () => {
+    const server = await createServer({ tools: [echo], config: { cluster: 'testnet' } });
+    assert.deepStrictEqual(await call(server, {}), {});
+  });
+
+  await t.test('accepts custom clusters from the rpc map in RPC tool calls', async () => {
+    const rpc = await startMockRpc({ getBalance: () => ({ context: { slot: 1 }, value: 5000000000 }) });
+    try {
+      const server = await createServer({ config: { cluster: 'mynet', rpc: { mynet: rpc.url } } });
+      const balanceTool = server.listTools().find(tool => tool.name === 'solana_get_balance');
+      assert.ok(balanceTool.inputSchema.properties.cluster.enum.includes('mynet'));
+
+      for (const args of [{}, { cluster: 'mynet' }]) {
+        const response = await server.handleMessage({
+          jsonrpc: '2.0',
+          method: 'tools/call',
+          params: { name: 'solana_get_balance', arguments: { publicKey: '11111111111111111111111111111111', ...args } },
+          id: 3
+        });
+        const result = JSON.parse(response.result.content[0].text);
+        assert.strictEqual(result.cluster, 'mynet');
+        assert.strictEqual(result.balance.sol, 5);
+      }
+      assert.strictEqual(rpc.calls.length, 2);
+    } finally {
+      await rpc.close();
+    }
+  });
+
+  await t.test('only exposes enabled tools', async () => {
+    const server = await createServer({
+      tools: [echo],
+      config: { tools: { enabled: ['test_echo', 'solana_get_balance'], disabled: ['solana_get_balance'] } }
+    });
+
+    assert.deepStrictEqual(server.listTools().map(tool => tool.name), ['test_echo']);
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'solana_get_balance', arguments: { publicKey: '11111111111111111111111111111111' } },
+      id: 2
+    });
+    assert.strictEqual(response.error.code, -32602);
+  });
+
+  await t.test('configures RPC connections', async () => {
+    const server = await createServer({
+      config: { commitment: 'finalized', rpc: { devnet: 'https://rpc.example' } }
+    });
+    const connection = server.connections.getConnection({ cluster: 'devnet' });
+
+    assert.strictEqual(connection.commitment, 'finalized');
+    assert.strictEqual(connection.rpcEndpoint, 'https://rpc.example');
+
+    // The module-wide connections keep their defaults
+    assert.strictEqual(getConnection({ cluster: 'devnet' }).rpcEndpoint, 'https://api.devnet.solana.com');
+  });
+
+  await t.test('keeps the RPC settings of each server separate', async () => {
+    const first = await startMockRpc({ getBalance: () => ({ context: { slot: 1 }, value: 1000000000 }) });
+    const second = await startMockRpc({ getBalance: () => ({ context: { slot: 1 }, value: 2000000000 }) });
+    try {
+      const servers = [
+        await createServer({ config: { rpc: { devnet: first.url } } }),
+        await createServer({ config: { rpc: { devnet: second.url } } })
+      ];
+
+      const balances = [];
+      for (const server of servers) {
+        const response = await server.handleMessage({
+          jsonrpc: '2.0',
+          method: 'tools/call',
+          params: { name: 'solana_get_balance', arguments: { publicKey: '11111111111111111111111111111111' } },
+          id: 4
+        });
+        balances.push(JSON.parse(response.result.content[0].text).balance.sol);
+      }
+
+      assert.deepStrictEqual(balances, [1, 2]);
+      assert.strictEqual(first.calls.length, 1);
+      assert.strictEqual(second.calls.length, 1);
+    } finally {
+      await first.close();
+      await second.close();
+    }
+  });
+});
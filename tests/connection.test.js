@@ -0,0 +1,181 @@
+/**
+ * Tests for the shared cluster connection manager (mcp-server/lib/connection.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { PublicKey } from '@solana/web3.js';
+import {
+  resolveCluster,
+  getClusterEndpoints,
+  getConnection,
+  configureConnections,
+  resetConnections
+} from '../mcp-server/lib/connection.js';
+import { startMockRpc } from './helpers/mock-rpc.js';
+
+const WALLET = new PublicKey('9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM');
+
+// Server that answers every request with the given HTTP status
+async function startFailingServer(status) {
+  const server = http.createServer((req, res) => {
+    server.hits++;
+    req.resume();
+    req.on('end', () => {
+      res.statusCode = status;
+      res.end('unavailable');
+    });
+  });
+  server.hits = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    get hits() { return server.hits; },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('cluster resolution', async (t) => {
+  t.afterEach(() => {
+    delete process.env.SOLAGENT_RPC_MAINNET_BETA;
+    resetConnections();
+  });
+
+  await t.test('resolves aliases', () => {
+    assert.strictEqual(resolveCluster('mainnet'), 'mainnet-beta');
+    assert.strictEqual(resolveCluster('localhost'), 'localnet');
+    assert.strictEqual(resolveCluster('localnet'), 'localnet');
+    assert.strictEqual(resolveCluster(), 'devnet');
+    assert.strictEqual(resolveCluster('moonnet'), null);
+  });
+
+  await t.test('returns default endpoints', () => {
+    assert.deepStrictEqual(getClusterEndpoints('devnet'), ['https://api.devnet.solana.com']);
+    assert.deepStrictEqual(getClusterEndpoints('localhost'), ['http://127.0.0.1:8899']);
+    assert.throws(() => getClusterEndpoints('moonnet'), /Unknown cluster: moonnet/);
+  });
+
+  await t.test('applies configured endpoints', () => {
+    configureConnections({ endpoints: { mainnet: ['https://a.example', 'https://b.example'] } });
+    assert.deepStrictEqual(getClusterEndpoints('mainnet-beta'), ['https://a.example', 'https://b.example']);
+  });
+
+  await t.test('leaves env vars to the server config', () => {
+    // SOLAGENT_RPC_* is merged into the rpc map by config.js, under --rpc flags
+    configureConnections({ endpoints: { 'mainnet-beta': 'https://a.example' } });
+    process.env.SOLAGENT_RPC_MAINNET_BETA = 'https://env-1.example, https://env-2.example';
+    assert.deepStrictEqual(getClusterEndpoints('mainnet'), ['https://a.example']);
+  });
+});
+
+test('getConnection', async (t) => {
+  t.afterEach(() => {
+    resetConnections();
+  });
+
+  await t.test('pools connections per endpoint and commitment', () => {
+    const a = getConnection({ cluster: 'devnet' });
+    assert.strictEqual(getConnection({ cluster: 'devnet' }), a);
+    assert.notStrictEqual(getConnection({ cluster: 'devnet', commitment: 'finalized' }), a);
+    assert.strictEqual(getConnection({ rpcUrl: 'https://api.devnet.solana.com' }), a);
+    assert.strictEqual(a.commitment, 'confirmed');
+  });
+
+  await t.test('retries 429 responses on the same endpoint', async () => {
+    let requests = 0;
+    const rpc = await startMockRpc({ getBalance: () => ({ context: { slot: 1 }, value: 42 }) });
+    const limited = http.createServer((req, res) => {
+      requests++;
+      if (requests <= 2) {
+        req.resume();
+        res.statusCode = 429;
+        res.setHeader('Retry-After', '0');
+        res.end();
+        return;
+      }
+      // Forward to the working stub
+      req.pipe(http.request(rpc.url, { method: 'POST', headers: req.headers }, upstream => {
+        res.statusCode = upstream.statusCode;
+        upstream.pipe(res);
+      }));
+    });
+    await new Promise(resolve => limited.listen(0, '127.0.0.1', resolve));
+
+    try {
+      configureConnections({ retry: { baseDelayMs: 1 } });
+      const connection = getConnection({ rpcUrl: `http://127.0.0.1:${limited.address().port}` });
+      assert.strictEqual(await connection.getBalance(WALLET), 42);
+      assert.strictEqual(requests, 3);
+    } finally {
+      await new Promise(resolve => limited.close(resolve));
+      await rpc.close();
+    }
+  });
+
+  await t.test('fails over to the next endpoint on 5xx', async () => {
+    const down = await startFailingServer(503);
+    const rpc = await startMockRpc({ getBalance: () => ({ context: { slot: 1 }, value: 7 }) });
+
+    try {
+      configureConnections({
+        endpoints: { devnet: [down.url, rpc.url] },
+        retry: { baseDelayMs: 1 }
+      });
+      const connection = getConnection({ cluster: 'devnet' });
+
+      assert.strictEqual(await connection.getBalance(WALLET), 7);
+      assert.strictEqual(down.hits, 1);
+
+      // The healthy endpoint is tried first afterwards
+      assert.strictEqual(await connection.getBalance(WALLET), 7);
+      assert.strictEqual(down.hits, 1);
+      assert.strictEqual(rpc.calls.length, 2);
+    } finally {
+      await down.close();
+      await rpc.close();
+    }
+  });
+
+  await t.test('fails over when an endpoint is unreachable', async () => {
+    const rpc = await startMockRpc({ getBalance: () => ({ context: { slot: 1 }, value: 9 }) });
+
+    try {
+      configureConnections({ retry: { baseDelayMs: 1 } });
+      const connection = getConnection({ rpcUrl: ['http://127.0.0.1:1', rpc.url] });
+      assert.strictEqual(await connection.getBalance(WALLET), 9);
+    } finally {
+      await rpc.close();
+    }
+  });
+
+  await t.test('spaces requests to the configured rate', async () => {
+    const rpc = await startMockRpc({ getBalance: () => ({ context: { slot: 1 }, value: 1 }) });
+
+    try {
+      configureConnections({ retry: { requestsPerSecond: 20 } });
+      const connection = getConnection({ rpcUrl: rpc.url });
+      const started = Date.now();
+      await Promise.all([1, 2, 3].map(() => connection.getBalance(WALLET)));
+
+      // Three requests at 20/s need at least two 50ms intervals
+      assert.ok(Date.now() - started >= 95);
+      assert.strictEqual(rpc.calls.length, 3);
+    } finally {
+      await rpc.close();
+    }
+  });
+
+  await t.test('surfaces the error once retries are exhausted', async () => {
+    const down = await startFailingServer(502);
+
+    try {
+      configureConnections({ retry: { maxRetries: 2, baseDelayMs: 1 } });
+      const connection = getConnection({ rpcUrl: down.url });
+      await assert.rejects(connection.getBalance(WALLET), /502/);
+      assert.strictEqual(down.hits, 3);
+    } finally {
+      await down.close();
+    }
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for anchor_deploy, solana_get_deployment_status and solana_fund_keypair
+ * The anchor and solana CLIs are replaced by fake shell scripts on PATH
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { deployDevnet, getDeploymentStatus, fundKeypair } from '../mcp-server/tools/deploy.js';
+import { startMockRpc } from './helpers/mock-rpc.js';
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+
+// Each fake binary appends its argv to $FAKE_CLI_LOG and prints canned output
+const FAKE_ANCHOR = `#!/bin/sh
+echo "anchor $*" >> "$FAKE_CLI_LOG"
+if [ "$FAKE_ANCHOR_FAIL" = "$1" ]; then
+  echo "error: $1 failed" >&2
+  exit 1
+fi
+case "$1" in
+  build) echo "Finished release build" ;;
+  deploy) echo "Deploying program..."; echo "Program Id: ${PROGRAM_ID}" ;;
+esac
+`;
+
+const FAKE_SOLANA = `#!/bin/sh
+echo "solana $*" >> "$FAKE_CLI_LOG"
+case "$1" in
+  program)
+    echo "Program Id: $3"
+    echo "Executable: yes"
+    echo "Lamports: 1141440"
+    ;;
+  airdrop)
+    echo "Requesting airdrop of $2 SOL"
+    echo "Signature: 5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW"
+    ;;
+esac
+`;
+
+const ANCHOR_TOML = `[programs.devnet]
+forge_demo = "${PROGRAM_ID}"
+
+[provider]
+cluster = "devnet"
+`;
+
+async function readLog(logPath) {
+  try {
+    return (await fs.readFile(logPath, 'utf8')).trim().split('\n');
+  } catch (e) {
+    return [];
+  }
+}
+
+test('deploy tools with fake CLIs on PATH', async (t) => {
+  const originalPath = process.env.PATH;
+  let tmpDir;
+  let projectDir;
+  let logPath;
+
+  t.before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-deploy-'));
+    const binDir = path.join(tmpDir, 'bin');
+    projectDir = path.join(tmpDir, 'project');
+    logPath = path.join(tmpDir, 'cli.log');
+
+    await fs.mkdir(binDir);
+    await fs.mkdir(projectDir);
+    await fs.writeFile(path.join(binDir, 'anchor'), FAKE_ANCHOR, { mode: 0o755 });
+    await fs.writeFile(path.join(binDir, 'solana'), FAKE_SOLANA, { mode: 0o755 });
+    await fs.writeFile(path.join(projectDir, 'Anchor.toml'), ANCHOR_TOML);
+
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    process.env.FAKE_CLI_LOG = logPath;
+  });
+
+  t.beforeEach(async () => {
+    await fs.rm(logPath, { force: true });
+    delete process.env.FAKE_ANCHOR_FAIL;
+  });
+
+  t.after(async () => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_CLI_LOG;
+    delete process.env.FAKE_ANCHOR_FAIL;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('deployDevnet builds, deploys and verifies', async () => {
+    const result = await deployDevnet({ programPath: projectDir, keypair: 'deployer.json' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.programName, 'forge_demo');
+    assert.strictEqual(result.deployedProgramId, PROGRAM_ID);
+    assert.strictEqual(result.verified, true);
+    assert.deepStrictEqual(await readLog(logPath), [
+      'anchor build',
+      'anchor deploy --provider.cluster devnet --provider.wallet deployer.json',
+      `solana program show ${PROGRAM_ID} -u devnet`
+    ]);
+  });
+
+  await t.test('deployDevnet honors skipBuild', async () => {
+    const result = await deployDevnet({ programPath: projectDir, skipBuild: true });
+
+    assert.strictEqual(result.success, true);
+    const log = await readLog(logPath);
+    assert.ok(!log.includes('anchor build'));
+    assert.strictEqual(log[0], 'anchor deploy --provider.cluster devnet');
+  });
+
+  await t.test('deployDevnet reports build failure', async () => {
+    process.env.FAKE_ANCHOR_FAIL = 'build';
+    const result = await deployDevnet({ programPath: projectDir });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.errors[0], /Build failed/);
+    assert.deepStrictEqual(await readLog(logPath), ['anchor build']);
+  });
+
+  await t.test('deployDevnet reports deploy failure', async () => {
+    process.env.FAKE_ANCHOR_FAIL = 'deploy';
+    const result = await deployDevnet({ programPath: projectDir, skipBuild: true });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.errors[0], /Deployment failed/);
+  });
+
+  await t.test('deployDevnet requires Anchor.toml', async () => {
+    await assert.rejects(
+      deployDevnet({ programPath: tmpDir }),
+      /Anchor.toml not found/
+    );
+  });
+
+  await t.test('deployDevnet rejects invalid cluster and keypair', async () => {
+    await assert.rejects(
+      deployDevnet({ programPath: projectDir, cluster: 'localnet' }),
+      /Invalid cluster/
+    );
+    await assert.rejects(
+      deployDevnet({ programPath: projectDir, keypair: '../id.json' }),
+      /path traversal/
+    );
+  });
+
+  await t.test('getDeploymentStatus parses solana program show', async () => {
+    const result = await getDeploymentStatus({ programId: PROGRAM_ID, cluster: 'testnet' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.status, 'deployed');
+    assert.strictEqual(result.executable, true);
+    assert.strictEqual(result.lamports, 1141440);
+    assert.deepStrictEqual(await readLog(logPath), [`solana program show ${PROGRAM_ID} -u testnet`]);
+  });
+
+  await t.test('getDeploymentStatus validates program ID', async () => {
+    await assert.rejects(
+      getDeploymentStatus({ programId: 'not-a-key' }),
+      /Invalid program ID/
+    );
+  });
+
+  await t.test('fundKeypair falls back to solana airdrop', async () => {
+    const result = await fundKeypair({
+      publicKey: '11111111111111111111111111111111',
+      cluster: 'testnet',
+      amount: 1
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.amountAirdropped, 1);
+    assert.match(result.signature, /^5VERv8NM/);
+    assert.deepStrictEqual(await readLog(logPath), [
+      'solana airdrop 1 11111111111111111111111111111111 -u testnet'
+    ]);
+  });
+
+  await t.test('fundKeypair requests the airdrop through the RPC connection', async () => {
+    const signature = '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW';
+    const rpc = await startMockRpc({ requestAirdrop: () => signature });
+    try {
+      const result = await fundKeypair({ publicKey: '11111111111111111111111111111111', rpcUrl: rpc.url, amount: 1 });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.signature, signature);
+      assert.deepStrictEqual(rpc.calls.map(call => call.params), [['11111111111111111111111111111111', 1000000000]]);
+      assert.deepStrictEqual(await readLog(logPath), []);
+    } finally {
+      await rpc.close();
+    }
+  });
+
+  await t.test('fundKeypair reports RPC faucet failures without writing to stdout', async () => {
+    // No requestAirdrop handler: the stub answers with a JSON-RPC error
+    const rpc = await startMockRpc({});
+    const originalWrite = process.stdout.write;
+    const written = [];
+    process.stdout.write = (chunk, ...rest) => {
+      written.push(String(chunk));
+      return true;
+    };
+
+    let result;
+    try {
+      result = await fundKeypair({ publicKey: '11111111111111111111111111111111', rpcUrl: rpc.url, amount: 1 });
+    } finally {
+      process.stdout.write = originalWrite;
+      await rpc.close();
+    }
+
+    assert.deepStrictEqual(written, []);
+    assert.strictEqual(result.success, true);
+    assert.match(result.rpcError, /Method not found: requestAirdrop/);
+    assert.match(result.message, /via solana CLI/);
+  });
+
+  await t.test('fundKeypair validates amount', async () => {
+    const result = await fundKeypair({
+      publicKey: '11111111111111111111111111111111',
+      cluster: 'testnet',
+      amount: 1.5
+    });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /positive integer/);
+  });
+});
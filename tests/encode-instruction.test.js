@@ -0,0 +1,189 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import { encodeInstruction } from '../mcp-server/tools/encode-instruction.js';
+import { getLocalLedger } from '../mcp-server/lib/local-sim.js';
+import { encodeVault } from './fixtures/vault-account.js';
+import { PROGRAM_ID, VAULT, OWNER, SYSTEM_PROGRAM, encodeDeposit } from './fixtures/vault-transaction.js';
+
+const IDL_PATH = new URL('./fixtures/vault-idl.json', import.meta.url).pathname;
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+
+// Vault IDL plus PDA accounts in the 0.30+ seed format
+const PDA_IDL = {
+  ...VAULT_IDL,
+  instructions: [
+    ...VAULT_IDL.instructions,
+    {
+      name: 'open_position',
+      accounts: [
+        {
+          name: 'position',
+          writable: true,
+          pda: {
+            seeds: [
+              { kind: 'const', value: [...Buffer.from('position')] },
+              { kind: 'account', path: 'owner' },
+              { kind: 'arg', path: 'index' }
+            ]
+          }
+        },
+        { name: 'owner', writable: true, signer: true },
+        { name: 'vault' },
+        {
+          name: 'receipt',
+          writable: true,
+          pda: {
+            seeds: [
+              { kind: 'const', value: [...Buffer.from('receipt')] },
+              { kind: 'account', path: 'vault.authority', account: 'Vault' },
+              { kind: 'arg', path: 'label' }
+            ]
+          }
+        },
+        { name: 'referrer', optional: true },
+        { name: 'system_program', address: SYSTEM_PROGRAM }
+      ],
+      args: [
+        { name: 'index', type: 'u16' },
+        { name: 'label', type: 'string' }
+      ]
+    }
+  ]
+};
+
+// Legacy (pre-0.30) IDL: camelCase names, isMut/isSigner and typed seeds
+const LEGACY_IDL = {
+  version: '0.1.0',
+  name: 'counter',
+  instructions: [{
+    name: 'createCounter',
+    accounts: [
+      {
+        name: 'counter',
+        isMut: true,
+        isSigner: false,
+        pda: {
+          seeds: [
+            { kind: 'const', type: 'string', value: 'counter' },
+            { kind: 'account', type: 'publicKey', path: 'authority' },
+            { kind: 'arg', type: 'u64', path: 'seed' }
+          ]
+        }
+      },
+      { name: 'authority', isMut: true, isSigner: true }
+    ],
+    args: [{ name: 'seed', type: 'u64' }]
+  }],
+  metadata: { address: PROGRAM_ID }
+};
+
+const pda = (seeds, programId = PROGRAM_ID) =>
+  PublicKey.findProgramAddressSync(seeds, new PublicKey(programId))[0].toBase58();
+
+test('encodeInstruction', async (t) => {
+  const ledger = getLocalLedger();
+
+  t.before(() => {
+    ledger.reset();
+    ledger.setAccount(VAULT, { owner: PROGRAM_ID, data: encodeVault() });
+  });
+
+  t.after(() => {
+    ledger.reset();
+  });
+
+  await t.test('encodes args and orders provided and fixed accounts', async () => {
+    const result = await encodeInstruction({
+      idl: VAULT_IDL,
+      instruction: 'deposit',
+      args: { amount: '1000', memo: 'hi' },
+      accounts: { vault: VAULT, owner: OWNER }
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.programId, PROGRAM_ID);
+    assert.strictEqual(result.discriminator, 'f223c68952e1f2b6');
+    assert.strictEqual(result.hex, encodeDeposit(1000n, 'hi').toString('hex'));
+    assert.deepStrictEqual(result.accounts, [
+      { name: 'vault', pubkey: VAULT, isSigner: false, isWritable: true, source: 'provided' },
+      { name: 'owner', pubkey: OWNER, isSigner: true, isWritable: true, source: 'provided' },
+      { name: 'system_program', pubkey: SYSTEM_PROGRAM, isSigner: false, isWritable: false, source: 'address' }
+    ]);
+    assert.deepStrictEqual(result.instruction, {
+      programId: PROGRAM_ID,
+      accounts: [
+        { pubkey: VAULT, isSigner: false, isWritable: true },
+        { pubkey: OWNER, isSigner: true, isWritable: true },
+        { pubkey: SYSTEM_PROGRAM, isSigner: false, isWritable: false }
+      ],
+      data: encodeDeposit(1000n, 'hi').toString('base64'),
+      encoding: 'base64'
+    });
+  });
+
+  await t.test('derives PDAs from const, account, arg and account-field seeds', async () => {
+    const result = await encodeInstruction({
+      idl: PDA_IDL,
+      instruction: 'openPosition',
+      args: { index: 7, label: 'main' },
+      accounts: { owner: OWNER, vault: VAULT },
+      cluster: 'local-sim'
+    });
+
+    assert.strictEqual(result.success, true);
+    const [position, , , receipt, referrer] = result.accounts;
+
+    const index = Buffer.from([7, 0]);
+    assert.strictEqual(position.pubkey, pda([Buffer.from('position'), new PublicKey(OWNER).toBuffer(), index]));
+    assert.strictEqual(position.source, 'pda');
+    assert.deepStrictEqual(position.seeds, [
+      Buffer.from('position').toString('hex'),
+      new PublicKey(OWNER).toBuffer().toString('hex'),
+      '0700'
+    ]);
+    assert.ok(position.bump >= 0 && position.bump <= 255);
+
+    // vault.authority is read from the vault account's data
+    assert.strictEqual(receipt.pubkey, pda([Buffer.from('receipt'), new PublicKey(OWNER).toBuffer(), Buffer.from('main')]));
+    assert.deepStrictEqual(referrer, { name: 'referrer', pubkey: PROGRAM_ID, isSigner: false, isWritable: false, source: 'optional' });
+  });
+
+  await t.test('resolves legacy IDL seeds', async () => {
+    const result = await encodeInstruction({
+      idl: LEGACY_IDL,
+      instruction: 'create_counter',
+      args: { seed: '258' },
+      accounts: { authority: OWNER }
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.name, 'createCounter');
+    const seed = Buffer.alloc(8);
+    seed.writeBigUInt64LE(258n);
+    assert.strictEqual(result.accounts[0].pubkey, pda([Buffer.from('counter'), new PublicKey(OWNER).toBuffer(), seed]));
+    assert.strictEqual(result.accounts[1].isSigner, true);
+  });
+
+  await t.test('reports missing accounts and invalid args', async () => {
+    const missing = await encodeInstruction({
+      idl: PDA_IDL,
+      instruction: 'open_position',
+      args: { index: 1, label: 'x' },
+      accounts: { vault: VAULT },
+      cluster: 'local-sim'
+    });
+    assert.strictEqual(missing.success, false);
+    assert.strictEqual(
+      missing.error,
+      'Failed to resolve accounts for open_position: missing accounts position, owner (pass them in accounts by name)'
+    );
+
+    const badArgs = await encodeInstruction({ idl: VAULT_IDL, instruction: 'deposit', args: { memo: 'hi' } });
+    assert.strictEqual(badArgs.error, 'Invalid args for instruction deposit: Missing field amount');
+
+    const unknown = await encodeInstruction({ idl: VAULT_IDL, instruction: 'withdraw' });
+    assert.ok(unknown.error.includes('Instruction withdraw not found in IDL'));
+  });
+});
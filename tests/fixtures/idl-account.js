@@ -0,0 +1,24 @@
+/**
+ * On-chain Anchor IDL account data:
+ * discriminator (8) | authority (32) | data_len (4, LE) | zlib(JSON)
+ */
+
+import zlib from 'zlib';
+import { PublicKey } from '@solana/web3.js';
+
+// sha256("internal:IdlAccount")[..8]
+export const IDL_ACCOUNT_DISCRIMINATOR = Buffer.from([24, 70, 98, 191, 58, 144, 123, 158]);
+
+/**
+ * @param {Object} idl - IDL document
+ * @param {PublicKey} [authority] - IDL authority
+ * @param {number} [padding=0] - Zeroed bytes Anchor allocates for IDL upgrades
+ */
+export function encodeIdlAccount(idl, authority = PublicKey.default, padding = 0) {
+  const compressed = zlib.deflateSync(Buffer.from(JSON.stringify(idl)));
+  const header = Buffer.alloc(44);
+  IDL_ACCOUNT_DISCRIMINATOR.copy(header, 0);
+  authority.toBuffer().copy(header, 8);
+  header.writeUInt32LE(compressed.length, 40);
+  return Buffer.concat([header, compressed, Buffer.alloc(padding)]);
+}
@@ -0,0 +1,74 @@
+/**
+ * Program account fixtures for the BPF loaders
+ * A minimal ELF64 image plus upgradeable loader and loader v4 account encoders
+ */
+
+import { PublicKey } from '@solana/web3.js';
+
+export const BPF_LOADER_V2_ID = 'BPFLoader2111111111111111111111111111111111';
+export const BPF_LOADER_UPGRADEABLE_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+export const LOADER_V4_ID = 'LoaderV411111111111111111111111111111111111';
+
+export const UPGRADEABLE_PROGRAM = new PublicKey(Buffer.alloc(32, 41)).toBase58();
+export const PROGRAM_DATA = new PublicKey(Buffer.alloc(32, 42)).toBase58();
+export const IMMUTABLE_PROGRAM = new PublicKey(Buffer.alloc(32, 43)).toBase58();
+export const IMMUTABLE_PROGRAM_DATA = new PublicKey(Buffer.alloc(32, 44)).toBase58();
+export const V2_PROGRAM = new PublicKey(Buffer.alloc(32, 45)).toBase58();
+export const V4_PROGRAM = new PublicKey(Buffer.alloc(32, 46)).toBase58();
+export const UPGRADE_AUTHORITY = new PublicKey(Buffer.alloc(32, 47)).toBase58();
+export const CLOSED_PROGRAM = new PublicKey(Buffer.alloc(32, 48)).toBase58();
+
+// 64-byte header, 128 bytes of "code", two 64-byte section headers
+export const ELF_SIZE = 320;
+
+/**
+ * A minimal ELF64 image: e_shoff = 192, e_shentsize = 64, e_shnum = 2
+ * @param {number} [fill=1] - Byte value of the code section
+ */
+export function buildElf(fill = 1) {
+  const elf = Buffer.alloc(ELF_SIZE);
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]).copy(elf, 0);
+  elf.writeUInt16LE(0xf7, 0x12); // e_machine: BPF
+  elf.writeBigUInt64LE(192n, 0x28);
+  elf.writeUInt16LE(64, 0x3a);
+  elf.writeUInt16LE(2, 0x3c);
+  elf.fill(fill, 64, 192);
+  elf.fill(0x11, 192, 200); // first section header; the rest stays zero
+  return elf;
+}
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+/**
+ * Upgradeable loader Program account: points at its ProgramData account
+ */
+export function encodeProgram(programData) {
+  return Buffer.concat([u32(2), new PublicKey(programData).toBuffer()]);
+}
+
+/**
+ * Upgradeable loader ProgramData account, padded like a `--max-len` deploy
+ */
+export function encodeProgramData({ slot, authority = null, elf = buildElf(), padding = 0 }) {
+  const authorityBytes = authority === null
+    ? Buffer.alloc(33)
+    : Buffer.concat([Buffer.from([1]), new PublicKey(authority).toBuffer()]);
+  return Buffer.concat([u32(3), u64(slot), authorityBytes, elf, Buffer.alloc(padding)]);
+}
+
+/**
+ * Loader v4 program account (status: 0 retracted, 1 deployed, 2 finalized)
+ */
+export function encodeLoaderV4({ slot, authority, status = 1, elf = buildElf() }) {
+  return Buffer.concat([u64(slot), new PublicKey(authority).toBuffer(), u64(status), elf]);
+}
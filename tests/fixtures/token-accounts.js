@@ -0,0 +1,136 @@
+/**
+ * SPL Token / Token-2022 account fixtures
+ * Encoders for mint and token account data, with Token-2022 TLV extensions
+ */
+
+import { PublicKey } from '@solana/web3.js';
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+export const WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+export const USDC_MINT = new PublicKey(Buffer.alloc(32, 11)).toBase58();
+export const FEE_MINT = new PublicKey(Buffer.alloc(32, 12)).toBase58();
+export const USDC_ACCOUNT = new PublicKey(Buffer.alloc(32, 21)).toBase58();
+export const EMPTY_ACCOUNT = new PublicKey(Buffer.alloc(32, 22)).toBase58();
+export const FEE_ACCOUNT = new PublicKey(Buffer.alloc(32, 23)).toBase58();
+export const AUTHORITY = new PublicKey(Buffer.alloc(32, 31)).toBase58();
+export const METADATA = new PublicKey(Buffer.alloc(32, 32)).toBase58();
+
+const key = address => new PublicKey(address).toBuffer();
+
+function u16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16LE(value);
+  return buffer;
+}
+
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+function i64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigInt64LE(BigInt(value));
+  return buffer;
+}
+
+function coption(value, encode, size) {
+  const tag = Buffer.alloc(4);
+  tag.writeUInt32LE(value === null ? 0 : 1);
+  return Buffer.concat([tag, value === null ? Buffer.alloc(size) : encode(value)]);
+}
+
+function string(value) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(Buffer.byteLength(value));
+  return Buffer.concat([length, Buffer.from(value)]);
+}
+
+/**
+ * One type-length-value extension entry
+ */
+export function tlv(type, value) {
+  return Buffer.concat([u16(type), u16(value.length), value]);
+}
+
+/**
+ * Token-2022 extension entries used by the fixtures
+ */
+export const EXTENSIONS = {
+  transferFeeConfig: () => tlv(1, Buffer.concat([
+    key(AUTHORITY),
+    Buffer.alloc(32),
+    u64(7),
+    u64(100), u64(5000), u16(25),
+    u64(101), u64(10000), u16(50)
+  ])),
+  transferFeeAmount: () => tlv(2, u64(3)),
+  immutableOwner: () => tlv(7, Buffer.alloc(0)),
+  interestBearingConfig: () => tlv(10, Buffer.concat([key(AUTHORITY), i64(1700000000), u16(500), i64(1700000100), u16(450)])),
+  metadataPointer: () => tlv(18, Buffer.concat([key(AUTHORITY), key(METADATA)])),
+  tokenMetadata: () => {
+    const pairs = Buffer.alloc(4);
+    pairs.writeUInt32LE(1);
+    return tlv(19, Buffer.concat([
+      key(AUTHORITY),
+      key(FEE_MINT),
+      string('Fee Token'),
+      string('FEE'),
+      string('https://example.com/fee.json'),
+      pairs,
+      string('site'),
+      string('example.com')
+    ]));
+  }
+};
+
+function withExtensions(base, accountType, extensions) {
+  if (extensions.length === 0) {
+    return base;
+  }
+  // Extended mints are padded to the token account size before the account type byte
+  return Buffer.concat([base, Buffer.alloc(165 - base.length), Buffer.from([accountType]), ...extensions]);
+}
+
+/**
+ * Encode mint account data
+ */
+export function encodeMint({ mintAuthority = AUTHORITY, supply = 0, decimals = 6, freezeAuthority = null, extensions = [] } = {}) {
+  const base = Buffer.concat([
+    coption(mintAuthority, key, 32),
+    u64(supply),
+    Buffer.from([decimals, 1]),
+    coption(freezeAuthority, key, 32)
+  ]);
+  return withExtensions(base, 1, extensions);
+}
+
+/**
+ * Encode token account data
+ */
+export function encodeTokenAccount({
+  mint,
+  owner = WALLET,
+  amount = 0,
+  delegate = null,
+  state = 1,
+  isNative = null,
+  delegatedAmount = 0,
+  closeAuthority = null,
+  extensions = []
+}) {
+  const base = Buffer.concat([
+    key(mint),
+    key(owner),
+    u64(amount),
+    coption(delegate, key, 32),
+    Buffer.from([state]),
+    coption(isNative, u64, 8),
+    u64(delegatedAmount),
+    coption(closeAuthority, key, 32)
+  ]);
+  return withExtensions(base, 2, extensions);
+}
@@ -0,0 +1,57 @@
+/**
+ * Borsh-encoded Vault account matching tests/fixtures/vault-idl.json
+ */
+
+import { PublicKey } from '@solana/web3.js';
+
+export const AUTHORITY = new PublicKey('9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM');
+export const DELEGATE = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+
+function u32(value) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32LE(value);
+  return b;
+}
+
+function str(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  return Buffer.concat([u32(bytes.length), bytes]);
+}
+
+export function encodeVault() {
+  const balance = Buffer.alloc(8);
+  balance.writeBigUInt64LE(18446744073709551615n);
+  const delta = Buffer.alloc(8);
+  delta.writeBigInt64LE(-42n);
+  const feeBps = Buffer.alloc(2);
+  feeBps.writeUInt16LE(250);
+  const total = Buffer.alloc(16);
+  total.writeBigUInt64LE(1n, 8); // 2^64
+
+  return Buffer.concat([
+    Buffer.from([211, 8, 232, 43, 2, 152, 117, 119]),
+    AUTHORITY.toBuffer(),
+    balance,
+    delta,
+    u32(2), str('alpha'), str('beta'),
+    Buffer.from([1]), DELEGATE.toBuffer(),
+    Buffer.from([0]),
+    Buffer.from([1]), str('audit'),
+    feeBps, u32(1000), u32(2000),
+    total,
+    Buffer.from([1])
+  ]);
+}
+
+export const DECODED_VAULT = {
+  authority: AUTHORITY.toBase58(),
+  balance: '18446744073709551615',
+  delta: '-42',
+  tags: ['alpha', 'beta'],
+  delegate: DELEGATE.toBase58(),
+  bump: null,
+  state: { Frozen: { reason: 'audit' } },
+  config: { fee_bps: 250, limits: [1000, 2000] },
+  total: '18446744073709551616',
+  active: true
+};
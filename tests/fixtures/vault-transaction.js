@@ -0,0 +1,97 @@
+/**
+ * jsonParsed getTransaction response for a vault deposit
+ * (tests/fixtures/vault-idl.json), as returned by the RPC
+ */
+
+import { encodeBase58 } from '../../mcp-server/lib/base58.js';
+import { AUTHORITY } from './vault-account.js';
+
+export const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+export const VAULT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+export const OWNER = AUTHORITY.toBase58();
+export const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+export const SIGNATURE = '5'.repeat(88);
+
+function u64(value) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64LE(value);
+  return b;
+}
+
+export function encodeDeposit(amount, memo) {
+  const memoBytes = memo === null
+    ? Buffer.from([0])
+    : Buffer.concat([Buffer.from([1]), Buffer.from([memo.length, 0, 0, 0]), Buffer.from(memo)]);
+  return Buffer.concat([Buffer.from([242, 35, 198, 137, 82, 225, 242, 182]), u64(amount), memoBytes]);
+}
+
+export function encodeDeposited(amount) {
+  return Buffer.concat([
+    Buffer.from([111, 141, 26, 45, 161, 35, 100, 57]),
+    AUTHORITY.toBuffer(),
+    u64(amount)
+  ]);
+}
+
+export function depositTransaction() {
+  return {
+    slot: 1234,
+    blockTime: 1700000000,
+    version: 0,
+    transaction: {
+      signatures: [SIGNATURE],
+      message: {
+        accountKeys: [
+          { pubkey: OWNER, signer: true, writable: true, source: 'transaction' },
+          { pubkey: VAULT, signer: false, writable: true, source: 'transaction' },
+          { pubkey: SYSTEM_PROGRAM, signer: false, writable: false, source: 'transaction' },
+          { pubkey: PROGRAM_ID, signer: false, writable: false, source: 'transaction' }
+        ],
+        recentBlockhash: 'EETubP5AKHgjPAhzPAFcb8BAY1hMH639CWCFTqi3hq1k',
+        instructions: [
+          {
+            programId: PROGRAM_ID,
+            accounts: [VAULT, OWNER, SYSTEM_PROGRAM],
+            data: encodeBase58(encodeDeposit(500n, 'hi')),
+            stackHeight: null
+          }
+        ]
+      }
+    },
+    meta: {
+      err: null,
+      fee: 5000,
+      preBalances: [10000000, 2000000, 1, 1],
+      postBalances: [9494500, 2000500, 1, 1],
+      innerInstructions: [
+        {
+          index: 0,
+          instructions: [
+            {
+              program: 'system',
+              programId: SYSTEM_PROGRAM,
+              parsed: {
+                type: 'transfer',
+                info: { source: OWNER, destination: VAULT, lamports: 500 }
+              },
+              stackHeight: 2
+            }
+          ]
+        }
+      ],
+      preTokenBalances: [],
+      postTokenBalances: [],
+      computeUnitsConsumed: 7000,
+      logMessages: [
+        `Program ${PROGRAM_ID} invoke [1]`,
+        'Program log: Instruction: Deposit',
+        `Program ${SYSTEM_PROGRAM} invoke [2]`,
+        `Program ${SYSTEM_PROGRAM} success`,
+        `Program data: ${encodeDeposited(500n).toString('base64')}`,
+        `Program ${PROGRAM_ID} consumed 7000 of 200000 compute units`,
+        `Program ${PROGRAM_ID} success`
+      ],
+      status: { Ok: null }
+    }
+  };
+}
@@ -1,6 +1,15 @@
 import test from 'node:test';
 import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { PublicKey } from '@solana/web3.js';
 import { getAccountInfo } from '../mcp-server/tools/get-account-info.js';
+import { getIdlAddress } from '../mcp-server/tools/verify-onchain-discriminators.js';
+import { startMockRpc, accountResult } from './helpers/mock-rpc.js';
+import { encodeVault, DECODED_VAULT } from './fixtures/vault-account.js';
+import { encodeIdlAccount } from './fixtures/idl-account.js';
+
+const IDL_PATH = new URL('./fixtures/vault-idl.json', import.meta.url).pathname;
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
 
 test('getAccountInfo', async (t) => {
   await t.test('validates public key format', async () => {
@@ -35,3 +44,62 @@ test('getAccountInfo', async (t) => {
     }
   });
 });
+
+test('getAccountInfo IDL decoding', async (t) => {
+  const VAULT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+  let rpc;
+  let idlAddress;
+
+  t.before(async () => {
+    idlAddress = (await getIdlAddress(new PublicKey(VAULT_IDL.address))).toBase58();
+    rpc = await startMockRpc({
+      getAccountInfo: ([address]) => {
+        if (address === VAULT) {
+          return accountResult({ data: encodeVault(), owner: VAULT_IDL.address });
+        }
+        if (address === idlAddress) {
+          return accountResult({ data: encodeIdlAccount(VAULT_IDL), owner: VAULT_IDL.address });
+        }
+        return accountResult(null);
+      }
+    });
+  });
+
+  t.after(async () => {
+    await rpc.close();
+  });
+
+  await t.test('decodes with an inline IDL', async () => {
+    const result = await getAccountInfo({ publicKey: VAULT, rpcUrl: rpc.url, idl: VAULT_IDL });
+
+    assert.strictEqual(result.success, true);
+    assert.ok(result.accountInfo.data);
+    assert.strictEqual(result.decoded.accountType, 'Vault');
+    assert.deepStrictEqual(result.decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('decodes with an IDL file path', async () => {
+    const result = await getAccountInfo({ publicKey: VAULT, rpcUrl: rpc.url, idl: IDL_PATH });
+
+    assert.deepStrictEqual(result.decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('fetches the owner program IDL from chain', async () => {
+    const result = await getAccountInfo({ publicKey: VAULT, rpcUrl: rpc.url, idl: 'chain' });
+
+    assert.strictEqual(result.decoded.accountType, 'Vault');
+    assert.ok(rpc.calls.some(call => call.params[0] === idlAddress));
+  });
+
+  await t.test('reports decode errors alongside raw data', async () => {
+    const result = await getAccountInfo({
+      publicKey: VAULT,
+      rpcUrl: rpc.url,
+      idl: { ...VAULT_IDL, accounts: [] }
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.decoded, undefined);
+    assert.match(result.decodeError, /does not match any IDL account/);
+  });
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { getMintInfo } from '../mcp-server/tools/get-mint-info.js';
+import { getLocalLedger } from '../mcp-server/lib/local-sim.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  WALLET,
+  USDC_MINT,
+  FEE_MINT,
+  AUTHORITY,
+  EXTENSIONS,
+  encodeMint
+} from './fixtures/token-accounts.js';
+
+test('getMintInfo', async (t) => {
+  const ledger = getLocalLedger();
+
+  t.before(() => {
+    ledger.reset();
+    ledger.setAccount(USDC_MINT, {
+      owner: TOKEN_PROGRAM_ID,
+      data: encodeMint({ supply: '18446744073709551615', decimals: 6, freezeAuthority: WALLET })
+    });
+    ledger.setAccount(FEE_MINT, {
+      owner: TOKEN_2022_PROGRAM_ID,
+      data: encodeMint({
+        mintAuthority: null,
+        supply: 5,
+        decimals: 0,
+        extensions: [EXTENSIONS.metadataPointer(), EXTENSIONS.tokenMetadata()]
+      })
+    });
+    ledger.setAccount(WALLET, { lamports: 1 });
+  });
+
+  t.after(() => {
+    ledger.reset();
+  });
+
+  await t.test('returns supply, decimals and authorities', async () => {
+    const result = await getMintInfo({ mint: USDC_MINT, cluster: 'local-sim' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.program, 'spl-token');
+    assert.strictEqual(result.supply, '18446744073709551615');
+    assert.strictEqual(result.uiSupply, '18446744073709.551615');
+    assert.strictEqual(result.mintAuthority, AUTHORITY);
+    assert.strictEqual(result.freezeAuthority, WALLET);
+    assert.deepStrictEqual(result.extensions, []);
+  });
+
+  await t.test('decodes Token-2022 metadata extensions', async () => {
+    const result = await getMintInfo({ mint: FEE_MINT, cluster: 'local-sim' });
+
+    assert.strictEqual(result.program, 'spl-token-2022');
+    assert.strictEqual(result.mintAuthority, null);
+    assert.deepStrictEqual(result.extensions[1], {
+      extension: 'tokenMetadata',
+      updateAuthority: AUTHORITY,
+      mint: FEE_MINT,
+      name: 'Fee Token',
+      symbol: 'FEE',
+      uri: 'https://example.com/fee.json',
+      additionalMetadata: [['site', 'example.com']]
+    });
+  });
+
+  await t.test('rejects accounts not owned by a token program', async () => {
+    const result = await getMintInfo({ mint: WALLET, cluster: 'local-sim' });
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('is not an SPL token mint'));
+  });
+
+  await t.test('reports missing mints', async () => {
+    const result = await getMintInfo({ mint: AUTHORITY, cluster: 'local-sim' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.exists, false);
+  });
+});
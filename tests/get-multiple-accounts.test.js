@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import { getMultipleAccounts } from '../mcp-server/tools/get-multiple-accounts.js';
+import { startMockRpc, accountResult } from './helpers/mock-rpc.js';
+import { encodeVault, DECODED_VAULT } from './fixtures/vault-account.js';
+
+const IDL_PATH = new URL('./fixtures/vault-idl.json', import.meta.url).pathname;
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+const VAULT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+
+// Deterministic distinct keys
+function keys(count) {
+  return Array.from({ length: count }, (_, i) => new PublicKey(Buffer.alloc(32, i + 1)).toBase58());
+}
+
+test('getMultipleAccounts', async (t) => {
+  let rpc;
+  // Every other generated key exists as a 3-byte system account
+  const existing = new Set(keys(250).filter((_, i) => i % 2 === 0));
+
+  t.before(async () => {
+    rpc = await startMockRpc({
+      getMultipleAccounts: ([addresses]) => ({
+        context: { slot: 1 },
+        value: addresses.map(address => {
+          if (address === VAULT) {
+            return accountResult({ data: encodeVault(), owner: VAULT_IDL.address }).value;
+          }
+          if (existing.has(address)) {
+            return accountResult({ data: [1, 2, 3], owner: '11111111111111111111111111111111' }).value;
+          }
+          return null;
+        })
+      })
+    });
+  });
+
+  t.after(async () => {
+    await rpc.close();
+  });
+
+  await t.test('validates every public key before fetching', async () => {
+    const result = await getMultipleAccounts({ publicKeys: [VAULT, 'bad-key'], rpcUrl: rpc.url });
+
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('Invalid public key(s): bad-key'));
+  });
+
+  await t.test('rejects an empty key list', async () => {
+    const result = await getMultipleAccounts({ publicKeys: [], rpcUrl: rpc.url });
+    assert.strictEqual(result.success, false);
+  });
+
+  await t.test('chunks requests to 100 keys and keeps request order', async () => {
+    const publicKeys = keys(250);
+    const before = rpc.calls.length;
+    const result = await getMultipleAccounts({ publicKeys, rpcUrl: rpc.url });
+
+    const calls = rpc.calls.slice(before);
+    assert.deepStrictEqual(calls.map(call => call.params[0].length), [100, 100, 50]);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.accounts.map(account => account.publicKey), publicKeys);
+    assert.strictEqual(result.accounts[0].accountInfo.data, 'AQID');
+    assert.strictEqual(result.accounts[0].accountInfo.owner, '11111111111111111111111111111111');
+    assert.deepStrictEqual(result.accounts[1], { publicKey: publicKeys[1], exists: false });
+  });
+
+  await t.test('summarizes missing accounts', async () => {
+    const publicKeys = keys(4);
+    const result = await getMultipleAccounts({ publicKeys, rpcUrl: rpc.url });
+
+    assert.deepStrictEqual(result.summary, {
+      requested: 4,
+      found: 2,
+      missing: 2,
+      missingAccounts: [publicKeys[1], publicKeys[3]]
+    });
+  });
+
+  await t.test('decodes accounts with an IDL and reports per-account failures', async () => {
+    const [system] = keys(1);
+    const result = await getMultipleAccounts({ publicKeys: [VAULT, system], rpcUrl: rpc.url, idl: VAULT_IDL });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.accounts[0].decoded.accountType, 'Vault');
+    assert.deepStrictEqual(result.accounts[0].decoded.data, DECODED_VAULT);
+    assert.ok(result.accounts[1].decodeError.includes('does not match any IDL account'));
+  });
+});
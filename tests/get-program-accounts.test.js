@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import { getProgramAccounts } from '../mcp-server/tools/get-program-accounts.js';
+import { getLocalLedger } from '../mcp-server/lib/local-sim.js';
+import { encodeBase58 } from '../mcp-server/lib/base58.js';
+import { startMockRpc } from './helpers/mock-rpc.js';
+import { encodeVault, AUTHORITY, DECODED_VAULT } from './fixtures/vault-account.js';
+import { PROGRAM_ID } from './fixtures/vault-transaction.js';
+
+const IDL_PATH = new URL('./fixtures/vault-idl.json', import.meta.url).pathname;
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+// sha256("account:Vault")[..8], also declared in the IDL
+const VAULT_DISCRIMINATOR = Buffer.from([211, 8, 232, 43, 2, 152, 117, 119]);
+
+function key(seed) {
+  return new PublicKey(Buffer.alloc(32, seed)).toBase58();
+}
+
+test('getProgramAccounts', async (t) => {
+  const ledger = getLocalLedger();
+  const vaults = [key(1), key(2), key(3)];
+
+  t.before(() => {
+    ledger.reset();
+    for (const vault of vaults) {
+      ledger.setAccount(vault, { lamports: 2000000, owner: PROGRAM_ID, data: encodeVault() });
+    }
+    // Same owner, other account layouts
+    ledger.setAccount(key(4), { owner: PROGRAM_ID, data: Buffer.alloc(16, 7) });
+    ledger.setAccount(key(5), { owner: PROGRAM_ID, data: Buffer.concat([Buffer.alloc(8), AUTHORITY.toBuffer()]) });
+    // Other program
+    ledger.setAccount(key(6), { owner: AUTHORITY.toBase58(), data: encodeVault() });
+  });
+
+  t.after(() => {
+    ledger.reset();
+  });
+
+  await t.test('validates the program ID', async () => {
+    const result = await getProgramAccounts({ programId: 'nope', cluster: 'local-sim' });
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('Invalid program ID'));
+  });
+
+  await t.test('lists accounts owned by the program', async () => {
+    const result = await getProgramAccounts({ programId: PROGRAM_ID, cluster: 'local-sim' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.pagination.total, 5);
+    assert.ok(result.accounts.every(account => account.accountInfo.owner === PROGRAM_ID));
+  });
+
+  await t.test('applies dataSize and memcmp filters', async () => {
+    const bySize = await getProgramAccounts({ programId: PROGRAM_ID, cluster: 'local-sim', dataSize: 16 });
+    assert.deepStrictEqual(bySize.accounts.map(account => account.publicKey), [key(4)]);
+
+    const byAuthority = await getProgramAccounts({
+      programId: PROGRAM_ID,
+      cluster: 'local-sim',
+      memcmp: [{ offset: 8, bytes: AUTHORITY.toBase58() }]
+    });
+    const base64 = await getProgramAccounts({
+      programId: PROGRAM_ID,
+      cluster: 'local-sim',
+      memcmp: [{ offset: 8, bytes: AUTHORITY.toBuffer().toString('base64'), encoding: 'base64' }]
+    });
+    assert.deepStrictEqual(base64.accounts, byAuthority.accounts);
+    assert.ok(byAuthority.accounts.some(account => account.publicKey === key(5)));
+  });
+
+  await t.test('filters and decodes by Anchor account type', async () => {
+    const result = await getProgramAccounts({
+      programId: PROGRAM_ID,
+      cluster: 'local-sim',
+      accountType: 'Vault',
+      idl: VAULT_IDL
+    });
+
+    assert.deepStrictEqual(result.filters, [{ memcmp: { offset: 0, bytes: encodeBase58(VAULT_DISCRIMINATOR) } }]);
+    assert.deepStrictEqual(result.accounts.map(account => account.publicKey), [...vaults].sort());
+    assert.deepStrictEqual(result.accounts[0].decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('does not decode sliced data', async () => {
+    const result = await getProgramAccounts({
+      programId: PROGRAM_ID,
+      cluster: 'local-sim',
+      accountType: 'Vault',
+      idl: VAULT_IDL,
+      dataSlice: { offset: 8, length: 32 }
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.accounts.length, vaults.length);
+    for (const account of result.accounts) {
+      assert.strictEqual(account.accountInfo.dataLength, 32);
+      assert.strictEqual(account.decoded, undefined);
+      assert.strictEqual(account.decodeError, undefined);
+    }
+  });
+
+  await t.test('pages through results in public key order', async () => {
+    const pages = [];
+    let offset = 0;
+    while (offset !== null) {
+      const page = await getProgramAccounts({ programId: PROGRAM_ID, cluster: 'local-sim', limit: 2, offset });
+      pages.push(page.accounts.map(account => account.publicKey));
+      offset = page.pagination.nextOffset;
+    }
+
+    assert.deepStrictEqual(pages.map(page => page.length), [2, 2, 1]);
+    assert.deepStrictEqual(pages.flat(), [key(1), key(2), key(3), key(4), key(5)].sort());
+  });
+
+  await t.test('sends dataSlice and the account-type filter to the RPC', async () => {
+    const rpc = await startMockRpc({
+      getProgramAccounts: () => [{
+        pubkey: key(1),
+        account: {
+          data: [VAULT_DISCRIMINATOR.toString('base64'), 'base64'],
+          executable: false,
+          lamports: 1,
+          owner: PROGRAM_ID,
+          rentEpoch: 0,
+          space: 8
+        }
+      }]
+    });
+
+    try {
+      // Without an IDL the discriminator is computed from the account name
+      const result = await getProgramAccounts({
+        programId: PROGRAM_ID,
+        rpcUrl: rpc.url,
+        accountType: 'Vault',
+        dataSlice: { offset: 0, length: 8 }
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.accounts[0].accountInfo.dataLength, 8);
+      const [, config] = rpc.calls[0].params;
+      assert.deepStrictEqual(config.dataSlice, { offset: 0, length: 8 });
+      assert.strictEqual(config.filters[0].memcmp.bytes, encodeBase58(VAULT_DISCRIMINATOR));
+    } finally {
+      await rpc.close();
+    }
+  });
+});
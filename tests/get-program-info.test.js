@@ -5,9 +5,38 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
 import { getProgramInfo } from '../mcp-server/tools/get-program-info.js';
+import { createConnectionContext } from '../mcp-server/lib/connection.js';
+import { getLocalLedger } from '../mcp-server/lib/local-sim.js';
+import {
+  BPF_LOADER_V2_ID,
+  BPF_LOADER_UPGRADEABLE_ID,
+  LOADER_V4_ID,
+  UPGRADEABLE_PROGRAM,
+  PROGRAM_DATA,
+  IMMUTABLE_PROGRAM,
+  IMMUTABLE_PROGRAM_DATA,
+  V2_PROGRAM,
+  V4_PROGRAM,
+  CLOSED_PROGRAM,
+  UPGRADE_AUTHORITY,
+  ELF_SIZE,
+  buildElf,
+  encodeProgram,
+  encodeProgramData,
+  encodeLoaderV4
+} from './fixtures/programs.js';
+
+const ELF_SHA256 = createHash('sha256').update(buildElf()).digest('hex');
+
+// Holds the getAccountInfo responses for 1111...1112 (no account) and the System Program
+const CASSETTE = fileURLToPath(new URL('./cassettes/devnet-tools.json', import.meta.url));
 
 test('getProgramInfo', async (t) => {
+  const replay = { connections: createConnectionContext({ cassette: { mode: 'replay', path: CASSETTE } }) };
+
   await t.test('input validation', async (t) => {
     await t.test('requires programId', async () => {
       try {
@@ -28,7 +57,7 @@ test('getProgramInfo', async (t) => {
       const result = await getProgramInfo({
         programId: '11111111111111111111111111111112',
         cluster: 'devnet'
-      });
+      }, replay);
       // Should not throw, should have success/deployed flags
       assert.ok('success' in result);
       assert.ok('deployed' in result);
@@ -39,7 +68,7 @@ test('getProgramInfo', async (t) => {
     await t.test('defaults to devnet', async () => {
       const result = await getProgramInfo({
         programId: '11111111111111111111111111111112'
-      });
+      }, replay);
       assert.ok(result.cluster === 'devnet' || !result.success);
     });
 
@@ -47,7 +76,7 @@ test('getProgramInfo', async (t) => {
       const result = await getProgramInfo({
         programId: '11111111111111111111111111111111',
         cluster: 'mainnet-beta'
-      });
+      }, replay);
       assert.ok(result.cluster === 'mainnet-beta' || !result.success);
     });
 
@@ -56,7 +85,7 @@ test('getProgramInfo', async (t) => {
         programId: '11111111111111111111111111111112',
         cluster: 'devnet',
         rpcUrl: 'https://api.devnet.solana.com'
-      });
+      }, replay);
       assert.ok('success' in result);
     });
   });
@@ -66,7 +95,7 @@ test('getProgramInfo', async (t) => {
       const result = await getProgramInfo({
         programId: '11111111111111111111111111111112',
         cluster: 'devnet'
-      });
+      }, replay);
       assert.ok('success' in result);
       assert.ok('programId' in result);
       assert.ok('cluster' in result);
@@ -83,4 +112,95 @@ test('getProgramInfo', async (t) => {
       }
     });
   });
+
+  await t.test('loader introspection', async (t) => {
+    const ledger = getLocalLedger();
+
+    t.before(() => {
+      ledger.reset();
+      ledger.setAccount(UPGRADEABLE_PROGRAM, {
+        owner: BPF_LOADER_UPGRADEABLE_ID,
+        executable: true,
+        data: encodeProgram(PROGRAM_DATA)
+      });
+      ledger.setAccount(PROGRAM_DATA, {
+        owner: BPF_LOADER_UPGRADEABLE_ID,
+        data: encodeProgramData({ slot: 123456, authority: UPGRADE_AUTHORITY, padding: 1000 })
+      });
+      ledger.setAccount(IMMUTABLE_PROGRAM, {
+        owner: BPF_LOADER_UPGRADEABLE_ID,
+        executable: true,
+        data: encodeProgram(IMMUTABLE_PROGRAM_DATA)
+      });
+      ledger.setAccount(IMMUTABLE_PROGRAM_DATA, {
+        owner: BPF_LOADER_UPGRADEABLE_ID,
+        data: encodeProgramData({ slot: 99 })
+      });
+      ledger.setAccount(V2_PROGRAM, { owner: BPF_LOADER_V2_ID, executable: true, data: buildElf() });
+      ledger.setAccount(V4_PROGRAM, {
+        owner: LOADER_V4_ID,
+        executable: true,
+        data: encodeLoaderV4({ slot: 777, authority: UPGRADE_AUTHORITY })
+      });
+    });
+
+    t.after(() => {
+      ledger.reset();
+    });
+
+    await t.test('follows upgradeable programs to their ProgramData account', async () => {
+      const result = await getProgramInfo({ programId: UPGRADEABLE_PROGRAM, cluster: 'local-sim' });
+
+      assert.strictEqual(result.deployed, true);
+      assert.strictEqual(result.loader, 'upgradeable');
+      assert.strictEqual(result.dataSize, 36);
+      assert.strictEqual(result.programDataAddress, PROGRAM_DATA);
+      assert.strictEqual(result.programDataSize, 45 + ELF_SIZE + 1000);
+      assert.strictEqual(result.upgradeable, true);
+      assert.strictEqual(result.upgradeAuthority, UPGRADE_AUTHORITY);
+      assert.strictEqual(result.lastDeployedSlot, 123456);
+      // The --max-len padding is not part of the ELF or its hash
+      assert.strictEqual(result.elfSize, ELF_SIZE);
+      assert.strictEqual(result.sha256, ELF_SHA256);
+    });
+
+    await t.test('reports immutable programs', async () => {
+      const result = await getProgramInfo({ programId: IMMUTABLE_PROGRAM, cluster: 'local-sim' });
+      assert.strictEqual(result.upgradeable, false);
+      assert.strictEqual(result.upgradeAuthority, null);
+      assert.strictEqual(result.lastDeployedSlot, 99);
+    });
+
+    await t.test('reads v2 and v4 loader programs', async () => {
+      const v2 = await getProgramInfo({ programId: V2_PROGRAM, cluster: 'local-sim' });
+      assert.strictEqual(v2.loader, 'v2');
+      assert.strictEqual(v2.upgradeable, false);
+      assert.strictEqual(v2.sha256, ELF_SHA256);
+
+      const v4 = await getProgramInfo({ programId: V4_PROGRAM, cluster: 'local-sim' });
+      assert.strictEqual(v4.loader, 'v4');
+      assert.strictEqual(v4.status, 'deployed');
+      assert.strictEqual(v4.upgradeAuthority, UPGRADE_AUTHORITY);
+      assert.strictEqual(v4.lastDeployedSlot, 777);
+      assert.strictEqual(v4.elfSize, ELF_SIZE);
+      assert.strictEqual(v4.sha256, ELF_SHA256);
+    });
+
+    await t.test('reports closed and unreadable upgradeable programs', async () => {
+      ledger.setAccount(CLOSED_PROGRAM, {
+        owner: BPF_LOADER_UPGRADEABLE_ID,
+        executable: true,
+        data: encodeProgram(UPGRADE_AUTHORITY)
+      });
+      const result = await getProgramInfo({ programId: CLOSED_PROGRAM, cluster: 'local-sim' });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.deployed, false);
+      assert.strictEqual(result.programDataAddress, UPGRADE_AUTHORITY);
+
+      ledger.setAccount(CLOSED_PROGRAM, { owner: BPF_LOADER_UPGRADEABLE_ID, executable: true, data: Buffer.alloc(36) });
+      const unreadable = await getProgramInfo({ programId: CLOSED_PROGRAM, cluster: 'local-sim' });
+      assert.strictEqual(unreadable.deployed, true);
+      assert.strictEqual(unreadable.loaderError, `${CLOSED_PROGRAM} is an upgradeable loader uninitialized account, not a program`);
+    });
+  });
 });
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getSignaturesForAddress } from '../mcp-server/tools/get-signatures-for-address.js';
+import { getLocalLedger, loadLedgerFixtures } from '../mcp-server/lib/local-sim.js';
+import { startMockRpc } from './helpers/mock-rpc.js';
+import { PROGRAM_ID, OWNER, SIGNATURE } from './fixtures/vault-transaction.js';
+
+const LEDGER_FIXTURE = fileURLToPath(new URL('./fixtures/local-ledger.json', import.meta.url));
+const IDL_PATH = fileURLToPath(new URL('./fixtures/vault-idl.json', import.meta.url));
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+
+test('getSignaturesForAddress', async (t) => {
+  const ledger = getLocalLedger();
+  let airdrops;
+
+  t.before(async () => {
+    ledger.reset();
+    await loadLedgerFixtures([LEDGER_FIXTURE]);
+    // Two airdrops to the depositor, newer than the fixture deposit
+    airdrops = [ledger.airdrop(OWNER, 1000000000), ledger.airdrop(OWNER, 500000000)];
+  });
+
+  t.after(() => {
+    ledger.reset();
+  });
+
+  await t.test('validates the address', async () => {
+    const result = await getSignaturesForAddress({ address: 'not-an-address', cluster: 'local-sim' });
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('Invalid address'));
+  });
+
+  await t.test('lists signatures newest first', async () => {
+    const result = await getSignaturesForAddress({ address: OWNER, cluster: 'local-sim' });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.signatures.map(entry => entry.signature), [airdrops[1], airdrops[0], SIGNATURE]);
+    assert.strictEqual(result.signatures[2].time, '2023-11-14T22:13:20.000Z');
+    assert.strictEqual(result.signatures[2].status, 'success');
+    assert.strictEqual(result.nextBefore, null);
+  });
+
+  await t.test('pages with before, until and limit', async () => {
+    const first = await getSignaturesForAddress({ address: OWNER, cluster: 'local-sim', limit: 2 });
+    assert.deepStrictEqual(first.signatures.map(entry => entry.signature), [airdrops[1], airdrops[0]]);
+    assert.strictEqual(first.nextBefore, airdrops[0]);
+
+    const second = await getSignaturesForAddress({
+      address: OWNER,
+      cluster: 'local-sim',
+      limit: 2,
+      before: first.nextBefore
+    });
+    assert.deepStrictEqual(second.signatures.map(entry => entry.signature), [SIGNATURE]);
+    assert.strictEqual(second.nextBefore, null);
+
+    const newer = await getSignaturesForAddress({ address: OWNER, cluster: 'local-sim', until: airdrops[0] });
+    assert.deepStrictEqual(newer.signatures.map(entry => entry.signature), [airdrops[1]]);
+  });
+
+  await t.test('builds an activity timeline with parseTransactions', async () => {
+    const result = await getSignaturesForAddress({
+      address: OWNER,
+      cluster: 'local-sim',
+      parseTransactions: true,
+      idl: VAULT_IDL
+    });
+
+    assert.strictEqual(result.signatures, undefined);
+    const [latest, , deposit] = result.timeline;
+
+    assert.strictEqual(latest.signature, airdrops[1]);
+    assert.strictEqual(latest.solChange, 500000000);
+    assert.deepStrictEqual(latest.instructions, [
+      { programId: '11111111111111111111111111111111', program: 'system', name: 'transfer' }
+    ]);
+
+    assert.strictEqual(deposit.signature, SIGNATURE);
+    assert.deepStrictEqual(deposit.signers, [OWNER]);
+    assert.deepStrictEqual(deposit.instructions, [{ programId: PROGRAM_ID, program: null, name: 'deposit' }]);
+    assert.deepStrictEqual(deposit.events, ['Deposited']);
+    assert.ok(deposit.solChange < 0);
+  });
+
+  await t.test('passes paging parameters to the RPC', async () => {
+    const rpc = await startMockRpc({ getSignaturesForAddress: () => [] });
+
+    try {
+      const result = await getSignaturesForAddress({ address: OWNER, rpcUrl: rpc.url, before: SIGNATURE, limit: 5 });
+
+      assert.strictEqual(result.count, 0);
+      assert.deepStrictEqual(rpc.calls[0].params, [OWNER, { before: SIGNATURE, limit: 5, commitment: 'confirmed' }]);
+    } finally {
+      await rpc.close();
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { getTokenAccounts } from '../mcp-server/tools/get-token-accounts.js';
+import { getLocalLedger } from '../mcp-server/lib/local-sim.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  WALLET,
+  USDC_MINT,
+  FEE_MINT,
+  USDC_ACCOUNT,
+  EMPTY_ACCOUNT,
+  FEE_ACCOUNT,
+  AUTHORITY,
+  METADATA,
+  EXTENSIONS,
+  encodeMint,
+  encodeTokenAccount
+} from './fixtures/token-accounts.js';
+
+test('getTokenAccounts', async (t) => {
+  const ledger = getLocalLedger();
+
+  t.before(() => {
+    ledger.reset();
+    ledger.setAccount(USDC_MINT, { owner: TOKEN_PROGRAM_ID, data: encodeMint({ supply: 10000000000, decimals: 6 }) });
+    ledger.setAccount(FEE_MINT, {
+      owner: TOKEN_2022_PROGRAM_ID,
+      data: encodeMint({
+        decimals: 9,
+        extensions: [
+          EXTENSIONS.transferFeeConfig(),
+          EXTENSIONS.interestBearingConfig(),
+          EXTENSIONS.metadataPointer()
+        ]
+      })
+    });
+    ledger.setAccount(USDC_ACCOUNT, {
+      owner: TOKEN_PROGRAM_ID,
+      data: encodeTokenAccount({ mint: USDC_MINT, amount: 1500000, delegate: AUTHORITY, delegatedAmount: 500000 })
+    });
+    ledger.setAccount(EMPTY_ACCOUNT, {
+      owner: TOKEN_PROGRAM_ID,
+      data: encodeTokenAccount({ mint: USDC_MINT, state: 2 })
+    });
+    ledger.setAccount(FEE_ACCOUNT, {
+      owner: TOKEN_2022_PROGRAM_ID,
+      data: encodeTokenAccount({
+        mint: FEE_MINT,
+        amount: 2000000000,
+        extensions: [EXTENSIONS.transferFeeAmount(), EXTENSIONS.immutableOwner()]
+      })
+    });
+    // Another wallet's account
+    ledger.setAccount(AUTHORITY, {
+      owner: TOKEN_PROGRAM_ID,
+      data: encodeTokenAccount({ mint: USDC_MINT, owner: AUTHORITY, amount: 1 })
+    });
+  });
+
+  t.after(() => {
+    ledger.reset();
+  });
+
+  await t.test('validates the owner', async () => {
+    const result = await getTokenAccounts({ owner: 'bad', cluster: 'local-sim' });
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('Invalid public key'));
+  });
+
+  await t.test('lists Token and Token-2022 accounts with UI amounts', async () => {
+    const result = await getTokenAccounts({ owner: WALLET, cluster: 'local-sim' });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.accounts.map(account => account.address), [USDC_ACCOUNT, EMPTY_ACCOUNT, FEE_ACCOUNT]);
+
+    const [usdc, empty, fee] = result.accounts;
+    assert.strictEqual(usdc.program, 'spl-token');
+    assert.strictEqual(usdc.amount, '1500000');
+    assert.strictEqual(usdc.decimals, 6);
+    assert.strictEqual(usdc.uiAmount, '1.5');
+    assert.strictEqual(usdc.delegate, AUTHORITY);
+    assert.strictEqual(usdc.delegatedAmount, '500000');
+    assert.strictEqual(usdc.isFrozen, false);
+    assert.strictEqual(usdc.isNative, false);
+    assert.deepStrictEqual(usdc.extensions, []);
+
+    assert.strictEqual(empty.state, 'frozen');
+    assert.strictEqual(empty.isFrozen, true);
+
+    assert.strictEqual(fee.program, 'spl-token-2022');
+    assert.strictEqual(fee.uiAmount, '2');
+  });
+
+  await t.test('decodes account and mint extensions', async () => {
+    const result = await getTokenAccounts({ owner: WALLET, cluster: 'local-sim', mint: FEE_MINT });
+    const [fee] = result.accounts;
+
+    assert.deepStrictEqual(fee.extensions, [
+      { extension: 'transferFeeAmount', withheldAmount: '3' },
+      { extension: 'immutableOwner' }
+    ]);
+    assert.deepStrictEqual(fee.mintExtensions.map(extension => extension.extension), [
+      'transferFeeConfig',
+      'interestBearingConfig',
+      'metadataPointer'
+    ]);
+
+    const [transferFee, interest, pointer] = fee.mintExtensions;
+    assert.strictEqual(transferFee.transferFeeConfigAuthority, AUTHORITY);
+    assert.strictEqual(transferFee.withdrawWithheldAuthority, null);
+    assert.deepStrictEqual(transferFee.newerTransferFee, { epoch: '101', maximumFee: '10000', transferFeeBasisPoints: 50 });
+    assert.strictEqual(interest.currentRate, 450);
+    assert.deepStrictEqual(pointer, { extension: 'metadataPointer', authority: AUTHORITY, metadataAddress: METADATA });
+  });
+
+  await t.test('filters by mint and skips empty accounts on request', async () => {
+    const byMint = await getTokenAccounts({ owner: WALLET, cluster: 'local-sim', mint: USDC_MINT });
+    assert.deepStrictEqual(byMint.accounts.map(account => account.address), [USDC_ACCOUNT, EMPTY_ACCOUNT]);
+
+    const funded = await getTokenAccounts({ owner: WALLET, cluster: 'local-sim', includeEmpty: false });
+    assert.deepStrictEqual(funded.accounts.map(account => account.address), [USDC_ACCOUNT, FEE_ACCOUNT]);
+  });
+
+  await t.test('returns an empty list for wallets without token accounts', async () => {
+    const result = await getTokenAccounts({ owner: METADATA, cluster: 'local-sim' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.count, 0);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Local JSON-RPC stub for tool tests
+ * Serves canned results per RPC method so tools run against a real Connection
+ */
+
+import http from 'http';
+
+/**
+ * Start a stub RPC server
+ * @param {Object} handlers - Map of RPC method -> (params) => result (may be async)
+ * @returns {Promise<Object>} { url, calls, close }
+ */
+export async function startMockRpc(handlers) {
+  const calls = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const payload = JSON.parse(body);
+      const requests = Array.isArray(payload) ? payload : [payload];
+      const responses = [];
+
+      for (const { id, method, params } of requests) {
+        calls.push({ method, params });
+        const handler = handlers[method];
+        if (!handler) {
+          responses.push({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+          continue;
+        }
+        responses.push({ jsonrpc: '2.0', id, result: await handler(params) });
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? responses : responses[0]));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Wrap an account in the getAccountInfo response shape
+ */
+export function accountResult(account, slot = 1) {
+  return {
+    context: { slot },
+    value: account ? {
+      data: [Buffer.from(account.data || []).toString('base64'), 'base64'],
+      executable: account.executable || false,
+      lamports: account.lamports ?? 1000000,
+      owner: account.owner,
+      rentEpoch: 0,
+      space: (account.data || []).length
+    } : null
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Tests for the local-sim cluster (mcp-server/lib/local-sim.js)
+ * Tools run against the in-memory ledger seeded from tests/fixtures/local-ledger.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { LocalLedger, getLocalLedger, loadLedgerFixtures } from '../mcp-server/lib/local-sim.js';
+import { getConnection } from '../mcp-server/lib/connection.js';
+import { createServer } from '../mcp-server/server.js';
+import { getBalance } from '../mcp-server/tools/get-balance.js';
+import { getAccountInfo } from '../mcp-server/tools/get-account-info.js';
+import { fundWallet } from '../mcp-server/tools/fund-wallet.js';
+import { getProgramInfo } from '../mcp-server/tools/get-program-info.js';
+import { parseTransaction } from '../mcp-server/tools/parse-transaction.js';
+import { AUTHORITY, DECODED_VAULT } from './fixtures/vault-account.js';
+import { PROGRAM_ID, VAULT, SIGNATURE } from './fixtures/vault-transaction.js';
+
+const LEDGER_FIXTURE = fileURLToPath(new URL('./fixtures/local-ledger.json', import.meta.url));
+const IDL_PATH = fileURLToPath(new URL('./fixtures/vault-idl.json', import.meta.url));
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+const EMPTY = 'GsbwXfJraMomNxBcjYLcG3mxkBUiyWXAB32fGbSMQRdW';
+
+test('LocalLedger', async (t) => {
+  await t.test('answers account RPC methods', () => {
+    const ledger = new LocalLedger();
+    ledger.setAccount(EMPTY, { lamports: 10, data: [1, 2, 3] });
+
+    assert.deepStrictEqual(ledger.handle('getBalance', [EMPTY]), { context: { slot: 1 }, value: 10 });
+    assert.deepStrictEqual(ledger.handle('getAccountInfo', [EMPTY]).value.data, ['AQID', 'base64']);
+    assert.strictEqual(ledger.handle('getAccountInfo', [VAULT]).value, null);
+    assert.strictEqual(ledger.handle('getMultipleAccounts', [[EMPTY, VAULT]]).value.length, 2);
+  });
+
+  await t.test('records airdrops as transactions', () => {
+    const ledger = new LocalLedger();
+    const signature = ledger.airdrop(EMPTY, 500);
+
+    assert.strictEqual(ledger.getAccount(EMPTY).lamports, 500);
+    assert.strictEqual(ledger.handle('getTransaction', [signature]).meta.postBalances[1], 500);
+    assert.strictEqual(
+      ledger.handle('getSignatureStatuses', [[signature]]).value[0].confirmationStatus,
+      'finalized'
+    );
+    // Deterministic signatures for a fresh ledger
+    assert.strictEqual(new LocalLedger().airdrop(EMPTY, 500), signature);
+  });
+
+  await t.test('rejects unsupported methods', () => {
+    assert.throws(() => new LocalLedger().handle('sendTransaction', []), /not supported by local-sim/);
+  });
+});
+
+test('local-sim cluster tools', async (t) => {
+  t.before(async () => {
+    getLocalLedger().reset();
+    await loadLedgerFixtures([LEDGER_FIXTURE]);
+  });
+
+  t.after(() => {
+    getLocalLedger().reset();
+  });
+
+  await t.test('serves connections without network access', () => {
+    assert.strictEqual(getConnection({ cluster: 'local-sim' }).rpcEndpoint, 'http://local-sim.invalid');
+  });
+
+  await t.test('getBalance', async () => {
+    const result = await getBalance({ publicKey: AUTHORITY.toBase58(), cluster: 'local-sim' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.balance.sol, 5);
+  });
+
+  await t.test('getAccountInfo decodes fixture accounts', async () => {
+    const result = await getAccountInfo({ publicKey: VAULT, cluster: 'local-sim', idl: VAULT_IDL });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.accountInfo.owner, PROGRAM_ID);
+    assert.deepStrictEqual(result.decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('getProgramInfo', async () => {
+    const deployed = await getProgramInfo({ programId: PROGRAM_ID, cluster: 'local-sim' });
+    assert.strictEqual(deployed.deployed, true);
+
+    const missing = await getProgramInfo({ programId: EMPTY, cluster: 'local-sim' });
+    assert.strictEqual(missing.success, true);
+    assert.strictEqual(missing.deployed, false);
+  });
+
+  await t.test('parseTransaction reads fixture transactions', async () => {
+    const result = await parseTransaction({ signature: SIGNATURE, cluster: 'local-sim', idl: VAULT_IDL });
+
+    assert.strictEqual(result.exists, true);
+    assert.strictEqual(result.transaction.instructions[0].decoded.name, 'deposit');
+  });
+
+  await t.test('fundWallet airdrops into the ledger', async () => {
+    const result = await fundWallet({ publicKey: EMPTY, cluster: 'local-sim', amount: 1.5 });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.balanceAfter, 1.5);
+
+    const tx = await parseTransaction({ signature: result.signature, cluster: 'local-sim' });
+    assert.strictEqual(tx.transaction.instructions[0].parsed.type, 'transfer');
+    assert.strictEqual(tx.transaction.balanceChanges[1].change, 1500000000);
+  });
+});
+
+test('createServer seeds local-sim from configured fixtures', async () => {
+  getLocalLedger().reset();
+
+  try {
+    const server = await createServer({ config: { localSim: { fixtures: [LEDGER_FIXTURE] } } });
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'solana_get_balance', arguments: { publicKey: VAULT, cluster: 'local-sim' } },
+      id: 1
+    });
+
+    const result = JSON.parse(response.result.content[0].text);
+    assert.strictEqual(result.balance.lamports, 2000500);
+  } finally {
+    getLocalLedger().reset();
+  }
+});
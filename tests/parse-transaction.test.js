@@ -1,6 +1,23 @@
 import test from 'node:test';
 import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { PublicKey } from '@solana/web3.js';
 import { parseTransaction } from '../mcp-server/tools/parse-transaction.js';
+import { getIdlAddress } from '../mcp-server/tools/verify-onchain-discriminators.js';
+import { encodeBase58 } from '../mcp-server/lib/base58.js';
+import { startMockRpc, accountResult } from './helpers/mock-rpc.js';
+import { encodeIdlAccount } from './fixtures/idl-account.js';
+import {
+  PROGRAM_ID,
+  VAULT,
+  OWNER,
+  SYSTEM_PROGRAM,
+  SIGNATURE,
+  depositTransaction
+} from './fixtures/vault-transaction.js';
+
+const IDL_PATH = new URL('./fixtures/vault-idl.json', import.meta.url).pathname;
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
 
 test('parseTransaction', async (t) => {
   await t.test('requires signature parameter', async () => {
@@ -45,3 +62,274 @@ test('parseTransaction', async (t) => {
     }
   });
 });
+
+test('parseTransaction IDL decoding', async (t) => {
+  let rpc;
+  let idlAddress;
+  let tx;
+
+  t.before(async () => {
+    idlAddress = (await getIdlAddress(new PublicKey(PROGRAM_ID))).toBase58();
+    rpc = await startMockRpc({
+      getTransaction: () => tx,
+      getAccountInfo: ([address]) => {
+        if (address === idlAddress) {
+          return accountResult({ data: encodeIdlAccount(VAULT_IDL), owner: PROGRAM_ID });
+        }
+        return accountResult(null);
+      }
+    });
+  });
+
+  t.beforeEach(() => {
+    tx = depositTransaction();
+  });
+
+  t.after(async () => {
+    await rpc.close();
+  });
+
+  await t.test('returns raw instructions without an IDL', async () => {
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url });
+
+    assert.strictEqual(result.success, true);
+    const [ix] = result.transaction.instructions;
+    assert.strictEqual(ix.type, 'raw');
+    assert.strictEqual(ix.programId, PROGRAM_ID);
+    assert.deepStrictEqual(ix.accounts, [VAULT, OWNER, SYSTEM_PROGRAM]);
+    assert.strictEqual(ix.decoded, undefined);
+    assert.deepStrictEqual(result.transaction.events, []);
+  });
+
+  await t.test('decodes instructions and events with an inline IDL', async () => {
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url, idl: VAULT_IDL });
+
+    const { decoded } = result.transaction.instructions[0];
+    assert.strictEqual(decoded.name, 'deposit');
+    assert.deepStrictEqual(decoded.args, { amount: '500', memo: 'hi' });
+    assert.deepStrictEqual(decoded.accounts.map(a => a.name), ['vault', 'owner', 'system_program']);
+    assert.strictEqual(decoded.accounts[1].signer, true);
+    assert.deepStrictEqual(result.transaction.events, [
+      { programId: PROGRAM_ID, name: 'Deposited', data: { owner: OWNER, amount: '500' } }
+    ]);
+  });
+
+  await t.test('fetches the IDL from chain', async () => {
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url, idl: 'chain' });
+
+    assert.strictEqual(result.transaction.instructions[0].decoded.name, 'deposit');
+    assert.strictEqual(result.transaction.events[0].name, 'Deposited');
+    assert.strictEqual(result.transaction.idlErrors, undefined);
+  });
+
+  await t.test('ignores the IDL for other programs', async () => {
+    const result = await parseTransaction({
+      signature: SIGNATURE,
+      rpcUrl: rpc.url,
+      idl: VAULT_IDL,
+      programId: SYSTEM_PROGRAM
+    });
+
+    assert.strictEqual(result.transaction.instructions[0].decoded, undefined);
+    assert.deepStrictEqual(result.transaction.events, []);
+  });
+
+  await t.test('reports undecodable instruction data', async () => {
+    tx.transaction.message.instructions[0].data = encodeBase58(Buffer.alloc(8));
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url, idl: IDL_PATH });
+
+    assert.strictEqual(result.success, true);
+    assert.match(result.transaction.instructions[0].decodeError, /does not match any IDL instruction/);
+  });
+
+  await t.test('reports IDLs that fail to load on the affected instructions', async () => {
+    const missing = await parseTransaction({
+      signature: SIGNATURE,
+      rpcUrl: rpc.url,
+      idl: '/nonexistent/vault-idl.json',
+      programId: PROGRAM_ID
+    });
+
+    assert.strictEqual(missing.success, true);
+    assert.match(missing.transaction.instructions[0].decodeError, /^Failed to load IDL: ENOENT/);
+    assert.deepStrictEqual(Object.keys(missing.transaction.idlErrors), [PROGRAM_ID]);
+
+    const unowned = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url, idl: { ...VAULT_IDL, address: undefined } });
+    assert.strictEqual(unowned.success, true);
+    assert.strictEqual(
+      unowned.transaction.instructions[0].decodeError,
+      'programId is required when the IDL does not declare its address'
+    );
+  });
+});
+
+test('parseTransaction call tree', async (t) => {
+  const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  let rpc;
+  let tx;
+
+  t.before(async () => {
+    rpc = await startMockRpc({ getTransaction: () => tx });
+  });
+
+  t.beforeEach(() => {
+    tx = depositTransaction();
+  });
+
+  t.after(async () => {
+    await rpc.close();
+  });
+
+  await t.test('nests CPIs under their top-level instruction', async () => {
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url });
+    const [root] = result.transaction.instructions;
+
+    assert.strictEqual(root.depth, 1);
+    assert.strictEqual(root.status, 'success');
+    assert.deepStrictEqual(root.computeUnits, { consumed: 7000, limit: 200000 });
+    assert.strictEqual(root.innerInstructions.length, 1);
+
+    const [transfer] = root.innerInstructions;
+    assert.strictEqual(transfer.type, 'parsed');
+    assert.strictEqual(transfer.programId, SYSTEM_PROGRAM);
+    assert.strictEqual(transfer.parsed.type, 'transfer');
+    assert.strictEqual(transfer.depth, 2);
+    assert.strictEqual(transfer.status, 'success');
+    // Builtin programs do not log compute units
+    assert.strictEqual(transfer.computeUnits, null);
+  });
+
+  await t.test('follows stack heights for nested CPIs', async () => {
+    tx.transaction.message.accountKeys.push(
+      { pubkey: TOKEN_PROGRAM, signer: false, writable: false, source: 'transaction' }
+    );
+    tx.meta.innerInstructions[0].instructions = [
+      { programId: TOKEN_PROGRAM, accounts: [VAULT], data: '3', stackHeight: 2 },
+      { programId: SYSTEM_PROGRAM, accounts: [OWNER], data: '3', stackHeight: 3 },
+      { programId: SYSTEM_PROGRAM, accounts: [OWNER], data: '3', stackHeight: 2 }
+    ];
+    tx.meta.err = { InstructionError: [0, { Custom: 1 }] };
+    tx.meta.logMessages = [
+      `Program ${PROGRAM_ID} invoke [1]`,
+      `Program ${TOKEN_PROGRAM} invoke [2]`,
+      'Program log: Instruction: Transfer',
+      `Program ${SYSTEM_PROGRAM} invoke [3]`,
+      `Program ${SYSTEM_PROGRAM} success`,
+      `Program ${TOKEN_PROGRAM} consumed 4500 of 195000 compute units`,
+      `Program ${TOKEN_PROGRAM} success`,
+      `Program ${SYSTEM_PROGRAM} invoke [2]`,
+      `Program ${SYSTEM_PROGRAM} failed: custom program error: 0x1`,
+      `Program ${PROGRAM_ID} consumed 9000 of 200000 compute units`,
+      `Program ${PROGRAM_ID} failed: custom program error: 0x1`
+    ];
+
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url, fullLogs: true });
+    const [root] = result.transaction.instructions;
+    const [token, system] = root.innerInstructions;
+
+    assert.strictEqual(result.transaction.status, 'failed');
+    assert.strictEqual(root.status, 'failed');
+    assert.strictEqual(root.error, 'custom program error: 0x1');
+    assert.deepStrictEqual(token.computeUnits, { consumed: 4500, limit: 195000 });
+    assert.deepStrictEqual(token.logs, ['Program log: Instruction: Transfer']);
+    assert.strictEqual(token.innerInstructions.length, 1);
+    assert.strictEqual(token.innerInstructions[0].depth, 3);
+    assert.strictEqual(system.depth, 2);
+    assert.strictEqual(system.status, 'failed');
+  });
+
+  await t.test('treats inner instructions without stack height as direct CPIs', async () => {
+    delete tx.meta.innerInstructions[0].instructions[0].stackHeight;
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url });
+
+    assert.strictEqual(result.transaction.instructions[0].innerInstructions[0].depth, 2);
+  });
+
+  await t.test('truncates logs unless fullLogs is set', async () => {
+    tx.meta.logMessages.push(...Array.from({ length: 30 }, (_, i) => `Program log: line ${i}`));
+
+    const short = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url });
+    assert.strictEqual(short.transaction.logMessages.length, 20);
+    assert.strictEqual(short.transaction.logMessagesTruncated, true);
+    assert.strictEqual(short.transaction.instructions[0].logs, undefined);
+
+    const full = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url, fullLogs: true });
+    assert.strictEqual(full.transaction.logMessages.length, 37);
+    assert.strictEqual(full.transaction.logMessagesTruncated, false);
+  });
+});
+
+test('parseTransaction balance changes', async (t) => {
+  const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  let rpc;
+  let tx;
+
+  const tokenBalance = (accountIndex, mint, amount, decimals) => ({
+    accountIndex,
+    mint,
+    owner: OWNER,
+    programId: TOKEN_PROGRAM,
+    uiTokenAmount: {
+      amount,
+      decimals,
+      uiAmount: Number(amount) / 10 ** decimals,
+      uiAmountString: String(Number(amount) / 10 ** decimals)
+    }
+  });
+
+  t.before(async () => {
+    rpc = await startMockRpc({ getTransaction: () => tx });
+  });
+
+  t.beforeEach(() => {
+    tx = depositTransaction();
+  });
+
+  t.after(async () => {
+    await rpc.close();
+  });
+
+  await t.test('keys lamport changes by account', async () => {
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url });
+    const [owner, vault] = result.transaction.balanceChanges;
+
+    assert.deepStrictEqual(owner, { account: OWNER, change: -505500, pre: 10000000, post: 9494500 });
+    assert.strictEqual(vault.account, VAULT);
+    assert.strictEqual(vault.change, 500);
+    assert.deepStrictEqual(result.transaction.tokenBalanceChanges, []);
+  });
+
+  await t.test('diffs token balances per account and mint', async () => {
+    tx.meta.preTokenBalances = [
+      tokenBalance(1, USDC, '2500000', 6),
+      tokenBalance(2, WSOL, '1000000000', 9)
+    ];
+    tx.meta.postTokenBalances = [
+      tokenBalance(1, USDC, '1000000', 6),
+      tokenBalance(3, WSOL, '250000000', 9)
+    ];
+
+    const result = await parseTransaction({ signature: SIGNATURE, rpcUrl: rpc.url });
+    const [usdc, closed, opened] = result.transaction.tokenBalanceChanges;
+
+    assert.deepStrictEqual(usdc, {
+      account: VAULT,
+      mint: USDC,
+      owner: OWNER,
+      programId: TOKEN_PROGRAM,
+      decimals: 6,
+      pre: '2500000',
+      post: '1000000',
+      change: '-1500000',
+      uiChange: '-1.5'
+    });
+    assert.strictEqual(closed.account, SYSTEM_PROGRAM);
+    assert.strictEqual(closed.post, '0');
+    assert.strictEqual(closed.uiChange, '-1');
+    assert.strictEqual(opened.account, PROGRAM_ID);
+    assert.strictEqual(opened.pre, '0');
+    assert.strictEqual(opened.uiChange, '0.25');
+  });
+});
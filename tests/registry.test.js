@@ -0,0 +1,148 @@
+/**
+ * Tool Registry Tests
+ * Tests registerTool, plugin loading and dispatch through createServer
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createToolRegistry, loadPlugins } from '../mcp-server/registry.js';
+import { createServer } from '../mcp-server/server.js';
+
+const echoTool = {
+  name: 'acme_echo',
+  description: 'Echo arguments back',
+  inputSchema: { type: 'object', properties: { value: { type: 'string' } } },
+  handler: async (args) => ({ success: true, echoed: args.value })
+};
+
+test('createToolRegistry', async (t) => {
+  await t.test('registers and lists tools without handlers', () => {
+    const registry = createToolRegistry();
+    registry.registerTool(echoTool);
+
+    assert.deepStrictEqual(registry.listTools(), [{
+      name: 'acme_echo',
+      description: 'Echo arguments back',
+      inputSchema: echoTool.inputSchema
+    }]);
+    assert.strictEqual(registry.getTool('acme_echo').handler, echoTool.handler);
+    assert.strictEqual(registry.getTool('missing'), null);
+  });
+
+  await t.test('rejects duplicate names', () => {
+    const registry = createToolRegistry();
+    registry.registerTool(echoTool);
+    assert.throws(() => registry.registerTool(echoTool), /already registered/);
+  });
+
+  await t.test('rejects incomplete definitions', () => {
+    const registry = createToolRegistry();
+    assert.throws(() => registry.registerTool({}), /name is required/);
+    assert.throws(
+      () => registry.registerTool({ name: 'x', inputSchema: {} }),
+      /handler function/
+    );
+    assert.throws(
+      () => registry.registerTool({ name: 'x', handler: async () => ({}) }),
+      /inputSchema/
+    );
+  });
+});
+
+test('loadPlugins', async (t) => {
+  let pluginDir;
+
+  t.before(async () => {
+    pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-plugins-'));
+    await fs.writeFile(path.join(pluginDir, 'a-array.mjs'), `
+export default [{
+  name: 'acme_array',
+  description: 'From default array export',
+  inputSchema: { type: 'object', properties: {} },
+  handler: async () => ({ success: true, from: 'array' })
+}];
+`);
+    await fs.writeFile(path.join(pluginDir, 'b-register.js'), `
+export function register(registry) {
+  registry.registerTool({
+    name: 'acme_register',
+    description: 'From register function',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async () => ({ success: true, from: 'register' })
+  });
+}
+`);
+    await fs.writeFile(path.join(pluginDir, 'package.json'), JSON.stringify({ type: 'module' }));
+    await fs.writeFile(path.join(pluginDir, 'notes.txt'), 'not a plugin');
+  });
+
+  t.after(async () => {
+    await fs.rm(pluginDir, { recursive: true, force: true });
+  });
+
+  await t.test('loads every module in a plugin directory', async () => {
+    const registry = createToolRegistry();
+    const added = await loadPlugins(registry, { pluginDir });
+
+    assert.deepStrictEqual(added, ['acme_array', 'acme_register']);
+  });
+
+  await t.test('loads plugins by path relative to cwd', async () => {
+    const registry = createToolRegistry();
+    const added = await loadPlugins(registry, { plugins: ['./b-register.js'], cwd: pluginDir });
+
+    assert.deepStrictEqual(added, ['acme_register']);
+  });
+
+  await t.test('reports plugins that cannot be loaded', async () => {
+    const registry = createToolRegistry();
+    await assert.rejects(
+      loadPlugins(registry, { plugins: ['@acme/does-not-exist'], cwd: pluginDir }),
+      /Failed to load plugin @acme\/does-not-exist/
+    );
+  });
+
+  await t.test('createServer exposes plugin tools over MCP', async () => {
+    const server = await createServer({ pluginDir });
+    const list = await server.handleMessage({ jsonrpc: '2.0', method: 'tools/list', id: 1 });
+    const names = list.result.tools.map(tool => tool.name);
+
+    assert.ok(names.includes('solana_derive_pda'));
+    assert.ok(names.includes('acme_array'));
+    assert.ok(names.includes('acme_register'));
+
+    const call = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'acme_register', arguments: {} },
+      id: 2
+    });
+    assert.deepStrictEqual(JSON.parse(call.result.content[0].text), { success: true, from: 'register' });
+  });
+});
+
+test('createServer tool options', async (t) => {
+  await t.test('accepts extra tools and registerTool after creation', async () => {
+    const server = await createServer({ tools: [echoTool] });
+    server.registerTool({ ...echoTool, name: 'acme_echo_late' });
+
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'acme_echo_late', arguments: { value: 'hi' } },
+      id: 1
+    });
+    assert.strictEqual(JSON.parse(response.result.content[0].text).echoed, 'hi');
+    assert.ok(server.listTools().some(tool => tool.name === 'acme_echo'));
+  });
+
+  await t.test('rejects tools that shadow built-ins', async () => {
+    await assert.rejects(
+      createServer({ tools: [{ ...echoTool, name: 'solana_get_balance' }] }),
+      /already registered/
+    );
+  });
+});
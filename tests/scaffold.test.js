@@ -2,21 +2,25 @@ import test from 'node:test';
 import assert from 'node:assert';
 import { promises as fs } from 'fs';
 import path from 'path';
+import os from 'os';
+import { Keypair } from '@solana/web3.js';
 import { scaffoldProgram } from '../mcp-server/tools/scaffold.js';
+import { addInstruction } from '../mcp-server/tools/anchor-add.js';
 
 const TEST_DIR = '/tmp/scaffold-test';
 
 test('scaffold_program creates valid Anchor project structure', async (t) => {
   // Clean up before test
-  try {
-    await fs.rm(path.join(TEST_DIR, 'test-program'), { recursive: true });
-  } catch (e) {
-    // ignore if not exists
-  }
+  await fs.rm(TEST_DIR, { recursive: true, force: true });
+
+  t.after(async () => {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  });
 
   await t.test('with default options', async () => {
     const result = await scaffoldProgram({
-      programName: 'test-program'
+      programName: 'test-program',
+      outputDir: TEST_DIR
     });
 
     assert.strictEqual(result.success, true);
@@ -25,6 +29,8 @@ test('scaffold_program creates valid Anchor project structure', async (t) => {
       'programs/test_program/src/lib.rs',
       'programs/test_program/Cargo.toml',
       'tests/test_program.ts',
+      'target/deploy/test_program-keypair.json',
+      'Cargo.toml',
       'Anchor.toml',
       'package.json',
       'tsconfig.json'
@@ -72,7 +78,8 @@ test('scaffold_program creates valid Anchor project structure', async (t) => {
 
   await t.test('with hyphenated name', async () => {
     const result = await scaffoldProgram({
-      programName: 'token-vault'
+      programName: 'token-vault',
+      outputDir: TEST_DIR
     });
 
     assert.strictEqual(result.success, true);
@@ -86,6 +93,22 @@ test('scaffold_program creates valid Anchor project structure', async (t) => {
     assert.match(libRs, /pub mod token_vault/);
   });
 
+  await t.test('refuses to overwrite an existing project', async () => {
+    const projectPath = path.join(TEST_DIR, 'test-program');
+    const keypairPath = path.join(projectPath, 'target', 'deploy', 'test_program-keypair.json');
+    const libPath = path.join(projectPath, 'programs', 'test_program', 'src', 'lib.rs');
+    const keypair = await fs.readFile(keypairPath, 'utf8');
+    await fs.appendFile(libPath, '\n// user code\n');
+
+    const result = await scaffoldProgram({ programName: 'test-program', outputDir: TEST_DIR });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Project directory already exists');
+    assert.strictEqual(result.projectPath, projectPath);
+    assert.strictEqual(await fs.readFile(keypairPath, 'utf8'), keypair);
+    assert.match(await fs.readFile(libPath, 'utf8'), /\/\/ user code/);
+  });
+
   await t.test('requires programName', async () => {
     assert.rejects(
       async () => {
@@ -97,8 +120,14 @@ test('scaffold_program creates valid Anchor project structure', async (t) => {
 });
 
 test('scaffold_program generates valid Rust syntax', async (t) => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-scaffold-'));
+  t.after(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
   const result = await scaffoldProgram({
-    programName: 'syntax-test'
+    programName: 'syntax-test',
+    outputDir
   });
 
   const libRs = await fs.readFile(
@@ -113,3 +142,314 @@ test('scaffold_program generates valid Rust syntax', async (t) => {
   assert.match(libRs, /#\[derive\(Accounts\)\]/);
   assert.match(libRs, /-> Result<\(\)>/);
 });
+
+test('scaffold_program writes into outputDir', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-scaffold-'));
+
+  try {
+    const result = await scaffoldProgram({ programName: 'rooted', outputDir });
+
+    assert.strictEqual(result.projectPath, path.join(outputDir, 'rooted'));
+    await fs.access(path.join(outputDir, 'rooted', 'Anchor.toml'));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('scaffold_program creates multi-program workspaces', async (t) => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-scaffold-'));
+  const read = file => fs.readFile(path.join(outputDir, 'markets', file), 'utf8');
+
+  t.after(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  await t.test('wires a CPI dependency between programs', async () => {
+    const result = await scaffoldProgram({
+      programName: 'markets',
+      outputDir,
+      programs: [
+        { name: 'vault', features: ['pda'], dependsOn: ['oracle'] },
+        { name: 'oracle' }
+      ]
+    });
+
+    assert.deepStrictEqual(result.programs.map(program => [program.name, program.dependsOn]), [
+      ['vault', ['oracle']],
+      ['oracle', []]
+    ]);
+    const [vault, oracle] = result.programs;
+    assert.notStrictEqual(vault.programId, oracle.programId);
+
+    const workspace = await read('Cargo.toml');
+    assert.match(workspace, /\[workspace\]\nmembers = \[\n    "programs\/\*"\n\]/);
+
+    const anchorToml = await read('Anchor.toml');
+    assert.ok(anchorToml.includes(`vault = "${vault.programId}"`));
+    assert.ok(anchorToml.includes(`oracle = "${oracle.programId}"`));
+
+    const vaultCargo = await read('programs/vault/Cargo.toml');
+    assert.ok(vaultCargo.includes('oracle = { path = "../oracle", features = ["cpi"] }'));
+    assert.ok(vaultCargo.includes('idl-build = ["anchor-lang/idl-build", "oracle/idl-build"]'));
+    assert.match(await read('programs/oracle/Cargo.toml'), /cpi = \["no-entrypoint"\]/);
+
+    const vaultLib = await read('programs/vault/src/lib.rs');
+    assert.ok(vaultLib.includes(`declare_id!("${vault.programId}");`));
+    assert.ok(vaultLib.includes('use oracle::program::Oracle;'));
+    assert.ok(vaultLib.includes('oracle::cpi::initialize(cpi_ctx)'));
+    assert.ok(vaultLib.includes('pub oracle_program: Program<\'info, Oracle>,'));
+    assert.match(vaultLib, /initialize_with_pda/);
+    assert.doesNotMatch(await read('programs/oracle/src/lib.rs'), /initialize_with_pda|::cpi::/);
+
+    assert.match(await read('tests/vault.ts'), /program\.methods\.callOracle\(\)/);
+
+    // Program keypairs match the declared IDs
+    const secretKey = JSON.parse(await read('target/deploy/oracle-keypair.json'));
+    assert.strictEqual(Keypair.fromSecretKey(Uint8Array.from(secretKey)).publicKey.toBase58(), oracle.programId);
+  });
+
+  await t.test('rejects unknown, duplicate and cyclic dependencies', async () => {
+    await assert.rejects(
+      scaffoldProgram({ programName: 'bad', outputDir, programs: [{ name: 'vault', dependsOn: ['oracle'] }] }),
+      /Program vault depends on unknown program oracle/
+    );
+    await assert.rejects(
+      scaffoldProgram({ programName: 'bad', outputDir, programs: [{ name: 'my-vault' }, { name: 'my_vault' }] }),
+      /Duplicate program name: my_vault/
+    );
+    await assert.rejects(
+      scaffoldProgram({
+        programName: 'bad',
+        outputDir,
+        programs: [{ name: 'a', dependsOn: ['b'] }, { name: 'b', dependsOn: ['a'] }]
+      }),
+      /Cyclic program dependencies: a -> b -> a/
+    );
+  });
+});
+
+test('scaffold_program generates programs from a spec', async (t) => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-scaffold-'));
+  const read = (project, file) => fs.readFile(path.join(outputDir, project, file), 'utf8');
+
+  const spec = {
+    accounts: [
+      {
+        name: 'Vault',
+        fields: [
+          { name: 'authority', type: 'pubkey' },
+          { name: 'label', type: 'string', maxLen: 32 },
+          { name: 'owners', type: { vec: 'pubkey' }, maxLen: 4 },
+          { name: 'bump', type: 'u8' }
+        ]
+      }
+    ],
+    instructions: [
+      {
+        name: 'openVault',
+        args: [{ name: 'id', type: 'u64' }, { name: 'label', type: 'string' }],
+        accounts: [
+          { name: 'authority', signer: true, mut: true },
+          { name: 'vault', account: 'Vault', init: true, seeds: ['vault', { kind: 'account', path: 'authority' }, { kind: 'arg', path: 'id' }] }
+        ]
+      },
+      {
+        name: 'resize',
+        accounts: [
+          { name: 'authority', signer: true, mut: true },
+          { name: 'vault', account: 'Vault', hasOne: [{ account: 'authority', error: 'Unauthorized' }], realloc: true }
+        ]
+      },
+      {
+        name: 'close_vault',
+        accounts: [
+          { name: 'authority', signer: true },
+          { name: 'receiver', mut: true },
+          { name: 'vault', account: 'Vault', hasOne: 'authority', close: 'receiver' }
+        ]
+      }
+    ],
+    errors: [{ name: 'Unauthorized', msg: 'Only the "authority" can do this' }, { name: 'vault_full' }]
+  };
+
+  t.after(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  await t.test('renders lib.rs, tests and a client stub', async () => {
+    const result = await scaffoldProgram({ programName: 'ledger', spec, outputDir });
+
+    assert.ok(result.files.includes('app/ledger.ts'));
+    const [program] = result.programs;
+    assert.deepStrictEqual(program.instructions, ['open_vault', 'resize', 'close_vault']);
+    // 8 discriminator + 32 pubkey + (4 + 32) string + (4 + 4 * 32) vec + 1 bump
+    assert.deepStrictEqual(program.accounts, [{ name: 'Vault', space: 8 + 32 + 36 + 132 + 1 }]);
+    assert.deepStrictEqual(program.errors, [
+      { name: 'Unauthorized', code: 6000, msg: 'Only the "authority" can do this' },
+      { name: 'VaultFull', code: 6001, msg: null }
+    ]);
+
+    const lib = await read('ledger', 'programs/ledger/src/lib.rs');
+    assert.doesNotMatch(lib, /pub fn initialize\(/);
+    assert.ok(lib.includes(`    pub fn open_vault(ctx: Context<OpenVault>, id: u64, label: String) -> Result<()> {
+        ctx.accounts.vault.authority = ctx.accounts.authority.key();
+        ctx.accounts.vault.label = label;
+        ctx.accounts.vault.bump = ctx.bumps.vault;
+        Ok(())
+    }`));
+    assert.ok(lib.includes(`    #[account(
+        mut,
+        has_one = authority @ ErrorCode::Unauthorized,
+        realloc = 8 + Vault::INIT_SPACE,
+        realloc::payer = authority,
+        realloc::zero = false
+    )]
+    pub vault: Account<'info, Vault>,
+    pub system_program: Program<'info, System>,
+}`));
+    assert.ok(lib.includes(`    #[account(
+        mut,
+        has_one = authority,
+        close = receiver
+    )]`));
+    assert.ok(lib.includes(`    #[max_len(4)]
+    pub owners: Vec<Pubkey>,`));
+    assert.ok(lib.endsWith(`#[error_code]
+pub enum ErrorCode {
+    #[msg("Only the \\"authority\\" can do this")]
+    Unauthorized,
+    VaultFull,
+}
+`));
+
+    const tests = await read('ledger', 'tests/ledger.ts');
+    assert.doesNotMatch(tests, /Initializes successfully/);
+    assert.match(tests, /it\("close_vault"[\s\S]*\.closeVault\(\)/);
+
+    const client = await read('ledger', 'app/ledger.ts');
+    assert.ok(client.includes('[Buffer.from("vault"), authority.toBuffer(), id.toArrayLike(Buffer, "le", 8)]'));
+    assert.ok(client.includes('export function openVault(program: Program<Ledger>, args: { id: anchor.BN; label: string }, accounts: { authority: anchor.web3.PublicKey }) {'));
+    assert.ok(client.includes('return program.account.vault.fetch(address);'));
+
+    // Programs generated from a spec can be extended with anchor_add_instruction
+    const added = await addInstruction({
+      projectPath: result.projectPath,
+      name: 'deposit',
+      accounts: [{ name: 'vault', account: 'Vault', mut: true }]
+    });
+    assert.strictEqual(added.success, true);
+  });
+
+  await t.test('wires spec programs into workspaces', async () => {
+    const result = await scaffoldProgram({
+      programName: 'markets',
+      outputDir,
+      programs: [
+        { name: 'router', dependsOn: ['vault'] },
+        {
+          name: 'vault',
+          spec: {
+            instructions: [{
+              name: 'sweep',
+              accounts: [{ name: 'owner', signer: true }, { name: 'token_program', program: 'Token' }]
+            }]
+          },
+          dependsOn: ['oracle']
+        },
+        { name: 'oracle' }
+      ]
+    });
+
+    assert.deepStrictEqual(result.programs.map(program => program.name), ['router', 'vault', 'oracle']);
+
+    // No call_vault: a spec program has no template `initialize` to call
+    const router = await read('markets', 'programs/router/src/lib.rs');
+    assert.doesNotMatch(router, /call_vault|use vault::/);
+    assert.ok((await read('markets', 'programs/router/Cargo.toml')).includes('vault = { path = "../vault", features = ["cpi"] }'));
+    assert.match(result.featureSummary, /vault has a spec: call its instructions through vault::cpi/);
+
+    const vault = await read('markets', 'programs/vault/src/lib.rs');
+    assert.ok(vault.startsWith('use anchor_lang::prelude::*;\nuse oracle::program::Oracle;\nuse anchor_spl::token::Token;\n'));
+    assert.ok(vault.includes('    pub fn call_oracle(ctx: Context<CallOracle>) -> Result<()> {'));
+    assert.match(await read('markets', 'programs/vault/Cargo.toml'), /anchor-spl = "0.30.1"/);
+    assert.match(await read('markets', 'tests/vault.ts'), /it\("sweep"[\s\S]*program\.methods\.callOracle\(\)/);
+  });
+
+  await t.test('types keypair accounts being initialized by their state', async () => {
+    await scaffoldProgram({
+      programName: 'notes',
+      outputDir,
+      spec: {
+        accounts: [{ name: 'Note', fields: [{ name: 'author', type: 'pubkey' }] }],
+        instructions: [{
+          name: 'create',
+          accounts: [
+            { name: 'note', account: 'Note', init: true, signer: true, mut: true },
+            { name: 'author', signer: true, mut: true },
+            { name: 'reviewer', account: 'Note', signer: true }
+          ]
+        }]
+      }
+    });
+
+    const lib = await read('notes', 'programs/notes/src/lib.rs');
+    assert.ok(lib.includes(`    #[account(
+        init,
+        payer = author,
+        space = 8 + Note::INIT_SPACE
+    )]
+    pub note: Account<'info, Note>,`));
+    assert.ok(lib.includes(`    #[account(signer)]
+    pub reviewer: Account<'info, Note>,`));
+
+    const tests = await read('notes', 'tests/notes.ts');
+    assert.ok(tests.includes('        author: provider.wallet.publicKey,'));
+    assert.ok(tests.includes('      .signers([note, reviewer])'));
+  });
+
+  await t.test('rejects inconsistent specs', async () => {
+    const scaffold = (programSpec, extra = {}) =>
+      scaffoldProgram({ programName: 'bad', outputDir, spec: programSpec, ...extra });
+    const vault = { name: 'Vault', fields: [{ name: 'authority', type: 'pubkey' }] };
+    const instruction = accounts => ({ name: 'run', accounts: [{ name: 'authority', signer: true, mut: true }, ...accounts] });
+
+    await assert.rejects(scaffold(spec, { features: ['pda'] }), /pass either features or spec, not both/);
+    await assert.rejects(scaffold(spec, { programs: [{ name: 'a' }] }), /spec describes a single program/);
+    await assert.rejects(scaffold({ instructions: [] }), /spec.instructions must be a non-empty array/);
+    await assert.rejects(
+      scaffold({ accounts: [{ name: 'Note', fields: [{ name: 'text', type: 'string' }] }], instructions: [instruction([])] }),
+      /Account Note: field text: string fields need maxLen/
+    );
+    await assert.rejects(
+      scaffold({ instructions: [instruction([{ name: 'vault', account: 'Vault', mut: true }])] }),
+      /account type Vault is not in spec.accounts/
+    );
+    await assert.rejects(
+      scaffold({ accounts: [vault], instructions: [instruction([{ name: 'vault', account: 'Vault', hasOne: 'owner' }])] }),
+      /has_one of vault references unknown account owner/
+    );
+    await assert.rejects(
+      scaffold({
+        accounts: [{ name: 'Vault', fields: [] }],
+        instructions: [instruction([{ name: 'vault', account: 'Vault', hasOne: 'authority' }])]
+      }),
+      /has_one = authority needs a pubkey field authority on Vault/
+    );
+    await assert.rejects(
+      scaffold({ accounts: [vault], instructions: [instruction([{ name: 'vault', account: 'Vault', hasOne: { account: 'authority', error: 'Nope' } }])] }),
+      /error Nope is not in spec.errors/
+    );
+    await assert.rejects(
+      scaffold({ accounts: [vault], instructions: [instruction([{ name: 'vault', account: 'Vault', close: 'vault' }])] }),
+      /close of vault needs another account to receive the lamports/
+    );
+    await assert.rejects(
+      scaffold({ accounts: [{ name: 'Vault', fields: [{ name: 'limits', type: { option: { defined: 'Limits' } } }] }], instructions: [instruction([])] }),
+      /Account Vault: field limits: defined type Limits is not supported in a spec/
+    );
+    await assert.rejects(
+      scaffold({ instructions: [{ ...instruction([]), args: [{ name: 'config', type: { defined: { name: 'Config' } } }] }] }),
+      /Instruction run: arg config: defined type Config is not supported in a spec/
+    );
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for tool argument JSON Schema validation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { validateSchema } from '../mcp-server/schema.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 8, pattern: '^[a-z_]+$' },
+    count: { type: 'integer', minimum: 1, maximum: 10 },
+    ratio: { type: 'number', exclusiveMinimum: 0 },
+    mode: { type: 'string', enum: ['fast', 'safe'] },
+    tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2 },
+    data: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'integer' } }] },
+    nested: {
+      type: 'object',
+      properties: { flag: { type: 'boolean' } },
+      required: ['flag'],
+      additionalProperties: false
+    }
+  },
+  required: ['name']
+};
+
+test('validateSchema', async (t) => {
+  await t.test('accepts valid arguments', () => {
+    const errors = validateSchema(schema, {
+      name: 'vault',
+      count: 3,
+      ratio: 0.5,
+      mode: 'safe',
+      tags: ['a'],
+      data: [1, 2],
+      nested: { flag: true }
+    });
+    assert.deepStrictEqual(errors, []);
+  });
+
+  await t.test('reports missing required properties', () => {
+    assert.deepStrictEqual(validateSchema(schema, {}), [
+      { path: 'arguments.name', message: 'is required' }
+    ]);
+  });
+
+  await t.test('reports type mismatches', () => {
+    const errors = validateSchema(schema, { name: 5, count: 2.5, tags: 'a' });
+    assert.deepStrictEqual(errors, [
+      { path: 'arguments.name', message: 'must be string, got integer' },
+      { path: 'arguments.count', message: 'must be integer, got number' },
+      { path: 'arguments.tags', message: 'must be array, got string' }
+    ]);
+  });
+
+  await t.test('reports every violated constraint', () => {
+    const errors = validateSchema(schema, {
+      name: 'Too-Long-Name',
+      count: 11,
+      ratio: 0,
+      mode: 'yolo',
+      tags: [],
+      data: true,
+      nested: { extra: 1 }
+    });
+    assert.deepStrictEqual(errors.map(e => e.path), [
+      'arguments.name',
+      'arguments.name',
+      'arguments.count',
+      'arguments.ratio',
+      'arguments.mode',
+      'arguments.tags',
+      'arguments.data',
+      'arguments.nested.flag',
+      'arguments.nested.extra'
+    ]);
+  });
+
+  await t.test('validates array items by index', () => {
+    const errors = validateSchema(schema, { name: 'x', tags: ['a', 2, 'c'] });
+    assert.deepStrictEqual(errors, [
+      { path: 'arguments.tags', message: 'must contain at most 2 items' },
+      { path: 'arguments.tags[1]', message: 'must be string, got integer' }
+    ]);
+  });
+
+  await t.test('rejects non-object arguments', () => {
+    assert.deepStrictEqual(validateSchema(schema, ['name']), [
+      { path: 'arguments', message: 'must be object, got array' }
+    ]);
+  });
+});
@@ -5,8 +5,12 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
 import { createServer } from '../mcp-server/server.js';
 
+const INDEX_PATH = fileURLToPath(new URL('../mcp-server/index.js', import.meta.url));
+
 test('MCP Server', async (t) => {
   let server;
 
@@ -30,7 +34,7 @@ test('MCP Server', async (t) => {
     assert.strictEqual(response.result.serverInfo.name, 'solagent-forge');
   });
 
-  await t.test('tools/list returns 8 tools', async () => {
+  await t.test('tools/list returns 23 tools', async () => {
     const response = await server.handleMessage({
       jsonrpc: '2.0',
       method: 'tools/list',
@@ -42,18 +46,33 @@ test('MCP Server', async (t) => {
     assert.strictEqual(response.id, 2);
     assert.ok(response.result);
     assert.ok(Array.isArray(response.result.tools));
-    assert.strictEqual(response.result.tools.length, 8);
+    assert.strictEqual(response.result.tools.length, 23);
 
     // Verify expected tool names
     const toolNames = response.result.tools.map(t => t.name);
     assert.ok(toolNames.includes('anchor_scaffold'));
+    assert.ok(toolNames.includes('anchor_add_instruction'));
+    assert.ok(toolNames.includes('anchor_add_account'));
     assert.ok(toolNames.includes('solana_fund_wallet'));
     assert.ok(toolNames.includes('solana_get_balance'));
     assert.ok(toolNames.includes('solana_get_account_info'));
+    assert.ok(toolNames.includes('solana_get_multiple_accounts'));
+    assert.ok(toolNames.includes('solana_get_program_accounts'));
+    assert.ok(toolNames.includes('solana_get_token_accounts'));
+    assert.ok(toolNames.includes('solana_get_mint_info'));
     assert.ok(toolNames.includes('solana_get_program_info'));
     assert.ok(toolNames.includes('solana_get_transaction'));
+    assert.ok(toolNames.includes('solana_get_signatures_for_address'));
+    assert.ok(toolNames.includes('solana_simulate_transaction'));
     assert.ok(toolNames.includes('solana_compute_discriminator'));
     assert.ok(toolNames.includes('solana_derive_pda'));
+    assert.ok(toolNames.includes('anchor_encode_instruction'));
+    assert.ok(toolNames.includes('solana_verify_onchain_discriminators'));
+    assert.ok(toolNames.includes('solana_compare_discriminators'));
+    assert.ok(toolNames.includes('solana_verify_program_binary'));
+    assert.ok(toolNames.includes('anchor_deploy'));
+    assert.ok(toolNames.includes('solana_get_deployment_status'));
+    assert.ok(toolNames.includes('solana_fund_keypair'));
   });
 
   await t.test('tools/call requires name parameter', async () => {
@@ -67,6 +86,7 @@ test('MCP Server', async (t) => {
     assert.strictEqual(response.jsonrpc, '2.0');
     assert.strictEqual(response.id, 3);
     assert.ok(response.error);
+    assert.strictEqual(response.error.code, -32602);
     assert.match(response.error.message, /requires params.name/);
   });
 
@@ -84,9 +104,57 @@ test('MCP Server', async (t) => {
     assert.strictEqual(response.jsonrpc, '2.0');
     assert.strictEqual(response.id, 4);
     assert.ok(response.error);
+    assert.strictEqual(response.error.code, -32602);
     assert.match(response.error.message, /Unknown tool/);
   });
 
+  await t.test('tools/call rejects arguments that violate inputSchema', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: {
+        name: 'solana_derive_pda',
+        arguments: {
+          seeds: ['vault', 42],
+          seedBytes: [[1, 256]]
+        }
+      },
+      id: 8
+    });
+
+    assert.strictEqual(response.id, 8);
+    assert.strictEqual(response.error.code, -32602);
+    assert.strictEqual(response.error.message, 'Invalid params');
+    assert.strictEqual(response.error.data.tool, 'solana_derive_pda');
+    assert.deepStrictEqual(response.error.data.errors, [
+      { path: 'arguments.programId', message: 'is required' },
+      { path: 'arguments.seeds[1]', message: 'must be string, got integer' },
+      { path: 'arguments.seedBytes[0][1]', message: 'must be <= 255' }
+    ]);
+  });
+
+  await t.test('tools/call rejects wrongly typed and out-of-enum arguments', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: {
+        name: 'solana_fund_wallet',
+        arguments: {
+          publicKey: '11111111111111111111111111111111',
+          amount: '2',
+          cluster: 'mainnet-beta'
+        }
+      },
+      id: 9
+    });
+
+    assert.strictEqual(response.error.code, -32602);
+    assert.deepStrictEqual(response.error.data.errors.map(e => e.path), [
+      'arguments.amount',
+      'arguments.cluster'
+    ]);
+  });
+
   await t.test('tools/call executes solana_compute_discriminator', async () => {
     const response = await server.handleMessage({
       jsonrpc: '2.0',
@@ -145,6 +213,97 @@ test('MCP Server', async (t) => {
     assert.strictEqual(response.jsonrpc, '2.0');
     assert.strictEqual(response.id, 7);
     assert.ok(response.error);
+    assert.strictEqual(response.error.code, -32601);
     assert.match(response.error.message, /Unknown method/);
   });
+
+  await t.test('message without method is an invalid request', async () => {
+    const response = await server.handleMessage({ jsonrpc: '2.0', id: 10 });
+
+    assert.strictEqual(response.id, 10);
+    assert.strictEqual(response.error.code, -32600);
+  });
+
+  await t.test('unsupported notifications get no response', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 1 }
+    });
+
+    assert.strictEqual(response, null);
+  });
+
+  await t.test('tool returning success: false is an isError result', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: {
+        name: 'solana_derive_pda',
+        arguments: { programId: 'not-a-key', seeds: ['vault'] }
+      },
+      id: 11
+    });
+
+    assert.strictEqual(response.error, undefined);
+    assert.strictEqual(response.result.isError, true);
+    const result = JSON.parse(response.result.content[0].text);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /Invalid program ID/);
+  });
+
+  await t.test('tool handler exception is an isError result', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: {
+        name: 'anchor_scaffold',
+        arguments: { programName: 'bad name!' }
+      },
+      id: 12
+    });
+
+    assert.strictEqual(response.error, undefined);
+    assert.strictEqual(response.result.isError, true);
+    const result = JSON.parse(response.result.content[0].text);
+    assert.deepStrictEqual(result, {
+      success: false,
+      error: 'programName can only contain letters, numbers, underscores, and hyphens'
+    });
+  });
+
+  await t.test('successful tool results omit isError', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: {
+        name: 'solana_compute_discriminator',
+        arguments: { instructionName: 'initialize' }
+      },
+      id: 13
+    });
+
+    assert.strictEqual(response.result.isError, undefined);
+  });
+});
+
+test('MCP stdio transport', async (t) => {
+  await t.test('answers parse errors on stdout and skips notifications', async () => {
+    const child = spawn(process.execPath, [INDEX_PATH], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+
+    child.stdin.write('{not json}\n');
+    child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+    child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 }) + '\n');
+    child.stdin.end();
+
+    await new Promise(resolve => child.on('close', resolve));
+    const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[0].error.code, -32700);
+    assert.strictEqual(lines[0].id, null);
+    assert.deepStrictEqual(lines[1], { jsonrpc: '2.0', result: {}, id: 1 });
+  });
 });
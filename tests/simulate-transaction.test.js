@@ -0,0 +1,194 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { simulateTransaction } from '../mcp-server/tools/simulate-transaction.js';
+import { getIdlAddress } from '../mcp-server/tools/verify-onchain-discriminators.js';
+import { startMockRpc, accountResult } from './helpers/mock-rpc.js';
+import { encodeVault, DECODED_VAULT } from './fixtures/vault-account.js';
+import { encodeIdlAccount } from './fixtures/idl-account.js';
+import { PROGRAM_ID, VAULT, OWNER, SYSTEM_PROGRAM, encodeDeposit } from './fixtures/vault-transaction.js';
+
+const IDL_PATH = new URL('./fixtures/vault-idl.json', import.meta.url).pathname;
+const VAULT_IDL = JSON.parse(readFileSync(IDL_PATH, 'utf8'));
+
+const DEPOSIT_ACCOUNTS = [
+  { pubkey: VAULT, isWritable: true },
+  { pubkey: OWNER, isSigner: true, isWritable: true },
+  { pubkey: SYSTEM_PROGRAM }
+];
+
+test('simulateTransaction', async (t) => {
+  let rpc;
+  let simulated;
+  let idlAddress;
+  let publishIdl = true;
+
+  t.before(async () => {
+    idlAddress = (await getIdlAddress(new PublicKey(PROGRAM_ID))).toBase58();
+    rpc = await startMockRpc({
+      getAccountInfo: ([address]) => {
+        if (address !== idlAddress || !publishIdl) {
+          return accountResult(null);
+        }
+        return accountResult({ data: encodeIdlAccount(VAULT_IDL), owner: PROGRAM_ID });
+      },
+      simulateTransaction: ([encoded, config]) => {
+        simulated = { transaction: VersionedTransaction.deserialize(Buffer.from(encoded, 'base64')), config };
+        return {
+          context: { slot: 42 },
+          value: {
+            err: null,
+            logs: [
+              `Program ${PROGRAM_ID} invoke [1]`,
+              'Program log: Instruction: Deposit',
+              `Program return: ${PROGRAM_ID} AQID`,
+              `Program ${PROGRAM_ID} consumed 4321 of 200000 compute units`,
+              `Program ${PROGRAM_ID} success`
+            ],
+            accounts: config.accounts.addresses.map(address => address === VAULT
+              ? { lamports: 3000000, owner: PROGRAM_ID, data: [encodeVault().toString('base64'), 'base64'], executable: false, rentEpoch: 0 }
+              : { lamports: 5000000000, owner: SYSTEM_PROGRAM, data: ['', 'base64'], executable: false, rentEpoch: 0 }),
+            unitsConsumed: 4321,
+            returnData: { programId: PROGRAM_ID, data: ['AQID', 'base64'] }
+          }
+        };
+      }
+    });
+  });
+
+  t.after(async () => {
+    await rpc.close();
+  });
+
+  await t.test('requires instructions and a valid fee payer', async () => {
+    const empty = await simulateTransaction({ instructions: [], feePayer: OWNER, rpcUrl: rpc.url });
+    assert.strictEqual(empty.success, false);
+
+    const badPayer = await simulateTransaction({
+      instructions: [{ programId: PROGRAM_ID }],
+      feePayer: 'nope',
+      rpcUrl: rpc.url
+    });
+    assert.ok(badPayer.error.includes('Invalid fee payer'));
+  });
+
+  await t.test('simulates a v0 transaction without signature verification', async () => {
+    const result = await simulateTransaction({
+      feePayer: OWNER,
+      rpcUrl: rpc.url,
+      instructions: [{ programId: PROGRAM_ID, accounts: DEPOSIT_ACCOUNTS, data: encodeDeposit(5n, null).toString('hex'), encoding: 'hex' }]
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(simulated.transaction.version, 0);
+    assert.strictEqual(simulated.config.sigVerify, false);
+    assert.strictEqual(simulated.config.replaceRecentBlockhash, true);
+
+    const [instruction] = simulated.transaction.message.compiledInstructions;
+    assert.deepStrictEqual(Buffer.from(instruction.data), encodeDeposit(5n, null));
+    assert.strictEqual(simulated.transaction.message.staticAccountKeys[0].toBase58(), OWNER);
+  });
+
+  await t.test('returns logs, compute units, return data and post-states', async () => {
+    const result = await simulateTransaction({
+      feePayer: OWNER,
+      rpcUrl: rpc.url,
+      idl: VAULT_IDL,
+      instructions: [{ programId: PROGRAM_ID, accounts: DEPOSIT_ACCOUNTS, data: encodeDeposit(5n, null).toString('base64') }]
+    });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.slot, 42);
+    assert.strictEqual(result.unitsConsumed, 4321);
+    assert.strictEqual(result.logs.length, 5);
+    assert.deepStrictEqual(result.invocations[0].computeUnits, { consumed: 4321, limit: 200000 });
+    assert.deepStrictEqual(result.returnData, { programId: PROGRAM_ID, data: 'AQID', hex: '010203' });
+
+    // Writable accounts by default: fee payer first, then the vault
+    assert.deepStrictEqual(simulated.config.accounts, { encoding: 'base64', addresses: [OWNER, VAULT] });
+    const vault = result.accounts.find(account => account.address === VAULT);
+    assert.strictEqual(vault.lamports, 3000000);
+    assert.deepStrictEqual(vault.decoded.data, DECODED_VAULT);
+  });
+
+  await t.test('encodes instruction args with an IDL', async () => {
+    const result = await simulateTransaction({
+      feePayer: OWNER,
+      rpcUrl: rpc.url,
+      accounts: [VAULT],
+      instructions: [{
+        programId: PROGRAM_ID,
+        accounts: DEPOSIT_ACCOUNTS,
+        idl: VAULT_IDL,
+        instruction: 'deposit',
+        args: { amount: '1000', memo: 'hi' }
+      }]
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.instructions[0].name, 'deposit');
+    assert.deepStrictEqual(
+      Buffer.from(simulated.transaction.message.compiledInstructions[0].data),
+      encodeDeposit(1000n, 'hi')
+    );
+    assert.deepStrictEqual(simulated.config.accounts.addresses, [VAULT]);
+  });
+
+  await t.test('decodes post-states with the on-chain IDL used to encode', async () => {
+    const before = rpc.calls.length;
+    const result = await simulateTransaction({
+      feePayer: OWNER,
+      rpcUrl: rpc.url,
+      idl: 'chain',
+      instructions: [{ programId: PROGRAM_ID, accounts: DEPOSIT_ACCOUNTS, instruction: 'deposit', args: { amount: '1000', memo: null } }]
+    });
+
+    assert.strictEqual(result.success, true);
+    const vault = result.accounts.find(account => account.address === VAULT);
+    assert.deepStrictEqual(vault.decoded.data, DECODED_VAULT);
+    assert.deepStrictEqual(result.warnings, []);
+    // The IDL fetched to encode the instruction is reused for the post-states
+    const idlFetches = rpc.calls.slice(before).filter(call => call.params[0] === idlAddress);
+    assert.strictEqual(idlFetches.length, 1);
+  });
+
+  await t.test('warns when the IDL for post-states cannot be loaded', async () => {
+    publishIdl = false;
+    try {
+      const result = await simulateTransaction({
+        feePayer: OWNER,
+        rpcUrl: rpc.url,
+        idl: 'chain',
+        instructions: [{ programId: PROGRAM_ID, accounts: DEPOSIT_ACCOUNTS, data: encodeDeposit(5n, null).toString('base64') }]
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.accounts.find(account => account.address === VAULT).decoded, undefined);
+      assert.deepStrictEqual(result.warnings, [`Post-states not decoded: No on-chain IDL found for program ${PROGRAM_ID}`]);
+    } finally {
+      publishIdl = true;
+    }
+  });
+
+  await t.test('reports which instruction failed to build', async () => {
+    const result = await simulateTransaction({
+      feePayer: OWNER,
+      rpcUrl: rpc.url,
+      instructions: [
+        { programId: PROGRAM_ID, data: '' },
+        { programId: PROGRAM_ID, data: 'xyz', encoding: 'hex' }
+      ]
+    });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Failed to build transaction: Instruction 1: data is not valid hex');
+
+    const noIdl = await simulateTransaction({
+      feePayer: OWNER,
+      rpcUrl: rpc.url,
+      instructions: [{ programId: PROGRAM_ID, instruction: 'deposit', args: {} }]
+    });
+    assert.ok(noIdl.error.includes('an idl is required'));
+  });
+});
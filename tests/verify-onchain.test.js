@@ -1,6 +1,32 @@
 import test from 'node:test';
 import assert from 'node:assert';
-import { verifyOnchainDiscriminators } from '../mcp-server/tools/verify-onchain-discriminators.js';
+import { PublicKey } from '@solana/web3.js';
+import {
+  verifyOnchainDiscriminators,
+  decodeAnchorIdl,
+  fetchOnchainIdl,
+  getIdlAddress
+} from '../mcp-server/tools/verify-onchain-discriminators.js';
+import { startMockRpc, accountResult } from './helpers/mock-rpc.js';
+import { encodeIdlAccount } from './fixtures/idl-account.js';
+
+const SAMPLE_IDL = {
+  address: 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS',
+  metadata: { name: 'counter', version: '0.1.0', spec: '0.1.0' },
+  instructions: [
+    {
+      name: 'increment',
+      discriminator: [11, 18, 104, 9, 104, 174, 59, 33],
+      accounts: [{ name: 'counter', writable: true }],
+      args: [{ name: 'amount', type: 'u64' }]
+    }
+  ],
+  accounts: [{ name: 'Counter', discriminator: [255, 176, 4, 245, 188, 253, 124, 25] }],
+  events: [],
+  types: [
+    { name: 'Counter', type: { kind: 'struct', fields: [{ name: 'count', type: 'u64' }] } }
+  ]
+};
 
 test('verifyOnchainDiscriminators validates required inputs', async (t) => {
   await t.test('requires programId', async () => {
@@ -101,3 +127,101 @@ test('verifyOnchainDiscriminators cluster support', async (t) => {
     assert.strictEqual(result.cluster, 'mainnet');
   });
 });
+
+test('decodeAnchorIdl decodes Anchor IDL account data', async (t) => {
+  const authority = new PublicKey('9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM');
+
+  await t.test('returns authority and full IDL', () => {
+    const decoded = decodeAnchorIdl(encodeIdlAccount(SAMPLE_IDL, authority, 64));
+
+    assert.strictEqual(decoded.authority, authority.toBase58());
+    assert.strictEqual(decoded.discriminator, '184662bf3a907b9e');
+    assert.deepStrictEqual(decoded.idl, SAMPLE_IDL);
+  });
+
+  await t.test('rejects truncated account data', () => {
+    assert.throws(() => decodeAnchorIdl(Buffer.alloc(20)), /too short/);
+  });
+
+  await t.test('rejects accounts that are not IDL accounts', () => {
+    const data = encodeIdlAccount(SAMPLE_IDL, authority);
+    data.fill(0, 0, 8);
+    assert.throws(() => decodeAnchorIdl(data), /not an Anchor IDL account \(discriminator 0000000000000000\)/);
+  });
+
+  await t.test('rejects length prefix beyond account data', () => {
+    const data = encodeIdlAccount(SAMPLE_IDL, authority);
+    data.writeUInt32LE(data.length, 40);
+    assert.throws(() => decodeAnchorIdl(data), /exceeds account data/);
+  });
+
+  await t.test('rejects corrupt compressed payload', () => {
+    const data = encodeIdlAccount(SAMPLE_IDL, authority);
+    data.fill(1, 44, 60);
+    assert.throws(() => decodeAnchorIdl(data), /Failed to decode IDL/);
+  });
+});
+
+test('fetchOnchainIdl reads the IDL account of a program', async (t) => {
+  const programId = new PublicKey(SAMPLE_IDL.address);
+  const authority = new PublicKey('9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM');
+
+  await t.test('derives the IDL address from the program base PDA', async () => {
+    const address = await getIdlAddress(programId);
+
+    assert.strictEqual(address.toBase58(), '9j6oH2BscegWPVpeiP2mbsN35pDbiBSpyZrpi86S8eWF');
+  });
+
+  await t.test('decodes IDL from the account returned by RPC', async () => {
+    const idlAddress = await getIdlAddress(programId);
+    const connection = {
+      async getAccountInfo(key) {
+        assert.strictEqual(key.toBase58(), idlAddress.toBase58());
+        return { data: encodeIdlAccount(SAMPLE_IDL, authority) };
+      }
+    };
+
+    const result = await fetchOnchainIdl(connection, programId);
+    assert.strictEqual(result.address.toBase58(), idlAddress.toBase58());
+    assert.strictEqual(result.authority, authority.toBase58());
+    assert.strictEqual(result.idl.instructions[0].name, 'increment');
+    assert.strictEqual(result.idl.types[0].type.fields[0].type, 'u64');
+  });
+
+  await t.test('returns null IDL when no IDL account exists', async () => {
+    const connection = { async getAccountInfo() { return null; } };
+
+    const result = await fetchOnchainIdl(connection, programId);
+    assert.strictEqual(result.idl, null);
+    assert.strictEqual(result.authority, null);
+  });
+});
+
+test('verifyOnchainDiscriminators reports the on-chain IDL', async () => {
+  const idlAddress = (await getIdlAddress(new PublicKey(SAMPLE_IDL.address))).toBase58();
+  const rpc = await startMockRpc({
+    getAccountInfo: ([address]) => accountResult(address === SAMPLE_IDL.address
+      ? { executable: true, owner: 'BPFLoaderUpgradeab1e11111111111111111111111' }
+      : { data: encodeIdlAccount(SAMPLE_IDL), owner: SAMPLE_IDL.address })
+  });
+
+  try {
+    const result = await verifyOnchainDiscriminators({ programId: SAMPLE_IDL.address, rpcUrl: rpc.url });
+
+    assert.strictEqual(result.idlFound, true);
+    assert.strictEqual(result.idlAddress, idlAddress);
+    assert.deepStrictEqual(result.idl, {
+      version: '0.1.0',
+      name: 'counter',
+      spec: '0.1.0',
+      instructions: 1,
+      accounts: 1,
+      events: 0,
+      types: 1,
+      errors: 0
+    });
+    assert.deepStrictEqual(result.idlDocument, SAMPLE_IDL);
+  } finally {
+    await rpc.close();
+  }
+});
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import { verifyProgramBinary } from '../mcp-server/tools/verify-program-binary.js';
+import { getLocalLedger } from '../mcp-server/lib/local-sim.js';
+import {
+  BPF_LOADER_V2_ID,
+  BPF_LOADER_UPGRADEABLE_ID,
+  PROGRAM_DATA,
+  V2_PROGRAM,
+  UPGRADE_AUTHORITY,
+  ELF_SIZE,
+  buildElf,
+  encodeProgram,
+  encodeProgramData
+} from './fixtures/programs.js';
+
+test('verifyProgramBinary', async (t) => {
+  const ledger = getLocalLedger();
+  const programKeypair = Keypair.generate();
+  const programId = programKeypair.publicKey.toBase58();
+  let tmpDir;
+  let deployDir;
+
+  t.before(async () => {
+    ledger.reset();
+    ledger.setAccount(programId, {
+      owner: BPF_LOADER_UPGRADEABLE_ID,
+      executable: true,
+      data: encodeProgram(PROGRAM_DATA)
+    });
+    ledger.setAccount(PROGRAM_DATA, {
+      owner: BPF_LOADER_UPGRADEABLE_ID,
+      data: encodeProgramData({ slot: 5150, authority: UPGRADE_AUTHORITY, padding: 4096 })
+    });
+    ledger.setAccount(V2_PROGRAM, { owner: BPF_LOADER_V2_ID, executable: true, data: buildElf(2) });
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solagent-verify-'));
+    deployDir = path.join(tmpDir, 'target', 'deploy');
+    await fs.mkdir(deployDir, { recursive: true });
+    await fs.writeFile(path.join(deployDir, 'vault.so'), buildElf());
+    await fs.writeFile(path.join(deployDir, 'vault-keypair.json'), JSON.stringify(Array.from(programKeypair.secretKey)));
+  });
+
+  t.after(async () => {
+    ledger.reset();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('requires binaryPath', async () => {
+    await assert.rejects(verifyProgramBinary({}), /binaryPath is required/);
+  });
+
+  await t.test('matches a deployed program against target/deploy', async () => {
+    const result = await verifyProgramBinary({ binaryPath: tmpDir, cluster: 'local-sim' });
+
+    assert.strictEqual(result.success, true);
+    // Program ID comes from target/deploy/vault-keypair.json
+    assert.strictEqual(result.programId, programId);
+    assert.strictEqual(result.binaryPath, path.join(deployDir, 'vault.so'));
+    assert.strictEqual(result.match, true);
+    assert.strictEqual(result.firstDifferenceOffset, null);
+    assert.strictEqual(result.onchain.sha256, result.local.sha256);
+    assert.strictEqual(result.onchain.lastDeployedSlot, 5150);
+    assert.strictEqual(result.onchain.upgradeAuthority, UPGRADE_AUTHORITY);
+
+    // Hashed up to the ELF size: the trailing zeros of the section headers
+    // are kept and the ProgramData padding is not, like sha256sum of the .so
+    assert.strictEqual(result.local.size, ELF_SIZE);
+    assert.strictEqual(result.onchain.size, ELF_SIZE);
+    assert.strictEqual(result.local.sha256, createHash('sha256').update(buildElf()).digest('hex'));
+  });
+
+  await t.test('strips zero padding from data that is not an ELF', async () => {
+    const file = path.join(tmpDir, 'truncated.so');
+    await fs.writeFile(file, Buffer.concat([buildElf().subarray(0, 200), Buffer.alloc(16)]));
+
+    const result = await verifyProgramBinary({ binaryPath: file, programId, cluster: 'local-sim' });
+    assert.strictEqual(result.match, false);
+    assert.strictEqual(result.local.size, 200);
+    assert.strictEqual(result.firstDifferenceOffset, 200);
+  });
+
+  await t.test('reports the first differing offset', async () => {
+    const modified = buildElf();
+    modified[150] = 0xff;
+    const file = path.join(tmpDir, 'modified.so');
+    await fs.writeFile(file, modified);
+
+    const result = await verifyProgramBinary({ binaryPath: file, programId, cluster: 'local-sim' });
+    assert.strictEqual(result.match, false);
+    assert.strictEqual(result.firstDifferenceOffset, 150);
+    assert.notStrictEqual(result.onchain.sha256, result.local.sha256);
+
+    const v2 = await verifyProgramBinary({ binaryPath: file, programId: V2_PROGRAM, cluster: 'local-sim' });
+    assert.strictEqual(v2.onchain.loader, 'v2');
+    assert.strictEqual(v2.firstDifferenceOffset, 64);
+  });
+
+  await t.test('reports missing binaries and programs', async () => {
+    const noBuild = await verifyProgramBinary({ binaryPath: os.tmpdir() + '/solagent-missing', cluster: 'local-sim' });
+    assert.strictEqual(noBuild.success, false);
+    assert.strictEqual(noBuild.error, 'Failed to load local program binary');
+
+    await fs.writeFile(path.join(deployDir, 'other.so'), buildElf());
+    const ambiguous = await verifyProgramBinary({ binaryPath: tmpDir, cluster: 'local-sim' });
+    assert.ok(ambiguous.details.includes('pass programName'));
+
+    const notDeployed = await verifyProgramBinary({ binaryPath: tmpDir, programName: 'other', cluster: 'local-sim' });
+    assert.strictEqual(notDeployed.error, 'programId is required');
+
+    const missing = await verifyProgramBinary({ binaryPath: tmpDir, programName: 'other', programId: UPGRADE_AUTHORITY, cluster: 'local-sim' });
+    assert.strictEqual(missing.error, 'Program account not found on-chain');
+  });
+});